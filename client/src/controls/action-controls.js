@@ -111,7 +111,8 @@ export class ButtonControl extends Control {
  * Button Pad Control - Grid of buttons
  * 
  * Creates a grid layout of buttons, commonly used for number pads,
- * quick access buttons, or menu grids.
+ * quick access buttons, or menu grids. Each button press is also reported
+ * as a `keypadInput` event carrying the button's `value` (or its text).
  * 
  * @class ButtonPadControl
  * @extends Control
@@ -127,6 +128,8 @@ export class ButtonControl extends Control {
  *     // ... more buttons
  *   ]
  * }
+ * 
+ * @fires keypadInput - When a button is pressed ({ key, UID })
  */
 export class ButtonPadControl extends Control {
     createElement() {
@@ -157,6 +160,10 @@ export class ButtonPadControl extends Control {
             
             const childControl = window.ControlFactory.create(childDef);
             childControl.parent = this;
+            childControl.on('click', () => {
+                const key = childDef.value !== undefined ? childDef.value : childDef.text;
+                this.emit('keypadInput', { key: String(key), UID: this.UID });
+            });
             this.childControls.push(childControl);
             const childElement = childControl.render();
             this.element.appendChild(childElement);
@@ -258,6 +258,23 @@ export class Control {
         }
     }
 
+    /**
+     * Makes sure the signed-in user may perform an action, asking for a manager override when not
+     * @param {string} permission - Key of AuthService.PERMISSIONS
+     * @param {string} [description] - What is being approved, shown in the prompt and audit log
+     * @returns {Promise<Object|null>} User who may perform the action, or null when not approved
+     * @example
+     * const approver = await this.authorize('price-override', 'Override price of Coffee');
+     * if (!approver) return false;
+     */
+    async authorize(permission, description = '') {
+        const approver = await window.ManagerOverride.request(permission, { description, details: { UID: this.UID } });
+        if (!approver) {
+            this.logEvent('auth', `${permission} not approved`);
+        }
+        return approver;
+    }
+
     logEvent(type, message) {
         const timestamp = new Date().toLocaleTimeString();
         const logEntry = `[${timestamp}] [${type.toUpperCase()}] ${message}`;
@@ -158,12 +158,331 @@ export class MessageBoxControl extends Control {
     }
 }
 
+/**
+ * Lookup Popup Control - Modal list to pick one record from
+ *
+ * Shows rows in a table with configurable columns and an optional filter box.
+ * A row is picked by clicking it, or with the arrow keys and Enter; Escape
+ * or the close button cancels. Column `format` can be 'currency' (formatted
+ * with CurrencyFormatter) or 'datetime'.
+ *
+ * The filter matches the column text plus any row fields named in
+ * `searchKeys` (e.g. a phone number stored as plain digits). `actions` adds
+ * footer buttons; pressing one closes the popup and emits `lookupAction` with
+ * the highlighted row (null when the list is empty) and the filter text.
+ *
+ * @class LookupPopupControl
+ * @extends Control
+ * @example
+ * {
+ *   type: 'lookup-popup',
+ *   UID: 'held-sales',
+ *   title: 'Held Transactions',
+ *   props: {
+ *     columns: [
+ *       { key: 'heldAt', label: 'Time', format: 'datetime' },
+ *       { key: 'itemCount', label: 'Items', align: 'right' },
+ *       { key: 'total', label: 'Total', format: 'currency', align: 'right' }
+ *     ],
+ *     emptyText: 'No held transactions'
+ *   }
+ * }
+ *
+ * {
+ *   type: 'lookup-popup',
+ *   UID: 'customer-lookup',
+ *   title: 'Customers',
+ *   props: {
+ *     columns: [{ key: 'name', label: 'Name' }, { key: 'phone', label: 'Phone' }],
+ *     searchKeys: ['phoneDigits'],
+ *     actions: [{ id: 'new', label: 'New Customer' }]
+ *   }
+ * }
+ *
+ * @fires lookupSelect - When a row is picked ({ row, index, UID })
+ * @fires lookupAction - When a footer action is pressed ({ action, row, query, UID })
+ * @fires lookupCancel - When the popup is closed without a selection
+ * @fires show - When popup is shown
+ * @fires hide - When popup is hidden
+ */
+export class LookupPopupControl extends Control {
+    constructor(definition) {
+        super(definition);
+        this.isVisible = false;
+        this.columns = this.props.columns || [];
+        this.searchKeys = this.props.searchKeys || [];
+        this.actions = this.props.actions || [];
+        this.rows = this.props.rows || [];
+        this.filteredRows = this.rows;
+        this.highlightedIndex = 0;
+    }
+
+    createElement() {
+        const overlay = document.createElement('div');
+        overlay.id = this.UID;
+        overlay.className = 'lookup-popup-overlay fixed inset-0 bg-black/50 z-50 hidden';
+        overlay.setAttribute('data-testid', `lookup-popup-${this.UID}`);
+
+        overlay.innerHTML = `
+            <div class="lookup-popup flex flex-col" role="dialog">
+                <div class="flex items-center justify-between p-4 border-b border-border">
+                    <h3 class="text-lg font-semibold" data-testid="lookup-title-${this.UID}"></h3>
+                    <button class="lookup-close text-muted-foreground hover:text-foreground" data-testid="lookup-close-${this.UID}">✕</button>
+                </div>
+                ${this.props.searchable === false ? '' : `
+                <div class="p-4 border-b border-border">
+                    <input type="text" class="lookup-search w-full px-3 py-2 border border-input rounded-md bg-background" placeholder="Filter..." data-testid="lookup-search-${this.UID}">
+                </div>`}
+                <div class="overflow-auto" style="max-height: 60vh;">
+                    <table class="w-full text-sm">
+                        <thead class="bg-muted/50">
+                            <tr class="lookup-header"></tr>
+                        </thead>
+                        <tbody class="lookup-rows" data-testid="lookup-rows-${this.UID}"></tbody>
+                    </table>
+                </div>
+                ${this.actions.length === 0 ? '' : `
+                <div class="lookup-actions flex justify-end space-x-2 p-4 border-t border-border"></div>`}
+            </div>
+        `;
+
+        overlay.querySelector('h3').textContent = window.ContextRenderer.render(this.title || 'Lookup');
+
+        const header = overlay.querySelector('.lookup-header');
+        this.columns.forEach(column => {
+            const th = document.createElement('th');
+            th.className = `p-3 font-medium text-${column.align || 'left'}`;
+            th.textContent = column.label || column.key;
+            header.appendChild(th);
+        });
+
+        const footer = overlay.querySelector('.lookup-actions');
+        this.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = 'px-4 py-2 border border-border rounded-md hover:bg-accent';
+            button.dataset.action = action.id;
+            button.setAttribute('data-testid', `lookup-action-${action.id}-${this.UID}`);
+            button.textContent = action.label || action.id;
+            footer.appendChild(button);
+        });
+
+        return overlay;
+    }
+
+    attachEvents() {
+        super.attachEvents();
+
+        this.element.querySelector('.lookup-close').addEventListener('click', () => this.cancel());
+
+        // Clicking the backdrop cancels, clicks inside the dialog do not
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) {
+                this.cancel();
+            }
+        });
+
+        this.element.querySelector('.lookup-rows').addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-index]');
+            if (row) {
+                this.select(parseInt(row.dataset.index, 10));
+            }
+        });
+
+        const search = this.element.querySelector('.lookup-search');
+        if (search) {
+            search.addEventListener('input', () => this.filter(search.value));
+        }
+
+        const footer = this.element.querySelector('.lookup-actions');
+        if (footer) {
+            footer.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (button) {
+                    this.runAction(button.dataset.action);
+                }
+            });
+        }
+
+        this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.highlight(Math.min(this.highlightedIndex + 1, this.filteredRows.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.highlight(Math.max(this.highlightedIndex - 1, 0));
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.select(this.highlightedIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.cancel();
+                break;
+        }
+    }
+
+    /**
+     * Replaces the rows shown in the popup
+     * @param {Object[]} rows - Records keyed by column key
+     */
+    setRows(rows) {
+        this.rows = rows || [];
+        const search = this.element.querySelector('.lookup-search');
+        this.filter(search ? search.value : '');
+    }
+
+    filter(text) {
+        const query = String(text || '').trim().toLowerCase();
+
+        this.filteredRows = !query ? this.rows : this.rows.filter(row =>
+            this.columns.some(column => this.formatCell(row, column).toLowerCase().includes(query)) ||
+            this.searchKeys.some(key => row[key] !== undefined && row[key] !== null && String(row[key]).toLowerCase().includes(query))
+        );
+
+        this.renderRows();
+    }
+
+    renderRows() {
+        const tbody = this.element.querySelector('.lookup-rows');
+        tbody.innerHTML = '';
+
+        if (this.filteredRows.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = Math.max(this.columns.length, 1);
+            td.className = 'p-4 text-center text-muted-foreground';
+            td.textContent = this.props.emptyText || 'No records found';
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+            return;
+        }
+
+        this.filteredRows.forEach((row, index) => {
+            const tr = document.createElement('tr');
+            tr.dataset.index = index;
+            tr.className = 'border-t border-border cursor-pointer hover:bg-accent';
+            tr.setAttribute('data-testid', `lookup-row-${index}-${this.UID}`);
+
+            this.columns.forEach(column => {
+                const td = document.createElement('td');
+                td.className = `p-3 text-${column.align || 'left'}`;
+                td.textContent = this.formatCell(row, column);
+                tr.appendChild(td);
+            });
+
+            tbody.appendChild(tr);
+        });
+
+        this.highlight(Math.min(this.highlightedIndex, this.filteredRows.length - 1));
+    }
+
+    formatCell(row, column) {
+        const value = row[column.key];
+
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+
+        switch (column.format) {
+            case 'currency':
+                return window.CurrencyFormatter.format(window.Money.from(value));
+            case 'datetime':
+                return new Date(value).toLocaleString(window.CurrencyFormatter.getLocale());
+            default:
+                return String(value);
+        }
+    }
+
+    highlight(index) {
+        this.highlightedIndex = Math.max(index, 0);
+
+        this.element.querySelectorAll('.lookup-rows tr[data-index]').forEach(tr => {
+            const active = parseInt(tr.dataset.index, 10) === this.highlightedIndex;
+            tr.classList.toggle('bg-accent', active);
+            if (active) {
+                tr.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    select(index) {
+        const row = this.filteredRows[index];
+        if (!row) return;
+
+        this.logEvent('lookup-select', `Lookup ${this.UID}: row ${index} selected`);
+        this.emit('lookupSelect', { row, index, UID: this.UID });
+        this.hide();
+    }
+
+    runAction(action) {
+        const search = this.element.querySelector('.lookup-search');
+        const row = this.filteredRows[this.highlightedIndex] || null;
+
+        this.logEvent('lookup-action', `Lookup ${this.UID}: action ${action}`);
+        this.emit('lookupAction', { action, row, query: search ? search.value.trim() : '', UID: this.UID });
+        this.hide();
+    }
+
+    cancel() {
+        this.logEvent('lookup-cancel', `Lookup ${this.UID} cancelled`);
+        this.emit('lookupCancel', { UID: this.UID });
+        this.hide();
+    }
+
+    /**
+     * Shows the popup, optionally with new rows
+     * @param {Object[]} [rows] - Records to list
+     */
+    open(rows) {
+        if (rows) {
+            this.rows = rows;
+        }
+
+        const search = this.element.querySelector('.lookup-search');
+        if (search) {
+            search.value = '';
+        }
+
+        this.highlightedIndex = 0;
+        this.filter('');
+        this.show();
+        (search || this.element.querySelector('.lookup-close')).focus();
+    }
+
+    show() {
+        this.isVisible = true;
+        this.element.classList.remove('hidden');
+
+        this.logEvent('show', `Lookup popup ${this.UID} shown`);
+        this.emit('show', { UID: this.UID });
+    }
+
+    hide() {
+        if (!this.isVisible) return;
+
+        this.isVisible = false;
+        this.element.classList.add('hidden');
+
+        this.logEvent('hide', `Lookup popup ${this.UID} hidden`);
+        this.emit('hide', { UID: this.UID });
+    }
+}
+
 /**
  * Status Bar Control - Application status display
  * 
  * Displays application status with indicator light and last sync time.
  * Supports different status types: ready, busy, error.
  * 
+ * Before an idle terminal locks (IdleMonitor), the bar counts down the
+ * seconds left from the `idleCountdown` state, then goes back to its status.
+ * 
  * @class StatusBarControl
  * @extends Control
  * @example
@@ -198,9 +517,39 @@ export class StatusBarControl extends Control {
         return 'status-bar-control bg-muted/50 px-4 py-2 border-t border-border';
     }
 
-    setStatus(status, message) {
+    attachEvents() {
+        this.unsubscribeIdle = window.StateManager.subscribe('idleCountdown', (seconds) => {
+            this.showIdleCountdown(seconds);
+        });
+        this.showIdleCountdown(window.StateManager.getState('idleCountdown'));
+    }
+
+    destroy() {
+        if (this.unsubscribeIdle) {
+            this.unsubscribeIdle();
+            this.unsubscribeIdle = null;
+        }
+        super.destroy();
+    }
+
+    showIdleCountdown(seconds) {
         const indicator = this.element.querySelector('.status-indicator');
         const textElement = this.element.querySelector('[data-testid*="status-text"]');
+
+        if (seconds === null || seconds === undefined) {
+            this.element.classList.remove('idle-warning', 'bg-yellow-100');
+            textElement.textContent = this.state.message || 'System Ready';
+            this.setIndicator(this.state.status || 'ready');
+            return;
+        }
+
+        this.element.classList.add('idle-warning', 'bg-yellow-100');
+        indicator.className = 'status-indicator w-2 h-2 rounded-full bg-yellow-500 animate-pulse';
+        textElement.textContent = `Locking in ${seconds}s - touch the screen or press a key to stay signed in`;
+    }
+
+    setIndicator(status) {
+        const indicator = this.element.querySelector('.status-indicator');
         
         // Update indicator color
         indicator.className = 'status-indicator w-2 h-2 rounded-full';
@@ -217,13 +566,19 @@ export class StatusBarControl extends Control {
             default:
                 indicator.classList.add('bg-gray-500');
         }
+    }
+
+    setStatus(status, message) {
+        const textElement = this.element.querySelector('[data-testid*="status-text"]');
+        
+        this.setIndicator(status);
         
         // Update message
         if (message) {
             textElement.textContent = message;
         }
         
-        this.setState({ status, message });
+        this.setState({ status, message: message || this.state.message });
         this.logEvent('status-update', `Status: ${status} - ${message}`);
     }
 }
@@ -360,6 +715,7 @@ export class ImageControl extends Control {
 if (typeof window !== 'undefined') {
     window.LabelControl = LabelControl;
     window.MessageBoxControl = MessageBoxControl;
+    window.LookupPopupControl = LookupPopupControl;
     window.StatusBarControl = StatusBarControl;
     window.NotificationAreaControl = NotificationAreaControl;
     window.ImageControl = ImageControl;
@@ -102,6 +102,10 @@ export class NumericInputControl extends TextBoxControl {
  * Password input field with show/hide toggle button.
  * Provides secure text entry with visibility control.
  * 
+ * The typed value stays in the input: it is not kept in the control state and
+ * never appears in events or the event log. Read it with getSecret() when
+ * 'passwordSubmitted' fires (Enter), then clear() the field.
+ * 
  * @class PasswordControl
  * @extends TextBoxControl
  * @example
@@ -110,6 +114,9 @@ export class NumericInputControl extends TextBoxControl {
  *   UID: 'admin-password',
  *   placeholder: 'Enter admin password...'
  * }
+ * 
+ * @fires input - When the value changes ({ length })
+ * @fires passwordSubmitted - When Enter is pressed with a value
  */
 export class PasswordControl extends TextBoxControl {
     createElement() {
@@ -146,10 +153,31 @@ export class PasswordControl extends TextBoxControl {
 
     attachEvents() {
         this.inputElement.addEventListener('input', (e) => {
-            this.setState({ value: e.target.value });
-            this.emit('input', { value: e.target.value, UID: this.UID });
-            this.logEvent('input', `Password ${this.UID} changed`);
+            this.emit('input', { length: e.target.value.length, UID: this.UID });
         });
+
+        this.inputElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && this.inputElement.value) {
+                e.preventDefault();
+                this.emit('passwordSubmitted', { UID: this.UID });
+            }
+        });
+    }
+
+    getSecret() {
+        return this.inputElement ? this.inputElement.value : '';
+    }
+
+    clear() {
+        if (this.inputElement) {
+            this.inputElement.value = '';
+        }
+    }
+
+    focus() {
+        if (this.inputElement) {
+            this.inputElement.focus();
+        }
     }
 }
 
@@ -159,14 +187,21 @@ export class PasswordControl extends TextBoxControl {
  * Enhanced text input with barcode scanner styling and functionality.
  * Emits 'barcodeScanned' event when Enter is pressed with a value.
  * 
+ * With `acceptCoupons` set, codes recognised by CouponManager (coupon barcode
+ * prefixes and known coupon codes) emit 'couponScanned' instead.
+ * 
  * @class BarcodeInputControl
  * @extends TextBoxControl
  * @example
  * {
  *   type: 'barcode-input',
  *   UID: 'product-scanner',
- *   placeholder: 'Scan or type barcode...'
+ *   placeholder: 'Scan or type barcode...',
+ *   props: { acceptCoupons: true }
  * }
+ * 
+ * @fires barcodeScanned - When a product code is entered ({ barcode })
+ * @fires couponScanned - When a coupon code is entered and acceptCoupons is set ({ code })
  */
 export class BarcodeInputControl extends TextBoxControl {
     getBaseClasses() {
@@ -183,6 +218,12 @@ export class BarcodeInputControl extends TextBoxControl {
 
         this.element.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && this.element.value) {
+                if (this.isCoupon(this.element.value)) {
+                    this.emit('couponScanned', { code: this.element.value, UID: this.UID });
+                    this.logEvent('coupon', `Coupon scanned: ${this.element.value}`);
+                    return;
+                }
+                
                 this.emit('barcodeScanned', { 
                     barcode: this.element.value, 
                     UID: this.UID 
@@ -191,6 +232,119 @@ export class BarcodeInputControl extends TextBoxControl {
             }
         });
     }
+
+    isCoupon(code) {
+        return !!this.props.acceptCoupons && !!window.CouponManager && window.CouponManager.isCouponBarcode(code);
+    }
+}
+
+/**
+ * Coupon Input Control - Coupon and discount-code entry
+ * 
+ * Text input with an Apply button for typed or scanned coupon codes, and a
+ * list of the coupons on the current sale (from `currentTransaction` in
+ * StateManager), each with a remove button. POSApplication checks the code
+ * with CouponManager and explains rejections through NotificationSystem.
+ * 
+ * @class CouponInputControl
+ * @extends Control
+ * @example
+ * {
+ *   type: 'coupon-input',
+ *   UID: 'coupon-entry',
+ *   placeholder: 'Coupon code...'
+ * }
+ * 
+ * @fires couponEntered - When a code is submitted ({ code })
+ * @fires couponRemoved - When an applied coupon is removed ({ code })
+ */
+export class CouponInputControl extends Control {
+    constructor(definition) {
+        super(definition);
+        this.unsubscribeTransaction = null;
+    }
+
+    createElement() {
+        const element = document.createElement('div');
+        element.id = this.UID;
+        element.className = this.getBaseClasses();
+        element.setAttribute('data-testid', `coupon-input-${this.UID}`);
+        
+        element.innerHTML = `
+            <div class="flex gap-2">
+                <input type="text" class="coupon-code flex-1 px-3 py-2 border border-input bg-background rounded-md focus:outline-none focus:ring-2 focus:ring-ring uppercase" placeholder="${window.ContextRenderer.render(this.placeholder || 'Coupon code...')}" data-testid="coupon-code-${this.UID}">
+                <button class="coupon-apply px-4 py-2 bg-secondary text-secondary-foreground rounded-md hover:bg-secondary/90" data-testid="coupon-apply-${this.UID}">Apply</button>
+            </div>
+            <div class="coupon-list flex flex-wrap gap-2" data-testid="coupon-list-${this.UID}"></div>
+        `;
+        
+        return element;
+    }
+
+    getBaseClasses() {
+        return 'coupon-input-control space-y-2';
+    }
+
+    attachEvents() {
+        const input = this.element.querySelector('.coupon-code');
+        
+        const submit = () => {
+            const code = input.value.trim();
+            if (!code) return;
+            
+            this.emit('couponEntered', { code, UID: this.UID });
+            this.logEvent('coupon', `Coupon entered: ${code}`);
+            input.value = '';
+        };
+        
+        this.element.querySelector('.coupon-apply').addEventListener('click', submit);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                submit();
+            }
+        });
+        
+        this.element.querySelector('.coupon-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.coupon-remove');
+            if (button) {
+                this.emit('couponRemoved', { code: button.getAttribute('data-code'), UID: this.UID });
+            }
+        });
+        
+        this.unsubscribeTransaction = window.StateManager.subscribe('currentTransaction', (transaction) => {
+            this.setCoupons(transaction ? transaction.coupons || [] : []);
+        });
+        const transaction = window.StateManager.getState('currentTransaction');
+        this.setCoupons(transaction ? transaction.coupons || [] : []);
+    }
+
+    destroy() {
+        if (this.unsubscribeTransaction) {
+            this.unsubscribeTransaction();
+            this.unsubscribeTransaction = null;
+        }
+        super.destroy();
+    }
+
+    /**
+     * Shows the coupons applied to the sale
+     * @param {string[]} codes - Coupon codes
+     */
+    setCoupons(codes) {
+        const list = this.element.querySelector('.coupon-list');
+        
+        list.innerHTML = codes.map(code => {
+            const coupon = window.CouponManager ? window.CouponManager.find(code) : null;
+            return `
+                <span class="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full bg-accent text-accent-foreground" data-testid="coupon-applied-${code}">
+                    ${coupon ? coupon.name : code}
+                    <button class="coupon-remove hover:text-destructive" data-code="${code}" title="Remove coupon" data-testid="coupon-remove-${code}">&times;</button>
+                </span>
+            `;
+        }).join('');
+        
+        this.setState({ coupons: codes });
+    }
 }
 
 /**
@@ -375,6 +529,7 @@ if (typeof window !== 'undefined') {
     window.NumericInputControl = NumericInputControl;
     window.PasswordControl = PasswordControl;
     window.BarcodeInputControl = BarcodeInputControl;
+    window.CouponInputControl = CouponInputControl;
     window.DropdownControl = DropdownControl;
     window.DatePickerControl = DatePickerControl;
     window.ToggleControl = ToggleControl;
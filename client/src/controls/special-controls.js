@@ -4,7 +4,8 @@ import { Control } from "./base-control.js";
  * Price Checker Control - Product price lookup
  *
  * Allows customers or staff to check product prices by entering product codes.
- * Displays product name and price when found in the database.
+ * Looks the code up in ProductCatalog (barcode, SKU or PLU) and displays
+ * the product name and price when found.
  *
  * @class PriceCheckerControl
  * @extends Control
@@ -66,14 +67,7 @@ export class PriceCheckerControl extends Control {
     }
 
     checkPrice(productCode) {
-        // Simulate price lookup
-        const mockProducts = {
-            12345: { name: "Sample Product A", price: 19.99 },
-            67890: { name: "Sample Product B", price: 12.5 },
-            11111: { name: "Premium Item", price: 89.99 },
-        };
-
-        const product = mockProducts[productCode];
+        const product = window.ProductCatalog.lookup(productCode);
         const resultDiv = this.element.querySelector(".price-result");
         const nameEl = this.element.querySelector(
             `[data-testid="product-name-${this.UID}"]`,
@@ -84,12 +78,12 @@ export class PriceCheckerControl extends Control {
 
         if (product) {
             nameEl.textContent = product.name;
-            priceEl.textContent = `$${product.price.toFixed(2)}`;
+            priceEl.textContent = window.CurrencyFormatter.format(product.price);
             resultDiv.classList.remove("hidden");
 
             this.logEvent(
                 "price-check",
-                `Price found for ${productCode}: ${product.name} - $${product.price}`,
+                `Price found for ${productCode}: ${product.name} - ${window.CurrencyFormatter.format(product.price)}`,
             );
             this.emit("priceFound", { productCode, product, UID: this.UID });
         } else {
@@ -251,20 +245,43 @@ export class SignaturePadControl extends Control {
  * Receipt Preview Control - Transaction receipt display
  *
  * Shows a preview of the transaction receipt with store header,
- * item details, totals, and footer message.
+ * item details, totals, and footer message. The transaction number and
+ * date follow `currentTransaction` in StateManager. Promotion discounts
+ * from the totals are printed as their own lines after the items. For a
+ * sale with a loyalty customer, updateLoyalty() prints the points earned,
+ * redeemed and the balance after the sale under the tenders. printReport()
+ * prints an X or Z report on the paper until the next sale. showReceipt()
+ * puts a past receipt on the paper, including a reprint or gift receipt
+ * from ReceiptPrinter.fromJournalEntry(); the next sale clears those marks.
+ *
+ * The paper is laid out by a ReceiptTemplate (`props.template`, 'default'
+ * if not set), the same one the printer uses, so the preview shows what
+ * will print.
  *
  * @class ReceiptPreviewControl
  * @extends Control
  * @example
  * {
  *   type: 'receipt-preview',
- *   UID: 'receipt-display'
+ *   UID: 'receipt-display',
+ *   props: { template: 'default' }
  * }
  */
 export class ReceiptPreviewControl extends Control {
     constructor(definition) {
         super(definition);
-        this.receiptData = this.props.receiptData || null;
+        this.template = this.props.template || "default";
+        this.receipt = {
+            transactionNumber: null,
+            date: new Date().toISOString(),
+            refund: false,
+            originalTransactionNumber: null,
+            items: [],
+            totals: null,
+            tenders: [],
+            loyalty: null,
+        };
+        this.unsubscribeTransaction = null;
     }
 
     createElement() {
@@ -275,52 +292,8 @@ export class ReceiptPreviewControl extends Control {
 
         element.innerHTML = `
             <div class="receipt-paper p-4 h-80 overflow-y-auto bg-white">
-                <div class="text-center border-b border-gray-300 pb-3 mb-3">
-                    <h3 class="font-bold text-lg">ABC Store</h3>
-                    <p class="text-xs text-gray-600">123 Main St, City, State 12345</p>
-                    <p class="text-xs text-gray-600">Phone: (555) 123-4567</p>
-                </div>
-                
-                <div class="text-xs mb-3">
-                    <div class="flex justify-between">
-                        <span>Date:</span>
-                        <span data-testid="receipt-date-${this.UID}">${new Date().toLocaleDateString()}</span>
-                    </div>
-                    <div class="flex justify-between">
-                        <span>Time:</span>
-                        <span data-testid="receipt-time-${this.UID}">${new Date().toLocaleTimeString()}</span>
-                    </div>
-                    <div class="flex justify-between">
-                        <span>Transaction #:</span>
-                        <span data-testid="receipt-transaction-${this.UID}">TXN-${Date.now()}</span>
-                    </div>
-                </div>
-                
-                <div class="border-b border-gray-300 mb-3 pb-3">
-                    <div class="receipt-items" data-testid="receipt-items-${this.UID}">
-                        <div class="text-center text-gray-500 text-xs py-4">No items in transaction</div>
-                    </div>
-                </div>
-                
-                <div class="text-xs space-y-1">
-                    <div class="flex justify-between">
-                        <span>Subtotal:</span>
-                        <span data-testid="receipt-subtotal-${this.UID}">$0.00</span>
-                    </div>
-                    <div class="flex justify-between">
-                        <span>Tax:</span>
-                        <span data-testid="receipt-tax-${this.UID}">$0.00</span>
-                    </div>
-                    <div class="flex justify-between font-bold border-t border-gray-300 pt-1">
-                        <span>Total:</span>
-                        <span data-testid="receipt-total-${this.UID}">$0.00</span>
-                    </div>
-                </div>
-                
-                <div class="mt-4 text-center text-xs text-gray-500">
-                    <p>Thank you for your business!</p>
-                    <p>Have a great day!</p>
-                </div>
+                <div class="receipt-report hidden text-xs space-y-1" data-testid="receipt-report-${this.UID}"></div>
+                <div class="receipt-sale" data-testid="receipt-sale-${this.UID}"></div>
             </div>
         `;
 
@@ -331,44 +304,178 @@ export class ReceiptPreviewControl extends Control {
         return "receipt-preview-control bg-card border border-border rounded-lg shadow-sm overflow-hidden";
     }
 
-    updateReceipt(items, totals) {
-        const itemsContainer = this.element.querySelector(".receipt-items");
-        const subtotalEl = this.element.querySelector(
-            `[data-testid="receipt-subtotal-${this.UID}"]`,
-        );
-        const taxEl = this.element.querySelector(
-            `[data-testid="receipt-tax-${this.UID}"]`,
+    attachEvents() {
+        super.attachEvents();
+
+        this.unsubscribeTransaction = window.StateManager.subscribe(
+            "currentTransaction",
+            (transaction) => {
+                this.updateTransactionInfo(transaction);
+            },
         );
-        const totalEl = this.element.querySelector(
-            `[data-testid="receipt-total-${this.UID}"]`,
+        this.updateTransactionInfo(
+            window.StateManager.getState("currentTransaction"),
         );
+        this.renderReceipt();
+    }
 
-        // Update items
-        if (items && items.length > 0) {
-            itemsContainer.innerHTML = "";
-            items.forEach((item) => {
-                const itemDiv = document.createElement("div");
-                itemDiv.className = "flex justify-between text-xs mb-1";
-                itemDiv.innerHTML = `
-                    <div>
-                        <div>${item.name}</div>
-                        <div class="text-gray-500">${item.quantity} x $${item.price.toFixed(2)}</div>
-                    </div>
-                    <div>$${(item.quantity * item.price).toFixed(2)}</div>
-                `;
-                itemsContainer.appendChild(itemDiv);
-            });
-        } else {
-            itemsContainer.innerHTML =
-                '<div class="text-center text-gray-500 text-xs py-4">No items in transaction</div>';
+    destroy() {
+        if (this.unsubscribeTransaction) {
+            this.unsubscribeTransaction();
+            this.unsubscribeTransaction = null;
         }
+        super.destroy();
+    }
 
-        // Update totals
-        if (totals) {
-            subtotalEl.textContent = `$${totals.subtotal}`;
-            taxEl.textContent = `$${totals.tax}`;
-            totalEl.textContent = `$${totals.total}`;
-        }
+    /**
+     * Lays the receipt model out on the paper with the control's template
+     */
+    renderReceipt() {
+        const templates = window.ReceiptTemplate;
+        this.element.querySelector(".receipt-sale").innerHTML = templates.toHtml(
+            templates.layout(this.template, this.receipt),
+            this.UID,
+        );
+    }
+
+    updateTransactionInfo(transaction) {
+        // Keep the last transaction number on screen until the next sale opens
+        if (!transaction) return;
+
+        this.showReport(false);
+        Object.assign(this.receipt, {
+            transactionNumber: transaction.number,
+            date: transaction.openedAt,
+            cashier: null,
+            reprint: false,
+            reprintedAt: null,
+            gift: false,
+        });
+        this.setRefund(
+            transaction.type === "return",
+            transaction.originalTransactionNumber,
+        );
+    }
+
+    /**
+     * Shows or hides the refund banner and the original receipt number
+     * @param {boolean} isRefund - Whether the receipt is for a return
+     * @param {string} [originalNumber] - Transaction number of the original sale
+     */
+    setRefund(isRefund, originalNumber = null) {
+        this.receipt.refund = !!isRefund;
+        this.receipt.originalTransactionNumber = originalNumber || null;
+        this.renderReceipt();
+    }
+
+    /**
+     * Lists tenders under the total, e.g. "Refund to Card  -$10.00" on a
+     * refund receipt
+     * @param {Object[]} tenders - { method, amount, reference }
+     */
+    updateTenders(tenders) {
+        this.receipt.tenders = tenders;
+        this.renderReceipt();
+    }
+
+    /**
+     * Prints a journaled receipt: lines, totals, tenders and points, marked
+     * as a reprint or gift receipt when the model says so
+     * @param {Object} model - Receipt model from ReceiptPrinter.fromJournalEntry
+     */
+    showReceipt(model) {
+        this.showReport(false);
+        this.receipt = { ...model };
+        this.renderReceipt();
+    }
+
+    /**
+     * Prints a refund receipt from the journal entry of a completed return
+     * @param {Object} entry - ElectronicJournal entry of type 'return'
+     */
+    showRefundReceipt(entry) {
+        this.showReceipt(window.ReceiptPrinter.fromJournalEntry(entry));
+
+        this.logEvent(
+            "receipt-refund",
+            `Refund receipt ${entry.transactionNumber} printed`,
+        );
+    }
+
+    /**
+     * Prints an X or Z report in place of the sale receipt, one line per
+     * report row grouped by section, e.g. "Cash (12)  $412.50"
+     * @param {Object} report - From SalesReports.generateX or generateZ
+     */
+    printReport(report) {
+        const reports = window.SalesReports;
+        const templates = window.ReceiptTemplate;
+        const generatedAt = new Date(report.generatedAt);
+        const line = (label, value) => `
+            <div class="flex justify-between">
+                <span>${label}</span>
+                <span>${value}</span>
+            </div>
+        `;
+
+        let section = null;
+        const rows = reports
+            .toRows(report)
+            .map((row) => {
+                const heading =
+                    row.section !== section
+                        ? `<div class="font-semibold border-t border-gray-300 mt-2 pt-1">${row.section}</div>`
+                        : "";
+                section = row.section;
+                return heading + line(`${row.label}${row.count ? ` (${row.count})` : ""}`, row.amount);
+            })
+            .join("");
+
+        this.element.querySelector(".receipt-report").innerHTML = `
+            ${templates.toHtml(templates.layout({ blocks: templates.HEADER }, {}), this.UID)}
+            <div class="text-center font-bold text-sm mb-2">${reports.getTitle(report)}</div>
+            ${line("Terminal:", report.terminalId)}
+            ${line("Date:", generatedAt.toLocaleDateString())}
+            ${line("Time:", generatedAt.toLocaleTimeString())}
+            ${report.runBy ? line("Run by:", report.runBy.name) : ""}
+            ${report.periodStart ? line("Since:", new Date(report.periodStart).toLocaleString()) : ""}
+            ${rows}
+            ${report.type === reports.TYPES.Z ? '<div class="text-center font-bold mt-3">*** TOTALS RESET ***</div>' : ""}
+        `;
+        this.showReport(true);
+
+        this.logEvent("receipt-report", `${reports.getTitle(report)} printed`);
+    }
+
+    /**
+     * Switches the paper between the printed report and the sale receipt
+     * @param {boolean} visible - True to show the report
+     */
+    showReport(visible) {
+        this.element.querySelector(".receipt-report").classList.toggle("hidden", !visible);
+        this.element.querySelector(".receipt-sale").classList.toggle("hidden", visible);
+    }
+
+    /**
+     * Prints the points summary, e.g. "Points earned  37"
+     * @param {Object|null} loyalty - { earned, redeemed, balance }, or null for no customer
+     */
+    updateLoyalty(loyalty) {
+        this.receipt.loyalty = loyalty || null;
+        this.renderReceipt();
+    }
+
+    updateReceipt(items, totals) {
+        this.showReport(false);
+        Object.assign(this.receipt, {
+            items: items || [],
+            totals: totals || this.receipt.totals,
+            tenders: [],
+            reprint: false,
+            reprintedAt: null,
+            gift: false,
+        });
+        this.renderReceipt();
 
         this.logEvent("receipt-update", "Receipt preview updated");
     }
@@ -415,10 +522,10 @@ export class ScaleInputControl extends Control {
                 <h3 class="font-semibold mb-2">Digital Scale</h3>
                 <div class="text-3xl font-bold text-blue-600 mb-2" data-testid="weight-display-${this.UID}">0.00 lbs</div>
                 <div class="text-sm text-muted-foreground mb-4">
-                    Price per lb: $<span data-testid="price-per-unit-${this.UID}">${this.pricePerUnit.toFixed(2)}</span>
+                    Price per lb: <span data-testid="price-per-unit-${this.UID}">${window.CurrencyFormatter.format(this.pricePerUnit)}</span>
                 </div>
                 <div class="text-lg font-semibold">
-                    Total: $<span data-testid="scale-total-${this.UID}">0.00</span>
+                    Total: <span data-testid="scale-total-${this.UID}">${window.CurrencyFormatter.format(0)}</span>
                 </div>
                 <button class="mt-4 px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90" data-testid="tare-button-${this.UID}">
                     Tare Scale
@@ -457,7 +564,7 @@ export class ScaleInputControl extends Control {
 
     updateWeight(weight) {
         this.currentWeight = Math.max(0, weight);
-        const total = this.currentWeight * this.pricePerUnit;
+        const total = window.Money.from(this.pricePerUnit).multiply(this.currentWeight);
 
         const weightDisplay = this.element.querySelector(
             `[data-testid="weight-display-${this.UID}"]`,
@@ -466,10 +573,10 @@ export class ScaleInputControl extends Control {
             `[data-testid="scale-total-${this.UID}"]`,
         );
 
-        weightDisplay.textContent = `${this.currentWeight.toFixed(2)} lbs`;
-        totalDisplay.textContent = total.toFixed(2);
+        weightDisplay.textContent = `${window.CurrencyFormatter.formatNumber(this.currentWeight)} lbs`;
+        totalDisplay.textContent = window.CurrencyFormatter.format(total);
 
-        this.setState({ weight: this.currentWeight, total: total.toFixed(2) });
+        this.setState({ weight: this.currentWeight, total });
         this.emit("weightChanged", {
             weight: this.currentWeight,
             total,
@@ -490,6 +597,13 @@ export class ScaleInputControl extends Control {
  * Button control that triggers cash drawer opening with visual feedback.
  * Includes animation effect when activated.
  *
+ * Opening the drawer while no sale is in progress (`transactionState` idle or
+ * completed) is a no-sale and needs the `no-sale` permission, or a manager
+ * override, plus an open till shift.
+ *
+ * Every opening is logged on the open shift through TillManager, and the
+ * button shows how many times the drawer was opened this shift.
+ *
  * @class CashDrawerControl
  * @extends Control
  * @example
@@ -498,9 +612,14 @@ export class ScaleInputControl extends Control {
  *   UID: 'main-drawer'
  * }
  *
- * @fires drawerOpened - When cash drawer is triggered
+ * @fires drawerOpened - When cash drawer is triggered ({ noSale, opens, shiftId }; opens and shiftId are null without an open shift)
  */
 export class CashDrawerControl extends Control {
+    constructor(definition) {
+        super(definition);
+        this.unsubscribeShift = null;
+    }
+
     createElement() {
         const element = document.createElement("button");
         element.id = this.UID;
@@ -512,6 +631,7 @@ export class CashDrawerControl extends Control {
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z" />
             </svg>
             Open Cash Drawer
+            <span class="drawer-opens hidden ml-2 px-2 text-xs rounded-full bg-background/60" data-testid="drawer-opens-${this.UID}"></span>
         `;
 
         return element;
@@ -525,19 +645,70 @@ export class CashDrawerControl extends Control {
         this.element.addEventListener("click", () => {
             this.openDrawer();
         });
+
+        this.unsubscribeShift = window.StateManager.subscribe("tillShift", (shift) => {
+            this.updateShiftInfo(shift);
+        });
+        this.updateShiftInfo(window.StateManager.getState("tillShift"));
+    }
+
+    updateShiftInfo(shift) {
+        const badge = this.element.querySelector(".drawer-opens");
+        badge.classList.toggle("hidden", !shift);
+        badge.textContent = shift ? String(shift.drawerOpens) : "";
+        this.element.title = shift ?
+            `Shift ${shift.id}: drawer opened ${shift.drawerOpens} time${shift.drawerOpens === 1 ? "" : "s"}` :
+            "No till shift is open";
+    }
+
+    isNoSale() {
+        const state = window.StateManager.getState("transactionState");
+        return !["open", "tendering"].includes(state);
     }
 
-    openDrawer() {
+    async openDrawer() {
+        const till = window.TillManager;
+        const noSale = this.isNoSale();
+
+        if (noSale && !till.getCurrentShift()) {
+            window.NotificationSystem.warning("Open a till shift before opening the drawer");
+            return false;
+        }
+
+        if (noSale && !(await this.authorize("no-sale", "Open the cash drawer (no sale)"))) {
+            return false;
+        }
+
         // Add animation effect
         this.element.classList.add("cash-drawer");
 
-        this.logEvent("cash-drawer", "Cash drawer opened");
-        this.emit("drawerOpened", { UID: this.UID });
+        const opens = await till.recordDrawerOpen({
+            noSale,
+            reference: window.ContextRenderer.getContext("TransactionNumber") || null,
+            user: window.AuthService.getCurrentUser(),
+        }).catch((error) => {
+            console.error("CashDrawerControl: Failed to record drawer open", error);
+            return null;
+        });
+        const shift = till.getCurrentShift();
+
+        this.logEvent("cash-drawer", noSale ? "Cash drawer opened (no sale)" : "Cash drawer opened");
+        this.emit("drawerOpened", { noSale, opens, shiftId: shift ? shift.id : null, UID: this.UID });
 
         // Remove animation class after animation completes
         setTimeout(() => {
             this.element.classList.remove("cash-drawer");
         }, 300);
+
+        return true;
+    }
+
+    destroy() {
+        if (this.unsubscribeShift) {
+            this.unsubscribeShift();
+            this.unsubscribeShift = null;
+        }
+        super.destroy();
     }
 }
 
@@ -558,14 +729,28 @@ export class CashDrawerControl extends Control {
  *
  * Supported device types: printer, scanner, scale, terminal, display
  *
+ * A printer takes ESC/POS byte streams through print(). With
+ * `props.transport: 'serial'` it asks for a serial port on connect and
+ * writes to it (Web Serial); otherwise printing is simulated and the last job
+ * is kept in `lastJob`. `props.paperWidth` (58 or 80, default 80) tells
+ * callers which column width to encode for, and `props.barcodes` whether
+ * barcodes and QR codes go out as the printer's own commands ('native', the
+ * default) or as raster images ('raster') for printers without them.
+ *
  * @fires deviceConnected - When device connects
  * @fires deviceDisconnected - When device disconnects
+ * @fires printJobSent - When a printer has been sent a job ({ bytes })
  */
 export class DeviceControlControl extends Control {
     constructor(definition) {
         super(definition);
         this.deviceType = this.props.deviceType || "generic";
         this.deviceStatus = "disconnected";
+        this.transport = this.props.transport || "simulated";
+        this.paperWidth = this.props.paperWidth || 80;
+        this.barcodes = this.props.barcodes || "native";
+        this.port = null;
+        this.lastJob = null;
     }
 
     createElement() {
@@ -621,7 +806,22 @@ export class DeviceControlControl extends Control {
         });
     }
 
-    connect() {
+    async connect() {
+        if (this.transport === "serial") {
+            try {
+                if (!navigator.serial) {
+                    throw new Error("Web Serial is not available in this browser");
+                }
+                this.port = await navigator.serial.requestPort();
+                await this.port.open({ baudRate: this.props.baudRate || 9600 });
+            } catch (error) {
+                this.port = null;
+                this.logEvent("device", `${this.getDeviceName()} not connected: ${error.message}`);
+                window.NotificationSystem.error(`${this.getDeviceName()} not connected: ${error.message}`);
+                return false;
+            }
+        }
+
         this.deviceStatus = "connected";
         this.updateDeviceDisplay();
         this.logEvent("device", `${this.getDeviceName()} connected`);
@@ -629,9 +829,17 @@ export class DeviceControlControl extends Control {
             deviceType: this.deviceType,
             UID: this.UID,
         });
+        return true;
     }
 
-    disconnect() {
+    async disconnect() {
+        if (this.port) {
+            await this.port.close().catch((error) => {
+                console.error("DeviceControlControl: Failed to close port", error);
+            });
+            this.port = null;
+        }
+
         this.deviceStatus = "disconnected";
         this.updateDeviceDisplay();
         this.logEvent("device", `${this.getDeviceName()} disconnected`);
@@ -641,6 +849,38 @@ export class DeviceControlControl extends Control {
         });
     }
 
+    isConnected() {
+        return this.deviceStatus === "connected";
+    }
+
+    /**
+     * Sends an ESC/POS byte stream to the printer
+     * @param {Uint8Array} bytes - From EscPosEncoder
+     * @returns {Promise<boolean>} True once the bytes are written
+     */
+    async print(bytes) {
+        if (this.deviceType !== "printer") {
+            throw new Error(`${this.getDeviceName()} cannot print`);
+        }
+        if (!this.isConnected()) {
+            throw new Error(`${this.getDeviceName()} is not connected`);
+        }
+
+        if (this.port) {
+            const writer = this.port.writable.getWriter();
+            try {
+                await writer.write(bytes);
+            } finally {
+                writer.releaseLock();
+            }
+        }
+
+        this.lastJob = bytes;
+        this.logEvent("device", `${bytes.length} bytes sent to ${this.getDeviceName()}`);
+        this.emit("printJobSent", { bytes: bytes.length, UID: this.UID });
+        return true;
+    }
+
     updateDeviceDisplay() {
         const statusIndicator = this.element.querySelector(
             `[data-testid="device-status-${this.UID}"]`,
@@ -770,7 +1010,7 @@ export class ContextMenuControl extends Control {
     }
 }
 
-// Search Bar Control - Product/item search
+// Search Bar Control - Product/item search (name search against ProductCatalog)
 export class SearchBarControl extends Control {
     constructor(definition) {
         super(definition);
@@ -835,24 +1075,15 @@ export class SearchBarControl extends Control {
     }
 
     performSearch(query) {
-        // Mock search results
-        const mockProducts = [
-            { id: "001", name: "Apple iPhone 14", price: 999.99 },
-            { id: "002", name: "Samsung Galaxy S23", price: 899.99 },
-            { id: "003", name: "Apple MacBook Air", price: 1199.99 },
-            { id: "004", name: "Dell XPS 13", price: 1099.99 },
-            { id: "005", name: "Apple iPad Pro", price: 799.99 },
-        ];
-
-        this.searchResults = mockProducts.filter((product) =>
-            product.name.toLowerCase().includes(query.toLowerCase()),
-        );
+        this.searchResults = window.ProductCatalog.search(query);
 
         this.showResults();
     }
 
     showResults() {
         const resultsContainer = this.element.querySelector(".search-results");
+        // Product names and SKUs may come from an imported catalog file
+        const escape = (text) => window.NotificationSystem.escapeHTML(String(text));
         resultsContainer.innerHTML = "";
 
         if (this.searchResults.length === 0) {
@@ -874,10 +1105,10 @@ export class SearchBarControl extends Control {
                 resultItem.innerHTML = `
                     <div class="flex justify-between items-center">
                         <div>
-                            <div class="font-medium">${product.name}</div>
-                            <div class="text-sm text-muted-foreground">ID: ${product.id}</div>
+                            <div class="font-medium">${escape(product.name)}</div>
+                            <div class="text-sm text-muted-foreground">SKU: ${escape(product.sku || product.id)}</div>
                         </div>
-                        <div class="font-semibold">$${product.price.toFixed(2)}</div>
+                        <div class="font-semibold">${window.CurrencyFormatter.format(product.price)}</div>
                     </div>
                 `;
 
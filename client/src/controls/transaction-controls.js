@@ -4,7 +4,25 @@ import { Control } from './base-control.js';
  * Cart Grid Control - Shopping cart display
  * 
  * Displays shopping cart items in a table format with quantity, price, and total columns.
- * Supports adding, removing items and automatic total calculation.
+ * Supports adding, removing items and automatic total calculation. Tax is calculated
+ * by TaxEngine from each item's tax class (taken from the catalog when not set).
+ * Line and cart totals are Money values, so no cents are lost between controls.
+ * 
+ * The cart follows the `transactionState` in StateManager: it is locked (no adding
+ * or removing items) while tendering, and resets when the sale completes or is voided.
+ * 
+ * Clicking a row selects the line. The selected line's quantity can be typed in
+ * place (or entered with a button pad through POSApplication), its price can be
+ * overridden with a reason code, and it can be voided. Voided lines stay in the
+ * cart struck through but no longer count towards the totals. Edits only emit
+ * their events; POSApplication logs them and recomputes the totals. Price
+ * overrides and voids need the `price-override` and `void-line` permissions
+ * (AuthService); without them a manager override is requested, and the
+ * approver of a price override is kept on the line (`overrideApprovedBy`).
+ * 
+ * Promotion discounts from PromotionEngine are set with `setDiscounts()` and
+ * shown as their own lines below the items. Tax is charged on the discounted
+ * amounts.
  * 
  * @class CartGridControl
  * @extends Control
@@ -23,11 +41,29 @@ import { Control } from './base-control.js';
  * @fires itemAdded - When item is added to cart
  * @fires itemRemoved - When item is removed from cart
  * @fires totalsUpdated - When cart totals change
+ * @fires lineSelected - When a line is selected ({ index, item })
+ * @fires quantityChanged - When a line's quantity is edited ({ index, item, oldQuantity, quantity })
+ * @fires priceOverridden - When a line's price is overridden ({ index, item, oldPrice, price, reason })
+ * @fires lineVoided - When a line is voided ({ index, item })
  */
 export class CartGridControl extends Control {
+    static PRICE_OVERRIDE_REASONS = {
+        'price-match': 'Price match',
+        'shelf-price': 'Shelf price differs',
+        damaged: 'Damaged item',
+        'manager-discount': 'Manager discount',
+        other: 'Other'
+    };
+
+    static MAX_QUANTITY = 9999;
+
     constructor(definition) {
         super(definition);
         this.items = this.props.items || [];
+        this.locked = false;
+        this.selectedIndex = null;
+        this.discounts = [];
+        this.unsubscribeTransaction = null;
     }
 
     createElement() {
@@ -58,6 +94,25 @@ export class CartGridControl extends Control {
         table.appendChild(thead);
         table.appendChild(tbody);
         element.appendChild(table);
+        
+        const reasons = Object.entries(CartGridControl.PRICE_OVERRIDE_REASONS)
+            .map(([code, label]) => `<option value="${code}">${label}</option>`)
+            .join('');
+        
+        const actions = document.createElement('div');
+        actions.className = 'cart-line-actions hidden flex flex-wrap items-center gap-2 p-2 border-t border-border bg-muted/30 text-sm';
+        actions.setAttribute('data-testid', `cart-line-actions-${this.UID}`);
+        actions.innerHTML = `
+            <span class="cart-selected-name flex-1 font-medium" data-testid="cart-selected-name-${this.UID}"></span>
+            <input type="number" step="0.01" min="0" placeholder="New price" class="cart-override-price w-24 px-2 py-1 border border-input rounded-md bg-background" data-testid="cart-override-price-${this.UID}">
+            <select class="cart-override-reason px-2 py-1 border border-input rounded-md bg-background" data-testid="cart-override-reason-${this.UID}">
+                <option value="">Reason...</option>
+                ${reasons}
+            </select>
+            <button class="cart-override-apply px-3 py-1 bg-secondary text-secondary-foreground rounded-md hover:bg-secondary/90 disabled:opacity-50" data-testid="cart-override-apply-${this.UID}">Override Price</button>
+            <button class="cart-void-line px-3 py-1 bg-destructive text-destructive-foreground rounded-md hover:bg-destructive/90 disabled:opacity-50" data-testid="cart-void-line-${this.UID}">Void Line</button>
+        `;
+        element.appendChild(actions);
                 
         return element;
     }
@@ -72,24 +127,82 @@ export class CartGridControl extends Control {
         return this.element;
     }
 
+    attachEvents() {
+        super.attachEvents();
+        
+        this.element.querySelector('tbody').addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-index]');
+            if (row && !e.target.closest('button, input')) {
+                this.selectLine(parseInt(row.getAttribute('data-index')));
+            }
+        });
+        
+        this.element.querySelector('.cart-override-apply').addEventListener('click', () => {
+            const price = this.element.querySelector('.cart-override-price').value;
+            const reason = this.element.querySelector('.cart-override-reason').value;
+            this.overridePrice(this.selectedIndex, price, reason);
+        });
+        
+        this.element.querySelector('.cart-void-line').addEventListener('click', () => {
+            this.voidLine(this.selectedIndex);
+        });
+        
+        this.unsubscribeTransaction = window.StateManager.subscribe('transactionState', (state) => {
+            this.onTransactionStateChange(state);
+        });
+        this.locked = window.StateManager.getState('transactionState') === 'tendering';
+    }
+
+    onTransactionStateChange(state) {
+        const locked = state === 'tendering';
+        if (locked !== this.locked) {
+            this.locked = locked;
+            this.renderItems();
+            this.updateLineActions();
+            this.logEvent('cart-lock', `Cart ${locked ? 'locked for tendering' : 'unlocked'}`);
+        }
+        
+        if ((state === 'completed' || state === 'voided' || state === 'suspended') && this.items.length > 0) {
+            this.clearCart();
+        }
+    }
+
+    destroy() {
+        if (this.unsubscribeTransaction) {
+            this.unsubscribeTransaction();
+            this.unsubscribeTransaction = null;
+        }
+        super.destroy();
+    }
+
     renderItems() {
         const tbody = this.element.querySelector('tbody');
         tbody.innerHTML = '';
         
         this.items.forEach((item, index) => {
             const row = document.createElement('tr');
-            row.className = 'border-b border-border hover:bg-muted/30';
+            const selected = index === this.selectedIndex;
+            const formatter = window.CurrencyFormatter;
+            // Returned items have negative quantities; voided lines stay visible, struck through
+            row.className = `cart-row border-b border-border hover:bg-muted/30 cursor-pointer${selected ? ' bg-accent' : ''}${this.locked ? ' opacity-75' : ''}${item.quantity < 0 ? ' text-destructive' : ''}${item.voided ? ' line-through opacity-60' : ''}`;
+            row.setAttribute('data-index', index);
             row.setAttribute('data-testid', `cart-item-${index}`);
             
-            const total = (item.quantity * item.price).toFixed(2);
+            const total = this.getLineTotal(item);
+            const quantity = selected && this.canEditLine(item) ?
+                `<input type="number" step="any" min="0" value="${Math.abs(item.quantity)}" class="cart-quantity-input w-16 px-1 py-0.5 border border-input rounded-md bg-background text-right" data-index="${index}" data-testid="item-quantity-input-${index}">` :
+                item.quantity;
+            const price = item.originalPrice !== undefined ?
+                `<span class="line-through text-muted-foreground mr-1">${formatter.format(item.originalPrice)}</span>${formatter.format(item.price)}` :
+                formatter.format(item.price);
             
             row.innerHTML = `
-                <td class="py-2 px-3" data-testid="item-name-${index}">${item.name}</td>
-                <td class="text-right py-2 px-3" data-testid="item-quantity-${index}">${item.quantity}</td>
-                <td class="text-right py-2 px-3" data-testid="item-price-${index}">$${item.price.toFixed(2)}</td>
-                <td class="text-right py-2 px-3" data-testid="item-total-${index}">$${total}</td>
+                <td class="py-2 px-3" data-testid="item-name-${index}">${window.NotificationSystem.escapeHTML(item.name)}${item.voided ? ' <span class="text-xs font-semibold">VOID</span>' : ''}</td>
+                <td class="text-right py-2 px-3" data-testid="item-quantity-${index}">${quantity}</td>
+                <td class="text-right py-2 px-3" data-testid="item-price-${index}">${price}</td>
+                <td class="text-right py-2 px-3" data-testid="item-total-${index}">${formatter.format(total)}</td>
                 <td class="py-2 px-3">
-                    <button class="remove-item text-destructive hover:text-destructive/80" data-index="${index}" data-testid="remove-item-${index}">
+                    <button ${this.locked || item.voided ? 'disabled' : ''} title="Void line" class="remove-item disabled:opacity-30 text-destructive hover:text-destructive/80" data-index="${index}" data-testid="remove-item-${index}">
                         <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
                         </svg>
@@ -100,18 +213,260 @@ export class CartGridControl extends Control {
             tbody.appendChild(row);
         });
         
-        // Attach remove button events
+        this.discounts.forEach((discount, index) => {
+            const row = document.createElement('tr');
+            row.className = 'cart-discount-row border-b border-border text-green-600';
+            row.setAttribute('data-testid', `cart-discount-${index}`);
+            row.innerHTML = `
+                <td class="py-2 px-3" colspan="3" data-testid="discount-name-${index}">${window.NotificationSystem.escapeHTML(discount.name)}</td>
+                <td class="text-right py-2 px-3" data-testid="discount-amount-${index}">${window.CurrencyFormatter.format(discount.amount)}</td>
+                <td></td>
+            `;
+            tbody.appendChild(row);
+        });
+        
+        // The trash button voids the line, with the same approval and record as Void Line
         this.element.querySelectorAll('.remove-item').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const index = parseInt(e.currentTarget.getAttribute('data-index'));
-                this.removeItem(index);
+                this.voidLine(index);
             });
         });
+        
+        const quantityInput = this.element.querySelector('.cart-quantity-input');
+        if (quantityInput) {
+            const index = parseInt(quantityInput.getAttribute('data-index'));
+            quantityInput.addEventListener('change', () => {
+                this.setQuantity(index, quantityInput.value);
+            });
+            quantityInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    quantityInput.blur();
+                } else if (e.key === 'Escape') {
+                    this.renderItems();
+                }
+            });
+        }
+    }
+
+    canEditLine(item) {
+        return !this.locked && !item.voided && !item.returnOf && !item.giftCard;
+    }
+
+    getSelectedItem() {
+        return this.selectedIndex === null ? null : this.items[this.selectedIndex] || null;
+    }
+
+    selectLine(index) {
+        if (index === this.selectedIndex || !this.items[index]) return;
+        
+        this.selectedIndex = index;
+        this.renderItems();
+        this.updateLineActions();
+        this.emit('lineSelected', { index, item: this.items[index], UID: this.UID });
+    }
+
+    clearSelection() {
+        this.selectedIndex = null;
+        this.renderItems();
+        this.updateLineActions();
+    }
+
+    /**
+     * Shows the selected line's name and enables the actions that apply to it
+     */
+    updateLineActions() {
+        const actions = this.element.querySelector('.cart-line-actions');
+        const item = this.getSelectedItem();
+        
+        actions.classList.toggle('hidden', !item);
+        if (!item) return;
+        
+        const editable = this.canEditLine(item);
+        actions.querySelector('.cart-selected-name').textContent = item.name;
+        actions.querySelector('.cart-override-price').value = '';
+        actions.querySelector('.cart-override-reason').value = '';
+        actions.querySelectorAll('input, select, .cart-override-apply').forEach(el => {
+            el.disabled = !editable;
+        });
+        actions.querySelector('.cart-void-line').disabled = this.locked || !!item.voided;
+    }
+
+    /**
+     * Shows a quantity being keyed in on a button pad in the selected line
+     * @param {string|null} value - Pending entry, or null to show the line's quantity again
+     */
+    showPendingQuantity(value) {
+        const item = this.getSelectedItem();
+        const input = this.element.querySelector('.cart-quantity-input');
+        if (item && input) {
+            input.value = value === null ? Math.abs(item.quantity) : value;
+        }
+    }
+
+    /**
+     * Checks that a line may be edited, warning the cashier when it may not
+     * @param {number} index - Line index
+     * @returns {Object|null} The line, or null when it cannot be edited
+     */
+    getEditableLine(index) {
+        const item = this.items[index];
+        
+        if (!item) {
+            window.NotificationSystem.warning('Select a line first');
+            return null;
+        }
+        if (this.locked) {
+            window.NotificationSystem.warning('Cart is locked while tendering');
+            return null;
+        }
+        if (item.voided) {
+            window.NotificationSystem.warning('Voided lines cannot be changed');
+            return null;
+        }
+        if (item.returnOf) {
+            window.NotificationSystem.warning('Returned receipt lines are changed in the return dialog');
+            return null;
+        }
+        if (item.giftCard) {
+            window.NotificationSystem.warning('Gift card lines cannot be changed. Void the line and sell the card again.');
+            return null;
+        }
+        return item;
+    }
+
+    /**
+     * Changes a line's quantity (the sign of return lines is kept)
+     * @param {number} index - Line index
+     * @param {number|string} quantity - New quantity, greater than zero
+     * @returns {boolean} True when the quantity changed
+     */
+    setQuantity(index, quantity) {
+        const item = this.getEditableLine(index);
+        if (!item) return false;
+        
+        const value = Number(quantity);
+        if (!Number.isFinite(value) || value <= 0 || value > CartGridControl.MAX_QUANTITY) {
+            window.NotificationSystem.warning(`Quantity must be between 0 and ${CartGridControl.MAX_QUANTITY}`);
+            this.renderItems();
+            return false;
+        }
+        
+        const oldQuantity = item.quantity;
+        const newQuantity = oldQuantity < 0 ? -value : value;
+        if (newQuantity === oldQuantity) return false;
+        
+        item.quantity = newQuantity;
+        this.renderItems();
+        this.logEvent('cart-quantity', `Quantity changed: ${item.name} ${oldQuantity} -> ${newQuantity}`);
+        this.emit('quantityChanged', { index, item, oldQuantity, quantity: newQuantity, UID: this.UID });
+        return true;
+    }
+
+    /**
+     * Overrides a line's unit price; the original price is kept for the receipt and journal
+     * @param {number} index - Line index
+     * @param {Money|number|string} price - New unit price
+     * @param {string} reason - Code from CartGridControl.PRICE_OVERRIDE_REASONS
+     * @returns {Promise<boolean>} True when the price was overridden
+     */
+    async overridePrice(index, price, reason) {
+        const item = this.getEditableLine(index);
+        if (!item) return false;
+        
+        if (!Object.prototype.hasOwnProperty.call(CartGridControl.PRICE_OVERRIDE_REASONS, reason)) {
+            window.NotificationSystem.warning('Select a reason for the price override');
+            return false;
+        }
+        
+        let newPrice;
+        try {
+            newPrice = window.Money.from(price);
+        } catch (error) {
+            window.NotificationSystem.error(`Invalid price: ${price}`);
+            return false;
+        }
+        if (price === '' || newPrice.isNegative()) {
+            window.NotificationSystem.warning('Enter a new price of zero or more');
+            return false;
+        }
+        
+        const approver = await this.authorize('price-override', `Override price of ${item.name} to ${window.CurrencyFormatter.format(newPrice)}`);
+        // The line may have been voided or the cart locked while waiting for approval
+        if (!approver || this.getEditableLine(index) !== item) return false;
+        
+        const oldPrice = window.Money.from(item.price);
+        if (item.originalPrice === undefined) {
+            item.originalPrice = oldPrice;
+        }
+        item.price = newPrice;
+        item.overrideReason = reason;
+        item.overrideApprovedBy = { id: approver.id, name: approver.name };
+        
+        this.renderItems();
+        this.updateLineActions();
+        this.logEvent('cart-price', `Price overridden: ${item.name} ${oldPrice} -> ${newPrice} (${reason})`);
+        this.emit('priceOverridden', { index, item, oldPrice, price: newPrice, reason, UID: this.UID });
+        return true;
+    }
+
+    /**
+     * Voids a line: it stays in the cart (and on the receipt) but is no longer charged
+     * @param {number} index - Line index
+     * @returns {Promise<boolean>} True when the line was voided
+     */
+    async voidLine(index) {
+        const item = this.items[index];
+        
+        if (!item || item.voided) return false;
+        if (this.locked) {
+            window.NotificationSystem.warning('Cart is locked while tendering');
+            return false;
+        }
+        if (!await this.authorize('void-line', `Void ${item.name}`)) return false;
+        if (item.voided || this.locked) return false;
+        
+        item.voided = true;
+        this.selectedIndex = null;
+        this.renderItems();
+        this.updateLineActions();
+        this.logEvent('cart-void', `Line voided: ${item.name}`);
+        this.emit('lineVoided', { index, item, UID: this.UID });
+        return true;
+    }
+
+    /**
+     * Items that count towards the totals (voided lines excluded)
+     * @returns {Object[]} Active cart items
+     */
+    getActiveItems() {
+        return this.items.filter(item => !item.voided);
+    }
+
+    /**
+     * Sets the promotion discounts shown in the cart and included in the totals
+     * @param {Object[]} discounts - Discounts from PromotionEngine.evaluate()
+     */
+    setDiscounts(discounts) {
+        this.discounts = discounts || [];
+        this.renderItems();
     }
 
     addItem(item) {
-        // Check if item already exists
-        const existingIndex = this.items.findIndex(existing => existing.id === item.id);
+        if (this.locked) {
+            window.NotificationSystem.warning('Cart is locked while tendering. Remove the payments to change the sale.');
+            return false;
+        }
+        
+        // Another unit of a line already in the cart adds to it, unless that line has its own
+        // terms: an approved price override, a returned receipt line or a gift card
+        const existingIndex = this.items.findIndex(existing =>
+            existing.id === item.id &&
+            !existing.voided &&
+            existing.originalPrice === undefined &&
+            !existing.returnOf &&
+            !existing.giftCard
+        );
         
         if (existingIndex >= 0) {
             this.items[existingIndex].quantity += item.quantity || 1;
@@ -120,7 +475,9 @@ export class CartGridControl extends Control {
                 id: item.id || Date.now(),
                 name: item.name,
                 price: item.price,
-                quantity: item.quantity || 1
+                quantity: item.quantity || 1,
+                taxClass: item.taxClass,
+                ...(item.giftCard ? { giftCard: item.giftCard } : {})
             });
         }
         
@@ -128,43 +485,102 @@ export class CartGridControl extends Control {
         this.logEvent('cart-add', `Item added: ${item.name}`);
         this.emit('itemAdded', { item, UID: this.UID });
         this.updateTotals();
+        return true;
     }
 
+    /**
+     * Takes a line out of the cart without approval or a void record. Cashiers void
+     * lines instead (`voidLine`), including from the row's trash button.
+     * @param {number} index - Line index
+     */
     removeItem(index) {
+        if (this.locked) {
+            window.NotificationSystem.warning('Cart is locked while tendering');
+            return;
+        }
+        
         if (index >= 0 && index < this.items.length) {
             const item = this.items[index];
             this.items.splice(index, 1);
+            if (this.selectedIndex === index) {
+                this.selectedIndex = null;
+            } else if (this.selectedIndex > index) {
+                this.selectedIndex--;
+            }
             this.renderItems();
+            this.updateLineActions();
             this.logEvent('cart-remove', `Item removed: ${item.name}`);
             this.emit('itemRemoved', { item, UID: this.UID });
             this.updateTotals();
         }
     }
 
+    /**
+     * Replaces the cart contents, e.g. when a held transaction is recalled
+     * @param {Object[]} items - Cart items
+     */
+    setItems(items) {
+        this.items = items.map(item => ({ ...item }));
+        this.selectedIndex = null;
+        this.discounts = [];
+        this.renderItems();
+        this.updateLineActions();
+        this.logEvent('cart-restore', `Cart restored with ${this.items.length} line(s)`);
+        this.updateTotals();
+    }
+
     clearCart() {
         this.items = [];
+        this.selectedIndex = null;
+        this.discounts = [];
         this.renderItems();
+        this.updateLineActions();
         this.logEvent('cart-clear', 'Cart cleared');
         this.emit('cartCleared', { UID: this.UID });
         this.updateTotals();
     }
 
+    getLineTotal(item) {
+        return window.Money.from(item.price).multiply(item.quantity);
+    }
+
     updateTotals() {
-        const subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const tax = subtotal * 0.08; // 8% tax
-        const total = subtotal + tax;
+        const discountItems = window.PromotionEngine ? window.PromotionEngine.toTaxItems(this.discounts) : [];
+        const { subtotal, tax, total, pricesIncludeTax, breakdown } = window.TaxEngine.calculate([...this.getActiveItems(), ...discountItems]);
+        const discounts = this.discounts.map(discount => ({
+            id: discount.id,
+            name: discount.name,
+            type: discount.type,
+            amount: discount.amount,
+            allocations: (discount.allocations || []).map(allocation => ({ itemId: allocation.itemId, amount: allocation.amount }))
+        }));
+        const discountTotal = window.Money.sum(discounts.map(discount => discount.amount));
+        const taxBreakdown = breakdown.map(entry => ({
+            id: entry.id,
+            label: entry.label,
+            rate: entry.rate,
+            taxable: entry.taxable,
+            amount: entry.amount
+        }));
         
         this.setState({
-            subtotal: subtotal.toFixed(2),
-            tax: tax.toFixed(2),
-            total: total.toFixed(2),
-            itemCount: this.items.length
+            subtotal,
+            tax,
+            total,
+            taxBreakdown,
+            discounts,
+            discountTotal,
+            itemCount: this.getActiveItems().length
         });
         
         this.emit('totalsUpdated', {
-            subtotal: subtotal.toFixed(2),
-            tax: tax.toFixed(2),
-            total: total.toFixed(2),
+            subtotal,
+            tax,
+            total,
+            taxBreakdown,
+            discounts,
+            discountTotal,
+            pricesIncludeTax,
             UID: this.UID
         });
     }
@@ -174,6 +590,8 @@ export class CartGridControl extends Control {
  * Totals Display Control - Transaction totals
  * 
  * Displays transaction totals including subtotal, tax, and final total.
+ * Tax is listed per jurisdiction rate when the totals carry a tax breakdown.
+ * Promotion savings are shown above the subtotal (which is after discounts).
  * Automatically updates when connected to cart controls.
  * 
  * @class TotalsDisplayControl
@@ -193,17 +611,22 @@ export class TotalsDisplayControl extends Control {
         
         element.innerHTML = `
             <div class="space-y-2">
+                <div class="flex justify-between text-green-600 hidden" data-testid="discounts-row-${this.UID}">
+                    <span>Discounts:</span>
+                    <span data-testid="discounts-${this.UID}">${window.CurrencyFormatter.format(0)}</span>
+                </div>
                 <div class="flex justify-between">
                     <span>Subtotal:</span>
-                    <span data-testid="subtotal-${this.UID}">$0.00</span>
+                    <span data-testid="subtotal-${this.UID}">${window.CurrencyFormatter.format(0)}</span>
                 </div>
+                <div class="space-y-1 text-sm text-muted-foreground" data-testid="tax-breakdown-${this.UID}"></div>
                 <div class="flex justify-between">
-                    <span>Tax:</span>
-                    <span data-testid="tax-${this.UID}">$0.00</span>
+                    <span data-testid="tax-label-${this.UID}">Tax:</span>
+                    <span data-testid="tax-${this.UID}">${window.CurrencyFormatter.format(0)}</span>
                 </div>
                 <div class="flex justify-between text-lg font-semibold border-t border-border pt-2">
                     <span>Total:</span>
-                    <span data-testid="total-${this.UID}">$0.00</span>
+                    <span data-testid="total-${this.UID}">${window.CurrencyFormatter.format(0)}</span>
                 </div>
             </div>
         `;
@@ -218,38 +641,121 @@ export class TotalsDisplayControl extends Control {
     updateTotals(totals) {
         const subtotalEl = this.element.querySelector(`[data-testid="subtotal-${this.UID}"]`);
         const taxEl = this.element.querySelector(`[data-testid="tax-${this.UID}"]`);
+        const taxLabelEl = this.element.querySelector(`[data-testid="tax-label-${this.UID}"]`);
+        const breakdownEl = this.element.querySelector(`[data-testid="tax-breakdown-${this.UID}"]`);
         const totalEl = this.element.querySelector(`[data-testid="total-${this.UID}"]`);
+        const discountsRowEl = this.element.querySelector(`[data-testid="discounts-row-${this.UID}"]`);
+        const discountsEl = this.element.querySelector(`[data-testid="discounts-${this.UID}"]`);
         
-        if (subtotalEl) subtotalEl.textContent = `$${totals.subtotal}`;
-        if (taxEl) taxEl.textContent = `$${totals.tax}`;
-        if (totalEl) totalEl.textContent = `$${totals.total}`;
+        const formatter = window.CurrencyFormatter;
+        const hasDiscounts = !!totals.discountTotal && !window.Money.from(totals.discountTotal).isZero();
+        
+        if (discountsRowEl) discountsRowEl.classList.toggle('hidden', !hasDiscounts);
+        if (discountsEl && hasDiscounts) discountsEl.textContent = formatter.format(totals.discountTotal);
+
+        if (subtotalEl) subtotalEl.textContent = formatter.format(totals.subtotal);
+        if (taxEl) taxEl.textContent = formatter.format(totals.tax);
+        if (taxLabelEl) taxLabelEl.textContent = totals.pricesIncludeTax ? 'Tax (included):' : 'Tax:';
+        if (totalEl) totalEl.textContent = formatter.format(totals.total);
+        
+        if (breakdownEl) {
+            breakdownEl.innerHTML = (totals.taxBreakdown || []).map((entry, index) => `
+                <div class="flex justify-between" data-testid="tax-rate-${index}-${this.UID}">
+                    <span>${entry.label}</span>
+                    <span>${formatter.format(entry.amount)}</span>
+                </div>
+            `).join('');
+        }
         
         this.setState(totals);
     }
 }
 
 /**
- * Payment Control - Payment method selection
+ * Payment Control - Split tender payment entry
  * 
- * Payment interface with method selection buttons and amount input.
- * Supports Cash, Card, Digital, and Check payment methods.
+ * Payment interface with method selection buttons, amount input and a tender list.
+ * Several payments can be added against the balance, each with its own method
+ * and amount (e.g. part cash, part card). The remaining balance updates live and
+ * the sale can only be completed once it reaches zero.
+ * 
+ * Only cash may exceed the remaining balance; the excess is returned as change.
+ * If the total later drops below the non-cash tenders (a line is voided, a
+ * promotion applies), the sale cannot be completed until a tender is removed.
+ * Tenders are cleared when the transaction completes or is voided.
+ * 
+ * A gift card tender needs the card number: instead of adding the tender the
+ * control emits `giftCardTenderRequested`, and POSApplication adds what the
+ * card could cover once GiftCardLedger has drawn it (possibly less than asked).
+ * A points tender works the same way through `loyaltyTenderRequested`: the
+ * application works out how many of the customer's points cover the amount.
  * 
  * @class PaymentControlControl
  * @extends Control
  * @example
  * {
  *   type: 'payment-control',
- *   UID: 'payment-interface'
+ *   UID: 'payment-interface',
+ *   props: { methods: ['cash', 'card', 'digital', 'check'] }
  * }
  * 
  * @fires paymentMethodSelected - When payment method is chosen
- * @fires amountChanged - When received amount is entered
+ * @fires amountChanged - When received amount is entered (amount is a Money value)
+ * @fires tendersChanged - When a tender is added or removed
+ * @fires tenderRemoved - When a tender is removed ({ tender })
+ * @fires giftCardTenderRequested - When a gift card tender is entered ({ cardNumber, amount })
+ * @fires loyaltyTenderRequested - When a points tender is entered ({ amount })
+ * @fires paymentCompleted - When the balance is settled and the sale is completed
  */
 export class PaymentControlControl extends Control {
+    static METHODS = {
+        cash: { label: 'Cash', classes: 'bg-primary text-primary-foreground hover:bg-primary/90' },
+        card: { label: 'Card', classes: 'bg-secondary text-secondary-foreground hover:bg-secondary/90' },
+        digital: { label: 'Digital', classes: 'bg-accent text-accent-foreground hover:bg-accent/80' },
+        check: { label: 'Check', classes: 'bg-muted text-muted-foreground hover:bg-muted/80' },
+        'gift-card': { label: 'Gift Card', classes: 'bg-muted text-muted-foreground hover:bg-muted/80' },
+        loyalty: { label: 'Points', classes: 'bg-muted text-muted-foreground hover:bg-muted/80' }
+    };
+
+    /**
+     * Splits a tender list into paid, cash and remaining amounts
+     * Change is only given from the cash portion: non-cash tenders never produce change,
+     * and what they pay over the total is `overpaid`.
+     * @param {Money|number|string} totalDue - Transaction total
+     * @param {Object[]} tenders - Tenders: { method, amount }
+     * @returns {Object} { totalDue, paid, cashPaid, nonCashPaid, cashDue, remaining, change, overpaid }
+     */
+    static summarizeTenders(totalDue, tenders) {
+        const Money = window.Money;
+        const total = Money.from(totalDue);
+        const zero = Money.zero(total.currency);
+
+        const cashPaid = Money.sum(tenders.filter(t => t.method === 'cash').map(t => t.amount), total.currency);
+        const nonCashPaid = Money.sum(tenders.filter(t => t.method !== 'cash').map(t => t.amount), total.currency);
+        const paid = cashPaid.plus(nonCashPaid);
+        const cashDue = Money.max(zero, total.minus(nonCashPaid));
+
+        return {
+            totalDue: total,
+            paid,
+            cashPaid,
+            nonCashPaid,
+            cashDue,
+            remaining: Money.max(zero, total.minus(paid)),
+            change: Money.max(zero, cashPaid.minus(cashDue)),
+            overpaid: Money.max(zero, nonCashPaid.minus(total))
+        };
+    }
+
     constructor(definition) {
         super(definition);
+        this.methods = this.props.methods || Object.keys(PaymentControlControl.METHODS);
         this.selectedMethod = null;
-        this.amountReceived = 0;
+        this.amountReceived = window.Money.zero();
+        this.totalDue = window.Money.zero();
+        this.tenders = [];
+        this.nextTenderId = 1;
+        this.unsubscribeTransaction = null;
     }
 
     createElement() {
@@ -258,18 +764,28 @@ export class PaymentControlControl extends Control {
         element.className = this.getBaseClasses();
         element.setAttribute('data-testid', `payment-control-${this.UID}`);
         
+        const buttons = this.methods.map(method => {
+            const config = PaymentControlControl.METHODS[method] || { label: method, classes: 'bg-muted text-muted-foreground hover:bg-muted/80' };
+            return `<button class="payment-btn px-3 py-2 ${config.classes} rounded text-sm transition-colors" data-method="${method}" data-testid="payment-${method}-${this.UID}">${config.label}</button>`;
+        }).join('');
+        
         element.innerHTML = `
             <div class="space-y-4">
                 <h4 class="font-medium">Payment Method</h4>
                 <div class="grid grid-cols-2 gap-2">
-                    <button class="payment-btn px-3 py-2 bg-primary text-primary-foreground rounded text-sm hover:bg-primary/90 transition-colors" data-method="cash" data-testid="payment-cash-${this.UID}">Cash</button>
-                    <button class="payment-btn px-3 py-2 bg-secondary text-secondary-foreground rounded text-sm hover:bg-secondary/90 transition-colors" data-method="card" data-testid="payment-card-${this.UID}">Card</button>
-                    <button class="payment-btn px-3 py-2 bg-accent text-accent-foreground rounded text-sm hover:bg-accent/80 transition-colors" data-method="digital" data-testid="payment-digital-${this.UID}">Digital</button>
-                    <button class="payment-btn px-3 py-2 bg-muted text-muted-foreground rounded text-sm hover:bg-muted/80 transition-colors" data-method="check" data-testid="payment-check-${this.UID}">Check</button>
+                    ${buttons}
+                </div>
+                <input type="text" inputmode="numeric" autocomplete="off" placeholder="Gift card number" class="gift-card-number hidden w-full px-3 py-2 border border-input rounded text-sm" data-testid="gift-card-number-${this.UID}" />
+                <div class="pt-2 flex space-x-2">
+                    <input type="number" placeholder="Amount received (${window.CurrencyFormatter.getCurrency()})" class="flex-1 px-3 py-2 border border-input rounded text-sm" step="0.01" data-testid="amount-received-${this.UID}" />
+                    <button class="add-tender px-3 py-2 bg-primary text-primary-foreground rounded text-sm hover:bg-primary/90 disabled:opacity-50" disabled data-testid="add-tender-${this.UID}">Add</button>
                 </div>
-                <div class="pt-2">
-                    <input type="number" placeholder="Amount received" class="w-full px-3 py-2 border border-input rounded text-sm" step="0.01" data-testid="amount-received-${this.UID}" />
+                <div class="tender-list space-y-1 text-sm" data-testid="tender-list-${this.UID}"></div>
+                <div class="flex justify-between text-sm font-medium border-t border-border pt-2">
+                    <span class="remaining-label">Remaining:</span>
+                    <span data-testid="remaining-balance-${this.UID}">${window.CurrencyFormatter.format(0)}</span>
                 </div>
+                <button class="complete-sale w-full px-3 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700 disabled:opacity-50" disabled data-testid="complete-sale-${this.UID}">Complete Sale</button>
             </div>
         `;
         
@@ -283,6 +799,8 @@ export class PaymentControlControl extends Control {
     attachEvents() {
         const buttons = this.element.querySelectorAll('.payment-btn');
         const amountInput = this.element.querySelector('input[type="number"]');
+        const addButton = this.element.querySelector('.add-tender');
+        const completeButton = this.element.querySelector('.complete-sale');
         
         buttons.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -294,6 +812,7 @@ export class PaymentControlControl extends Control {
                 
                 this.selectedMethod = btn.getAttribute('data-method');
                 this.setState({ selectedMethod: this.selectedMethod });
+                this.updateBalance();
                 
                 this.logEvent('payment', `Payment method selected: ${this.selectedMethod}`);
                 this.emit('paymentMethodSelected', { 
@@ -304,13 +823,254 @@ export class PaymentControlControl extends Control {
         });
         
         amountInput.addEventListener('input', (e) => {
-            this.amountReceived = parseFloat(e.target.value) || 0;
+            try {
+                this.amountReceived = window.Money.from(e.target.value);
+            } catch (error) {
+                this.amountReceived = window.Money.zero();
+            }
             this.setState({ amountReceived: this.amountReceived });
             this.emit('amountChanged', { 
                 amount: this.amountReceived, 
                 UID: this.UID 
             });
         });
+
+        amountInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.addTender();
+            }
+        });
+
+        addButton.addEventListener('click', () => {
+            this.addTender();
+        });
+
+        completeButton.addEventListener('click', () => {
+            this.completePayment();
+        });
+
+        this.unsubscribeTransaction = window.StateManager.subscribe('transactionState', (state) => {
+            if (state === 'completed' || state === 'voided' || state === 'suspended') {
+                this.reset();
+            }
+        });
+    }
+
+    destroy() {
+        if (this.unsubscribeTransaction) {
+            this.unsubscribeTransaction();
+            this.unsubscribeTransaction = null;
+        }
+        super.destroy();
+    }
+
+    reset() {
+        this.selectedMethod = null;
+        this.element.querySelectorAll('.payment-btn').forEach(b => b.classList.remove('ring-2', 'ring-ring'));
+        this.element.querySelector('input[type="number"]').value = '';
+        this.element.querySelector('.gift-card-number').value = '';
+        this.amountReceived = window.Money.zero();
+
+        if (this.tenders.length > 0) {
+            this.clearTenders();
+        } else {
+            this.updateBalance();
+        }
+    }
+
+    /**
+     * Sets the amount the tenders are applied against
+     * @param {Money|number|string} total - Transaction total
+     */
+    setTotalDue(total) {
+        const wasOverpaid = this.getSummary().overpaid.isPositive();
+        this.totalDue = window.Money.from(total);
+        const { overpaid } = this.updateBalance();
+
+        if (overpaid.isPositive() && !wasOverpaid) {
+            window.NotificationSystem.warning(`Tenders exceed the new total by ${window.CurrencyFormatter.format(overpaid)}. Remove a card or other non-cash tender.`);
+        }
+    }
+
+    getSummary() {
+        return PaymentControlControl.summarizeTenders(this.totalDue, this.tenders);
+    }
+
+    /**
+     * Adds a tender for the selected method
+     * An empty amount tenders the remaining balance. A gift card tender without
+     * `details.cardNumber` is requested from POSApplication instead of added.
+     * @param {string} [method=this.selectedMethod] - Payment method
+     * @param {Money|number|string} [amount] - Tender amount (defaults to the amount input)
+     * @param {Object} [details] - Extra tender fields, e.g. { cardNumber, reference } for gift cards
+     * @returns {Object|null} Added tender, or null when rejected or requested
+     */
+    addTender(method = this.selectedMethod, amount = null, details = {}) {
+        const amountInput = this.element.querySelector('input[type="number"]');
+        const { remaining } = this.getSummary();
+
+        if (!method) {
+            window.NotificationSystem.warning('Select a payment method first');
+            return null;
+        }
+
+        let value;
+        try {
+            value = amount !== null ? window.Money.from(amount) :
+                (amountInput.value ? window.Money.from(amountInput.value) : remaining);
+        } catch (error) {
+            window.NotificationSystem.error(`Invalid amount: ${amountInput.value}`);
+            return null;
+        }
+
+        if (!value.isPositive()) {
+            window.NotificationSystem.warning(remaining.isZero() ? 'Balance is already paid' : 'Tender amount must be greater than zero');
+            return null;
+        }
+
+        if (method !== 'cash' && value.greaterThan(remaining)) {
+            window.NotificationSystem.warning(`${this.getMethodLabel(method)} cannot exceed the remaining balance of ${window.CurrencyFormatter.format(remaining)}`);
+            return null;
+        }
+
+        if (method === 'gift-card' && !details.cardNumber) {
+            const cardInput = this.element.querySelector('.gift-card-number');
+            if (!cardInput.value.trim()) {
+                window.NotificationSystem.warning('Enter or swipe the gift card number');
+                cardInput.focus();
+                return null;
+            }
+
+            this.emit('giftCardTenderRequested', { cardNumber: cardInput.value.trim(), amount: value, UID: this.UID });
+            cardInput.value = '';
+            amountInput.value = '';
+            return null;
+        }
+
+        if (method === 'loyalty' && !details.points) {
+            this.emit('loyaltyTenderRequested', { amount: value, UID: this.UID });
+            amountInput.value = '';
+            return null;
+        }
+
+        const tender = { ...details, id: this.nextTenderId++, method, amount: value };
+        this.tenders.push(tender);
+
+        amountInput.value = '';
+        this.amountReceived = window.Money.zero();
+
+        this.logEvent('payment', `Tender added: ${this.getMethodLabel(method)} ${window.CurrencyFormatter.format(value)}`);
+        this.tendersChanged();
+        return tender;
+    }
+
+    removeTender(id) {
+        const index = this.tenders.findIndex(tender => tender.id === id);
+        if (index < 0) return;
+
+        const [tender] = this.tenders.splice(index, 1);
+        this.logEvent('payment', `Tender removed: ${this.getMethodLabel(tender.method)} ${window.CurrencyFormatter.format(tender.amount)}`);
+        this.emit('tenderRemoved', { tender, UID: this.UID });
+        this.tendersChanged();
+    }
+
+    /**
+     * Puts previously taken tenders back, e.g. when a held transaction is recalled
+     * @param {Object[]} tenders - { method, amount } with Money or serialized amounts
+     */
+    restoreTenders(tenders) {
+        this.tenders = tenders.map(tender => ({
+            ...tender,
+            id: this.nextTenderId++,
+            amount: window.Money.from(tender.amount)
+        }));
+
+        this.logEvent('payment', `Restored ${this.tenders.length} tender(s)`);
+        this.tendersChanged();
+    }
+
+    clearTenders() {
+        this.tenders = [];
+        this.tendersChanged();
+    }
+
+    tendersChanged() {
+        const summary = this.updateBalance();
+        this.setState({ tenders: [...this.tenders], remaining: summary.remaining });
+        this.emit('tendersChanged', {
+            tenders: [...this.tenders],
+            ...summary,
+            UID: this.UID
+        });
+    }
+
+    /**
+     * Re-renders the tender list, remaining balance and Complete button
+     * @returns {Object} Current tender summary
+     */
+    updateBalance() {
+        const summary = this.getSummary();
+        if (!this.element) return summary;
+
+        const formatter = window.CurrencyFormatter;
+        const list = this.element.querySelector('.tender-list');
+        const remainingEl = this.element.querySelector(`[data-testid="remaining-balance-${this.UID}"]`);
+        const addButton = this.element.querySelector('.add-tender');
+        const completeButton = this.element.querySelector('.complete-sale');
+
+        list.innerHTML = this.tenders.map(tender => `
+            <div class="flex justify-between items-center" data-testid="tender-${tender.id}-${this.UID}">
+                <span>${this.getMethodLabel(tender.method)}${tender.reference ? ` ${tender.reference}` : ''}</span>
+                <span class="flex items-center space-x-2">
+                    <span>${formatter.format(tender.amount)}</span>
+                    <button class="remove-tender text-destructive hover:text-destructive/80" data-tender-id="${tender.id}" data-testid="remove-tender-${tender.id}-${this.UID}">&times;</button>
+                </span>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.remove-tender').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.removeTender(parseInt(e.currentTarget.getAttribute('data-tender-id')));
+            });
+        });
+
+        const overpaid = summary.overpaid.isPositive();
+        this.element.querySelector('.remaining-label').textContent = overpaid ? 'Over-tendered:' : 'Remaining:';
+        remainingEl.textContent = formatter.format(overpaid ? summary.overpaid : summary.remaining);
+        remainingEl.className = overpaid ? 'text-destructive' : (summary.remaining.isPositive() ? 'text-amber-600' : 'text-green-600');
+
+        addButton.disabled = !this.selectedMethod;
+        this.element.querySelector('.gift-card-number').classList.toggle('hidden', this.selectedMethod !== 'gift-card');
+        completeButton.disabled = !(this.totalDue.isPositive() && summary.remaining.isZero()) || overpaid;
+
+        return summary;
+    }
+
+    completePayment() {
+        const summary = this.getSummary();
+
+        if (!this.totalDue.isPositive() || !summary.remaining.isZero()) {
+            window.NotificationSystem.warning(`Remaining balance: ${window.CurrencyFormatter.format(summary.remaining)}`);
+            return false;
+        }
+
+        // Card, gift card and points overpayments cannot be handed back as change
+        if (summary.overpaid.isPositive()) {
+            window.NotificationSystem.warning(`Tenders exceed the total by ${window.CurrencyFormatter.format(summary.overpaid)}. Remove a card or other non-cash tender.`);
+            return false;
+        }
+
+        this.logEvent('payment', `Payment completed: ${this.tenders.length} tender(s), change ${window.CurrencyFormatter.format(summary.change)}`);
+        this.emit('paymentCompleted', {
+            tenders: [...this.tenders],
+            ...summary,
+            UID: this.UID
+        });
+        return true;
+    }
+
+    getMethodLabel(method) {
+        return (PaymentControlControl.METHODS[method] || { label: method }).label;
     }
 }
 
@@ -318,6 +1078,9 @@ export class PaymentControlControl extends Control {
  * Change Due Display Control - Calculate and show change
  * 
  * Calculates and displays change due based on total amount and amount received.
+ * Both amounts are handled as Money, so the change is exact to the cent.
+ * With split tenders only the cash portion is used: card and other non-cash
+ * tenders reduce the amount due but never produce change.
  * Updates automatically when connected to payment controls.
  * 
  * @class ChangeDueDisplayControl
@@ -331,8 +1094,8 @@ export class PaymentControlControl extends Control {
 export class ChangeDueDisplayControl extends Control {
     constructor(definition) {
         super(definition);
-        this.totalDue = 0;
-        this.amountReceived = 0;
+        this.totalDue = window.Money.zero();
+        this.amountReceived = window.Money.zero();
     }
 
     createElement() {
@@ -344,7 +1107,7 @@ export class ChangeDueDisplayControl extends Control {
         element.innerHTML = `
             <div class="text-center">
                 <div class="text-sm text-muted-foreground mb-1">Change Due</div>
-                <div class="text-2xl font-bold" data-testid="change-amount-${this.UID}">$0.00</div>
+                <div class="text-2xl font-bold" data-testid="change-amount-${this.UID}">${window.CurrencyFormatter.format(0)}</div>
             </div>
         `;
         
@@ -355,26 +1118,41 @@ export class ChangeDueDisplayControl extends Control {
         return 'change-due-control bg-muted p-4 rounded-lg border-2 border-dashed border-border';
     }
 
+    /**
+     * Recalculates change due
+     * @param {Money|number|string} totalDue - Transaction total
+     * @param {Money|number|string} amountReceived - Amount tendered
+     */
     updateChange(totalDue, amountReceived) {
-        this.totalDue = totalDue;
-        this.amountReceived = amountReceived;
+        this.totalDue = window.Money.from(totalDue);
+        this.amountReceived = window.Money.from(amountReceived);
         
-        const change = Math.max(0, amountReceived - totalDue);
+        const change = window.Money.max(window.Money.zero(), this.amountReceived.minus(this.totalDue));
         const changeElement = this.element.querySelector(`[data-testid="change-amount-${this.UID}"]`);
         
-        changeElement.textContent = `$${change.toFixed(2)}`;
+        changeElement.textContent = window.CurrencyFormatter.format(change);
         
         // Update styling based on change amount
-        if (change > 0) {
+        if (change.isPositive()) {
             changeElement.className = 'text-2xl font-bold text-green-600';
-        } else if (amountReceived > 0 && amountReceived < totalDue) {
+        } else if (this.amountReceived.isPositive() && this.amountReceived.lessThan(this.totalDue)) {
             changeElement.className = 'text-2xl font-bold text-amber-600';
         } else {
             changeElement.className = 'text-2xl font-bold';
         }
         
-        this.setState({ change: change.toFixed(2) });
-        this.logEvent('change-calc', `Change calculated: $${change.toFixed(2)}`);
+        this.setState({ change });
+        this.logEvent('change-calc', `Change calculated: ${window.CurrencyFormatter.format(change)}`);
+    }
+
+    /**
+     * Recalculates change due from a split tender list
+     * @param {Money|number|string} totalDue - Transaction total
+     * @param {Object[]} tenders - Tenders: { method, amount }
+     */
+    updateTenders(totalDue, tenders) {
+        const { cashDue, cashPaid } = PaymentControlControl.summarizeTenders(totalDue, tenders);
+        this.updateChange(cashDue, cashPaid);
     }
 }
 
@@ -382,7 +1160,13 @@ export class ChangeDueDisplayControl extends Control {
  * Customer Info Panel Control - Customer details display
  * 
  * Displays customer information including name, ID, phone, and email.
- * Includes edit functionality for customer data modification.
+ * The Edit button asks the application to open the customer lookup, where a
+ * customer is picked, created or edited; the result comes back through
+ * setCustomer(). Without a customer it shows "Walk-in Customer".
+ *
+ * For a customer, setLoyalty() shows the points balance and the points earned
+ * and redeemed on the current sale; Redeem Points asks the application to
+ * spend points as a discount.
  * 
  * @class CustomerInfoPanelControl
  * @extends Control
@@ -399,6 +1183,9 @@ export class ChangeDueDisplayControl extends Control {
  *     }
  *   }
  * }
+ *
+ * @fires editCustomer - When the Edit button is clicked
+ * @fires redeemPoints - When the Redeem Points button is clicked
  */
 export class CustomerInfoPanelControl extends Control {
     constructor(definition) {
@@ -435,6 +1222,21 @@ export class CustomerInfoPanelControl extends Control {
                     <span data-testid="customer-email-${this.UID}">-</span>
                 </div>
             </div>
+            <div class="customer-loyalty hidden space-y-2 text-sm border-t border-border mt-3 pt-3" data-testid="customer-loyalty-${this.UID}">
+                <div class="flex justify-between">
+                    <span class="text-muted-foreground">Points:</span>
+                    <span class="font-medium" data-testid="customer-points-${this.UID}">0</span>
+                </div>
+                <div class="flex justify-between">
+                    <span class="text-muted-foreground">Earned this sale:</span>
+                    <span data-testid="customer-points-earned-${this.UID}">0</span>
+                </div>
+                <div class="customer-points-redeemed-row hidden flex justify-between">
+                    <span class="text-muted-foreground">Redeemed this sale:</span>
+                    <span data-testid="customer-points-redeemed-${this.UID}">0</span>
+                </div>
+                <button class="w-full px-3 py-1 border border-border rounded text-sm hover:bg-accent" data-testid="redeem-points-${this.UID}">Redeem Points</button>
+            </div>
         `;
         
         return element;
@@ -451,6 +1253,11 @@ export class CustomerInfoPanelControl extends Control {
             this.logEvent('customer-edit', 'Customer edit requested');
             this.emit('editCustomer', { UID: this.UID });
         });
+
+        this.element.querySelector(`[data-testid="redeem-points-${this.UID}"]`).addEventListener('click', () => {
+            this.logEvent('customer-redeem', 'Points redemption requested');
+            this.emit('redeemPoints', { customer: this.customer, UID: this.UID });
+        });
     }
 
     setCustomer(customer) {
@@ -473,9 +1280,31 @@ export class CustomerInfoPanelControl extends Control {
             emailEl.textContent = '-';
         }
         
+        if (!customer) {
+            this.setLoyalty(null);
+        }
+
         this.setState({ customer });
         this.logEvent('customer-update', `Customer info updated: ${customer?.name || 'Walk-in'}`);
     }
+
+    /**
+     * Shows the customer's points
+     * @param {Object|null} loyalty - { previousBalance, earned, redeemed }, or null to hide the points
+     */
+    setLoyalty(loyalty) {
+        const format = (points) => Number(points).toLocaleString(window.CurrencyFormatter.getLocale());
+
+        this.element.querySelector('.customer-loyalty').classList.toggle('hidden', !loyalty);
+        if (loyalty) {
+            this.element.querySelector(`[data-testid="customer-points-${this.UID}"]`).textContent = format(loyalty.previousBalance);
+            this.element.querySelector(`[data-testid="customer-points-earned-${this.UID}"]`).textContent = format(loyalty.earned);
+            this.element.querySelector(`[data-testid="customer-points-redeemed-${this.UID}"]`).textContent = format(loyalty.redeemed);
+            this.element.querySelector('.customer-points-redeemed-row').classList.toggle('hidden', !loyalty.redeemed);
+        }
+
+        this.setState({ loyalty });
+    }
 }
 
 // Register transaction controls
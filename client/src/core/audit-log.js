@@ -0,0 +1,105 @@
+/**
+ * Audit Log - Who did and who approved restricted actions at the register
+ *
+ * Appends one entry per manager override prompt to the `auditLog` store: the
+ * action (an AuthService permission), what it was for, the signed-in user who
+ * asked, the user who approved it and how (PIN, password or badge), and the
+ * outcome - approved, denied (wrong credential) or cancelled. Entries also
+ * carry the terminal and the open transaction number, if any.
+ *
+ * Entries are only ever added. Without IndexedDB they are kept in memory for
+ * the session.
+ *
+ * @class AuditLog
+ * @example
+ * await AuditLog.record({
+ *     action: 'price-override',
+ *     description: 'Override price of Coffee to $2.50',
+ *     outcome: AuditLog.OUTCOMES.APPROVED,
+ *     requestedBy: { id: 'U001', name: 'John Doe' },
+ *     approvedBy: { id: 'M001', name: 'Store Manager' },
+ *     method: 'badge'
+ * });
+ *
+ * await AuditLog.query({ action: 'price-override', from: '2024-03-01' });
+ */
+export class AuditLog {
+    static STORE_NAME = 'auditLog';
+
+    static OUTCOMES = {
+        APPROVED: 'approved',
+        DENIED: 'denied',
+        CANCELLED: 'cancelled'
+    };
+
+    static memoryEntries = [];
+
+    static isPersistent() {
+        return !!(window.PosDatabase && window.PosDatabase.isAvailable());
+    }
+
+    /**
+     * Appends an entry
+     * @param {Object} data - { action, description, outcome, requestedBy, approvedBy, method, details }
+     * @returns {Promise<Object>} Stored entry with its id
+     */
+    static async record(data) {
+        const context = window.ContextRenderer ? window.ContextRenderer.context : {};
+        const entry = JSON.parse(JSON.stringify({
+            at: new Date().toISOString(),
+            action: data.action,
+            description: data.description || '',
+            outcome: data.outcome,
+            requestedBy: data.requestedBy || null,
+            approvedBy: data.approvedBy || null,
+            method: data.method || null,
+            terminalId: context.TerminalID || null,
+            transactionNumber: context.TransactionNumber || null,
+            details: data.details || null
+        }));
+
+        if (this.isPersistent()) {
+            try {
+                entry.id = await window.PosDatabase.add(this.STORE_NAME, entry);
+            } catch (error) {
+                console.error('AuditLog: Failed to store entry, keeping it in memory', error);
+                entry.id = `memory-${this.memoryEntries.length + 1}`;
+                this.memoryEntries.push(entry);
+            }
+        } else {
+            entry.id = this.memoryEntries.length + 1;
+            this.memoryEntries.push(entry);
+        }
+
+        console.log(`AuditLog: ${entry.action} ${entry.outcome}${entry.approvedBy ? ` by ${entry.approvedBy.id}` : ''}`);
+        return entry;
+    }
+
+    /**
+     * Finds entries, oldest first
+     * @param {Object} [filters] - { action, outcome, userId (requester or approver), from, to (ISO dates) }
+     * @returns {Promise<Object[]>} Matching entries
+     */
+    static async query(filters = {}) {
+        const entries = this.isPersistent() ?
+            [...await window.PosDatabase.getAll(this.STORE_NAME), ...this.memoryEntries] :
+            this.memoryEntries;
+
+        return entries
+            .filter(entry => !filters.action || entry.action === filters.action)
+            .filter(entry => !filters.outcome || entry.outcome === filters.outcome)
+            .filter(entry => !filters.userId ||
+                (entry.requestedBy && entry.requestedBy.id === filters.userId) ||
+                (entry.approvedBy && entry.approvedBy.id === filters.userId))
+            .filter(entry => !filters.from || entry.at >= filters.from)
+            // A date-only `to` includes the whole day
+            .filter(entry => !filters.to || entry.at.slice(0, filters.to.length) <= filters.to)
+            .sort((a, b) => a.at.localeCompare(b.at))
+            .map(entry => ({ ...entry }));
+    }
+}
+
+// Make AuditLog globally available
+if (typeof window !== 'undefined') {
+    window.AuditLog = AuditLog;
+}
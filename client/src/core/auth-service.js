@@ -0,0 +1,435 @@
+/**
+ * Auth Service - Register users, sign-in and permissions
+ *
+ * Users are kept in the `users` store with a role and a PIN or password.
+ * Credentials are never stored as typed: each one is hashed with PBKDF2
+ * (SHA-256, per-user random salt) through Web Crypto, so signing in and
+ * approving need HTTPS or localhost, like the journal.
+ *
+ * Every role grants a set of PERMISSIONS. Anything the register gates (voids,
+ * refunds, price overrides, no-sale drawer opens, designer mode, ...) asks
+ * `can(permission)` for the signed-in user. `authorize(secret, permission)`
+ * finds any user with the permission by their PIN, password or badge alone,
+ * for approvals at the register (see ManagerOverride). Badges are optional and
+ * hashed like the other credentials.
+ *
+ * After `maxAttempts` wrong credentials a user is locked out for
+ * `lockMinutes`. Approvals are counted the same way for the whole terminal
+ * (they name no user), so PINs cannot be guessed at an override prompt or the
+ * lock screen. Without IndexedDB the users are kept in memory for the session.
+ *
+ * Demo users (id / PIN / badge): U001 / 1234 cashier, U002 / 5678 / B0000002
+ * supervisor, M001 / 9999 / B0000001 manager.
+ *
+ * @class AuthService
+ * @example
+ * await AuthService.init();
+ * const user = await AuthService.signIn('U001', '1234'); // { id: 'U001', name: 'John Doe', role: 'cashier' }
+ *
+ * AuthService.can('price-override');                      // false for a cashier
+ * const manager = await AuthService.authorize('B0000001', 'approve-return'); // { ..., method: 'badge' }
+ */
+export class AuthService {
+    static STORE_NAME = 'users';
+
+    static PERMISSIONS = {
+        'void-line': 'void cart lines',
+        'void-transaction': 'void transactions',
+        refund: 'process returns and refunds',
+        'price-override': 'override prices',
+        'no-sale': 'open the cash drawer without a sale',
+        'pay-out': 'pay cash out of the till',
+        'x-report': 'run X reports',
+        'z-report': 'run Z reports',
+        'void-tendered': 'void transactions after payment has been taken',
+        'approve-return': 'approve returns without a receipt',
+        'unlock-terminal': "unlock another user's terminal",
+        designer: 'use designer mode'
+    };
+
+    static ROLES = {
+        cashier: {
+            label: 'Cashier',
+            permissions: ['void-line']
+        },
+        supervisor: {
+            label: 'Supervisor',
+            permissions: ['void-line', 'void-transaction', 'refund', 'price-override', 'no-sale', 'pay-out', 'x-report']
+        },
+        manager: {
+            label: 'Manager',
+            permissions: ['void-line', 'void-transaction', 'refund', 'price-override', 'no-sale', 'pay-out', 'x-report', 'z-report', 'void-tendered', 'approve-return', 'unlock-terminal', 'designer']
+        }
+    };
+
+    static DEFAULT_USERS = [
+        { id: 'U001', name: 'John Doe', role: 'cashier', secret: '1234' },
+        { id: 'U002', name: 'Sam Lee', role: 'supervisor', secret: '5678', badge: 'B0000002' },
+        { id: 'M001', name: 'Store Manager', role: 'manager', secret: '9999', badge: 'B0000001' }
+    ];
+
+    static HASH_ITERATIONS = 100000;
+    static maxAttempts = 5;
+    static lockMinutes = 5;
+    static APPROVAL_KEY = '*approvals';
+
+    static users = new Map();
+    static failures = new Map();
+    static currentUser = null;
+    static readyPromise = null;
+    static persistent = false;
+
+    /**
+     * Loads the users from IndexedDB, creating the demo users on first run
+     * @returns {Promise<number>} Number of users
+     */
+    static init() {
+        if (this.readyPromise) {
+            return this.readyPromise;
+        }
+
+        const seed = async () => {
+            const users = await Promise.all(this.DEFAULT_USERS.map(user => this.createUser(user)));
+            users.forEach(user => this.users.set(user.id, user));
+            return users;
+        };
+
+        if (!window.PosDatabase || !window.PosDatabase.isAvailable()) {
+            console.warn('AuthService: IndexedDB unavailable, using in-memory users');
+            this.readyPromise = seed().then(() => this.users.size);
+            return this.readyPromise;
+        }
+
+        this.readyPromise = window.PosDatabase.getAll(this.STORE_NAME)
+            .then(async (stored) => {
+                this.persistent = true;
+
+                if (stored.length === 0) {
+                    await window.PosDatabase.putMany(this.STORE_NAME, await seed());
+                    console.log(`AuthService: Created ${this.users.size} demo users`);
+                } else {
+                    stored.forEach(user => this.users.set(user.id, user));
+                    console.log(`AuthService: Loaded ${stored.length} users`);
+                }
+
+                return this.users.size;
+            })
+            .catch(async (error) => {
+                console.error('AuthService: Failed to load users, using in-memory users', error);
+                await seed();
+                return this.users.size;
+            });
+
+        return this.readyPromise;
+    }
+
+    static getSubtle() {
+        if (!globalThis.crypto || !globalThis.crypto.subtle) {
+            throw new Error('Web Crypto is not available (sign-in needs HTTPS or localhost)');
+        }
+        return globalThis.crypto.subtle;
+    }
+
+    static toHex(bytes) {
+        return Array.from(new Uint8Array(bytes))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * PBKDF2-SHA256 hash of a PIN or password
+     * @param {string} secret - PIN or password as typed
+     * @param {string} salt - Hex salt
+     * @param {number} [iterations] - PBKDF2 iterations
+     * @returns {Promise<string>} Hex hash
+     */
+    static async hashSecret(secret, salt, iterations = this.HASH_ITERATIONS) {
+        const subtle = this.getSubtle();
+        const key = await subtle.importKey('raw', new TextEncoder().encode(String(secret)), 'PBKDF2', false, ['deriveBits']);
+        const saltBytes = new Uint8Array(salt.match(/../g).map(byte => parseInt(byte, 16)));
+        const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations }, key, 256);
+        return this.toHex(bits);
+    }
+
+    static async verifySecret(user, secret, credential = user.credential) {
+        const { salt, hash, iterations } = credential;
+        const candidate = await this.hashSecret(secret, salt, iterations);
+
+        // Compare every character so the time taken does not depend on where they differ
+        let difference = candidate.length ^ hash.length;
+        for (let i = 0; i < Math.min(candidate.length, hash.length); i++) {
+            difference |= candidate.charCodeAt(i) ^ hash.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Checks a PIN (4-8 digits) or password (at least 8 characters)
+     * @param {string} secret - PIN or password
+     * @returns {string|null} Error message, or null when it can be used
+     */
+    static validateSecret(secret) {
+        const text = String(secret || '');
+        if (/^\d+$/.test(text)) {
+            return text.length >= 4 && text.length <= 8 ? null : 'A PIN must have 4 to 8 digits';
+        }
+        return text.length >= 8 ? null : 'A password must have at least 8 characters';
+    }
+
+    static async hashCredential(secret, type) {
+        const salt = this.toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+        return {
+            type,
+            salt,
+            iterations: this.HASH_ITERATIONS,
+            hash: await this.hashSecret(secret, salt)
+        };
+    }
+
+    /**
+     * Builds a stored user with hashed credentials
+     * @param {Object} user - { id, name, role, secret, badge? }
+     * @returns {Promise<Object>} { id, name, role, credential, badge }
+     */
+    static async createUser({ id, name, role, secret, badge }) {
+        if (!id || !name) {
+            throw new Error('Users need an id and a name');
+        }
+        if (!this.ROLES[role]) {
+            throw new Error(`Unknown role "${role}"`);
+        }
+        const error = this.validateSecret(secret);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const badgeCode = String(badge || '').trim();
+        if (badgeCode && badgeCode.length < 6) {
+            throw new Error('A badge code must have at least 6 characters');
+        }
+
+        return {
+            id: String(id).trim().toUpperCase(),
+            name: String(name).trim(),
+            role,
+            credential: await this.hashCredential(secret, /^\d+$/.test(String(secret)) ? 'pin' : 'password'),
+            badge: badgeCode ? await this.hashCredential(badgeCode, 'badge') : null
+        };
+    }
+
+    /**
+     * Adds a user or replaces one with the same id
+     * @param {Object} user - { id, name, role, secret, badge? }
+     * @returns {Promise<Object>} The user without its credentials
+     */
+    static async saveUser(user) {
+        await this.init();
+        const stored = await this.createUser(user);
+
+        if (this.persistent) {
+            await window.PosDatabase.put(this.STORE_NAME, stored);
+        }
+        this.users.set(stored.id, stored);
+        return this.toSession(stored);
+    }
+
+    static getUsers() {
+        return Array.from(this.users.values()).map(user => this.toSession(user));
+    }
+
+    static toSession(user) {
+        return { id: user.id, name: user.name, role: user.role, roleLabel: this.ROLES[user.role] ? this.ROLES[user.role].label : user.role };
+    }
+
+    /**
+     * Signs a user in
+     * @param {string} userId - User id
+     * @param {string} secret - PIN or password
+     * @returns {Promise<Object>} { id, name, role, roleLabel }
+     * @throws {Error} When the id or credential is wrong or the user is locked out
+     */
+    static async signIn(userId, secret) {
+        const user = await this.verifyUser(userId, secret);
+
+        this.currentUser = this.toSession(user);
+        console.log(`AuthService: ${user.id} signed in (${user.role})`);
+        return { ...this.currentUser };
+    }
+
+    /**
+     * Checks a user's PIN or password, counting wrong attempts towards the lockout
+     * @param {string} userId - User id
+     * @param {string} secret - PIN or password
+     * @returns {Promise<Object>} Stored user
+     * @throws {Error} When the id or credential is wrong or the user is locked out
+     */
+    static async verifyUser(userId, secret) {
+        await this.init();
+
+        const id = String(userId || '').trim().toUpperCase();
+        const user = this.users.get(id);
+        const failure = this.failures.get(id);
+
+        if (failure && failure.lockedUntil > Date.now()) {
+            throw new Error(`User ${id} is locked. Try again in ${this.formatLockTime(failure)}`);
+        }
+
+        if (!user || !(await this.verifySecret(user, secret))) {
+            if (user) {
+                this.recordFailure(id);
+            }
+            throw new Error('Wrong user ID or PIN/password');
+        }
+
+        this.failures.delete(id);
+        return user;
+    }
+
+    static recordFailure(id) {
+        const failure = this.failures.get(id) || { count: 0, lockedUntil: 0 };
+        failure.count++;
+        failure.failedAt = Date.now();
+        if (failure.count >= this.maxAttempts) {
+            failure.count = 0;
+            failure.lockedUntil = Date.now() + this.lockMinutes * 60000;
+            console.warn(id === this.APPROVAL_KEY ?
+                `AuthService: approvals locked after ${this.maxAttempts} failed attempts` :
+                `AuthService: ${id} locked after ${this.maxAttempts} failed sign-ins`);
+        }
+        this.failures.set(id, failure);
+    }
+
+    static formatLockTime(failure) {
+        const minutes = Math.ceil((failure.lockedUntil - Date.now()) / 60000);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    static signOut() {
+        if (this.currentUser) {
+            console.log(`AuthService: ${this.currentUser.id} signed out`);
+        }
+        this.currentUser = null;
+    }
+
+    static getCurrentUser() {
+        return this.currentUser ? { ...this.currentUser } : null;
+    }
+
+    /**
+     * Whether a user's role grants a permission
+     * @param {string} permission - Key of AuthService.PERMISSIONS
+     * @param {Object} [user] - User; defaults to the signed-in user
+     * @returns {boolean} True when allowed
+     */
+    static can(permission, user = this.currentUser) {
+        const role = user ? this.ROLES[user.role] : null;
+        return !!(role && role.permissions.includes(permission));
+    }
+
+    /**
+     * Message for an action the signed-in user may not perform
+     * @param {string} permission - Key of AuthService.PERMISSIONS
+     * @returns {string} e.g. "Cashier John Doe is not allowed to override prices"
+     */
+    static getDeniedMessage(permission) {
+        const action = this.PERMISSIONS[permission] || permission;
+        return this.currentUser ?
+            `${this.currentUser.roleLabel} ${this.currentUser.name} is not allowed to ${action}` :
+            `Sign in to ${action}`;
+    }
+
+    /**
+     * Context placeholders for the signed-in user (#{UserName}, #{UserID}, ...)
+     * @param {Object|null} user - Session user, or null when nobody is signed in
+     * @returns {Object} Values for ContextRenderer.updateContext
+     */
+    static toContext(user) {
+        return {
+            UserName: user ? user.name : '',
+            UserID: user ? user.id : '',
+            UserRole: user ? user.roleLabel : '',
+            CashierName: user ? user.name : ''
+        };
+    }
+
+    /**
+     * Finds a user with a permission by PIN, password or badge alone, e.g. for a manager approval
+     * Wrong credentials count towards a lockout of all approvals on the terminal. A good one
+     * does not clear the count (any approver's own PIN would); it lapses after `lockMinutes`.
+     * @param {string} secret - PIN or password entered, or badge scanned, at the register
+     * @param {string} permission - Permission the approver needs
+     * @returns {Promise<Object|null>} { id, name, role, roleLabel, method } of the approver, or null
+     * @throws {Error} When approvals are locked out
+     */
+    static async authorize(secret, permission) {
+        await this.init();
+        if (!secret) return null;
+
+        this.checkApprovalLock();
+        const approver = await this.findApprover(secret, permission);
+        if (!approver) {
+            this.recordFailure(this.APPROVAL_KEY);
+        }
+        return approver;
+    }
+
+    /**
+     * Unlocks a terminal locked for a user, with their own PIN or password or the credential of
+     * a user with `unlock-terminal`. A wrong entry counts once, towards the approval lockout,
+     * which then stops both.
+     * @param {string} userId - User the terminal is locked for
+     * @param {string} secret - PIN or password entered, or badge scanned
+     * @returns {Promise<Object>} { id, name, role, roleLabel, method } of whoever unlocked
+     * @throws {Error} When the credential is wrong or approvals are locked out
+     */
+    static async unlock(userId, secret) {
+        await this.init();
+        this.checkApprovalLock();
+
+        const id = String(userId || '').trim().toUpperCase();
+        const user = this.users.get(id);
+        const failure = this.failures.get(id);
+        const userLocked = !!(failure && failure.lockedUntil > Date.now());
+
+        if (user && !userLocked && secret && await this.verifySecret(user, secret)) {
+            this.failures.delete(id);
+            return { ...this.toSession(user), method: user.credential.type };
+        }
+
+        const approver = secret ? await this.findApprover(secret, 'unlock-terminal') : null;
+        if (approver) return approver;
+
+        this.recordFailure(this.APPROVAL_KEY);
+        throw new Error(userLocked ?
+            `User ${id} is locked. A user who may unlock the terminal can unlock it` :
+            'Wrong PIN/password');
+    }
+
+    static checkApprovalLock() {
+        const failure = this.failures.get(this.APPROVAL_KEY);
+        if (failure && failure.lockedUntil > Date.now()) {
+            throw new Error(`Approvals are locked after too many wrong attempts. Try again in ${this.formatLockTime(failure)}`);
+        }
+        if (failure && failure.failedAt < Date.now() - this.lockMinutes * 60000) {
+            this.failures.delete(this.APPROVAL_KEY);
+        }
+    }
+
+    static async findApprover(secret, permission) {
+        const candidates = Array.from(this.users.values()).filter(user => this.can(permission, user));
+        for (const user of candidates) {
+            if (await this.verifySecret(user, secret)) {
+                return { ...this.toSession(user), method: user.credential.type };
+            }
+            if (user.badge && await this.verifySecret(user, secret, user.badge)) {
+                return { ...this.toSession(user), method: 'badge' };
+            }
+        }
+        return null;
+    }
+}
+
+// Make AuthService globally available
+if (typeof window !== 'undefined') {
+    window.AuthService = AuthService;
+}
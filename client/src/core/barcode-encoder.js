@@ -0,0 +1,653 @@
+/**
+ * Barcode Encoder - Code128, EAN-13 and QR symbols in plain JavaScript
+ *
+ * `code128()`, `ean13()` and `qr()` turn text into a symbol: the dark and
+ * light modules of the barcode, with no drawing attached. The same symbol is
+ * drawn as SVG or on a canvas for the Receipt Preview, and packed into a
+ * 1-bit raster for ESC/POS printers (`toRaster()`), so screen and paper show
+ * the same bars.
+ *
+ * A linear symbol is { format, text, modules: boolean[] } (one entry per bar
+ * or space module); a QR symbol is { format: 'qr', text, version,
+ * errorCorrection, modules: boolean[][] } (rows of dark modules).
+ *
+ * Code128 uses code set B, switching to C for runs of digits. EAN-13 takes 12
+ * digits and adds the check digit, or checks a 13th. QR codes are byte mode
+ * (UTF-8), versions 1-40, with error correction L, M (default), Q or H.
+ *
+ * @class BarcodeEncoder
+ * @example
+ * const symbol = BarcodeEncoder.code128('T001-000042');
+ * element.innerHTML = BarcodeEncoder.toSvg(symbol, { height: 40 });
+ *
+ * const qr = BarcodeEncoder.qr('https://receipts.example.com/T001-000042');
+ * BarcodeEncoder.drawToCanvas(canvas, qr, { moduleSize: 3 });
+ * encoder.image(BarcodeEncoder.toRaster(qr, { moduleSize: 4 }));
+ */
+export class BarcodeEncoder {
+    static FORMATS = ['code128', 'ean13', 'qr'];
+
+    // Bar and space widths of Code128 symbols 0-105, then the stop pattern
+    static CODE128_PATTERNS = [
+        '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+        '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+        '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+        '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+        '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+        '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+        '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+        '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+        '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+        '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+        '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+    ];
+
+    static CODE128 = {
+        START_B: 104,
+        START_C: 105,
+        CODE_B: 100,
+        CODE_C: 99,
+        STOP: 106
+    };
+
+    // EAN-13 left-hand (odd parity) patterns; even parity and right-hand patterns are derived
+    static EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+
+    // Parity of the six left-hand digits, chosen by the first digit
+    static EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+    static QR_ERROR_CORRECTION = {
+        L: { index: 0, formatBits: 1 },
+        M: { index: 1, formatBits: 0 },
+        Q: { index: 2, formatBits: 3 },
+        H: { index: 3, formatBits: 2 }
+    };
+
+    // Error correction codewords per block and number of blocks, by level (L, M, Q, H) and version
+    static QR_ECC_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    static QR_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    /**
+     * Builds a symbol in the given format
+     * @param {string} format - 'code128', 'ean13' or 'qr'
+     * @param {string} text - Data
+     * @param {Object} [options] - { errorCorrection } for QR
+     * @returns {Object} Symbol
+     */
+    static encode(format, text, options = {}) {
+        switch (format) {
+            case 'code128':
+                return this.code128(text);
+            case 'ean13':
+                return this.ean13(text);
+            case 'qr':
+                return this.qr(text, options);
+            default:
+                throw new Error(`Unknown barcode format: ${format} (use ${this.FORMATS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Code128 symbol of printable ASCII text
+     * @param {string} text - Text (space to '~')
+     * @returns {Object} { format, text, modules }
+     */
+    static code128(text) {
+        text = String(text);
+        if (!text || !/^[\x20-\x7e]+$/.test(text)) {
+            throw new Error('Code128 needs printable ASCII text');
+        }
+
+        const { START_B, START_C, CODE_B, CODE_C, STOP } = this.CODE128;
+        // Code set C packs two digits per symbol; worth it for 4+ digits (6+ mid-text)
+        const digitRun = (from) => (text.slice(from).match(/^\d+/) || [''])[0].length;
+        const useC = (from) => {
+            const run = digitRun(from);
+            const atEdge = from === 0 || from + run === text.length;
+            return run >= (atEdge ? 4 : 6);
+        };
+
+        const codes = [];
+        let set = useC(0) ? 'C' : 'B';
+        codes.push(set === 'C' ? START_C : START_B);
+
+        let i = 0;
+        while (i < text.length) {
+            if (set === 'B' && useC(i)) {
+                // An odd run keeps its first digit in code set B
+                if (digitRun(i) % 2 === 1) {
+                    codes.push(text.charCodeAt(i) - 32);
+                    i++;
+                }
+                codes.push(CODE_C);
+                set = 'C';
+            } else if (set === 'C' && digitRun(i) < 2) {
+                codes.push(CODE_B);
+                set = 'B';
+            } else if (set === 'C') {
+                codes.push(Number(text.slice(i, i + 2)));
+                i += 2;
+            } else {
+                codes.push(text.charCodeAt(i) - 32);
+                i++;
+            }
+        }
+
+        const checksum = codes.reduce((sum, code, index) => sum + code * Math.max(1, index), 0) % 103;
+        codes.push(checksum, STOP);
+
+        const modules = [];
+        codes.forEach((code) => {
+            Array.from(this.CODE128_PATTERNS[code]).forEach((width, index) => {
+                for (let w = 0; w < Number(width); w++) {
+                    modules.push(index % 2 === 0);
+                }
+            });
+        });
+
+        return { format: 'code128', text, modules };
+    }
+
+    /**
+     * EAN-13 symbol; a 12-digit number gets its check digit added
+     * @param {string} digits - 12 or 13 digits
+     * @returns {Object} { format, text (13 digits), modules }
+     */
+    static ean13(digits) {
+        digits = String(digits);
+        if (!/^\d{12,13}$/.test(digits)) {
+            throw new Error('EAN-13 needs 12 or 13 digits');
+        }
+
+        const check = this.ean13CheckDigit(digits.slice(0, 12));
+        if (digits.length === 13 && Number(digits[12]) !== check) {
+            throw new Error(`EAN-13 check digit of ${digits.slice(0, 12)} is ${check}, not ${digits[12]}`);
+        }
+        const text = digits.slice(0, 12) + check;
+
+        const invert = (pattern) => pattern.replace(/[01]/g, bit => (bit === '0' ? '1' : '0'));
+        const parity = this.EAN_PARITY[Number(text[0])];
+        const left = Array.from(text.slice(1, 7), (digit, index) => {
+            const pattern = this.EAN_L[Number(digit)];
+            return parity[index] === 'L' ? pattern : Array.from(invert(pattern)).reverse().join('');
+        }).join('');
+        const right = Array.from(text.slice(7), digit => invert(this.EAN_L[Number(digit)])).join('');
+        const pattern = `101${left}01010${right}101`;
+
+        return { format: 'ean13', text, modules: Array.from(pattern, bit => bit === '1') };
+    }
+
+    /**
+     * @param {string} digits - The first 12 digits of an EAN-13
+     * @returns {number} Check digit
+     */
+    static ean13CheckDigit(digits) {
+        const sum = Array.from(String(digits).slice(0, 12))
+            .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+        return (10 - (sum % 10)) % 10;
+    }
+
+    /**
+     * QR code symbol of text, in the smallest version that fits
+     * @param {string} text - Text (UTF-8 encoded)
+     * @param {Object} [options] - { errorCorrection: 'L', 'M', 'Q' or 'H' }
+     * @returns {Object} { format, text, version, errorCorrection, modules }
+     */
+    static qr(text, { errorCorrection = 'M' } = {}) {
+        const level = this.QR_ERROR_CORRECTION[errorCorrection];
+        if (!level) {
+            throw new Error(`Unknown QR error correction level: ${errorCorrection} (use L, M, Q or H)`);
+        }
+
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        let version = 1;
+        for (; version <= 40; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (bytes.length < 2 ** countBits && 4 + countBits + bytes.length * 8 <= this.qrDataCodewords(version, level) * 8) {
+                break;
+            }
+        }
+        if (version > 40) {
+            throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+        }
+
+        // Byte mode segment, terminator and pad bytes
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        const capacity = this.qrDataCodewords(version, level) * 8;
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - (bits.length % 8)) % 8);
+        for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const matrix = this.qrMatrix(version, level, this.qrInterleave(data, version, level));
+        return { format: 'qr', text: String(text), version, errorCorrection, modules: matrix };
+    }
+
+    static qrRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            result -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    static qrDataCodewords(version, level) {
+        return Math.floor(this.qrRawDataModules(version) / 8) -
+            this.QR_ECC_PER_BLOCK[level.index][version] * this.QR_BLOCKS[level.index][version];
+    }
+
+    /**
+     * Splits data codewords into blocks, adds Reed-Solomon error correction and
+     * interleaves the blocks
+     */
+    static qrInterleave(data, version, level) {
+        const blockCount = this.QR_BLOCKS[level.index][version];
+        const eccLength = this.QR_ECC_PER_BLOCK[level.index][version];
+        const rawCodewords = Math.floor(this.qrRawDataModules(version) / 8);
+        const shortBlocks = blockCount - (rawCodewords % blockCount);
+        const shortLength = Math.floor(rawCodewords / blockCount);
+        const divisor = this.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortLength - eccLength + (i < shortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            // Short blocks get a placeholder so every block has the same layout
+            if (i < shortBlocks) {
+                block.push(null);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block) => {
+                if (block[i] !== null) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    static gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = this.gfMultiply(result[j], root);
+                if (j + 1 < degree) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = this.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach((byte) => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    static qrAlignmentPositions(version, size) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    /**
+     * Lays out function patterns and codewords, and applies the mask with the
+     * lowest penalty
+     */
+    static qrMatrix(version, level, codewords) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                        set(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder
+        const positions = this.qrAlignmentPositions(version, size);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Reserve the format areas (filled in after masking) and draw the version
+        this.qrDrawFormat(set, size, level, 0);
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+            }
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        // Codewords in the zigzag order, two columns at a time from the right
+        let bit = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!reserved[y][x] && bit < codewords.length * 8) {
+                        modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                        bit++;
+                    }
+                }
+            }
+        }
+
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            const candidate = modules.map(row => row.slice());
+            const setCandidate = (x, y, dark) => {
+                candidate[y][x] = dark;
+            };
+            this.qrApplyMask(candidate, reserved, mask);
+            this.qrDrawFormat(setCandidate, size, level, mask);
+            const penalty = this.qrPenalty(candidate);
+            if (!best || penalty < best.penalty) {
+                best = { penalty, modules: candidate };
+            }
+        }
+        return best.modules;
+    }
+
+    static qrDrawFormat(set, size, level, mask) {
+        const data = (level.formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bitAt = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bitAt(i));
+        set(8, 7, bitAt(6));
+        set(8, 8, bitAt(7));
+        set(7, 8, bitAt(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bitAt(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bitAt(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bitAt(i));
+        set(8, size - 8, true);
+    }
+
+    static qrApplyMask(modules, reserved, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+            (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+            (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+        ];
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (!reserved[y][x] && conditions[mask](x, y)) {
+                row[x] = !dark;
+            }
+        }));
+    }
+
+    /**
+     * Penalty score of a masked matrix (ISO/IEC 18004 section 7.8.3): runs,
+     * 2x2 blocks, finder-like patterns and dark/light balance
+     */
+    static qrPenalty(modules) {
+        const size = modules.length;
+        const columns = modules.map((row, x) => modules.map(line => line[x]));
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        let penalty = 0;
+
+        [...modules, ...columns].forEach((line) => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += 3 + (run - 5);
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                    penalty += 40;
+                }
+            }
+        });
+
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const darkCount = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    /**
+     * Size of a symbol in modules, without the quiet zone
+     * @param {Object} symbol - Symbol
+     * @returns {Object} { width, height } (height is null for linear symbols)
+     */
+    static getSize(symbol) {
+        return symbol.format === 'qr' ?
+            { width: symbol.modules.length, height: symbol.modules.length } :
+            { width: symbol.modules.length, height: null };
+    }
+
+    /**
+     * Quiet zone around a symbol, in modules
+     */
+    static getQuietZone(symbol) {
+        return symbol.format === 'qr' ? 4 : (symbol.format === 'ean13' ? 9 : 10);
+    }
+
+    /**
+     * Dark rectangles of a symbol in module units, quiet zone included, as
+     * { x, y, width, height }; linear bars run the full height
+     * @param {Object} symbol - Symbol
+     * @param {number} height - Bar height in modules (linear symbols)
+     * @returns {Object} { width, height, rects }
+     */
+    static getRects(symbol, height) {
+        const quiet = this.getQuietZone(symbol);
+        const rects = [];
+
+        if (symbol.format === 'qr') {
+            symbol.modules.forEach((row, y) => {
+                // One rectangle per horizontal run of dark modules
+                for (let x = 0; x < row.length; x++) {
+                    if (!row[x]) continue;
+                    const start = x;
+                    while (x + 1 < row.length && row[x + 1]) x++;
+                    rects.push({ x: start + quiet, y: y + quiet, width: x - start + 1, height: 1 });
+                }
+            });
+            const side = symbol.modules.length + quiet * 2;
+            return { width: side, height: side, rects };
+        }
+
+        for (let x = 0; x < symbol.modules.length; x++) {
+            if (!symbol.modules[x]) continue;
+            const start = x;
+            while (x + 1 < symbol.modules.length && symbol.modules[x + 1]) x++;
+            rects.push({ x: start + quiet, y: 0, width: x - start + 1, height });
+        }
+        return { width: symbol.modules.length + quiet * 2, height, rects };
+    }
+
+    /**
+     * SVG markup of a symbol
+     * @param {Object} symbol - Symbol
+     * @param {Object} [options] - { moduleSize: pixels per module (2), height: bar height in pixels (50), showText: print the text under linear symbols }
+     * @returns {string} SVG element
+     */
+    static toSvg(symbol, { moduleSize = 2, height = 50, showText = false } = {}) {
+        const barModules = Math.max(1, Math.round(height / moduleSize));
+        const { width, height: modulesHigh, rects } = this.getRects(symbol, barModules);
+        const textHeight = showText && symbol.format !== 'qr' ? 12 : 0;
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const path = rects.map(rect => `M${rect.x} ${rect.y}h${rect.width}v${rect.height}h-${rect.width}z`).join('');
+        const pixelWidth = width * moduleSize;
+        const pixelHeight = modulesHigh * moduleSize + textHeight;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${pixelWidth}" height="${pixelHeight}" viewBox="0 0 ${pixelWidth} ${pixelHeight}" role="img" aria-label="${escape(symbol.text).replace(/"/g, '&quot;')}">` +
+            `<rect width="100%" height="100%" fill="#fff"/>` +
+            `<path transform="scale(${moduleSize})" fill="#000" shape-rendering="crispEdges" d="${path}"/>` +
+            (textHeight ? `<text x="${pixelWidth / 2}" y="${pixelHeight - 2}" text-anchor="middle" font-family="monospace" font-size="10">${escape(symbol.text)}</text>` : '') +
+            '</svg>';
+    }
+
+    /**
+     * Draws a symbol on a canvas, resizing the canvas to fit
+     * @param {HTMLCanvasElement} canvas - Canvas
+     * @param {Object} symbol - Symbol
+     * @param {Object} [options] - { moduleSize, height } as for toSvg
+     */
+    static drawToCanvas(canvas, symbol, { moduleSize = 2, height = 50 } = {}) {
+        const { width, height: modulesHigh, rects } = this.getRects(symbol, Math.max(1, Math.round(height / moduleSize)));
+        const context = canvas.getContext('2d');
+
+        canvas.width = width * moduleSize;
+        canvas.height = modulesHigh * moduleSize;
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#000';
+        rects.forEach(rect => context.fillRect(rect.x * moduleSize, rect.y * moduleSize, rect.width * moduleSize, rect.height * moduleSize));
+    }
+
+    /**
+     * 1-bit raster of a symbol for ESC/POS `GS v 0`: rows packed 8 dots per
+     * byte, most significant bit first, 1 = black
+     * @param {Object} symbol - Symbol
+     * @param {Object} [options] - { moduleSize: dots per module (2), height: bar height in dots (80), maxWidth: dots across the paper }
+     * @returns {Object} { width (dots, multiple of 8), height, data: Uint8Array }
+     */
+    static toRaster(symbol, { moduleSize = 2, height = 80, maxWidth = Infinity } = {}) {
+        const fullWidth = this.getRects(symbol, 1).width;
+        // Shrink to fit the paper; narrower modules are still readable down to 1 dot
+        const scale = Math.max(1, Math.min(moduleSize, Math.floor(maxWidth / fullWidth)));
+        const { width, height: modulesHigh, rects } = this.getRects(symbol, Math.max(1, Math.round(height / scale)));
+        const widthBytes = Math.ceil((width * scale) / 8);
+        const rows = modulesHigh * scale;
+        const data = new Uint8Array(widthBytes * rows);
+
+        rects.forEach((rect) => {
+            for (let y = rect.y * scale; y < (rect.y + rect.height) * scale; y++) {
+                for (let x = rect.x * scale; x < (rect.x + rect.width) * scale; x++) {
+                    data[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            }
+        });
+
+        return { width: widthBytes * 8, height: rows, data };
+    }
+}
+
+// Make BarcodeEncoder globally available
+if (typeof window !== 'undefined') {
+    window.BarcodeEncoder = BarcodeEncoder;
+}
@@ -0,0 +1,317 @@
+/**
+ * Catalog IO - CSV/JSON import and CSV export for the product catalog
+ *
+ * Parses spreadsheet exports (CSV) or JSON product lists, maps their columns
+ * to product fields, and validates each row with `Validation.validateProductRow`
+ * before anything is written to ProductCatalog. Export writes the same columns
+ * back out so a price list can round-trip through a spreadsheet.
+ *
+ * @class CatalogIO
+ * @example
+ * const { headers, records, decimalSeparator } = await CatalogIO.readFile(file);
+ * const mapping = CatalogIO.suggestMapping(headers);
+ * const rows = CatalogIO.validateRows(CatalogIO.mapRecords(records, mapping, { decimalSeparator }));
+ * await ProductCatalog.saveProducts(rows.filter(r => r.isValid).map(r => r.product));
+ *
+ * const csv = CatalogIO.toCSV(ProductCatalog.getAll());
+ */
+export class CatalogIO {
+    static FIELDS = ['id', 'name', 'price', 'barcode', 'sku', 'plu', 'category', 'taxClass', 'giftCard'];
+    static REQUIRED_FIELDS = ['id', 'name', 'price'];
+
+    // Header names (lowercase, punctuation stripped) recognised for each field
+    static FIELD_ALIASES = {
+        id: ['id', 'productid', 'itemid', 'itemnumber', 'itemno'],
+        name: ['name', 'productname', 'itemname', 'description', 'item'],
+        price: ['price', 'unitprice', 'retail', 'retailprice', 'sellprice'],
+        barcode: ['barcode', 'upc', 'ean', 'gtin'],
+        sku: ['sku', 'stockcode'],
+        plu: ['plu', 'plucode'],
+        category: ['category', 'department', 'dept', 'group'],
+        taxClass: ['taxclass', 'taxcode', 'taxcategory', 'tax'],
+        giftCard: ['giftcard', 'isgiftcard']
+    };
+
+    /**
+     * Reads a CSV or JSON file chosen by the user
+     * @param {File} file - File from an <input type="file">
+     * @returns {Promise<Object>} { headers, records, decimalSeparator } where records are
+     * header-keyed objects and decimalSeparator is the one the file's prices are expected to use
+     */
+    static async readFile(file) {
+        const text = await file.text();
+        const isJSON = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+        return isJSON ? this.parseJSON(text) : this.parseCSVRecords(text);
+    }
+
+    static parseJSON(text) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data.products;
+
+        if (!Array.isArray(records)) {
+            throw new Error('JSON must be an array of products or an object with a "products" array');
+        }
+
+        const headers = [];
+        records.filter(record => this.isRecord(record)).forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!headers.includes(key)) {
+                    headers.push(key);
+                }
+            });
+        });
+
+        return { headers, records, decimalSeparator: '.' };
+    }
+
+    static parseCSVRecords(text) {
+        const rows = this.parseCSV(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        const records = rows.slice(1).map(row => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = row[index] !== undefined ? row[index] : '';
+            });
+            return record;
+        });
+
+        // Semicolon-separated files come from locales that write prices as "12,99"
+        return { headers, records, decimalSeparator: this.detectDelimiter(text) === ';' ? ',' : '.' };
+    }
+
+    static detectDelimiter(text) {
+        const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+        return firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+    }
+
+    /**
+     * Parses CSV text into rows of cells (RFC 4180 quoting, comma or semicolon separated)
+     * @param {string} text - CSV content
+     * @returns {string[][]} Rows of raw cell strings
+     */
+    static parseCSV(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(source);
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Guesses which file column feeds each product field
+     * @param {string[]} headers - Column headers from the file
+     * @returns {Object} Map of product field -> header (fields without a match are omitted)
+     */
+    static suggestMapping(headers) {
+        const mapping = {};
+        const normalize = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+        this.FIELDS.forEach(field => {
+            const aliases = this.FIELD_ALIASES[field] || [field];
+            const header = headers.find(h => aliases.includes(normalize(h)));
+            if (header !== undefined) {
+                mapping[field] = header;
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Applies a column mapping to raw records, dropping empty cells. Records
+     * that are not objects (e.g. null in a JSON array) map to null and are
+     * reported by validateRows.
+     * @param {Object[]} records - Header-keyed records
+     * @param {Object} mapping - Map of product field -> header
+     * @param {Object} [options] - { decimalSeparator: '.' or ',', from readFile }
+     * @returns {Array<Object|null>} Product-shaped rows
+     */
+    static mapRecords(records, mapping, { decimalSeparator = '.' } = {}) {
+        return records.map(record => {
+            if (!this.isRecord(record)) {
+                return null;
+            }
+
+            const row = {};
+            Object.entries(mapping).forEach(([field, header]) => {
+                if (!header) return;
+
+                const value = record[header];
+                if (value === undefined || value === null || String(value).trim() === '') return;
+
+                row[field] = typeof value === 'string' ? value.trim() : value;
+            });
+
+            if (row.price !== undefined && typeof row.price === 'string') {
+                // Unreadable prices stay as they are and fail validation as non-numeric
+                const cleaned = this.normalizePrice(row.price, decimalSeparator);
+                row.price = cleaned !== null ? cleaned : row.price;
+            }
+
+            return row;
+        });
+    }
+
+    /**
+     * Turns a spreadsheet price into a plain decimal string. Currency symbols
+     * and spaces are dropped; "1,299.00" and "1.299,00" are both 1299.00. A
+     * single separator followed by three digits ("1,299") is read with the
+     * file's decimal separator.
+     * @param {string} value - Price cell
+     * @param {string} [decimalSeparator='.'] - Decimal separator of the file
+     * @returns {string|null} Decimal string such as "1299.00", or null when the value is not a price
+     */
+    static normalizePrice(value, decimalSeparator = '.') {
+        const text = String(value).replace(/[^0-9.,\-]/g, '');
+        if (!/^-?\d([\d.,]*\d)?$/.test(text)) {
+            return null;
+        }
+
+        const last = Math.max(text.lastIndexOf('.'), text.lastIndexOf(','));
+        if (last < 0) {
+            return text;
+        }
+
+        const separator = text[last];
+        const other = separator === '.' ? ',' : '.';
+        let decimal = separator;
+        if (!text.includes(other)) {
+            if (text.split(separator).length > 2) {
+                decimal = null;
+            } else if (text.length - last - 1 === 3 && separator !== decimalSeparator) {
+                decimal = null;
+            }
+        }
+
+        const whole = decimal ? text.slice(0, last) : text;
+        const group = decimal ? other : separator;
+        const grouped = new RegExp(`^-?\\d{1,3}(\\${group}\\d{3})+$`);
+        if (!/^-?\d+$/.test(whole) && !grouped.test(whole)) {
+            return null;
+        }
+
+        const digits = whole.split(group).join('');
+        return decimal ? `${digits}.${text.slice(last + 1)}` : digits;
+    }
+
+    static isRecord(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Validates mapped rows, flags duplicate ids/codes inside the file and
+     * codes that already belong to another product in the catalog
+     * @param {Array<Object|null>} rows - Product-shaped rows from mapRecords
+     * @returns {Object[]} One entry per row: { index, product, isValid, errors }
+     */
+    static validateRows(rows) {
+        const seen = { id: new Map(), barcode: new Map(), sku: new Map(), plu: new Map() };
+        const catalog = window.ProductCatalog;
+
+        return rows.map((row, i) => {
+            const index = i + 1;
+            if (!this.isRecord(row)) {
+                return { index, product: {}, isValid: false, errors: [`Row ${index} is not a product record`] };
+            }
+
+            const { errors } = window.Validation.validateProductRow(row, index);
+
+            Object.keys(seen).forEach(field => {
+                if (row[field] === undefined) return;
+
+                const key = String(row[field]).toUpperCase();
+                if (seen[field].has(key)) {
+                    errors.push(`Row ${index} duplicate ${field} "${row[field]}" (also on row ${seen[field].get(key)})`);
+                } else {
+                    seen[field].set(key, index);
+                }
+
+                // The catalog indexes each code once, so a code taken by another product would not scan
+                const owner = catalog ? catalog.lookup(row[field]) : null;
+                if (owner && owner.id !== String(row.id).trim()) {
+                    errors.push(`Row ${index} ${field} "${row[field]}" already belongs to product ${owner.id} (${owner.name})`);
+                }
+            });
+
+            const isValid = errors.length === 0;
+            return {
+                index,
+                product: isValid ? { ...row, price: parseFloat(row.price) } : row,
+                isValid,
+                errors
+            };
+        });
+    }
+
+    /**
+     * Serializes products to CSV using the FIELDS column order
+     * @param {Object[]} products - Products to export
+     * @returns {string} CSV text with header row
+     */
+    static toCSV(products) {
+        const lines = [this.FIELDS.join(',')];
+
+        products.forEach(product => {
+            lines.push(this.FIELDS.map(field => this.escapeCSV(product[field])).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    static escapeCSV(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+
+        const text = String(value);
+        return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Make CatalogIO globally available
+if (typeof window !== 'undefined') {
+    window.CatalogIO = CatalogIO;
+}
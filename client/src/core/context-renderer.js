@@ -21,14 +21,21 @@
  */
 export class ContextRenderer {
     static context = {
-        UserName: 'John Doe',
-        UserID: 'U001',
+        UserName: '',
+        UserID: '',
+        UserRole: '',
         AppVersion: '2.1.0',
         CurrentDate: new Date().toLocaleDateString(),
         CurrentTime: new Date().toLocaleTimeString(),
         StoreName: 'ABC Store',
+        StoreAddress: '123 Main St, City, State 12345',
+        StorePhone: '(555) 123-4567',
+        ReceiptUrl: 'https://receipts.abcstore.example/#{ReceiptNumber}',
         StoreID: 'STR001',
-        TerminalID: 'T001'
+        TerminalID: 'T001',
+        ShiftID: '',
+        Locale: 'en-US',
+        Currency: 'USD'
     };
 
     static watchers = new Map();
@@ -113,6 +120,10 @@ export class ContextRenderer {
             return '';
         }
         
+        if (window.Money && value instanceof window.Money) {
+            return value.format();
+        }
+        
         if (typeof value === 'number') {
             // Format numbers with appropriate precision
             if (Number.isInteger(value)) {
@@ -395,17 +406,14 @@ export class ContextRenderer {
 
     static initializeDefaultHelpers() {
         this.registerHelper('formatCurrency', (amount) => {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD'
-            }).format(amount);
+            return window.CurrencyFormatter.format(amount);
         });
 
         this.registerHelper('formatDate', (date, format = 'short') => {
             const d = new Date(date);
             switch (format) {
                 case 'long':
-                    return d.toLocaleDateString('en-US', { 
+                    return d.toLocaleDateString(this.context.Locale || 'en-US', { 
                         weekday: 'long', 
                         year: 'numeric', 
                         month: 'long', 
@@ -31,6 +31,7 @@ export class ControlFactory {
         'numeric-input': () => window.NumericInputControl,
         'password': () => window.PasswordControl,
         'barcode-input': () => window.BarcodeInputControl,
+        'coupon-input': () => window.CouponInputControl,
         'dropdown': () => window.DropdownControl,
         'datepicker': () => window.DatePickerControl,
         'toggle': () => window.ToggleControl,
@@ -44,6 +45,7 @@ export class ControlFactory {
         // Display Controls
         'label': () => window.LabelControl,
         'message-box': () => window.MessageBoxControl,
+        'lookup-popup': () => window.LookupPopupControl,
         'status-bar': () => window.StatusBarControl,
         'notification-area': () => window.NotificationAreaControl,
         'image': () => window.ImageControl,
@@ -317,6 +319,7 @@ export class ControlFactory {
             'numeric-input': 'input',
             'password': 'input',
             'barcode-input': 'input',
+            'coupon-input': 'input',
             'dropdown': 'input',
             'datepicker': 'input',
             'toggle': 'input',
@@ -328,6 +331,7 @@ export class ControlFactory {
             
             'label': 'display',
             'message-box': 'display',
+            'lookup-popup': 'display',
             'status-bar': 'display',
             'notification-area': 'display',
             'image': 'display',
@@ -365,6 +369,7 @@ export class ControlFactory {
             'numeric-input': 'Number input with validation',
             'password': 'Password input with toggle visibility',
             'barcode-input': 'Specialized barcode scanner input',
+            'coupon-input': 'Coupon code entry with applied coupons',
             'dropdown': 'Select dropdown menu',
             'datepicker': 'Date selection input',
             'toggle': 'Switch/toggle control',
@@ -376,6 +381,7 @@ export class ControlFactory {
             
             'label': 'Text display with styling variants',
             'message-box': 'Modal dialog for messages',
+            'lookup-popup': 'Modal list for picking a record',
             'status-bar': 'Application status display',
             'notification-area': 'Toast notification container',
             'image': 'Image display control',
@@ -0,0 +1,376 @@
+/**
+ * Coupon Manager - Coupon and discount-code redemption
+ *
+ * Coupons are entered by code or scanned; a scanned code that starts with one
+ * of `BARCODE_PREFIXES` is treated as a coupon rather than a product. Three
+ * kinds are supported:
+ * - `amount`  - `amountOff` the sale
+ * - `percent` - `percentOff` the sale
+ * - `item`    - `amountOff` or `percentOff` on up to `limit` units (default 1)
+ *               of the products in `items` and/or `categories`
+ *
+ * A coupon can require a `minimum` spend (after promotions) and be limited to
+ * `startDate`..`endDate`. Only one order coupon (amount or percent) can be
+ * used per sale; item coupons can be combined. Coupons are applied after the
+ * PromotionEngine discounts: item coupons first, then the order coupon on
+ * what is left.
+ *
+ * Gift card lines are never discounted.
+ *
+ * `singleUse` coupons can only be redeemed once. Redemptions are recorded when
+ * the sale completes and survive page reloads through localStorage.
+ *
+ * Checks throw an Error whose message says why the coupon was rejected, ready
+ * to show to the cashier.
+ *
+ * @class CouponManager
+ * @example
+ * const coupon = CouponManager.check('SAVE5', cartItems, { applied: transaction.coupons });
+ * transaction.addCoupon(coupon.code);
+ *
+ * const { discounts, rejected } = CouponManager.evaluate(transaction.coupons, cartItems, { discounts: promotions });
+ */
+export class CouponManager {
+    static TYPES = {
+        AMOUNT: 'amount',
+        PERCENT: 'percent',
+        ITEM: 'item'
+    };
+
+    static BARCODE_PREFIXES = ['99'];
+
+    static DEFAULT_COUPONS = [
+        { code: 'SAVE5', name: '$5 off $25 or more', type: 'amount', amountOff: 5, minimum: 25, barcode: '990000000051' },
+        { code: 'TAKE10', name: '10% off your purchase', type: 'percent', percentOff: 10, barcode: '990000000105' },
+        { code: 'MUG2', name: '$2 off a Coffee Mug', type: 'item', items: ['001'], amountOff: 2, barcode: '990000000020' },
+        { code: 'WELCOME15', name: 'Welcome: 15% off', type: 'percent', percentOff: 15, singleUse: true, barcode: '990000000159' }
+    ];
+
+    static REDEEMED_KEY = 'pos-redeemed-coupons';
+
+    static coupons = CouponManager.DEFAULT_COUPONS.map(coupon => CouponManager.normalize(coupon));
+    static redeemed = null;
+
+    /**
+     * Replaces the coupon configuration
+     * @param {Object} config - Coupon configuration
+     * @param {Object[]|string} [config.coupons] - Coupon definitions, or their JSON text
+     * @param {string[]} [config.barcodePrefixes] - Scanned codes starting with these are coupons
+     */
+    static configure(config = {}) {
+        if (config.coupons !== undefined) {
+            const coupons = typeof config.coupons === 'string' ? JSON.parse(config.coupons) : config.coupons;
+
+            if (!Array.isArray(coupons)) {
+                throw new Error('Coupons must be an array');
+            }
+
+            this.coupons = coupons.map((coupon, index) => {
+                const error = this.validate(coupon);
+                if (error) {
+                    throw new Error(`Coupon at index ${index} (${coupon && coupon.code}): ${error}`);
+                }
+                return this.normalize(coupon);
+            });
+        }
+
+        if (config.barcodePrefixes) {
+            this.BARCODE_PREFIXES = config.barcodePrefixes.map(String);
+        }
+
+        console.log(`CouponManager: Configured ${this.coupons.length} coupons`);
+    }
+
+    /**
+     * Checks a coupon definition
+     * @param {Object} coupon - Coupon definition
+     * @returns {string|null} Error message, or null when the coupon is valid
+     */
+    static validate(coupon) {
+        if (!coupon || !coupon.code) return 'code is required';
+        if (!Object.values(this.TYPES).includes(coupon.type)) return `unknown type "${coupon.type}"`;
+
+        const positive = (value) => typeof value === 'number' && value > 0;
+
+        switch (coupon.type) {
+            case this.TYPES.AMOUNT:
+                if (!positive(coupon.amountOff)) return 'amountOff must be greater than zero';
+                break;
+            case this.TYPES.PERCENT:
+                if (!positive(coupon.percentOff) || coupon.percentOff > 100) return 'percentOff must be between 0 and 100';
+                break;
+            case this.TYPES.ITEM:
+                if (!(coupon.items && coupon.items.length) && !(coupon.categories && coupon.categories.length)) {
+                    return 'items or categories are required';
+                }
+                if (!positive(coupon.amountOff) && !(positive(coupon.percentOff) && coupon.percentOff <= 100)) {
+                    return 'amountOff or percentOff is required';
+                }
+                if (coupon.limit !== undefined && (!Number.isInteger(coupon.limit) || coupon.limit < 1)) {
+                    return 'limit must be a whole number of at least 1';
+                }
+                break;
+        }
+
+        if (coupon.minimum !== undefined && !positive(coupon.minimum)) return 'minimum must be greater than zero';
+
+        const start = window.PromotionEngine.parseDate(coupon.startDate);
+        const end = window.PromotionEngine.parseDate(coupon.endDate, true);
+        if (start === undefined || end === undefined) return 'startDate and endDate must be ISO dates';
+
+        return null;
+    }
+
+    static normalize(coupon) {
+        return {
+            ...coupon,
+            code: this.normalizeCode(coupon.code),
+            barcode: coupon.barcode ? String(coupon.barcode).trim() : null,
+            name: coupon.name || coupon.code,
+            items: (coupon.items || []).map(String),
+            categories: (coupon.categories || []).map(category => String(category).toLowerCase()),
+            limit: coupon.limit || 1,
+            singleUse: !!coupon.singleUse
+        };
+    }
+
+    static normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    /**
+     * Whether a scanned code should be handled as a coupon
+     * @param {string} code - Scanned code
+     * @returns {boolean} True for coupon barcodes and known coupon codes
+     */
+    static isCouponBarcode(code) {
+        const value = String(code || '').trim();
+        return this.BARCODE_PREFIXES.some(prefix => value.startsWith(prefix)) || !!this.find(value);
+    }
+
+    static find(code) {
+        const value = this.normalizeCode(code);
+        return this.coupons.find(coupon => coupon.code === value || coupon.barcode === value) || null;
+    }
+
+    static isOrderCoupon(coupon) {
+        return coupon.type !== this.TYPES.ITEM;
+    }
+
+    /**
+     * Finds a coupon and checks it can be used on the cart
+     * @param {string} code - Typed or scanned code
+     * @param {Object[]} items - Active cart items
+     * @param {Object} [options] - { applied: codes already on the sale, discounts, isReturn, date, currency }
+     * @returns {Object} The coupon
+     * @throws {Error} Why the coupon was rejected
+     */
+    static check(code, items, options = {}) {
+        items = items.filter(item => !item.giftCard);
+        const coupon = this.find(code);
+        if (!coupon) {
+            throw new Error(`Coupon ${this.normalizeCode(code)} is not recognised`);
+        }
+
+        const applied = (options.applied || []).map(appliedCode => this.find(appliedCode)).filter(Boolean);
+        if (applied.some(other => other.code === coupon.code)) {
+            throw new Error(`${coupon.name} is already applied to this sale`);
+        }
+        if (this.isOrderCoupon(coupon) && applied.some(other => this.isOrderCoupon(other))) {
+            throw new Error('Only one order coupon can be used per sale');
+        }
+
+        const reason = this.getRejectionReason(coupon, items, options);
+        if (reason) {
+            throw new Error(reason);
+        }
+
+        return coupon;
+    }
+
+    /**
+     * Checks a coupon against the cart, without the per-sale stacking rules
+     * @returns {string|null} Why the coupon cannot be used, or null
+     */
+    static getRejectionReason(coupon, items, options = {}) {
+        const Money = window.Money;
+        const currency = options.currency || Money.DEFAULT_CURRENCY;
+        const date = options.date || new Date();
+        const formatter = window.CurrencyFormatter;
+
+        if (options.isReturn) {
+            return 'Coupons cannot be used on a return';
+        }
+
+        const start = window.PromotionEngine.parseDate(coupon.startDate);
+        const end = window.PromotionEngine.parseDate(coupon.endDate, true);
+        if (start && date < start) {
+            return `${coupon.name} is not valid until ${start.toLocaleDateString()}`;
+        }
+        if (end && date > end) {
+            return `${coupon.name} expired on ${end.toLocaleDateString()}`;
+        }
+
+        if (coupon.singleUse && this.isRedeemed(coupon.code)) {
+            const redemption = this.getRedemptions()[coupon.code];
+            return `${coupon.name} was already redeemed on ${redemption.transactionNumber}`;
+        }
+
+        if (coupon.type === this.TYPES.ITEM && this.getQualifyingUnits(coupon, items, currency).length === 0) {
+            const names = coupon.items
+                .map(id => (window.ProductCatalog && window.ProductCatalog.get(id) ? window.ProductCatalog.get(id).name : id))
+                .concat(coupon.categories);
+            return `${coupon.name} needs ${names.join(' or ')} in the cart`;
+        }
+
+        if (coupon.minimum) {
+            const basket = this.getBasket(items, options.discounts || [], currency);
+            const minimum = Money.fromMajor(coupon.minimum, currency);
+            if (basket.lessThan(minimum)) {
+                return `${coupon.name} needs a purchase of ${formatter.format(minimum)} (sale is ${formatter.format(basket)})`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Sale value after discounts; returned lines are not counted
+     */
+    static getBasket(items, discounts, currency) {
+        const Money = window.Money;
+        const sold = items.filter(item => item.quantity > 0);
+        const soldIds = new Set(sold.map(item => String(item.id)));
+        const discounted = discounts.flatMap(discount => discount.allocations
+            .filter(allocation => soldIds.has(allocation.itemId))
+            .map(allocation => allocation.amount));
+
+        return Money.sum(sold.map(item => Money.from(item.price, currency).multiply(item.quantity)), currency)
+            .plus(Money.sum(discounted, currency));
+    }
+
+    static getQualifyingUnits(coupon, items, currency) {
+        const units = [];
+        items.filter(item => item.quantity > 0 && window.PromotionEngine.matches(coupon, item)).forEach(item => {
+            const price = window.Money.from(item.price, currency);
+            for (let i = 0; i < Math.max(1, Math.floor(item.quantity)); i++) {
+                units.push({ item, price });
+            }
+        });
+        return units.sort((a, b) => b.price.compare(a.price));
+    }
+
+    /**
+     * Works out the discounts for the coupons on a sale, re-checking each one
+     * @param {string[]} codes - Coupon codes on the sale, in the order applied
+     * @param {Object[]} items - Active cart items
+     * @param {Object} [options] - { discounts: promotion discounts, isReturn, date, currency }
+     * @returns {Object} { discounts, rejected: [{ code, reason }] }
+     */
+    static evaluate(codes, items, options = {}) {
+        const Money = window.Money;
+        const currency = options.currency || Money.DEFAULT_CURRENCY;
+        const coupons = codes.map(code => ({ code, coupon: this.find(code) }));
+        items = items.filter(item => !item.giftCard);
+        const rejected = coupons
+            .filter(({ coupon }) => !coupon)
+            .map(({ code }) => ({ code, reason: `Coupon ${code} is no longer available` }));
+
+        // Item coupons first, then the order coupon on what is left
+        const ordered = coupons
+            .filter(({ coupon }) => coupon)
+            .sort((a, b) => Number(this.isOrderCoupon(a.coupon)) - Number(this.isOrderCoupon(b.coupon)));
+
+        let discounts = options.discounts || [];
+        const couponDiscounts = [];
+
+        ordered.forEach(({ code, coupon }) => {
+            const reason = this.getRejectionReason(coupon, items, { ...options, discounts });
+            if (reason) {
+                rejected.push({ code, reason });
+                return;
+            }
+
+            const discount = this.calculate(coupon, items, discounts, currency);
+            if (discount) {
+                couponDiscounts.push(discount);
+                discounts = discounts.concat(discount);
+            }
+        });
+
+        return { discounts: couponDiscounts, rejected };
+    }
+
+    static calculate(coupon, items, discounts, currency) {
+        const Money = window.Money;
+        const rule = { id: `coupon-${coupon.code}`, name: `Coupon: ${coupon.name}`, type: 'coupon' };
+
+        if (coupon.type === this.TYPES.ITEM) {
+            const units = this.getQualifyingUnits(coupon, items, currency).slice(0, coupon.limit);
+            const perUnit = units.map(unit => (coupon.amountOff ?
+                Money.min(Money.fromMajor(coupon.amountOff, currency), unit.price) :
+                unit.price.multiply(coupon.percentOff / 100)));
+            // Never more than what is left of those lines after promotions
+            const left = this.getBasket(units.map(unit => unit.item).filter((item, index, all) => all.indexOf(item) === index), discounts, currency);
+            const amount = Money.max(Money.zero(currency), Money.min(Money.sum(perUnit, currency), left));
+            return window.PromotionEngine.buildDiscount(rule, amount, units, currency);
+        }
+
+        const basket = this.getBasket(items, discounts, currency);
+        if (!basket.isPositive()) return null;
+
+        const amount = coupon.type === this.TYPES.PERCENT ?
+            basket.multiply(coupon.percentOff / 100) :
+            Money.min(Money.fromMajor(coupon.amountOff, currency), basket);
+        const lines = items
+            .filter(item => item.quantity > 0)
+            .map(item => ({ item, price: Money.from(item.price, currency).multiply(item.quantity) }));
+
+        return window.PromotionEngine.buildDiscount(rule, amount, lines, currency);
+    }
+
+    static getRedemptions() {
+        if (!this.redeemed) {
+            try {
+                this.redeemed = JSON.parse(localStorage.getItem(this.REDEEMED_KEY)) || {};
+            } catch (error) {
+                // localStorage unavailable - track redemptions for this session only
+                this.redeemed = {};
+            }
+        }
+        return this.redeemed;
+    }
+
+    static isRedeemed(code) {
+        return !!this.getRedemptions()[this.normalizeCode(code)];
+    }
+
+    /**
+     * Records the single-use coupons of a completed sale as redeemed
+     * @param {string[]} codes - Coupon codes on the sale
+     * @param {string} transactionNumber - Sale they were redeemed on
+     */
+    static markRedeemed(codes, transactionNumber) {
+        const redemptions = this.getRedemptions();
+        const singleUse = codes.map(code => this.find(code)).filter(coupon => coupon && coupon.singleUse);
+
+        if (singleUse.length === 0) return;
+
+        singleUse.forEach(coupon => {
+            redemptions[coupon.code] = { transactionNumber, redeemedAt: new Date().toISOString() };
+        });
+
+        try {
+            localStorage.setItem(this.REDEEMED_KEY, JSON.stringify(redemptions));
+        } catch (error) {
+            // Ignore - the in-memory record still blocks reuse this session
+        }
+
+        console.log(`CouponManager: Redeemed ${singleUse.map(coupon => coupon.code).join(', ')} on ${transactionNumber}`);
+    }
+}
+
+// Make CouponManager globally available
+if (typeof window !== 'undefined') {
+    window.CouponManager = CouponManager;
+}
@@ -0,0 +1,196 @@
+/**
+ * Currency Formatter - Locale-aware money and number display
+ *
+ * Formats every amount shown by the transaction and special controls with
+ * Intl.NumberFormat, so the currency symbol, its position, the decimal
+ * separator and digit grouping all follow the store's locale.
+ *
+ * The locale and currency come from ContextRenderer.context:
+ * - `Locale`   - BCP 47 locale tag, e.g. 'en-US', 'de-DE', 'fr-CA'
+ * - `Currency` - ISO 4217 code, e.g. 'USD', 'EUR', 'JPY'
+ * - `CurrencyDisplay` - optional: 'symbol' (default), 'narrowSymbol', 'code' or 'name'
+ *
+ * Changing `Currency` also changes Money.DEFAULT_CURRENCY so new cart
+ * amounts are created in the store's currency. The change is refused while a
+ * sale is open (its amounts are in the old currency), and an unknown code is
+ * refused too; either way the context goes back to the currency in use and
+ * the cashier gets a warning.
+ *
+ * @class CurrencyFormatter
+ * @example
+ * ContextRenderer.updateContext({ Locale: 'de-DE', Currency: 'EUR' });
+ *
+ * CurrencyFormatter.format(Money.fromMajor(1234.5, 'EUR')); // "1.234,50 €"
+ * CurrencyFormatter.format(12.99);                          // "12,99 €"
+ * CurrencyFormatter.formatNumber(1.5);                      // "1,50"
+ * CurrencyFormatter.formatPercent(0.0625);                  // "6,25 %"
+ */
+export class CurrencyFormatter {
+    static DEFAULT_LOCALE = 'en-US';
+    static DEFAULT_CURRENCY = 'USD';
+
+    static formatters = new Map();
+    static unwatch = null;
+    static currency = null;     // Currency in use: the last accepted `Currency` context value
+
+    /**
+     * Applies the context currency and follows later Locale/Currency changes
+     */
+    static init() {
+        const requested = this.getContextValue('Currency') || this.DEFAULT_CURRENCY;
+        this.currency = this.isValidCurrency(requested) ? requested : this.DEFAULT_CURRENCY;
+        if (this.currency !== requested) {
+            this.refuseCurrency(`Unknown currency "${requested}", using ${this.currency}`);
+        }
+        this.applyCurrency();
+
+        if (!this.unwatch && window.ContextRenderer) {
+            this.unwatch = window.ContextRenderer.watch(['Locale', 'Currency'], (changedKeys) => {
+                if (changedKeys.includes('Currency') && !this.acceptCurrency()) {
+                    return;
+                }
+                this.applyCurrency();
+                console.log(`CurrencyFormatter: Using ${this.getLocale()} / ${this.getCurrency()}`);
+            });
+        }
+    }
+
+    /**
+     * Takes the new `Currency` context value, or puts the context back to the
+     * currency in use when the code is unknown or a sale is open
+     * @returns {boolean} True when the currency in use is the context value
+     */
+    static acceptCurrency() {
+        const requested = this.getContextValue('Currency') || this.DEFAULT_CURRENCY;
+        if (requested === this.currency) {
+            return true;
+        }
+
+        if (!this.isValidCurrency(requested)) {
+            this.refuseCurrency(`Unknown currency "${requested}", still using ${this.currency}`);
+            return false;
+        }
+        if (this.isSaleOpen()) {
+            this.refuseCurrency(`Finish or void the current sale before changing the currency to ${requested}`);
+            return false;
+        }
+
+        this.currency = requested;
+        return true;
+    }
+
+    static refuseCurrency(message) {
+        console.warn(`CurrencyFormatter: ${message}`);
+        if (window.NotificationSystem) {
+            window.NotificationSystem.warning(message);
+        }
+        if (window.ContextRenderer && window.ContextRenderer.getContext('Currency') !== this.currency) {
+            window.ContextRenderer.setContext('Currency', this.currency);
+        }
+    }
+
+    /**
+     * Whether a code is an ISO 4217 currency Intl can format
+     * @param {string} code - Currency code, e.g. 'EUR'
+     * @returns {boolean} True for a known currency
+     */
+    static isValidCurrency(code) {
+        if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) {
+            return false;
+        }
+        if (typeof Intl.supportedValuesOf === 'function') {
+            return Intl.supportedValuesOf('currency').includes(code);
+        }
+
+        try {
+            new Intl.NumberFormat(this.DEFAULT_LOCALE, { style: 'currency', currency: code });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static isSaleOpen() {
+        const state = window.StateManager ? window.StateManager.getState('transactionState') : null;
+        return !!window.Transaction && (state === window.Transaction.STATES.OPEN || state === window.Transaction.STATES.TENDERING);
+    }
+
+    static applyCurrency() {
+        if (window.Money) {
+            window.Money.DEFAULT_CURRENCY = this.getCurrency();
+        }
+    }
+
+    static getContextValue(key) {
+        return window.ContextRenderer ? window.ContextRenderer.getContext(key) : undefined;
+    }
+
+    static getLocale() {
+        return this.getContextValue('Locale') || this.DEFAULT_LOCALE;
+    }
+
+    static getCurrency() {
+        return this.currency || this.getContextValue('Currency') || this.DEFAULT_CURRENCY;
+    }
+
+    /**
+     * Returns a cached Intl.NumberFormat, falling back to the default locale for invalid tags
+     * (the currency is checked when it is set)
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {Intl.NumberFormat} Formatter
+     */
+    static getFormatter(options) {
+        const locale = this.getLocale();
+        const key = `${locale}|${JSON.stringify(options)}`;
+
+        if (!this.formatters.has(key)) {
+            let formatter;
+            try {
+                formatter = new Intl.NumberFormat(locale, options);
+            } catch (error) {
+                console.warn(`CurrencyFormatter: Invalid locale (${locale}), using ${this.DEFAULT_LOCALE}`, error);
+                formatter = new Intl.NumberFormat(this.DEFAULT_LOCALE, options);
+            }
+            this.formatters.set(key, formatter);
+        }
+
+        return this.formatters.get(key);
+    }
+
+    /**
+     * Formats an amount as currency
+     * @param {Money|number|string} value - Money, or a decimal amount in the context currency
+     * @returns {string} Localized currency string
+     */
+    static format(value) {
+        const money = window.Money.from(value, this.getCurrency());
+        const decimals = window.Money.decimalsFor(money.currency);
+
+        return this.getFormatter({
+            style: 'currency',
+            currency: money.currency,
+            currencyDisplay: this.getContextValue('CurrencyDisplay') || 'symbol',
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(money.toMajor());
+    }
+
+    static formatNumber(value, decimals = 2) {
+        return this.getFormatter({
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(value);
+    }
+
+    static formatPercent(rate) {
+        return this.getFormatter({
+            style: 'percent',
+            maximumFractionDigits: 4
+        }).format(rate);
+    }
+}
+
+// Make CurrencyFormatter globally available
+if (typeof window !== 'undefined') {
+    window.CurrencyFormatter = CurrencyFormatter;
+}
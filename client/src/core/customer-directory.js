@@ -0,0 +1,258 @@
+/**
+ * Customer Directory - Customer records for the POS
+ *
+ * Holds the customer list in memory for quick searches from the register and
+ * persists it to the `customers` IndexedDB store through PosDatabase. Like
+ * ProductCatalog it starts with a few demo customers; `init()` replaces them
+ * with the stored list, or seeds the store with them on first run.
+ *
+ * Customers are found by name, email or phone (any formatting - phone numbers
+ * are compared digit by digit). `save()` validates a record and assigns the
+ * next id ("C0004") to new customers. Validation errors are thrown with a
+ * cashier-readable message and a `fields` map ({ email: 'message' }) so forms
+ * can mark the offending inputs.
+ *
+ * @class CustomerDirectory
+ * @example
+ * await CustomerDirectory.init();
+ *
+ * CustomerDirectory.search('555 123');       // phone
+ * CustomerDirectory.search('jane@');         // email
+ * const customer = await CustomerDirectory.save({ name: 'Ann Lee', phone: '555-987-6543' });
+ * ContextRenderer.updateContext(CustomerDirectory.toContext(customer));
+ */
+export class CustomerDirectory {
+    static STORE_NAME = 'customers';
+    static ID_PREFIX = 'C';
+    static WALK_IN_NAME = 'Walk-in Customer';
+
+    static DEFAULT_CUSTOMERS = [
+        { id: 'C0001', name: 'Jane Smith', phone: '(555) 123-4567', email: 'jane@example.com' },
+        { id: 'C0002', name: 'Robert Johnson', phone: '(555) 234-5678', email: 'rjohnson@example.com' },
+        { id: 'C0003', name: 'Maria Garcia', phone: '(555) 345-6789', email: 'maria.garcia@example.com' }
+    ];
+
+    static customers = new Map();
+    static readyPromise = null;
+    static persistent = false;
+
+    /**
+     * Loads the directory from IndexedDB, seeding it with the demo customers on first run
+     * @returns {Promise<number>} Number of customers loaded
+     */
+    static init() {
+        if (this.readyPromise) {
+            return this.readyPromise;
+        }
+
+        if (!window.PosDatabase || !window.PosDatabase.isAvailable()) {
+            console.warn('CustomerDirectory: IndexedDB unavailable, using in-memory directory');
+            this.readyPromise = Promise.resolve(this.customers.size);
+            return this.readyPromise;
+        }
+
+        this.readyPromise = window.PosDatabase.getAll(this.STORE_NAME)
+            .then(async (stored) => {
+                this.persistent = true;
+
+                if (stored.length === 0) {
+                    await window.PosDatabase.putMany(this.STORE_NAME, this.getAll());
+                    console.log(`CustomerDirectory: Seeded ${this.customers.size} demo customers`);
+                } else {
+                    this.replaceAll(stored);
+                    console.log(`CustomerDirectory: Loaded ${stored.length} customers`);
+                }
+
+                return this.customers.size;
+            })
+            .catch((error) => {
+                console.error('CustomerDirectory: Failed to load customers, using in-memory directory', error);
+                return this.customers.size;
+            });
+
+        return this.readyPromise;
+    }
+
+    static get(id) {
+        const customer = this.customers.get(String(id));
+        return customer ? { ...customer } : null;
+    }
+
+    /**
+     * All customers, sorted by name
+     * @returns {Object[]} Customer copies
+     */
+    static getAll() {
+        return Array.from(this.customers.values())
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(customer => ({ ...customer }));
+    }
+
+    /**
+     * Searches customers by name, email or phone number
+     * @param {string} query - Search text; digits also match phone numbers regardless of formatting
+     * @param {number} [limit=20] - Maximum number of results
+     * @returns {Object[]} Matching customers, best matches first
+     */
+    static search(query, limit = 20) {
+        const text = String(query || '').trim().toLowerCase();
+        if (!text) {
+            return [];
+        }
+
+        const digits = this.normalizePhone(text);
+        const matches = [];
+
+        this.customers.forEach(customer => {
+            const position = customer.name.toLowerCase().indexOf(text);
+            if (position >= 0) {
+                matches.push({ customer, score: position });
+            } else if (customer.email && customer.email.includes(text)) {
+                matches.push({ customer, score: 100 });
+            } else if (digits.length >= 3 && this.normalizePhone(customer.phone).includes(digits)) {
+                matches.push({ customer, score: 200 });
+            }
+        });
+
+        return matches
+            .sort((a, b) => a.score - b.score || a.customer.name.localeCompare(b.customer.name))
+            .slice(0, limit)
+            .map(match => ({ ...match.customer }));
+    }
+
+    /**
+     * Checks a customer record
+     * @param {Object} customer - Normalized customer
+     * @returns {Object} Error message per field; empty when the record is valid
+     */
+    static validate(customer) {
+        const errors = {};
+        const phone = this.normalizePhone(customer.phone);
+
+        if (!customer.name) {
+            errors.name = 'Customer name is required';
+        }
+        if (!customer.phone && !customer.email) {
+            errors.phone = 'Enter a phone number or an email address';
+        }
+        if (customer.phone && (phone.length < 7 || phone.length > 15)) {
+            errors.phone = `${customer.phone} is not a valid phone number`;
+        }
+        if (customer.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customer.email)) {
+            errors.email = `${customer.email} is not a valid email address`;
+        }
+
+        this.customers.forEach(existing => {
+            if (existing.id === customer.id) return;
+
+            if (!errors.phone && phone && this.normalizePhone(existing.phone) === phone) {
+                errors.phone = `Phone ${customer.phone} already belongs to ${existing.name}`;
+            }
+            if (!errors.email && customer.email && existing.email === customer.email) {
+                errors.email = `Email ${customer.email} already belongs to ${existing.name}`;
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Adds or updates a customer and persists it
+     * @param {Object} customer - { id?, name, phone, email, notes }; without an id a new customer is created
+     * @returns {Promise<Object>} Stored customer
+     * @throws {Error} With a `fields` map when the record is invalid
+     */
+    static async save(customer) {
+        const existing = customer.id ? this.customers.get(String(customer.id)) : null;
+        const normalized = this.normalize({
+            ...customer,
+            id: customer.id || this.nextId(),
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        });
+        normalized.updatedAt = new Date().toISOString();
+
+        const errors = this.validate(normalized);
+        if (Object.keys(errors).length > 0) {
+            const error = new Error(Object.values(errors)[0]);
+            error.fields = errors;
+            throw error;
+        }
+
+        if (this.persistent) {
+            await window.PosDatabase.put(this.STORE_NAME, normalized);
+        }
+        this.customers.set(normalized.id, normalized);
+
+        console.log(`CustomerDirectory: ${existing ? 'Updated' : 'Added'} ${normalized.id} (${normalized.name})`);
+        return { ...normalized };
+    }
+
+    static nextId() {
+        const highest = Array.from(this.customers.keys()).reduce((max, id) => {
+            const number = id.startsWith(this.ID_PREFIX) ? parseInt(id.slice(this.ID_PREFIX.length), 10) : 0;
+            return Number.isFinite(number) ? Math.max(max, number) : max;
+        }, 0);
+
+        return `${this.ID_PREFIX}${String(highest + 1).padStart(4, '0')}`;
+    }
+
+    static replaceAll(customers) {
+        this.customers.clear();
+        customers.forEach(customer => {
+            const normalized = this.normalize(customer);
+            this.customers.set(normalized.id, normalized);
+        });
+    }
+
+    static normalize(customer) {
+        const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+        return {
+            id: text(customer.id),
+            name: text(customer.name).replace(/\s+/g, ' '),
+            phone: text(customer.phone),
+            email: text(customer.email).toLowerCase(),
+            notes: text(customer.notes),
+            createdAt: customer.createdAt || null,
+            updatedAt: customer.updatedAt || null
+        };
+    }
+
+    static normalizePhone(phone) {
+        return String(phone || '').replace(/\D/g, '');
+    }
+
+    /**
+     * The part of a customer that travels with a transaction
+     * @param {Object|null} customer - Customer record
+     * @returns {Object|null} { id, name, phone, email }
+     */
+    static toSummary(customer) {
+        if (!customer) return null;
+
+        const { id, name, phone, email } = customer;
+        return { id, name, phone: phone || '', email: email || '' };
+    }
+
+    /**
+     * Context placeholders for a customer (#{CustomerName}, #{CustomerID}, ...)
+     * @param {Object|null} customer - Customer, or null for a walk-in
+     * @returns {Object} Values for ContextRenderer.updateContext
+     */
+    static toContext(customer) {
+        return {
+            CustomerName: customer ? customer.name : this.WALK_IN_NAME,
+            CustomerID: customer ? customer.id : '',
+            CustomerPhone: customer ? customer.phone || '' : '',
+            CustomerEmail: customer ? customer.email || '' : ''
+        };
+    }
+}
+
+// Start with the demo customers until init() loads the stored directory
+CustomerDirectory.replaceAll(CustomerDirectory.DEFAULT_CUSTOMERS);
+
+// Make CustomerDirectory globally available
+if (typeof window !== 'undefined') {
+    window.CustomerDirectory = CustomerDirectory;
+}
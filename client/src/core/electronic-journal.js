@@ -0,0 +1,311 @@
+/**
+ * Electronic Journal - Append-only, hash-chained record of finalized sales
+ *
+ * Every completed or voided transaction is written to the `journal` store in
+ * IndexedDB with its lines, taxes, tenders, cashier and terminal. Completed
+ * returns are journaled as type 'return' with negative lines and tenders. Entries are
+ * numbered 1, 2, 3, ... and are only ever inserted, never updated.
+ *
+ * Each entry stores the SHA-256 hash of its own content plus the hash of the
+ * entry before it (`previousHash`). Changing, removing or re-ordering any
+ * stored entry breaks the chain, which `verify()` reports.
+ *
+ * Entries returned by the journal are deeply frozen.
+ *
+ * @class ElectronicJournal
+ * @example
+ * await ElectronicJournal.record(transaction);
+ *
+ * await ElectronicJournal.query({ transactionNumber: 'T001-000042' });
+ * await ElectronicJournal.query({ from: '2024-03-01', to: '2024-03-31', cashier: 'John Doe' });
+ *
+ * const { valid, errors } = await ElectronicJournal.verify();
+ */
+export class ElectronicJournal {
+    static STORE_NAME = 'journal';
+    static GENESIS_HASH = '0'.repeat(64);
+
+    static lastEntry = null;
+    static memoryEntries = [];
+    static persistent = false;
+    static readyPromise = null;
+    static writeQueue = Promise.resolve();
+
+    /**
+     * Loads the last journal entry so new entries can be chained to it
+     * @returns {Promise<number>} Number of entries in the journal
+     */
+    static init() {
+        if (this.readyPromise) {
+            return this.readyPromise;
+        }
+
+        if (!window.PosDatabase || !window.PosDatabase.isAvailable()) {
+            console.warn('ElectronicJournal: IndexedDB unavailable, journal kept in memory only');
+            this.readyPromise = Promise.resolve(0);
+            return this.readyPromise;
+        }
+
+        this.readyPromise = window.PosDatabase.count(this.STORE_NAME)
+            .then(async (count) => {
+                this.persistent = true;
+                this.lastEntry = count > 0 ? await window.PosDatabase.get(this.STORE_NAME, count) : null;
+                console.log(`ElectronicJournal: ${count} entries`);
+                return count;
+            })
+            .catch((error) => {
+                console.error('ElectronicJournal: Failed to open journal, using memory', error);
+                return 0;
+            });
+
+        return this.readyPromise;
+    }
+
+    /**
+     * Appends a finalized transaction to the journal
+     * Writes are queued so entries are chained in the order they were recorded.
+     * @param {Transaction} transaction - Completed or voided transaction
+     * @returns {Promise<Object>} Frozen journal entry
+     */
+    static record(transaction) {
+        const write = this.writeQueue.then(() => this.append(transaction));
+        // Keep the queue alive after a failed write
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    static async append(transaction) {
+        if (!transaction.isFinal()) {
+            throw new Error(`Transaction ${transaction.number} is still ${transaction.state}`);
+        }
+
+        await this.init();
+
+        const entry = this.buildEntry(transaction);
+        entry.sequence = this.lastEntry ? this.lastEntry.sequence + 1 : 1;
+        entry.previousHash = this.lastEntry ? this.lastEntry.hash : this.GENESIS_HASH;
+        entry.hash = await this.hashEntry(entry);
+
+        if (this.persistent) {
+            await window.PosDatabase.add(this.STORE_NAME, entry);
+        } else {
+            this.memoryEntries.push(entry);
+        }
+
+        this.lastEntry = entry;
+        console.log(`ElectronicJournal: Recorded #${entry.sequence} (${entry.transactionNumber})`);
+        return this.deepFreeze(this.clone(entry));
+    }
+
+    /**
+     * Builds the stored form of a transaction: plain JSON, Money as minor units
+     * @param {Transaction} transaction - Finalized transaction
+     * @returns {Object} Entry without sequence and hashes
+     */
+    static buildEntry(transaction) {
+        const context = window.ContextRenderer.getAllContext();
+        const data = this.clone(transaction.toJSON());
+        const recordedAt = new Date();
+        const totals = data.totals || {};
+        // Promotions, coupons and points come off the lines they were allocated to, so a return refunds what was paid
+        const lineDiscounts = window.PromotionEngine && transaction.totals ?
+            window.PromotionEngine.allocateToLines(transaction.items, transaction.totals.discounts) :
+            transaction.items.map(() => null);
+
+        let type = transaction.isReturn() ? 'return' : 'sale';
+        if (transaction.state === window.Transaction.STATES.VOIDED) {
+            type = 'void';
+        }
+
+        return {
+            type,
+            transactionNumber: data.number,
+            recordedAt: recordedAt.toISOString(),
+            date: this.toDateKey(recordedAt),
+            storeId: context.StoreID || null,
+            terminalId: context.TerminalID || data.terminalId,
+            cashier: context.UserName || data.cashier || null,
+            cashierId: context.UserID || data.cashierId || null,
+            shiftId: context.ShiftID || null,
+            openedAt: data.openedAt,
+            completedAt: data.completedAt,
+            voidedAt: data.voidedAt,
+            voidReason: data.voidReason,
+            originalTransactionNumber: data.originalTransactionNumber,
+            returnReason: data.returnReason,
+            approvedBy: data.approvedBy,
+            coupons: data.coupons || [],
+            customer: data.customer ? { id: data.customer.id, name: data.customer.name } : null,
+            loyalty: data.loyalty || null,
+            // Voided lines are kept for the record with a zero total
+            lines: transaction.items.map((item, index) => ({
+                lineNumber: index + 1,
+                id: String(item.id),
+                name: item.name,
+                quantity: item.quantity,
+                unitPrice: window.Money.from(item.price).toJSON(),
+                total: item.voided ?
+                    window.Money.zero(window.Money.from(item.price).currency).toJSON() :
+                    window.Money.from(item.price).multiply(item.quantity).toJSON(),
+                discount: lineDiscounts[index] ? lineDiscounts[index].toJSON() : null,
+                taxClass: window.TaxEngine ? window.TaxEngine.resolveTaxClass(item) : null,
+                voided: !!item.voided,
+                originalPrice: item.originalPrice !== undefined ? window.Money.from(item.originalPrice).toJSON() : null,
+                overrideReason: item.overrideReason || null,
+                overrideApprovedBy: item.overrideApprovedBy || null,
+                giftCard: item.giftCard ? { action: item.giftCard.action, reference: item.giftCard.reference } : null,
+                returnLine: item.returnLine || null
+            })),
+            subtotal: totals.subtotal || null,
+            tax: totals.tax || null,
+            total: totals.total || null,
+            taxes: totals.taxBreakdown || [],
+            discounts: totals.discounts || [],
+            tenders: data.tenders.map(tender => ({
+                method: tender.method,
+                amount: tender.amount,
+                reference: tender.reference || null,
+                cardNumber: tender.cardNumber || null
+            })),
+            change: data.change,
+            history: data.history
+        };
+    }
+
+    /**
+     * Finds journal entries
+     * @param {Object} [filters] - Any combination of filters
+     * @param {string} [filters.transactionNumber] - Exact transaction number
+     * @param {string} [filters.cashier] - Cashier name
+     * @param {string} [filters.cashierId] - Cashier user ID
+     * @param {string} [filters.shiftId] - Till shift ID
+     * @param {string|Date} [filters.from] - First business date (inclusive)
+     * @param {string|Date} [filters.to] - Last business date (inclusive)
+     * @param {string} [filters.type] - 'sale', 'return' or 'void'
+     * @returns {Promise<Object[]>} Frozen entries in journal order
+     */
+    static async query(filters = {}) {
+        await this.init();
+
+        const from = filters.from ? this.toDateKey(filters.from) : null;
+        const to = filters.to ? this.toDateKey(filters.to) : null;
+        let entries;
+
+        if (!this.persistent) {
+            entries = this.memoryEntries;
+        } else if (filters.transactionNumber) {
+            entries = await window.PosDatabase.getAllByIndex(this.STORE_NAME, 'transactionNumber', filters.transactionNumber);
+        } else if (filters.cashier) {
+            entries = await window.PosDatabase.getAllByIndex(this.STORE_NAME, 'cashier', filters.cashier);
+        } else if (from || to) {
+            const range = from && to ? IDBKeyRange.bound(from, to) :
+                from ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+            entries = await window.PosDatabase.getAllByIndex(this.STORE_NAME, 'date', range);
+        } else {
+            entries = await window.PosDatabase.getAll(this.STORE_NAME);
+        }
+
+        return entries
+            .filter(entry => !filters.transactionNumber || entry.transactionNumber === filters.transactionNumber)
+            .filter(entry => !filters.cashier || entry.cashier === filters.cashier)
+            .filter(entry => !filters.cashierId || entry.cashierId === filters.cashierId)
+            .filter(entry => !filters.shiftId || entry.shiftId === filters.shiftId)
+            .filter(entry => !from || entry.date >= from)
+            .filter(entry => !to || entry.date <= to)
+            .filter(entry => !filters.type || entry.type === filters.type)
+            .sort((a, b) => a.sequence - b.sequence)
+            .map(entry => this.deepFreeze(this.clone(entry)));
+    }
+
+    static async getAll() {
+        return this.query();
+    }
+
+    /**
+     * Recomputes every hash and checks the chain
+     * @returns {Promise<Object>} { valid, count, errors: [{ sequence, message }] }
+     */
+    static async verify() {
+        const entries = await this.getAll();
+        const errors = [];
+        let previousHash = this.GENESIS_HASH;
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+
+            if (entry.sequence !== i + 1) {
+                errors.push({ sequence: entry.sequence, message: `Expected entry #${i + 1}, found #${entry.sequence}` });
+            }
+            if (entry.previousHash !== previousHash) {
+                errors.push({ sequence: entry.sequence, message: 'Previous hash does not match the entry before it' });
+            }
+            if (await this.hashEntry(entry) !== entry.hash) {
+                errors.push({ sequence: entry.sequence, message: 'Entry content does not match its hash' });
+            }
+
+            previousHash = entry.hash;
+        }
+
+        return { valid: errors.length === 0, count: entries.length, errors };
+    }
+
+    /**
+     * SHA-256 of the entry's canonical JSON, excluding its own hash
+     * @param {Object} entry - Journal entry
+     * @returns {Promise<string>} Hex digest
+     */
+    static async hashEntry(entry) {
+        if (!globalThis.crypto || !globalThis.crypto.subtle) {
+            throw new Error('Web Crypto is not available (the journal needs HTTPS or localhost)');
+        }
+
+        const { hash, ...content } = entry;
+        const bytes = new TextEncoder().encode(this.canonicalJSON(content));
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // JSON with object keys sorted, so the same content always hashes the same
+    static canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJSON(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJSON(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    // Local business date, e.g. '2024-03-15'
+    static toDateKey(date) {
+        if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return date;
+        }
+
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    static clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    static deepFreeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.values(value).forEach(child => this.deepFreeze(child));
+            Object.freeze(value);
+        }
+        return value;
+    }
+}
+
+// Make ElectronicJournal globally available
+if (typeof window !== 'undefined') {
+    window.ElectronicJournal = ElectronicJournal;
+}
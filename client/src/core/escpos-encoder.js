@@ -0,0 +1,436 @@
+/**
+ * ESC/POS Encoder - Byte stream builder for thermal receipt printers
+ *
+ * Chainable builder for the ESC/POS command set understood by most receipt
+ * printers: text with bold, underline, inverse and double size, alignment,
+ * paper feed, cut and the drawer-kick pulse. `encode()` returns the bytes as
+ * a Uint8Array, so output can be checked without a printer.
+ *
+ * Barcodes go out either as the printer's own Code128, EAN-13 and QR commands
+ * (`barcode()`, `qrcode()`), or as a raster image from BarcodeEncoder
+ * (`image()`) for printers that lack them.
+ *
+ * The column width follows the paper: 32 characters on 58mm and 48 on 80mm
+ * (font A). `pair()`, `row()` and `rule()` lay text out against it,
+ * allowing for double-width text. Text is sent in code page PC858 (Latin-1
+ * letters and the euro sign); characters outside it print as '?'.
+ *
+ * @class EscPosEncoder
+ * @example
+ * const bytes = new EscPosEncoder({ paperWidth: 58 })
+ *     .initialize()
+ *     .align('center').bold(true).size(2, 2).line('ABC Store')
+ *     .size(1, 1).bold(false).align('left')
+ *     .pair('Coffee Mug x2', '$25.98')
+ *     .rule()
+ *     .pulse()
+ *     .cut()
+ *     .encode();   // Uint8Array [0x1b, 0x40, 0x1b, 0x74, 0x13, ...]
+ */
+export class EscPosEncoder {
+    static ESC = 0x1b;
+    static GS = 0x1d;
+    static LF = 0x0a;
+
+    // Characters per line in font A
+    static PAPER_WIDTHS = {
+        58: 32,
+        80: 48
+    };
+
+    // Printable dots per line at 203 dpi
+    static PAPER_DOTS = {
+        58: 384,
+        80: 576
+    };
+
+    // GS k symbology numbers (function B)
+    static BARCODE_TYPES = {
+        ean13: 67,
+        code128: 73
+    };
+
+    static ALIGNMENTS = {
+        left: 0,
+        center: 1,
+        right: 2
+    };
+
+    static CODE_PAGE_PC858 = 19;
+
+    // Upper half (0x80-0xFF) of code page 858; 0xF0 is a soft hyphen and 0xFF a no-break space
+    static PC858 =
+        'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+        '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0';
+
+    static charMap = null;
+
+    /**
+     * @param {Object} [options] - { paperWidth: 58 or 80 (mm) }
+     */
+    constructor({ paperWidth = 80 } = {}) {
+        const columns = EscPosEncoder.PAPER_WIDTHS[paperWidth];
+        if (!columns) {
+            throw new Error(`Unsupported paper width ${paperWidth}mm (use ${Object.keys(EscPosEncoder.PAPER_WIDTHS).join(' or ')})`);
+        }
+
+        this.paperWidth = paperWidth;
+        this.columns = columns;
+        this.widthScale = 1;
+        this.bytes = [];
+    }
+
+    static getColumns(paperWidth) {
+        return this.PAPER_WIDTHS[paperWidth] || this.PAPER_WIDTHS[80];
+    }
+
+    /**
+     * Bytes of a string in PC858
+     * @param {string} text - Text
+     * @returns {number[]} Bytes
+     */
+    static encodeText(text) {
+        if (!this.charMap) {
+            this.charMap = new Map(Array.from(this.PC858, (char, index) => [char, 0x80 + index]));
+        }
+
+        return Array.from(String(text).normalize('NFC'), (char) => {
+            const code = char.charCodeAt(0);
+            if (char.length === 1 && code >= 0x20 && code < 0x7f) return code;
+            return this.charMap.get(char) || 0x3f;
+        });
+    }
+
+    /**
+     * Hex dump of a byte stream, e.g. "1b 40 0a"
+     * @param {Uint8Array|number[]} bytes - Bytes
+     * @returns {string} Space-separated hex pairs
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+    }
+
+    raw(bytes) {
+        // A loop rather than push(...bytes): image data can exceed the argument limit
+        for (const byte of bytes) {
+            this.bytes.push(byte);
+        }
+        return this;
+    }
+
+    /**
+     * Resets the printer and selects code page PC858
+     */
+    initialize() {
+        this.widthScale = 1;
+        return this.raw([EscPosEncoder.ESC, 0x40, EscPosEncoder.ESC, 0x74, EscPosEncoder.CODE_PAGE_PC858]);
+    }
+
+    /**
+     * @param {string} alignment - 'left', 'center' or 'right'
+     */
+    align(alignment) {
+        const value = EscPosEncoder.ALIGNMENTS[alignment];
+        if (value === undefined) {
+            throw new Error(`Unknown alignment: ${alignment}`);
+        }
+        return this.raw([EscPosEncoder.ESC, 0x61, value]);
+    }
+
+    bold(on = true) {
+        return this.raw([EscPosEncoder.ESC, 0x45, on ? 1 : 0]);
+    }
+
+    underline(on = true) {
+        return this.raw([EscPosEncoder.ESC, 0x2d, on ? 1 : 0]);
+    }
+
+    invert(on = true) {
+        return this.raw([EscPosEncoder.GS, 0x42, on ? 1 : 0]);
+    }
+
+    /**
+     * Character size as multiples of the normal size
+     * @param {number} [width=1] - 1-8
+     * @param {number} [height=1] - 1-8
+     */
+    size(width = 1, height = 1) {
+        [width, height].forEach((value) => {
+            if (!Number.isInteger(value) || value < 1 || value > 8) {
+                throw new Error('Character size must be a whole number from 1 to 8');
+            }
+        });
+
+        this.widthScale = width;
+        return this.raw([EscPosEncoder.GS, 0x21, ((width - 1) << 4) | (height - 1)]);
+    }
+
+    /**
+     * Characters that fit on a line at the current character width
+     * @returns {number} Columns
+     */
+    getLineWidth() {
+        return Math.floor(this.columns / this.widthScale);
+    }
+
+    text(value) {
+        return this.raw(EscPosEncoder.encodeText(value));
+    }
+
+    newline(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.bytes.push(EscPosEncoder.LF);
+        }
+        return this;
+    }
+
+    /**
+     * Prints text and ends the line, wrapping on spaces at the line width
+     * @param {string} [value=''] - Text
+     */
+    line(value = '') {
+        EscPosEncoder.wrap(String(value), this.getLineWidth()).forEach(part => this.text(part).newline());
+        return this;
+    }
+
+    /**
+     * Prints a label on the left and a value on the right of one line; a long
+     * label wraps and the value goes on its last line
+     * @param {string} left - Label
+     * @param {string} right - Value
+     */
+    pair(left, right) {
+        const width = this.getLineWidth();
+        const value = String(right);
+        const labelLines = EscPosEncoder.wrap(String(left), width);
+        const last = labelLines.pop();
+
+        labelLines.forEach(part => this.text(part).newline());
+        if (last.length + 1 + value.length > width) {
+            return this.text(last).newline().text(value.padStart(width)).newline();
+        }
+        return this.text(last + value.padStart(width - last.length)).newline();
+    }
+
+    /**
+     * Prints cells side by side, each wrapping within its own width. A cell
+     * with `width` gets that fraction of the line; cells without one are as
+     * wide as their text (at most half the line), except the first, which
+     * takes what is left.
+     * @param {Object[]} cells - { text, align: 'left', 'center' or 'right', width }
+     */
+    row(cells) {
+        EscPosEncoder.layoutRow(cells, this.getLineWidth()).forEach(part => this.text(part).newline());
+        return this;
+    }
+
+    /**
+     * Lines of text for row(), at a given line width
+     * @param {Object[]} cells - { text, align, width }
+     * @param {number} width - Line width in characters
+     * @returns {string[]} Lines, trailing spaces removed
+     */
+    static layoutRow(cells, width) {
+        const gaps = cells.length - 1;
+        const flexible = cells.find(cell => !cell.width);
+        const widths = cells.map((cell) => {
+            if (cell.width) return Math.max(1, Math.floor(cell.width * width));
+            if (cell === flexible) return 0;
+            return Math.min(String(cell.text).length, Math.floor(width / 2));
+        });
+        if (flexible) {
+            const used = widths.reduce((sum, value) => sum + value, 0) + gaps;
+            widths[cells.indexOf(flexible)] = Math.max(1, width - used);
+        }
+
+        const columns = cells.map((cell, index) => this.wrap(String(cell.text), Math.max(1, widths[index])));
+        const height = Math.max(...columns.map(lines => lines.length));
+        const pad = (text, size, alignment) => {
+            const space = Math.max(0, size - text.length);
+            if (alignment === 'right') return ' '.repeat(space) + text;
+            if (alignment === 'center') return ' '.repeat(Math.floor(space / 2)) + text + ' '.repeat(Math.ceil(space / 2));
+            return text + ' '.repeat(space);
+        };
+
+        const lines = [];
+        for (let i = 0; i < height; i++) {
+            // Values sit on the last line of a wrapped label, as with pair()
+            const text = columns.map((parts, index) => {
+                const offset = height - parts.length;
+                const part = index === 0 || i >= offset ? parts[index === 0 ? i : i - offset] || '' : '';
+                return pad(part, widths[index], cells[index].align);
+            }).join(' ');
+            lines.push(text.replace(/ +$/, ''));
+        }
+        return lines;
+    }
+
+    /**
+     * Full-width separator line
+     * @param {string} [char='-'] - Character to repeat
+     */
+    rule(char = '-') {
+        return this.text(char.repeat(this.getLineWidth())).newline();
+    }
+
+    /**
+     * Prints a Code128 or EAN-13 barcode with the printer's own barcode
+     * command (GS k), the text printed underneath
+     * @param {string} format - 'code128' or 'ean13'
+     * @param {string} data - Code128 text, or 12-13 EAN digits
+     * @param {Object} [options] - { height: dots (80), moduleWidth: dots per module, 2-6 (2) }
+     */
+    barcode(format, data, { height = 80, moduleWidth = 2 } = {}) {
+        const { GS } = EscPosEncoder;
+        const symbology = EscPosEncoder.BARCODE_TYPES[format];
+        if (!symbology) {
+            throw new Error(`Barcode format ${format} is not printed natively (use ${Object.keys(EscPosEncoder.BARCODE_TYPES).join(' or ')})`);
+        }
+
+        // Code128 data starts with the code set; printers add the EAN check digit themselves
+        const text = format === 'code128' ? `{B${String(data).replace(/\{/g, '{{')}` : String(data).slice(0, 12);
+        const bytes = EscPosEncoder.encodeText(text);
+        if (bytes.length > 255) {
+            throw new Error('Barcode data is too long');
+        }
+
+        return this.raw([
+            GS, 0x68, Math.max(1, Math.min(255, height)),
+            GS, 0x77, Math.max(2, Math.min(6, moduleWidth)),
+            GS, 0x48, 2,
+            GS, 0x6b, symbology, bytes.length,
+            ...bytes
+        ]).newline();
+    }
+
+    /**
+     * Prints a QR code with the printer's own QR command (GS ( k, model 2)
+     * @param {string} data - Text (sent as UTF-8)
+     * @param {Object} [options] - { size: dots per module, 1-16 (6), errorCorrection: 'L', 'M', 'Q' or 'H' }
+     */
+    qrcode(data, { size = 6, errorCorrection = 'M' } = {}) {
+        const { GS } = EscPosEncoder;
+        const level = 'LMQH'.indexOf(errorCorrection);
+        if (level < 0) {
+            throw new Error(`Unknown QR error correction level: ${errorCorrection}`);
+        }
+
+        const bytes = Array.from(new TextEncoder().encode(String(data)));
+        const command = (fn, ...params) => {
+            const length = params.length + 2;
+            return [GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, fn, ...params];
+        };
+
+        this.raw(command(0x41, 0x32, 0x00));
+        this.raw(command(0x43, Math.max(1, Math.min(16, size))));
+        this.raw(command(0x45, 0x30 + level));
+        this.raw(command(0x50, 0x30, ...bytes));
+        return this.raw(command(0x51, 0x30)).newline();
+    }
+
+    /**
+     * Prints a 1-bit raster image (GS v 0), e.g. from BarcodeEncoder.toRaster.
+     * Works on printers without native barcode or QR commands.
+     * @param {Object} raster - { width (dots, multiple of 8), height, data: rows packed 8 dots per byte }
+     */
+    image(raster) {
+        const { GS } = EscPosEncoder;
+        const widthBytes = raster.width / 8;
+        if (!Number.isInteger(widthBytes) || raster.data.length !== widthBytes * raster.height) {
+            throw new Error('Raster width must be a multiple of 8 dots with one bit per dot');
+        }
+        if (raster.width > this.getDots()) {
+            throw new Error(`Image is ${raster.width} dots wide; ${this.paperWidth}mm paper prints ${this.getDots()}`);
+        }
+
+        return this.raw([
+            GS, 0x76, 0x30, 0,
+            widthBytes & 0xff, widthBytes >> 8,
+            raster.height & 0xff, raster.height >> 8
+        ]).raw(raster.data).newline();
+    }
+
+    /**
+     * Printable dots across the paper, for images
+     * @returns {number} Dots
+     */
+    getDots() {
+        return EscPosEncoder.PAPER_DOTS[this.paperWidth];
+    }
+
+    /**
+     * Feeds paper
+     * @param {number} [lines=1] - Lines to feed (0-255)
+     */
+    feed(lines = 1) {
+        return this.raw([EscPosEncoder.ESC, 0x64, Math.max(0, Math.min(255, lines))]);
+    }
+
+    /**
+     * Feeds the paper past the cutter and cuts it
+     * @param {boolean} [partial=false] - Leave a small uncut bridge
+     */
+    cut(partial = false) {
+        return this.raw([EscPosEncoder.GS, 0x56, partial ? 0x42 : 0x41, 3]);
+    }
+
+    /**
+     * Sends the drawer-kick pulse through the printer
+     * @param {number} [pin=0] - Drawer connector pin: 0 (pin 2) or 1 (pin 5)
+     * @param {number} [onMs=100] - Pulse on time in milliseconds
+     * @param {number} [offMs=500] - Pulse off time in milliseconds
+     */
+    pulse(pin = 0, onMs = 100, offMs = 500) {
+        const ticks = (ms) => Math.max(1, Math.min(255, Math.round(ms / 2)));
+        return this.raw([EscPosEncoder.ESC, 0x70, pin ? 1 : 0, ticks(onMs), ticks(offMs)]);
+    }
+
+    /**
+     * @returns {Uint8Array} Everything written so far
+     */
+    encode() {
+        return Uint8Array.from(this.bytes);
+    }
+
+    /**
+     * Splits text into lines of at most `width` characters, breaking on spaces
+     * where possible. Leading spaces indent every line.
+     * @param {string} text - Text
+     * @param {number} width - Line width
+     * @returns {string[]} Lines (at least one)
+     */
+    static wrap(text, width) {
+        const indent = text.match(/^ */)[0].slice(0, Math.max(0, width - 1));
+        const room = width - indent.length;
+        const lines = [];
+        let current = '';
+
+        text.slice(indent.length).split(' ').forEach((word) => {
+            while (word.length > room) {
+                if (current) {
+                    lines.push(current);
+                    current = '';
+                }
+                lines.push(word.slice(0, room));
+                word = word.slice(room);
+            }
+
+            if (!current) {
+                current = word;
+            } else if (current.length + 1 + word.length <= room) {
+                current += ` ${word}`;
+            } else {
+                lines.push(current);
+                current = word;
+            }
+        });
+
+        lines.push(current);
+        return lines.map(line => indent + line);
+    }
+}
+
+// Make EscPosEncoder globally available
+if (typeof window !== 'undefined') {
+    window.EscPosEncoder = EscPosEncoder;
+}
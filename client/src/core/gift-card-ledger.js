@@ -0,0 +1,304 @@
+/**
+ * Gift Card Ledger - Local balances for store gift cards
+ *
+ * Keeps one account per card number in the `giftCards` store: the balance
+ * and every movement on it (issue, reload, redeem, reverse). The issuer
+ * (`store`, MockGiftCardStore by default) is only asked whether a card exists
+ * and whether it is inactive, active or blocked; balances live here.
+ *
+ * - `activate` sells a card from stock with its first load
+ * - `reload` adds value to an active card
+ * - `redeem` draws up to the requested amount and returns what was drawn,
+ *   so a card with less than the balance due pays part of the sale
+ * - `reverse` puts a draw back when the tender is removed or the sale voided
+ * - `refund` credits a return refunded to the card that paid for the goods
+ *
+ * Errors are thrown with messages meant for the cashier. Without IndexedDB
+ * the accounts are kept in memory for the session.
+ *
+ * @class GiftCardLedger
+ * @example
+ * await GiftCardLedger.activate('6035710000000018', Money.fromMajor(25), 'T001-000042');
+ *
+ * const { drawn, balance } = await GiftCardLedger.redeem('6035710000000018', Money.fromMajor(40), 'T001-000043');
+ * // drawn -> $25.00, balance -> $0.00
+ */
+export class GiftCardLedger {
+    static STORE_NAME = 'giftCards';
+
+    static MOVEMENTS = {
+        OPENING: 'opening',
+        ISSUE: 'issue',
+        RELOAD: 'reload',
+        REDEEM: 'redeem',
+        REVERSE: 'reverse',
+        REFUND: 'refund'
+    };
+
+    static limits = {
+        minLoad: 5,
+        maxLoad: 500,
+        maxBalance: 1000
+    };
+
+    static store = null;
+    static memoryAccounts = new Map();
+
+    /**
+     * Replaces the ledger configuration
+     * @param {Object} config - Ledger configuration
+     * @param {Object} [config.store] - Issuer with lookup(number) and setStatus(number, status)
+     * @param {number} [config.minLoad] - Smallest activation or reload amount
+     * @param {number} [config.maxLoad] - Largest activation or reload amount
+     * @param {number} [config.maxBalance] - Highest balance a card may hold
+     */
+    static configure(config = {}) {
+        if (config.store) {
+            this.store = config.store;
+        }
+        ['minLoad', 'maxLoad', 'maxBalance'].forEach(key => {
+            if (config[key] !== undefined) {
+                this.limits[key] = config[key];
+            }
+        });
+    }
+
+    static getStore() {
+        return this.store || window.MockGiftCardStore;
+    }
+
+    static isPersistent() {
+        return !!(window.PosDatabase && window.PosDatabase.isAvailable());
+    }
+
+    static normalizeNumber(number) {
+        return String(number || '').replace(/[\s-]/g, '');
+    }
+
+    /**
+     * Checks the length and Luhn check digit of a card number
+     * @param {string} number - Card number
+     * @returns {boolean} True when the number is well formed
+     */
+    static isValidNumber(number) {
+        const digits = this.normalizeNumber(number);
+        if (!/^\d{16,19}$/.test(digits)) return false;
+
+        let sum = 0;
+        digits.split('').reverse().forEach((digit, index) => {
+            let value = parseInt(digit, 10);
+            if (index % 2 === 1) {
+                value *= 2;
+                if (value > 9) value -= 9;
+            }
+            sum += value;
+        });
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Card number for receipts and screens, e.g. "**** 0001"
+     * @param {string} number - Card number
+     * @returns {string} Masked number
+     */
+    static maskNumber(number) {
+        return `**** ${this.normalizeNumber(number).slice(-4)}`;
+    }
+
+    static async loadAccount(number) {
+        if (this.isPersistent()) {
+            return window.PosDatabase.get(this.STORE_NAME, number);
+        }
+        return this.memoryAccounts.get(number);
+    }
+
+    static async saveAccount(account) {
+        if (this.isPersistent()) {
+            await window.PosDatabase.put(this.STORE_NAME, account);
+        } else {
+            this.memoryAccounts.set(account.number, account);
+        }
+    }
+
+    /**
+     * Checks a card with the issuer and loads its account
+     * Active cards the ledger has not seen yet are opened with the issuer's opening balance.
+     * @param {string} number - Card number
+     * @param {string} [expectedStatus='active'] - Status the card must have
+     * @returns {Promise<Object>} { number, card, account }
+     */
+    static async getCard(number, expectedStatus = 'active') {
+        const digits = this.normalizeNumber(number);
+        if (!this.isValidNumber(digits)) {
+            throw new Error(`${digits || 'Card number'} is not a valid gift card number`);
+        }
+
+        const card = await this.getStore().lookup(digits);
+        const masked = this.maskNumber(digits);
+
+        if (!card) {
+            throw new Error(`Gift card ${masked} is not a store card`);
+        }
+        if (card.status === 'blocked') {
+            throw new Error(`Gift card ${masked} is blocked`);
+        }
+        if (card.status !== expectedStatus) {
+            throw new Error(expectedStatus === 'inactive' ?
+                `Gift card ${masked} is already active` :
+                `Gift card ${masked} has not been activated`);
+        }
+
+        let account = await this.loadAccount(digits);
+        if (!account && card.status === 'active') {
+            account = this.openAccount(digits);
+            this.post(account, this.MOVEMENTS.OPENING, window.Money.fromMajor(card.openingBalance || 0), null);
+            await this.saveAccount(account);
+        }
+
+        return { number: digits, card, account };
+    }
+
+    static openAccount(number) {
+        return {
+            number,
+            balance: window.Money.zero().toJSON(),
+            activatedAt: new Date().toISOString(),
+            updatedAt: null,
+            history: []
+        };
+    }
+
+    /**
+     * Records a movement on an account (positive adds value, negative draws it)
+     */
+    static post(account, type, amount, reference) {
+        const balance = window.Money.from(account.balance).plus(amount);
+        const at = new Date().toISOString();
+
+        account.balance = balance.toJSON();
+        account.updatedAt = at;
+        account.history.push({ type, amount: amount.toJSON(), balance: balance.toJSON(), at, reference: reference || null });
+        return balance;
+    }
+
+    static checkLoad(amount, balance) {
+        const Money = window.Money;
+        const formatter = window.CurrencyFormatter;
+        const { minLoad, maxLoad, maxBalance } = this.limits;
+
+        if (amount.lessThan(Money.fromMajor(minLoad)) || amount.greaterThan(Money.fromMajor(maxLoad))) {
+            throw new Error(`Gift card loads must be between ${formatter.format(minLoad)} and ${formatter.format(maxLoad)}`);
+        }
+        if (balance.plus(amount).greaterThan(Money.fromMajor(maxBalance))) {
+            throw new Error(`A gift card cannot hold more than ${formatter.format(maxBalance)} (balance ${formatter.format(balance)})`);
+        }
+    }
+
+    /**
+     * Activates a card from stock with its first load
+     * @param {string} number - Card number
+     * @param {Money} amount - Initial balance
+     * @param {string} [reference] - Transaction number
+     * @returns {Promise<Money>} New balance
+     */
+    static async activate(number, amount, reference = null) {
+        const { number: digits } = await this.getCard(number, 'inactive');
+        this.checkLoad(amount, window.Money.zero(amount.currency));
+
+        await this.getStore().setStatus(digits, 'active');
+
+        const account = this.openAccount(digits);
+        const balance = this.post(account, this.MOVEMENTS.ISSUE, amount, reference);
+        await this.saveAccount(account);
+
+        console.log(`GiftCardLedger: Activated ${this.maskNumber(digits)} with ${balance}`);
+        return balance;
+    }
+
+    /**
+     * Adds value to an active card
+     * @param {string} number - Card number
+     * @param {Money} amount - Amount to add
+     * @param {string} [reference] - Transaction number
+     * @returns {Promise<Money>} New balance
+     */
+    static async reload(number, amount, reference = null) {
+        const { account } = await this.getCard(number);
+        this.checkLoad(amount, window.Money.from(account.balance));
+
+        const balance = this.post(account, this.MOVEMENTS.RELOAD, amount, reference);
+        await this.saveAccount(account);
+        return balance;
+    }
+
+    /**
+     * Balance inquiry
+     * @param {string} number - Card number
+     * @returns {Promise<Object>} { number, masked, balance, history }
+     */
+    static async getBalance(number) {
+        const { number: digits, account } = await this.getCard(number);
+        return {
+            number: digits,
+            masked: this.maskNumber(digits),
+            balance: window.Money.from(account.balance),
+            history: account.history.map(entry => ({ ...entry }))
+        };
+    }
+
+    /**
+     * Draws up to `amount` from a card
+     * @param {string} number - Card number
+     * @param {Money} amount - Amount wanted
+     * @param {string} [reference] - Transaction number
+     * @returns {Promise<Object>} { drawn, balance } - drawn may be less than asked for
+     */
+    static async redeem(number, amount, reference = null) {
+        const { number: digits, account } = await this.getCard(number);
+        const available = window.Money.from(account.balance);
+
+        if (!available.isPositive()) {
+            throw new Error(`Gift card ${this.maskNumber(digits)} has no balance left`);
+        }
+
+        const drawn = window.Money.min(amount, available);
+        const balance = this.post(account, this.MOVEMENTS.REDEEM, drawn.negate(), reference);
+        await this.saveAccount(account);
+
+        return { drawn, balance };
+    }
+
+    /**
+     * Puts a draw back on the card
+     * @param {string} number - Card number
+     * @param {Money} amount - Amount drawn earlier
+     * @param {string} [reference] - Transaction number
+     * @returns {Promise<Money>} New balance
+     */
+    static async reverse(number, amount, reference = null) {
+        const { account } = await this.getCard(number);
+        const balance = this.post(account, this.MOVEMENTS.REVERSE, amount, reference);
+        await this.saveAccount(account);
+        return balance;
+    }
+
+    /**
+     * Credits a return refund to the card that paid for the goods
+     * Load limits do not apply: the value came off this card.
+     * @param {string} number - Card number
+     * @param {Money} amount - Positive amount refunded
+     * @param {string} [reference] - Return transaction number
+     * @returns {Promise<Money>} New balance
+     */
+    static async refund(number, amount, reference = null) {
+        const { account } = await this.getCard(number);
+        const balance = this.post(account, this.MOVEMENTS.REFUND, amount, reference);
+        await this.saveAccount(account);
+        return balance;
+    }
+}
+
+// Make GiftCardLedger globally available
+if (typeof window !== 'undefined') {
+    window.GiftCardLedger = GiftCardLedger;
+}
@@ -0,0 +1,111 @@
+/**
+ * Held Transactions - Suspended (parked) sales waiting to be recalled
+ *
+ * Suspending a sale stores a snapshot of the cart items, the customer and any
+ * tenders already taken in the `heldTransactions` store, keyed by transaction
+ * number. Recalling removes the record from the store and hands it back so
+ * the sale can be restored into the register.
+ *
+ * Records are plain JSON: Money values are kept as { amount, currency }.
+ * Without IndexedDB the list is kept in memory for the session.
+ *
+ * @class HeldTransactions
+ * @example
+ * await HeldTransactions.hold({ transaction: transaction.toJSON(), items, customer, tenders, total });
+ *
+ * const held = await HeldTransactions.list();   // oldest first
+ * const record = await HeldTransactions.recall(held[0].id);
+ */
+export class HeldTransactions {
+    static STORE_NAME = 'heldTransactions';
+
+    static memoryRecords = new Map();
+
+    static isPersistent() {
+        return !!(window.PosDatabase && window.PosDatabase.isAvailable());
+    }
+
+    /**
+     * Stores a suspended sale
+     * @param {Object} sale - { transaction, items, customer, tenders, total }
+     * @returns {Promise<Object>} Stored record
+     */
+    static async hold({ transaction, items = [], customer = null, tenders = [], total = null }) {
+        const record = JSON.parse(JSON.stringify({
+            id: transaction.number,
+            heldAt: new Date().toISOString(),
+            cashier: transaction.cashier,
+            terminalId: transaction.terminalId,
+            transaction,
+            items,
+            customer,
+            tenders,
+            itemCount: items
+                .filter(item => !item.voided)
+                .reduce((count, item) => count + Math.abs(item.quantity || 0), 0),
+            total
+        }));
+
+        if (this.isPersistent()) {
+            await window.PosDatabase.put(this.STORE_NAME, record);
+        } else {
+            this.memoryRecords.set(record.id, record);
+        }
+
+        console.log(`HeldTransactions: Held ${record.id} (${record.itemCount} items)`);
+        return record;
+    }
+
+    /**
+     * Lists held sales, oldest first
+     * @returns {Promise<Object[]>} Held records
+     */
+    static async list() {
+        const records = this.isPersistent() ?
+            await window.PosDatabase.getAll(this.STORE_NAME) :
+            Array.from(this.memoryRecords.values());
+
+        return records.sort((a, b) => a.heldAt.localeCompare(b.heldAt));
+    }
+
+    static async get(id) {
+        if (this.isPersistent()) {
+            return window.PosDatabase.get(this.STORE_NAME, id);
+        }
+        return this.memoryRecords.get(id);
+    }
+
+    static async remove(id) {
+        if (this.isPersistent()) {
+            await window.PosDatabase.delete(this.STORE_NAME, id);
+        } else {
+            this.memoryRecords.delete(id);
+        }
+    }
+
+    /**
+     * Takes a held sale out of the store
+     * @param {string} id - Transaction number
+     * @returns {Promise<Object>} The held record
+     */
+    static async recall(id) {
+        const record = await this.get(id);
+
+        if (!record) {
+            throw new Error(`No held transaction ${id}`);
+        }
+
+        await this.remove(id);
+        console.log(`HeldTransactions: Recalled ${id}`);
+        return record;
+    }
+
+    static async count() {
+        return (await this.list()).length;
+    }
+}
+
+// Make HeldTransactions globally available
+if (typeof window !== 'undefined') {
+    window.HeldTransactions = HeldTransactions;
+}
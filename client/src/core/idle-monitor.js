@@ -0,0 +1,133 @@
+/**
+ * Idle Monitor - Locks unattended terminals
+ *
+ * Watches input anywhere in the document (keys, pointer, touch, wheel) while
+ * a user is signed in. After `lockAfterSeconds` without input it calls the
+ * `onLock` callback given to `start()`; POSApplication then covers the
+ * register with the lock screen, leaving the sale underneath untouched.
+ *
+ * For the last `warningSeconds` before the lock, the seconds left are
+ * published as the `idleCountdown` state (null otherwise) so controls such as
+ * the Status Bar can warn the cashier. Any input cancels the countdown.
+ *
+ * @class IdleMonitor
+ * @example
+ * IdleMonitor.configure({ lockAfterSeconds: 300, warningSeconds: 30 });
+ * IdleMonitor.start({ onLock: () => posApp.lockTerminal() });
+ *
+ * StateManager.subscribe('idleCountdown', (seconds) => { ... });   // 30, 29, ... then null
+ */
+export class IdleMonitor {
+    static ACTIVITY_EVENTS = ['keydown', 'pointerdown', 'pointermove', 'wheel', 'touchstart'];
+
+    static settings = {
+        lockAfterSeconds: 300,
+        warningSeconds: 30
+    };
+
+    static lastActivity = 0;
+    static timer = null;
+    static onLock = null;
+    static countdown = null;
+
+    /**
+     * Replaces the timeout settings
+     * @param {Object} config - Idle settings
+     * @param {number} [config.lockAfterSeconds] - Seconds without input before the terminal locks
+     * @param {number} [config.warningSeconds] - Seconds of countdown warning before the lock
+     */
+    static configure(config = {}) {
+        const settings = { ...this.settings };
+
+        ['lockAfterSeconds', 'warningSeconds'].forEach(key => {
+            if (config[key] !== undefined) {
+                if (!Number.isInteger(config[key]) || config[key] < 0) {
+                    throw new Error(`Idle ${key} must be a whole number of seconds`);
+                }
+                settings[key] = config[key];
+            }
+        });
+
+        if (settings.lockAfterSeconds < 10) {
+            throw new Error('Idle lockAfterSeconds must be at least 10 seconds');
+        }
+        if (settings.warningSeconds >= settings.lockAfterSeconds) {
+            throw new Error('Idle warningSeconds must be shorter than lockAfterSeconds');
+        }
+
+        this.settings = settings;
+        console.log(`IdleMonitor: Lock after ${settings.lockAfterSeconds}s, warning for the last ${settings.warningSeconds}s`);
+    }
+
+    /**
+     * Starts counting idle time from now
+     * @param {Object} options - { onLock } called once when the idle time runs out
+     */
+    static start({ onLock }) {
+        this.stop();
+
+        this.onLock = onLock;
+        this.lastActivity = Date.now();
+        this.ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, this.recordActivity, true));
+        this.timer = setInterval(() => this.tick(), 1000);
+    }
+
+    static stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, this.recordActivity, true));
+        this.onLock = null;
+        this.setCountdown(null);
+    }
+
+    static isRunning() {
+        return this.timer !== null;
+    }
+
+    // Arrow function so it can be added and removed as a listener without binding
+    static recordActivity = () => {
+        IdleMonitor.lastActivity = Date.now();
+        if (IdleMonitor.countdown !== null) {
+            IdleMonitor.setCountdown(null);
+        }
+    };
+
+    /**
+     * Seconds of input-free time left before the lock
+     * @returns {number} Seconds, 0 when the lock is due
+     */
+    static getSecondsLeft() {
+        const idleSeconds = (Date.now() - this.lastActivity) / 1000;
+        return Math.max(0, Math.ceil(this.settings.lockAfterSeconds - idleSeconds));
+    }
+
+    static tick() {
+        const secondsLeft = this.getSecondsLeft();
+
+        if (secondsLeft === 0) {
+            const onLock = this.onLock;
+            this.stop();
+            console.log('IdleMonitor: Idle time ran out, locking');
+            if (onLock) {
+                onLock();
+            }
+            return;
+        }
+
+        this.setCountdown(secondsLeft <= this.settings.warningSeconds ? secondsLeft : null);
+    }
+
+    static setCountdown(seconds) {
+        if (seconds === this.countdown) return;
+
+        this.countdown = seconds;
+        window.StateManager.setState('idleCountdown', seconds);
+    }
+}
+
+// Make IdleMonitor globally available
+if (typeof window !== 'undefined') {
+    window.IdleMonitor = IdleMonitor;
+}
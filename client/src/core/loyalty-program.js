@@ -0,0 +1,285 @@
+/**
+ * Loyalty Program - Points earned and spent by directory customers
+ *
+ * Keeps one account per customer in the `loyaltyAccounts` store: the points
+ * balance and every movement on it. Points are earned on what the customer
+ * pays for a sale after discounts, at `pointsPerUnit` points per unit of
+ * currency (per dollar), multiplied by `categoryMultipliers` for the product's
+ * category. Gift card lines never earn points; returns take the points of the
+ * returned lines back off the account.
+ *
+ * Points are worth `pointValue` each and can be spent in two ways:
+ * - as a discount on the sale (`buildDiscount`), spread over the lines like
+ *   an order coupon, so it lowers the tax as well
+ * - as a tender (`method: 'loyalty'`), which pays part of the balance due
+ *
+ * Nothing is taken off the account while the sale is open: `settle()` posts
+ * the points spent and earned once the sale completes, so voiding or holding
+ * a sale needs no reversal. At least `minRedeem` points must be spent at a time.
+ *
+ * Without IndexedDB the accounts are kept in memory for the session.
+ *
+ * @class LoyaltyProgram
+ * @example
+ * LoyaltyProgram.configure({ pointsPerUnit: 1, categoryMultipliers: { electronics: 2 } });
+ *
+ * LoyaltyProgram.calculatePoints(cartItems, discounts);   // 37
+ * LoyaltyProgram.pointsValue(500);                        // $5.00
+ * await LoyaltyProgram.settle('C0001', { earned: 37, redeemed: 500 }, 'T001-000042');
+ */
+export class LoyaltyProgram {
+    static STORE_NAME = 'loyaltyAccounts';
+
+    static MOVEMENTS = {
+        OPENING: 'opening',
+        EARN: 'earn',
+        REDEEM: 'redeem',
+        RETURN: 'return'
+    };
+
+    static rules = {
+        pointsPerUnit: 1,
+        categoryMultipliers: { electronics: 2 },
+        pointValue: 0.01,
+        minRedeem: 100
+    };
+
+    // Demo balances for the customers CustomerDirectory starts with
+    static OPENING_BALANCES = {
+        C0001: 1250,
+        C0002: 300
+    };
+
+    static memoryAccounts = new Map();
+
+    /**
+     * Replaces the earning and redemption rules
+     * @param {Object} config - Loyalty rules
+     * @param {number} [config.pointsPerUnit] - Points per unit of currency spent
+     * @param {Object|string} [config.categoryMultipliers] - { category: multiplier }, or its JSON text
+     * @param {number} [config.pointValue] - Value of one point in the sale currency
+     * @param {number} [config.minRedeem] - Fewest points that can be spent at a time
+     */
+    static configure(config = {}) {
+        const rules = { ...this.rules };
+
+        ['pointsPerUnit', 'pointValue', 'minRedeem'].forEach(key => {
+            if (config[key] !== undefined) {
+                if (typeof config[key] !== 'number' || config[key] < 0) {
+                    throw new Error(`Loyalty ${key} must be a number of at least 0`);
+                }
+                rules[key] = config[key];
+            }
+        });
+
+        if (config.categoryMultipliers !== undefined) {
+            const multipliers = typeof config.categoryMultipliers === 'string' ?
+                JSON.parse(config.categoryMultipliers) : config.categoryMultipliers;
+
+            rules.categoryMultipliers = {};
+            Object.entries(multipliers || {}).forEach(([category, multiplier]) => {
+                if (typeof multiplier !== 'number' || multiplier < 0) {
+                    throw new Error(`Loyalty multiplier for ${category} must be a number of at least 0`);
+                }
+                rules.categoryMultipliers[category.toLowerCase()] = multiplier;
+            });
+        }
+
+        if (!(rules.pointValue > 0)) {
+            throw new Error('Loyalty pointValue must be greater than zero');
+        }
+
+        this.rules = rules;
+        console.log(`LoyaltyProgram: ${rules.pointsPerUnit} point(s) per unit, points worth ${rules.pointValue}`);
+    }
+
+    static isPersistent() {
+        return !!(window.PosDatabase && window.PosDatabase.isAvailable());
+    }
+
+    static getMultiplier(item) {
+        const product = window.ProductCatalog ? window.ProductCatalog.get(item.id) : null;
+        const category = String(item.category || (product && product.category) || '').toLowerCase();
+        const multiplier = this.rules.categoryMultipliers[category];
+        return multiplier === undefined ? 1 : multiplier;
+    }
+
+    /**
+     * Points a sale earns: line totals after discounts, times the category multiplier
+     * Returned lines (negative quantities) give negative points.
+     * @param {Object[]} items - Active (not voided) cart items
+     * @param {Object[]} [discounts] - Discounts on the sale (promotions, coupons, points)
+     * @param {Object} [options] - { currency, paidWithPoints }; the amount paid with a points tender earns nothing
+     * @returns {number} Whole points, negative for a return
+     */
+    static calculatePoints(items, discounts = [], options = {}) {
+        const Money = window.Money;
+        const currency = options.currency || Money.DEFAULT_CURRENCY;
+        const allocated = new Map();
+        discounts.forEach(discount => discount.allocations.forEach(allocation => {
+            allocated.set(allocation.itemId, (allocated.get(allocation.itemId) || Money.zero(currency)).plus(allocation.amount));
+        }));
+
+        const weighted = items
+            .filter(item => !item.voided && !item.giftCard)
+            .reduce((total, item) => {
+                const net = Money.from(item.price, currency).multiply(item.quantity).plus(allocated.get(String(item.id)) || Money.zero(currency));
+                return total + net.amount * this.getMultiplier(item);
+            }, 0);
+        const earning = weighted > 0 && options.paidWithPoints ?
+            Math.max(0, weighted - options.paidWithPoints.amount) : weighted;
+
+        // `|| 0` turns the -0 of a small return into 0
+        return Math.trunc(earning * this.rules.pointsPerUnit / Math.pow(10, Money.decimalsFor(currency))) || 0;
+    }
+
+    /**
+     * What a number of points is worth
+     * @param {number} points - Points
+     * @param {string} [currency] - Sale currency
+     * @returns {Money} Value
+     */
+    static pointsValue(points, currency = window.Money.DEFAULT_CURRENCY) {
+        return window.Money.fromMajor(this.rules.pointValue, currency).multiply(points);
+    }
+
+    /**
+     * Most points that fit in an amount (never worth more than the amount)
+     * @param {Money} amount - Amount to cover
+     * @returns {number} Points
+     */
+    static pointsFor(amount) {
+        const pointMinor = this.pointsValue(1, amount.currency).amount;
+        return pointMinor > 0 ? Math.floor(amount.amount / pointMinor) : 0;
+    }
+
+    /**
+     * Checks that points can be spent from a balance
+     * @param {number} points - Points to spend
+     * @param {number} available - Points left to spend
+     */
+    static checkRedeem(points, available) {
+        if (!Number.isInteger(points) || points <= 0) {
+            throw new Error('Enter a whole number of points');
+        }
+        if (points < this.rules.minRedeem) {
+            throw new Error(`At least ${this.rules.minRedeem} points must be redeemed at a time`);
+        }
+        if (points > available) {
+            throw new Error(`Only ${available} points are available`);
+        }
+    }
+
+    /**
+     * Order-level discount for points spent on a sale
+     * The discount never exceeds what is left of the sale after other discounts;
+     * `points` on the result are the points that discount actually uses.
+     * @param {number} points - Points the customer wants to spend
+     * @param {Object[]} items - Active cart items
+     * @param {Object[]} discounts - Promotion and coupon discounts already on the sale
+     * @param {string} [currency] - Sale currency
+     * @returns {Object|null} Discount like PromotionEngine's, with `points`
+     */
+    static buildDiscount(points, items, discounts, currency = window.Money.DEFAULT_CURRENCY) {
+        const Money = window.Money;
+        items = items.filter(item => !item.giftCard);
+
+        const basket = window.CouponManager.getBasket(items, discounts, currency);
+        if (!basket.isPositive()) return null;
+
+        const used = Math.min(points, this.pointsFor(basket));
+        const amount = this.pointsValue(used, currency);
+        const lines = items
+            .filter(item => item.quantity > 0)
+            .map(item => ({ item, price: Money.from(item.price, currency).multiply(item.quantity) }));
+
+        const discount = window.PromotionEngine.buildDiscount(
+            { id: 'loyalty-points', name: `Points Redeemed (${used})`, type: 'loyalty' }, amount, lines, currency);
+        return discount ? { ...discount, points: used } : null;
+    }
+
+    static async loadAccount(customerId) {
+        if (this.isPersistent()) {
+            return window.PosDatabase.get(this.STORE_NAME, customerId);
+        }
+        return this.memoryAccounts.get(customerId);
+    }
+
+    static async saveAccount(account) {
+        if (this.isPersistent()) {
+            await window.PosDatabase.put(this.STORE_NAME, account);
+        } else {
+            this.memoryAccounts.set(account.customerId, account);
+        }
+    }
+
+    /**
+     * Loads a customer's account, opening it on first use
+     * @param {string} customerId - Customer id
+     * @returns {Promise<Object>} { customerId, points, history }
+     */
+    static async getAccount(customerId) {
+        if (!customerId) {
+            throw new Error('Loyalty points need a customer on the sale');
+        }
+
+        let account = await this.loadAccount(customerId);
+        if (!account) {
+            account = { customerId, points: 0, updatedAt: null, history: [] };
+            const opening = this.OPENING_BALANCES[customerId];
+            if (opening) {
+                this.post(account, this.MOVEMENTS.OPENING, opening, null);
+            }
+            await this.saveAccount(account);
+        }
+        return account;
+    }
+
+    static async getBalance(customerId) {
+        const account = await this.getAccount(customerId);
+        return account.points;
+    }
+
+    /**
+     * Records a movement on an account; the balance never goes below zero
+     */
+    static post(account, type, points, reference) {
+        const at = new Date().toISOString();
+        const change = Math.max(points, -account.points);
+
+        account.points += change;
+        account.updatedAt = at;
+        account.history.push({ type, points: change, balance: account.points, at, reference: reference || null });
+        return account.points;
+    }
+
+    /**
+     * Posts the points of a completed sale or return
+     * @param {string} customerId - Customer on the sale
+     * @param {Object} movement - { earned, redeemed }; earned is negative for a return
+     * @param {string} [reference] - Transaction number
+     * @returns {Promise<number>} New balance
+     */
+    static async settle(customerId, { earned = 0, redeemed = 0 }, reference = null) {
+        const account = await this.getAccount(customerId);
+
+        if (redeemed > 0) {
+            if (redeemed > account.points) {
+                throw new Error(`Only ${account.points} points are available`);
+            }
+            this.post(account, this.MOVEMENTS.REDEEM, -redeemed, reference);
+        }
+        if (earned !== 0) {
+            this.post(account, earned > 0 ? this.MOVEMENTS.EARN : this.MOVEMENTS.RETURN, earned, reference);
+        }
+
+        await this.saveAccount(account);
+        console.log(`LoyaltyProgram: ${customerId} earned ${earned}, redeemed ${redeemed}, balance ${account.points}`);
+        return account.points;
+    }
+}
+
+// Make LoyaltyProgram globally available
+if (typeof window !== 'undefined') {
+    window.LoyaltyProgram = LoyaltyProgram;
+}
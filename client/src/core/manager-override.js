@@ -0,0 +1,174 @@
+/**
+ * Manager Override - Approval prompt for actions above the cashier's permissions
+ *
+ * `request(permission)` resolves straight away with the signed-in user when
+ * their role grants the permission. Otherwise it opens a modal asking someone
+ * who has it to enter their PIN or password, or scan their badge (badge
+ * scanners type the code followed by Enter). It resolves with the approving
+ * user, or with null when the prompt is cancelled or `maxAttempts` wrong
+ * credentials are entered - the caller simply goes ahead or stops.
+ *
+ * Every prompt is written to the AuditLog: approvals with who approved and
+ * how, wrong credentials and cancellations. Prompts never overlap; a second
+ * request waits until the first one is answered.
+ *
+ * @class ManagerOverride
+ * @example
+ * const approver = await ManagerOverride.request('price-override', {
+ *     description: 'Override price of Coffee to $2.50'
+ * });
+ * if (!approver) return false;
+ * // approver: { id: 'M001', name: 'Store Manager', role: 'manager', method: 'badge' }
+ */
+export class ManagerOverride {
+    static maxAttempts = 3;
+
+    static queue = Promise.resolve();
+    static activePrompt = null;
+
+    /**
+     * Makes sure an action is allowed, prompting for an approver if the signed-in user may not perform it
+     * @param {string} permission - Key of AuthService.PERMISSIONS
+     * @param {Object} [options] - { description, details } shown in the prompt and written to the audit log
+     * @returns {Promise<Object|null>} User who may perform the action, or null when not approved
+     */
+    static request(permission, options = {}) {
+        const auth = window.AuthService;
+        if (auth.can(permission)) {
+            return Promise.resolve(auth.getCurrentUser());
+        }
+
+        const result = this.queue.then(() => this.prompt(permission, options));
+        this.queue = result.catch(() => null);
+        return result;
+    }
+
+    static isOpen() {
+        return this.activePrompt !== null;
+    }
+
+    static prompt(permission, { description = '', details = null } = {}) {
+        const auth = window.AuthService;
+        const requestedBy = auth.getCurrentUser();
+        const audit = (outcome, approver = null) => window.AuditLog.record({
+            action: permission,
+            description,
+            outcome,
+            requestedBy: requestedBy ? { id: requestedBy.id, name: requestedBy.name } : null,
+            approvedBy: approver ? { id: approver.id, name: approver.name } : null,
+            method: approver ? approver.method : null,
+            details
+        }).catch(error => console.error('ManagerOverride: Failed to write audit entry', error));
+
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'manager-override fixed inset-0 bg-black/50 z-50 flex items-center justify-center';
+            overlay.setAttribute('data-testid', 'manager-override');
+            overlay.innerHTML = `
+                <div class="bg-card border border-border rounded-lg shadow-lg max-w-md w-full mx-4">
+                    <div class="p-4 border-b border-border">
+                        <h3 class="text-lg font-semibold">Manager Override</h3>
+                    </div>
+                    <div class="p-4 space-y-3 text-sm">
+                        <p class="override-reason"></p>
+                        <p class="override-description font-medium"></p>
+                        <div>
+                            <div class="font-medium mb-1">Approver PIN, password or badge</div>
+                            <div class="override-secret"></div>
+                        </div>
+                        <p class="override-error text-destructive hidden" data-testid="text-override-error"></p>
+                        <div class="flex justify-end gap-2 pt-2">
+                            <button class="override-cancel px-4 py-2 bg-secondary text-secondary-foreground rounded-md" data-testid="button-override-cancel">Cancel</button>
+                            <button class="override-approve px-4 py-2 bg-primary text-primary-foreground rounded-md" data-testid="button-override-approve">Approve</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            overlay.querySelector('.override-reason').textContent = `${auth.getDeniedMessage(permission)}. A user who may ${auth.PERMISSIONS[permission] || permission} can approve it.`;
+            overlay.querySelector('.override-description').textContent = description;
+
+            const errorText = overlay.querySelector('.override-error');
+            const approveButton = overlay.querySelector('.override-approve');
+            const secretControl = window.ControlFactory.create({
+                type: 'password',
+                UID: 'manager-override-secret',
+                placeholder: 'PIN, password or scan badge'
+            });
+            overlay.querySelector('.override-secret').appendChild(secretControl.render());
+
+            let attempts = 0;
+
+            const close = (approver) => {
+                document.removeEventListener('keydown', onKeydown, true);
+                secretControl.destroy();
+                overlay.remove();
+                this.activePrompt = null;
+                resolve(approver);
+            };
+
+            const cancel = () => {
+                audit(window.AuditLog.OUTCOMES.CANCELLED);
+                close(null);
+            };
+
+            const approve = async () => {
+                if (approveButton.disabled) return;
+                approveButton.disabled = true;
+                let approver = null;
+
+                try {
+                    approver = await auth.authorize(secretControl.getSecret(), permission);
+                } catch (error) {
+                    errorText.textContent = error.message;
+                    errorText.classList.remove('hidden');
+                    return;
+                } finally {
+                    secretControl.clear();
+                    approveButton.disabled = false;
+                }
+
+                if (approver) {
+                    audit(window.AuditLog.OUTCOMES.APPROVED, approver);
+                    console.log(`ManagerOverride: ${permission} approved by ${approver.id} (${approver.method})`);
+                    close(approver);
+                    return;
+                }
+
+                attempts++;
+                audit(window.AuditLog.OUTCOMES.DENIED);
+                if (attempts >= this.maxAttempts) {
+                    window.NotificationSystem.error('Override not approved: too many wrong attempts');
+                    close(null);
+                    return;
+                }
+
+                errorText.textContent = 'Not recognized, or that user may not approve this';
+                errorText.classList.remove('hidden');
+                secretControl.focus();
+            };
+
+            // Capture Escape before the register's keyboard shortcuts see it
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    cancel();
+                }
+            };
+
+            overlay.querySelector('.override-cancel').addEventListener('click', cancel);
+            approveButton.addEventListener('click', approve);
+            secretControl.on('passwordSubmitted', approve);
+            document.addEventListener('keydown', onKeydown, true);
+
+            document.body.appendChild(overlay);
+            this.activePrompt = overlay;
+            secretControl.focus();
+        });
+    }
+}
+
+// Make ManagerOverride globally available
+if (typeof window !== 'undefined') {
+    window.ManagerOverride = ManagerOverride;
+}
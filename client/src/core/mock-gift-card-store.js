@@ -0,0 +1,148 @@
+/**
+ * Mock Gift Card Store - Stand-in for the gift card issuer
+ *
+ * Knows which card numbers exist and whether each one is inactive (card
+ * stock on the shelf), active or blocked. GiftCardLedger asks it before
+ * activating, reloading or drawing on a card, the way a real issuer host
+ * would be asked.
+ *
+ * Calls are asynchronous with a small delay. `failNext()` makes the next call
+ * reject, for testing offline and host-error handling. Status changes are
+ * kept in localStorage so activated cards stay active across page reloads.
+ *
+ * Test cards (all pass the Luhn check):
+ * - 6035 7100 0000 0018, 0026, 0034, ... - 50 inactive cards, ready to be sold
+ * - 6035 7199 0000 0002 - active, opening balance $50.00
+ * - 6035 7199 0000 0010 - active, opening balance $10.00
+ * - 6035 7199 0000 0028 - blocked (reported lost)
+ *
+ * @class MockGiftCardStore
+ * @example
+ * const card = await MockGiftCardStore.lookup('6035710000000018');
+ * // { number: '6035710000000018', status: 'inactive', openingBalance: 0 }
+ *
+ * MockGiftCardStore.failNext('Issuer offline');
+ */
+export class MockGiftCardStore {
+    static STATUS = {
+        INACTIVE: 'inactive',
+        ACTIVE: 'active',
+        BLOCKED: 'blocked'
+    };
+
+    static PREFIX = '603571';
+    static STATUS_KEY = 'pos-mock-gift-cards';
+    static latency = 150;
+    static failure = null;
+    static cards = null;
+
+    static init() {
+        if (this.cards) return;
+
+        this.cards = new Map();
+
+        // Shelf stock: 603571 + serial 000000001..000000050 + Luhn check digit
+        for (let i = 1; i <= 50; i++) {
+            const body = `${this.PREFIX}${String(i).padStart(9, '0')}`;
+            this.addCard(body + this.checkDigit(body), this.STATUS.INACTIVE);
+        }
+
+        this.addCard('6035719900000002', this.STATUS.ACTIVE, 50);
+        this.addCard('6035719900000010', this.STATUS.ACTIVE, 10);
+        this.addCard('6035719900000028', this.STATUS.BLOCKED);
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STATUS_KEY)) || {};
+            Object.entries(saved).forEach(([number, status]) => {
+                if (this.cards.has(number)) {
+                    this.cards.get(number).status = status;
+                }
+            });
+        } catch (error) {
+            // localStorage unavailable - statuses reset with the page
+        }
+    }
+
+    static addCard(number, status, openingBalance = 0) {
+        this.cards.set(number, { number, status, openingBalance });
+    }
+
+    /**
+     * Luhn check digit for a card number without its last digit
+     * @param {string} body - Digits
+     * @returns {string} Check digit
+     */
+    static checkDigit(body) {
+        let sum = 0;
+        body.split('').reverse().forEach((digit, index) => {
+            let value = parseInt(digit, 10);
+            if (index % 2 === 0) {
+                value *= 2;
+                if (value > 9) value -= 9;
+            }
+            sum += value;
+        });
+        return String((10 - (sum % 10)) % 10);
+    }
+
+    /**
+     * Makes the next call fail, e.g. to test the issuer being unreachable
+     * @param {string} [message] - Error message
+     */
+    static failNext(message = 'Gift card host unavailable') {
+        this.failure = message;
+    }
+
+    static async respond(value) {
+        this.init();
+        await new Promise(resolve => setTimeout(resolve, this.latency));
+
+        if (this.failure) {
+            const message = this.failure;
+            this.failure = null;
+            throw new Error(message);
+        }
+
+        return value ? { ...value } : null;
+    }
+
+    /**
+     * Looks up a card
+     * @param {string} number - Card number
+     * @returns {Promise<Object|null>} { number, status, openingBalance }, or null for an unknown card
+     */
+    static async lookup(number) {
+        this.init();
+        return this.respond(this.cards.get(number));
+    }
+
+    static async setStatus(number, status) {
+        this.init();
+        const card = this.cards.get(number);
+        await this.respond(card);
+
+        if (card) {
+            card.status = status;
+            this.saveStatuses();
+        }
+        return card ? { ...card } : null;
+    }
+
+    static saveStatuses() {
+        const statuses = {};
+        this.cards.forEach(card => {
+            statuses[card.number] = card.status;
+        });
+
+        try {
+            localStorage.setItem(this.STATUS_KEY, JSON.stringify(statuses));
+        } catch (error) {
+            // Ignore - statuses still hold for this session
+        }
+    }
+}
+
+// Make MockGiftCardStore globally available
+if (typeof window !== 'undefined') {
+    window.MockGiftCardStore = MockGiftCardStore;
+}
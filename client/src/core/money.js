@@ -0,0 +1,338 @@
+/**
+ * Money - Immutable currency amount stored in integer minor units
+ *
+ * All transaction math (line totals, tax, totals, change) is done on integer
+ * cents so no floating-point drift can creep in between controls. Values are
+ * only converted back to decimals for display.
+ *
+ * Operations that can produce fractions of a minor unit (multiply, divide,
+ * fromMajor with extra decimals) take a rounding mode from Money.ROUNDING.
+ * `allocate` splits an amount by ratios without losing or creating a cent.
+ *
+ * @class Money
+ * @example
+ * const price = Money.fromMajor(12.99);           // 1299 cents
+ * const line = price.multiply(3);                 // $38.97
+ * const tax = line.multiply(0.0625);              // $2.44 (half-up)
+ * line.plus(tax).toString();                      // "41.41"
+ *
+ * Money.fromMajor(10).allocate([1, 1, 1]);        // [$3.34, $3.33, $3.33]
+ * Money.fromMajor('1.005', 'USD', Money.ROUNDING.HALF_EVEN); // $1.00
+ */
+export class Money {
+    static DEFAULT_CURRENCY = 'USD';
+
+    // Minor unit digits per ISO 4217 currency; anything not listed uses 2
+    static CURRENCY_DECIMALS = {
+        USD: 2, EUR: 2, GBP: 2, CAD: 2, AUD: 2, INR: 2, CHF: 2,
+        JPY: 0, KRW: 0, CLP: 0,
+        BHD: 3, KWD: 3, OMR: 3
+    };
+
+    static ROUNDING = {
+        HALF_UP: 'half-up',         // 0.5 away from zero
+        HALF_DOWN: 'half-down',     // 0.5 towards zero
+        HALF_EVEN: 'half-even',     // 0.5 to the even neighbour (banker's rounding)
+        UP: 'up',                   // always away from zero
+        DOWN: 'down',               // always towards zero (truncate)
+        CEILING: 'ceiling',         // towards +infinity
+        FLOOR: 'floor'              // towards -infinity
+    };
+
+    static DEFAULT_ROUNDING = Money.ROUNDING.HALF_UP;
+
+    /**
+     * Creates a Money value from minor units
+     * @param {number} amount - Integer amount in minor units (cents)
+     * @param {string} [currency=Money.DEFAULT_CURRENCY] - ISO 4217 currency code
+     */
+    constructor(amount, currency = Money.DEFAULT_CURRENCY) {
+        if (!Number.isSafeInteger(amount)) {
+            throw new Error(`Money amount must be an integer number of minor units, got ${amount}`);
+        }
+
+        this.amount = amount === 0 ? 0 : amount; // normalise -0
+        this.currency = currency;
+        Object.freeze(this);
+    }
+
+    static decimalsFor(currency) {
+        const decimals = this.CURRENCY_DECIMALS[currency];
+        return decimals === undefined ? 2 : decimals;
+    }
+
+    static fromMinor(amount, currency = this.DEFAULT_CURRENCY) {
+        return new Money(amount, currency);
+    }
+
+    static zero(currency = this.DEFAULT_CURRENCY) {
+        return new Money(0, currency);
+    }
+
+    /**
+     * Creates a Money value from a decimal amount ("12.99", 12.99)
+     * Strings and numbers are converted digit by digit, so 1.005 really is 1.005.
+     * @param {number|string} value - Amount in major units
+     * @param {string} [currency=Money.DEFAULT_CURRENCY] - ISO 4217 currency code
+     * @param {string} [rounding=Money.DEFAULT_ROUNDING] - Rounding mode for extra decimals
+     * @returns {Money} Money value
+     */
+    static fromMajor(value, currency = this.DEFAULT_CURRENCY, rounding = this.DEFAULT_ROUNDING) {
+        const decimals = this.decimalsFor(currency);
+        let text = typeof value === 'number' ? String(value) : String(value).trim();
+
+        if (/e/i.test(text)) {
+            // Exponent notation (1e-7, 1e21): expand it first
+            text = Number(text).toFixed(20).replace(/0+$/, '');
+        }
+
+        const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+        if (!match || (match[2] === '' && !match[3])) {
+            throw new Error(`Invalid money amount: ${value}`);
+        }
+
+        const negative = match[1] === '-';
+        const fraction = match[3] || '';
+        const kept = (fraction + '0'.repeat(decimals)).slice(0, decimals);
+        const rest = fraction.slice(decimals);
+
+        const minor = parseInt((match[2] || '0') + kept, 10);
+        // Digits beyond the currency's decimals become a fraction of one minor unit
+        const remainder = /[1-9]/.test(rest) ? parseFloat(`0.${rest}`) : 0;
+
+        return new Money(this.roundNumber(minor + remainder, rounding, negative), currency);
+    }
+
+    /**
+     * Converts numbers, strings, serialized { amount, currency } objects or Money to Money
+     * @param {Money|Object|number|string} value - Value to convert
+     * @param {string} [currency=Money.DEFAULT_CURRENCY] - Currency for plain numbers/strings
+     * @returns {Money} Money value
+     */
+    static from(value, currency = this.DEFAULT_CURRENCY) {
+        if (value instanceof Money) {
+            return value;
+        }
+        if (value && typeof value === 'object' && Number.isSafeInteger(value.amount)) {
+            return new Money(value.amount, value.currency || currency);
+        }
+        if (value === null || value === undefined || value === '') {
+            return this.zero(currency);
+        }
+        return this.fromMajor(value, currency);
+    }
+
+    static sum(values, currency = this.DEFAULT_CURRENCY) {
+        return values.reduce((total, value) => total.plus(value), this.zero(currency));
+    }
+
+    static min(...values) {
+        return values.reduce((min, value) => (value.lessThan(min) ? value : min));
+    }
+
+    static max(...values) {
+        return values.reduce((max, value) => (value.greaterThan(max) ? value : max));
+    }
+
+    /**
+     * Rounds a fractional number of minor units to an integer
+     * @param {number} value - Value in minor units (may be fractional)
+     * @param {string} rounding - Mode from Money.ROUNDING
+     * @param {boolean} [negative] - Sign override when value holds only a magnitude
+     * @returns {number} Integer
+     */
+    static roundNumber(value, rounding = this.DEFAULT_ROUNDING, negative = value < 0) {
+        // Drop binary noise like 2.4999999999999996 before deciding
+        const magnitude = Number(Math.abs(value).toPrecision(15));
+        const whole = Math.floor(magnitude);
+        const fraction = magnitude - whole;
+        const half = Math.abs(fraction - 0.5) < 1e-9;
+        let result;
+
+        switch (rounding) {
+            case this.ROUNDING.HALF_UP:
+                result = half || fraction > 0.5 ? whole + 1 : whole;
+                break;
+            case this.ROUNDING.HALF_DOWN:
+                result = !half && fraction > 0.5 ? whole + 1 : whole;
+                break;
+            case this.ROUNDING.HALF_EVEN:
+                result = half ? (whole % 2 === 0 ? whole : whole + 1) : (fraction > 0.5 ? whole + 1 : whole);
+                break;
+            case this.ROUNDING.UP:
+                result = fraction > 0 ? whole + 1 : whole;
+                break;
+            case this.ROUNDING.DOWN:
+                result = whole;
+                break;
+            case this.ROUNDING.CEILING:
+                result = !negative && fraction > 0 ? whole + 1 : whole;
+                break;
+            case this.ROUNDING.FLOOR:
+                result = negative && fraction > 0 ? whole + 1 : whole;
+                break;
+            default:
+                throw new Error(`Unknown rounding mode: ${rounding}`);
+        }
+
+        return negative ? -result : result;
+    }
+
+    assertSameCurrency(other) {
+        if (other.currency !== this.currency) {
+            throw new Error(`Currency mismatch: ${this.currency} vs ${other.currency}`);
+        }
+    }
+
+    plus(other) {
+        const value = Money.from(other, this.currency);
+        this.assertSameCurrency(value);
+        return new Money(this.amount + value.amount, this.currency);
+    }
+
+    minus(other) {
+        const value = Money.from(other, this.currency);
+        this.assertSameCurrency(value);
+        return new Money(this.amount - value.amount, this.currency);
+    }
+
+    /**
+     * Multiplies by a factor (quantity, rate, weight) and rounds to a whole minor unit
+     * @param {number} factor - Multiplier
+     * @param {string} [rounding=Money.DEFAULT_ROUNDING] - Rounding mode
+     * @returns {Money} Product
+     */
+    multiply(factor, rounding = Money.DEFAULT_ROUNDING) {
+        return new Money(Money.roundNumber(this.amount * factor, rounding), this.currency);
+    }
+
+    divide(divisor, rounding = Money.DEFAULT_ROUNDING) {
+        if (divisor === 0) {
+            throw new Error('Cannot divide money by zero');
+        }
+        return new Money(Money.roundNumber(this.amount / divisor, rounding), this.currency);
+    }
+
+    /**
+     * Splits the amount by ratios; leftover minor units go to the first shares
+     * so the parts always add up to the original amount
+     * @param {number[]} ratios - Relative weights, e.g. [1, 1, 1] or [70, 30]
+     * @returns {Money[]} One Money per ratio
+     */
+    allocate(ratios) {
+        if (!Array.isArray(ratios) || ratios.length === 0) {
+            throw new Error('allocate needs at least one ratio');
+        }
+        if (ratios.some(ratio => typeof ratio !== 'number' || ratio < 0)) {
+            throw new Error('allocate ratios must be non-negative numbers');
+        }
+
+        const totalRatio = ratios.reduce((sum, ratio) => sum + ratio, 0);
+        if (totalRatio === 0) {
+            throw new Error('allocate ratios cannot all be zero');
+        }
+
+        const sign = this.amount < 0 ? -1 : 1;
+        const magnitude = Math.abs(this.amount);
+        const shares = ratios.map(ratio => Math.floor(magnitude * ratio / totalRatio));
+        let remainder = magnitude - shares.reduce((sum, share) => sum + share, 0);
+
+        for (let i = 0; remainder > 0; i = (i + 1) % shares.length) {
+            if (ratios[i] > 0) {
+                shares[i]++;
+                remainder--;
+            }
+        }
+
+        return shares.map(share => new Money(sign * share, this.currency));
+    }
+
+    split(parts) {
+        return this.allocate(new Array(parts).fill(1));
+    }
+
+    negate() {
+        return new Money(-this.amount, this.currency);
+    }
+
+    abs() {
+        return new Money(Math.abs(this.amount), this.currency);
+    }
+
+    isZero() {
+        return this.amount === 0;
+    }
+
+    isPositive() {
+        return this.amount > 0;
+    }
+
+    isNegative() {
+        return this.amount < 0;
+    }
+
+    compare(other) {
+        const value = Money.from(other, this.currency);
+        this.assertSameCurrency(value);
+        return Math.sign(this.amount - value.amount);
+    }
+
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+
+    greaterThan(other) {
+        return this.compare(other) > 0;
+    }
+
+    lessThan(other) {
+        return this.compare(other) < 0;
+    }
+
+    /**
+     * Amount in major units as a number (for charts, inputs, legacy callers)
+     * @returns {number} e.g. 12.99
+     */
+    toMajor() {
+        return this.amount / Math.pow(10, Money.decimalsFor(this.currency));
+    }
+
+    /**
+     * Plain decimal string with the currency's number of decimals
+     * @returns {string} e.g. "12.99" or "-0.50"
+     */
+    toString() {
+        const decimals = Money.decimalsFor(this.currency);
+        const digits = String(Math.abs(this.amount)).padStart(decimals + 1, '0');
+        const whole = digits.slice(0, digits.length - decimals);
+        const fraction = decimals > 0 ? `.${digits.slice(-decimals)}` : '';
+        return `${this.amount < 0 ? '-' : ''}${whole}${fraction}`;
+    }
+
+    /**
+     * Display string with currency symbol (localized through CurrencyFormatter when loaded)
+     * @returns {string} e.g. "$12.99" or "-$0.50"
+     */
+    format() {
+        if (typeof window !== 'undefined' && window.CurrencyFormatter) {
+            return window.CurrencyFormatter.format(this);
+        }
+
+        const symbol = Money.symbolFor(this.currency);
+        return `${this.amount < 0 ? '-' : ''}${symbol}${this.abs().toString()}`;
+    }
+
+    static symbolFor(currency) {
+        const symbols = { USD: '$', CAD: '$', AUD: '$', EUR: '€', GBP: '£', JPY: '¥', INR: '₹' };
+        return symbols[currency] || `${currency} `;
+    }
+
+    toJSON() {
+        return { amount: this.amount, currency: this.currency };
+    }
+}
+
+// Make Money globally available
+if (typeof window !== 'undefined') {
+    window.Money = Money;
+}
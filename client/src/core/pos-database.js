@@ -0,0 +1,227 @@
+/**
+ * POS Database - Thin promise wrapper around IndexedDB
+ *
+ * Owns the single IndexedDB database used by the POS and declares every
+ * object store it contains. Modules that persist data (catalog, journal, ...)
+ * add their store to STORES and bump DB_VERSION; the upgrade handler creates
+ * whatever stores and indexes are missing.
+ *
+ * All methods return promises. When IndexedDB is not available (private mode,
+ * old browsers) `isAvailable()` returns false and callers fall back to memory.
+ *
+ * @class PosDatabase
+ * @example
+ * await PosDatabase.put('products', { id: '001', name: 'Coffee Mug', price: 12.99 });
+ * const products = await PosDatabase.getAll('products');
+ * const mugs = await PosDatabase.getAllByIndex('products', 'barcode', '123456789');
+ */
+export class PosDatabase {
+    static DB_NAME = 'pos-database';
+    static DB_VERSION = 10;
+    static STORES = {
+        products: {
+            keyPath: 'id',
+            indexes: [
+                { name: 'barcode', keyPath: 'barcode' },
+                { name: 'sku', keyPath: 'sku' },
+                { name: 'plu', keyPath: 'plu' },
+                { name: 'name', keyPath: 'name' }
+            ]
+        },
+        journal: {
+            keyPath: 'sequence',
+            indexes: [
+                { name: 'transactionNumber', keyPath: 'transactionNumber' },
+                { name: 'cashier', keyPath: 'cashier' },
+                { name: 'date', keyPath: 'date' }
+            ]
+        },
+        heldTransactions: {
+            keyPath: 'id',
+            indexes: [
+                { name: 'heldAt', keyPath: 'heldAt' }
+            ]
+        },
+        giftCards: {
+            keyPath: 'number'
+        },
+        customers: {
+            keyPath: 'id',
+            indexes: [
+                { name: 'name', keyPath: 'name' },
+                { name: 'phone', keyPath: 'phone' },
+                { name: 'email', keyPath: 'email' }
+            ]
+        },
+        loyaltyAccounts: {
+            keyPath: 'customerId'
+        },
+        users: {
+            keyPath: 'id'
+        },
+        auditLog: {
+            keyPath: 'id',
+            autoIncrement: true,
+            indexes: [
+                { name: 'action', keyPath: 'action' },
+                { name: 'at', keyPath: 'at' }
+            ]
+        },
+        shifts: {
+            keyPath: 'id',
+            indexes: [
+                { name: 'terminalId', keyPath: 'terminalId' },
+                { name: 'status', keyPath: 'status' },
+                { name: 'openedAt', keyPath: 'openedAt' }
+            ]
+        },
+        zReports: {
+            keyPath: 'id',
+            indexes: [
+                { name: 'terminalId', keyPath: 'terminalId' }
+            ]
+        }
+    };
+
+    static dbPromise = null;
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Opens (and upgrades if needed) the POS database
+     * @returns {Promise<IDBDatabase>} Open database connection
+     */
+    static open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        if (!this.isAvailable()) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                this.upgrade(request.result, event.target.transaction);
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgraded the schema - drop our connection so it can proceed
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.warn('PosDatabase: Upgrade blocked by another open connection');
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    static upgrade(db, transaction) {
+        Object.entries(this.STORES).forEach(([storeName, config]) => {
+            const store = db.objectStoreNames.contains(storeName) ?
+                transaction.objectStore(storeName) :
+                db.createObjectStore(storeName, {
+                    keyPath: config.keyPath,
+                    autoIncrement: config.autoIncrement || false
+                });
+
+            (config.indexes || []).forEach(index => {
+                if (!store.indexNames.contains(index.name)) {
+                    store.createIndex(index.name, index.keyPath, { unique: index.unique || false });
+                }
+            });
+        });
+
+        console.log(`PosDatabase: Schema upgraded to version ${this.DB_VERSION}`);
+    }
+
+    /**
+     * Runs a callback inside a transaction and resolves with its request result
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object store, returns an IDBRequest (optional)
+     * @returns {Promise<*>} Request result once the transaction completes
+     */
+    static async withStore(storeName, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            let request = null;
+
+            try {
+                request = callback(store);
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    static get(storeName, key) {
+        return this.withStore(storeName, 'readonly', store => store.get(key));
+    }
+
+    static getAll(storeName) {
+        return this.withStore(storeName, 'readonly', store => store.getAll());
+    }
+
+    static getAllByIndex(storeName, indexName, query) {
+        return this.withStore(storeName, 'readonly', store => store.index(indexName).getAll(query));
+    }
+
+    static count(storeName) {
+        return this.withStore(storeName, 'readonly', store => store.count());
+    }
+
+    static put(storeName, value) {
+        return this.withStore(storeName, 'readwrite', store => store.put(value));
+    }
+
+    // Insert only - rejects with a ConstraintError if the key already exists
+    static add(storeName, value) {
+        return this.withStore(storeName, 'readwrite', store => store.add(value));
+    }
+
+    static putMany(storeName, values) {
+        return this.withStore(storeName, 'readwrite', store => {
+            values.forEach(value => store.put(value));
+            return null;
+        });
+    }
+
+    static delete(storeName, key) {
+        return this.withStore(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    static clear(storeName) {
+        return this.withStore(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+// Make PosDatabase globally available
+if (typeof window !== 'undefined') {
+    window.PosDatabase = PosDatabase;
+}
@@ -0,0 +1,261 @@
+/**
+ * Product Catalog - Single source of product data for the POS
+ *
+ * Holds every sellable product in memory for synchronous lookups from the
+ * controls, and persists the catalog to IndexedDB through PosDatabase.
+ * Products can be found by barcode, SKU, PLU or id, and searched by name.
+ *
+ * The catalog starts with a built-in demo product list so lookups work before
+ * (or without) IndexedDB. `init()` replaces it with the stored catalog, or
+ * seeds the store with the demo list on first run.
+ *
+ * @class ProductCatalog
+ * @example
+ * await ProductCatalog.init();
+ *
+ * ProductCatalog.lookup('123456789'); // barcode
+ * ProductCatalog.lookup('MUG-001');   // SKU
+ * ProductCatalog.lookup('4011');      // PLU
+ * ProductCatalog.search('apple');     // name search
+ */
+export class ProductCatalog {
+    static STORE_NAME = 'products';
+    static CODE_FIELDS = ['barcode', 'sku', 'plu', 'id'];
+
+    static DEFAULT_PRODUCTS = [
+        { id: '001', name: 'Coffee Mug', price: 12.99, barcode: '123456789', sku: 'MUG-001', category: 'housewares' },
+        { id: '002', name: 'Notebook', price: 5.49, barcode: '987654321', sku: 'NTB-002', category: 'stationery' },
+        { id: '003', name: 'Pen Set', price: 8.99, barcode: '456789123', sku: 'PEN-003', category: 'stationery' },
+        { id: '004', name: 'Desk Lamp', price: 24.99, barcode: '789123456', sku: 'LMP-004', category: 'housewares' },
+        { id: '005', name: 'Apple iPhone 14', price: 999.99, barcode: '194253401236', sku: 'IPH-014', category: 'electronics' },
+        { id: '006', name: 'Samsung Galaxy S23', price: 899.99, barcode: '887276652287', sku: 'SGS-023', category: 'electronics' },
+        { id: '007', name: 'Apple MacBook Air', price: 1199.99, barcode: '194253081378', sku: 'MBA-013', category: 'electronics' },
+        { id: '008', name: 'Dell XPS 13', price: 1099.99, barcode: '884116401289', sku: 'XPS-013', category: 'electronics' },
+        { id: '009', name: 'Apple iPad Pro', price: 799.99, barcode: '194253242198', sku: 'IPD-011', category: 'electronics' },
+        { id: '010', name: 'Bananas', price: 0.59, plu: '4011', sku: 'PRD-4011', category: 'produce', taxClass: 'exempt' },
+        { id: '011', name: 'Gala Apples', price: 1.49, plu: '4133', sku: 'PRD-4133', category: 'produce', taxClass: 'exempt' },
+        { id: '012', name: 'Gift Card', price: 25, barcode: '603571000000', sku: 'GFT-025', category: 'gift-cards', taxClass: 'exempt', giftCard: true }
+    ];
+
+    static products = new Map();
+    static codeIndex = new Map();
+    static readyPromise = null;
+    static persistent = false;
+
+    /**
+     * Loads the catalog from IndexedDB, seeding it with the demo products on first run
+     * @returns {Promise<number>} Number of products loaded
+     */
+    static init() {
+        if (this.readyPromise) {
+            return this.readyPromise;
+        }
+
+        if (!window.PosDatabase || !window.PosDatabase.isAvailable()) {
+            console.warn('ProductCatalog: IndexedDB unavailable, using in-memory catalog');
+            this.readyPromise = Promise.resolve(this.products.size);
+            return this.readyPromise;
+        }
+
+        this.readyPromise = window.PosDatabase.getAll(this.STORE_NAME)
+            .then(async (stored) => {
+                this.persistent = true;
+
+                if (stored.length === 0) {
+                    await window.PosDatabase.putMany(this.STORE_NAME, this.getAll());
+                    console.log(`ProductCatalog: Seeded ${this.products.size} default products`);
+                } else {
+                    this.replaceAll(stored);
+                    console.log(`ProductCatalog: Loaded ${stored.length} products`);
+                }
+
+                return this.products.size;
+            })
+            .catch((error) => {
+                console.error('ProductCatalog: Failed to load catalog, using in-memory catalog', error);
+                return this.products.size;
+            });
+
+        return this.readyPromise;
+    }
+
+    /**
+     * Finds a product by barcode, SKU, PLU or id
+     * @param {string|number} code - Scanned or typed product code
+     * @returns {Object|null} Product copy or null when not found
+     */
+    static lookup(code) {
+        const key = this.normalizeCode(code);
+        if (!key) {
+            return null;
+        }
+
+        const id = this.codeIndex.get(key);
+        return id !== undefined ? this.get(id) : null;
+    }
+
+    static get(id) {
+        const product = this.products.get(String(id));
+        return product ? { ...product } : null;
+    }
+
+    static getAll() {
+        return Array.from(this.products.values()).map(product => ({ ...product }));
+    }
+
+    /**
+     * Searches products by name, and by code prefix for numeric/SKU queries
+     * @param {string} query - Search text
+     * @param {number} [limit=10] - Maximum number of results
+     * @returns {Object[]} Matching products, best matches first
+     */
+    static search(query, limit = 10) {
+        const text = String(query || '').trim().toLowerCase();
+        if (!text) {
+            return [];
+        }
+
+        const code = this.normalizeCode(text);
+        const matches = [];
+
+        this.products.forEach(product => {
+            const position = product.name.toLowerCase().indexOf(text);
+            if (position >= 0) {
+                matches.push({ product, score: position });
+                return;
+            }
+
+            const codeMatch = this.CODE_FIELDS.some(field =>
+                product[field] && this.normalizeCode(product[field]).startsWith(code)
+            );
+            if (codeMatch) {
+                matches.push({ product, score: 1000 });
+            }
+        });
+
+        return matches
+            .sort((a, b) => a.score - b.score || a.product.name.localeCompare(b.product.name))
+            .slice(0, limit)
+            .map(match => ({ ...match.product }));
+    }
+
+    /**
+     * Adds or replaces a product and persists it
+     * @param {Object} product - Product with at least id, name and price
+     * @returns {Promise<Object>} Stored product
+     */
+    static async saveProduct(product) {
+        const normalized = this.normalizeProduct(product);
+        this.setProduct(normalized);
+
+        if (this.persistent) {
+            await window.PosDatabase.put(this.STORE_NAME, normalized);
+        }
+
+        return { ...normalized };
+    }
+
+    static async saveProducts(products) {
+        const normalized = products.map(product => this.normalizeProduct(product));
+        normalized.forEach(product => this.setProduct(product));
+
+        if (this.persistent) {
+            await window.PosDatabase.putMany(this.STORE_NAME, normalized);
+        }
+
+        return normalized.length;
+    }
+
+    static async removeProduct(id) {
+        const key = String(id);
+        const existing = this.products.get(key);
+        if (!existing) {
+            return false;
+        }
+
+        this.unindexProduct(existing);
+        this.products.delete(key);
+
+        if (this.persistent) {
+            await window.PosDatabase.delete(this.STORE_NAME, key);
+        }
+
+        return true;
+    }
+
+    static replaceAll(products) {
+        this.products.clear();
+        this.codeIndex.clear();
+        products.forEach(product => this.setProduct(this.normalizeProduct(product)));
+    }
+
+    static setProduct(product) {
+        const existing = this.products.get(product.id);
+        if (existing) {
+            this.unindexProduct(existing);
+        }
+
+        this.products.set(product.id, product);
+        this.CODE_FIELDS.forEach(field => {
+            const key = this.normalizeCode(product[field]);
+            if (key && !this.codeIndex.has(key)) {
+                this.codeIndex.set(key, product.id);
+            }
+        });
+    }
+
+    static unindexProduct(product) {
+        this.CODE_FIELDS.forEach(field => {
+            const key = this.normalizeCode(product[field]);
+            if (key && this.codeIndex.get(key) === product.id) {
+                this.codeIndex.delete(key);
+            }
+        });
+    }
+
+    static normalizeProduct(product) {
+        const normalized = {
+            id: String(product.id).trim(),
+            name: String(product.name).trim(),
+            price: Number(product.price),
+            category: product.category ? String(product.category).trim() : 'general',
+            taxClass: product.taxClass ? String(product.taxClass).trim().toLowerCase() : 'standard'
+        };
+
+        ['barcode', 'sku', 'plu'].forEach(field => {
+            if (product[field] !== undefined && product[field] !== null && String(product[field]).trim() !== '') {
+                normalized[field] = String(product[field]).trim();
+            }
+        });
+
+        // Gift card products activate a card for the amount entered at the register
+        if (product.giftCard === true || product.giftCard === 'true') {
+            normalized.giftCard = true;
+        }
+
+        return normalized;
+    }
+
+    static normalizeCode(code) {
+        if (code === undefined || code === null) {
+            return '';
+        }
+        return String(code).trim().toUpperCase();
+    }
+
+    static getStats() {
+        return {
+            productCount: this.products.size,
+            codeCount: this.codeIndex.size,
+            persistent: this.persistent
+        };
+    }
+}
+
+// Start with the built-in demo products until init() loads the stored catalog
+ProductCatalog.replaceAll(ProductCatalog.DEFAULT_PRODUCTS);
+
+// Make ProductCatalog globally available
+if (typeof window !== 'undefined') {
+    window.ProductCatalog = ProductCatalog;
+}
@@ -0,0 +1,388 @@
+/**
+ * Promotion Engine - Rule-based discounts for the cart
+ *
+ * Promotions are JSON rules of three types:
+ * - `bogo`          - buy `buy` units, get `get` more at `percentOff` (100 = free)
+ * - `mix-and-match` - any `quantity` qualifying units for a fixed `price`
+ * - `threshold`     - `percentOff` or `amountOff` when the basket reaches `minimum`
+ *
+ * Item rules (bogo, mix-and-match) qualify products by id (`items`) and/or
+ * catalog category (`categories`). A rule is only active between its optional
+ * `startDate` and `endDate` (ISO dates or date-times; a date-only end date
+ * includes the whole day).
+ *
+ * Conflicts are resolved by `priority` (higher first, ties in rule order):
+ * every unit in the cart can be used by one item rule only, so a unit taken
+ * by a higher-priority rule is not available to lower ones. After item rules,
+ * at most one threshold rule applies - the highest-priority one whose minimum
+ * is met by the basket after item discounts.
+ *
+ * Each discount is allocated back to the lines it came from, so tax is
+ * charged on the discounted amounts.
+ *
+ * @class PromotionEngine
+ * @example
+ * PromotionEngine.configure({
+ *   promotions: [
+ *     { id: 'mugs', name: 'Mugs: Buy 2 Get 1 Free', type: 'bogo', items: ['001'], buy: 2, get: 1 },
+ *     { id: 'snacks', name: 'Any 3 Snacks for $5', type: 'mix-and-match', categories: ['snacks'], quantity: 3, price: 5 },
+ *     { id: 'spend-50', name: '10% off over $50', type: 'threshold', minimum: 50, percentOff: 10,
+ *       startDate: '2024-11-29', endDate: '2024-12-02' }
+ *   ]
+ * });
+ *
+ * const { discounts, total } = PromotionEngine.evaluate(cartItems);
+ * // discounts -> [{ id: 'mugs', name, type, amount: -$12.99, allocations: [...] }]
+ */
+export class PromotionEngine {
+    static TYPES = {
+        BOGO: 'bogo',
+        MIX_AND_MATCH: 'mix-and-match',
+        THRESHOLD: 'threshold'
+    };
+
+    static DEFAULT_PROMOTIONS = [
+        { id: 'mugs-b2g1', name: 'Coffee Mugs: Buy 2 Get 1 Free', type: 'bogo', items: ['001'], buy: 2, get: 1, priority: 10 },
+        { id: 'stationery-3-for-15', name: 'Any 3 Stationery for $15', type: 'mix-and-match', categories: ['stationery'], quantity: 3, price: 15, priority: 5 },
+        { id: 'home-office-50', name: 'Home & Office: 10% off over $50', type: 'threshold', minimum: 50, percentOff: 10, categories: ['housewares', 'stationery'] }
+    ];
+
+    static promotions = PromotionEngine.DEFAULT_PROMOTIONS.map(promotion => PromotionEngine.normalize(promotion));
+
+    /**
+     * Replaces the promotion rules
+     * @param {Object} config - Promotion configuration
+     * @param {Object[]|string} config.promotions - Rule definitions, or their JSON text
+     */
+    static configure(config = {}) {
+        if (config.promotions !== undefined) {
+            const rules = typeof config.promotions === 'string' ? JSON.parse(config.promotions) : config.promotions;
+
+            if (!Array.isArray(rules)) {
+                throw new Error('Promotions must be an array of rules');
+            }
+
+            this.promotions = rules.map((rule, index) => {
+                const error = this.validate(rule);
+                if (error) {
+                    throw new Error(`Promotion at index ${index} (${rule && rule.id}): ${error}`);
+                }
+                return this.normalize(rule);
+            });
+        }
+
+        console.log(`PromotionEngine: Configured ${this.promotions.length} promotions`);
+    }
+
+    /**
+     * Checks a rule definition
+     * @param {Object} rule - Rule definition
+     * @returns {string|null} Error message, or null when the rule is valid
+     */
+    static validate(rule) {
+        if (!rule || !rule.id) return 'id is required';
+        if (!Object.values(this.TYPES).includes(rule.type)) return `unknown type "${rule.type}"`;
+
+        const positive = (value) => typeof value === 'number' && value > 0;
+        const isItemRule = rule.type !== this.TYPES.THRESHOLD;
+
+        if (isItemRule && !(rule.items && rule.items.length) && !(rule.categories && rule.categories.length)) {
+            return 'items or categories are required';
+        }
+
+        switch (rule.type) {
+            case this.TYPES.BOGO:
+                if (!Number.isInteger(rule.buy) || rule.buy < 1) return 'buy must be a whole number of at least 1';
+                if (!Number.isInteger(rule.get) || rule.get < 1) return 'get must be a whole number of at least 1';
+                if (rule.percentOff !== undefined && !(positive(rule.percentOff) && rule.percentOff <= 100)) {
+                    return 'percentOff must be between 0 and 100';
+                }
+                break;
+            case this.TYPES.MIX_AND_MATCH:
+                if (!Number.isInteger(rule.quantity) || rule.quantity < 2) return 'quantity must be a whole number of at least 2';
+                if (typeof rule.price !== 'number' || rule.price < 0) return 'price must be zero or more';
+                break;
+            case this.TYPES.THRESHOLD:
+                if (!positive(rule.minimum)) return 'minimum must be greater than zero';
+                if (!positive(rule.percentOff) && !positive(rule.amountOff)) return 'percentOff or amountOff is required';
+                if (rule.percentOff !== undefined && rule.percentOff > 100) return 'percentOff cannot exceed 100';
+                break;
+        }
+
+        const start = this.parseDate(rule.startDate);
+        const end = this.parseDate(rule.endDate, true);
+        if (start === undefined || end === undefined) return 'startDate and endDate must be ISO dates';
+        if (start && end && start > end) return 'startDate is after endDate';
+
+        return null;
+    }
+
+    static normalize(rule) {
+        return {
+            ...rule,
+            name: rule.name || rule.id,
+            priority: rule.priority || 0,
+            items: (rule.items || []).map(String),
+            categories: (rule.categories || []).map(category => String(category).toLowerCase()),
+            percentOff: rule.type === this.TYPES.BOGO && rule.percentOff === undefined ? 100 : rule.percentOff
+        };
+    }
+
+    /**
+     * Parses a rule date; date-only end dates run to the end of that day
+     * @returns {Date|null|undefined} Date, null when not set, undefined when invalid
+     */
+    static parseDate(value, endOfDay = false) {
+        if (!value) return null;
+
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const date = new Date(dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : value);
+        return isNaN(date.getTime()) ? undefined : date;
+    }
+
+    static isActive(rule, date = new Date()) {
+        const start = this.parseDate(rule.startDate);
+        const end = this.parseDate(rule.endDate, true);
+        return (!start || date >= start) && (!end || date <= end);
+    }
+
+    /**
+     * Active rules in the order they are applied: highest priority first, ties in rule order
+     * @param {Date} [date] - Evaluation time
+     * @returns {Object[]} Rules
+     */
+    static getActivePromotions(date = new Date()) {
+        return this.promotions
+            .map((rule, index) => ({ rule, index }))
+            .filter(({ rule }) => this.isActive(rule, date))
+            .sort((a, b) => (b.rule.priority - a.rule.priority) || (a.index - b.index))
+            .map(({ rule }) => rule);
+    }
+
+    static matches(rule, item) {
+        if (rule.items.length === 0 && rule.categories.length === 0) {
+            return true;
+        }
+        if (rule.items.includes(String(item.id))) {
+            return true;
+        }
+
+        const product = window.ProductCatalog ? window.ProductCatalog.get(item.id) : null;
+        const category = String(item.category || (product && product.category) || '').toLowerCase();
+        return rule.categories.includes(category);
+    }
+
+    /**
+     * Works out which promotions apply to a cart
+     * @param {Object[]} items - Active (not voided) cart items
+     * @param {Object} [options] - { date, currency }
+     * @returns {Object} { discounts: [{ id, name, type, amount, allocations }], total } with negative Money amounts
+     */
+    static evaluate(items, options = {}) {
+        const Money = window.Money;
+        const currency = options.currency || Money.DEFAULT_CURRENCY;
+        const date = options.date || new Date();
+        const rules = this.getActivePromotions(date);
+
+        // Gift cards are sold at face value and never discounted
+        items = items.filter(item => !item.giftCard);
+
+        // One entry per whole unit sold; returned (negative) and weighed fractions are not promoted
+        const units = [];
+        items.forEach(item => {
+            const price = Money.from(item.price, currency);
+            for (let i = 0; i < Math.floor(item.quantity); i++) {
+                units.push({ item, price, used: false });
+            }
+        });
+
+        const discounts = [];
+
+        rules.filter(rule => rule.type !== this.TYPES.THRESHOLD).forEach(rule => {
+            const eligible = units
+                .filter(unit => !unit.used && this.matches(rule, unit.item))
+                .sort((a, b) => b.price.compare(a.price));
+
+            const discount = rule.type === this.TYPES.BOGO ?
+                this.applyBogo(rule, eligible, currency) :
+                this.applyMixAndMatch(rule, eligible, currency);
+
+            if (discount) {
+                discounts.push(discount);
+            }
+        });
+
+        const threshold = this.applyThreshold(rules, items, discounts, currency);
+        if (threshold) {
+            discounts.push(threshold);
+        }
+
+        return {
+            discounts,
+            total: Money.sum(discounts.map(discount => discount.amount), currency)
+        };
+    }
+
+    static applyBogo(rule, eligible, currency) {
+        const groupSize = rule.buy + rule.get;
+        const groups = Math.floor(eligible.length / groupSize);
+        if (groups === 0) return null;
+
+        // Most expensive units are bought, the cheapest in each group are discounted
+        const used = eligible.slice(0, groups * groupSize);
+        const discounted = [];
+        for (let g = 0; g < groups; g++) {
+            discounted.push(...used.slice(g * groupSize + rule.buy, (g + 1) * groupSize));
+        }
+
+        used.forEach(unit => { unit.used = true; });
+
+        const amount = window.Money.sum(
+            discounted.map(unit => unit.price.multiply(rule.percentOff / 100)),
+            currency
+        );
+        return this.buildDiscount(rule, amount, discounted, currency);
+    }
+
+    static applyMixAndMatch(rule, eligible, currency) {
+        const Money = window.Money;
+        const groups = Math.floor(eligible.length / rule.quantity);
+        const dealPrice = Money.fromMajor(rule.price, currency);
+        const used = [];
+        let amount = Money.zero(currency);
+
+        for (let g = 0; g < groups; g++) {
+            const group = eligible.slice(g * rule.quantity, (g + 1) * rule.quantity);
+            const regular = Money.sum(group.map(unit => unit.price), currency);
+
+            // Only take the deal when it actually saves money
+            if (regular.greaterThan(dealPrice)) {
+                amount = amount.plus(regular.minus(dealPrice));
+                used.push(...group);
+            }
+        }
+
+        if (used.length === 0) return null;
+
+        used.forEach(unit => { unit.used = true; });
+        return this.buildDiscount(rule, amount, used, currency);
+    }
+
+    static applyThreshold(rules, items, itemDiscounts, currency) {
+        const Money = window.Money;
+        const sold = items.filter(item => item.quantity > 0);
+
+        for (const rule of rules.filter(candidate => candidate.type === this.TYPES.THRESHOLD)) {
+            const qualifying = sold.filter(item => this.matches(rule, item));
+            const qualifyingIds = new Set(qualifying.map(item => String(item.id)));
+            const itemDiscount = Money.sum(itemDiscounts.flatMap(discount => discount.allocations
+                .filter(allocation => qualifyingIds.has(allocation.itemId))
+                .map(allocation => allocation.amount)), currency);
+            const basket = Money.sum(qualifying.map(item => Money.from(item.price, currency).multiply(item.quantity)), currency)
+                .plus(itemDiscount);
+
+            if (basket.lessThan(Money.fromMajor(rule.minimum, currency))) {
+                continue;
+            }
+
+            const amount = rule.percentOff ?
+                basket.multiply(rule.percentOff / 100) :
+                Money.min(Money.fromMajor(rule.amountOff, currency), basket);
+
+            const units = qualifying.map(item => ({
+                item,
+                price: Money.from(item.price, currency).multiply(item.quantity)
+            }));
+            return this.buildDiscount(rule, amount, units, currency);
+        }
+
+        return null;
+    }
+
+    /**
+     * Builds a discount and spreads it over the lines it came from, by their value
+     * @param {Object} rule - Promotion rule
+     * @param {Money} amount - Positive discount amount
+     * @param {Object[]} units - { item, price } the discount applies to
+     * @returns {Object|null} Discount with negative amounts, or null for a zero discount
+     */
+    static buildDiscount(rule, amount, units, currency) {
+        if (!amount.isPositive()) return null;
+
+        const byItem = new Map();
+        units.forEach(unit => {
+            const id = String(unit.item.id);
+            const entry = byItem.get(id) || { item: unit.item, value: window.Money.zero(currency) };
+            entry.value = entry.value.plus(unit.price);
+            byItem.set(id, entry);
+        });
+
+        const entries = Array.from(byItem.entries());
+        const shares = amount.allocate(entries.map(([, entry]) => Math.max(entry.value.amount, 0)));
+
+        return {
+            id: rule.id,
+            name: rule.name,
+            type: rule.type,
+            amount: amount.negate(),
+            allocations: entries.map(([itemId, entry], index) => ({
+                itemId,
+                taxClass: window.TaxEngine ? window.TaxEngine.resolveTaxClass(entry.item) : entry.item.taxClass,
+                amount: shares[index].negate()
+            }))
+        };
+    }
+
+    /**
+     * Spreads discount allocations over the cart lines they came from. Lines of
+     * the same product share its allocation by their value.
+     * @param {Object[]} items - Cart items; voided and returned lines get nothing
+     * @param {Object[]} discounts - Discounts with allocations (promotions, coupons, points)
+     * @param {string} [currency] - Currency of the amounts
+     * @returns {Money[]} Negative (or zero) discount per item, in item order
+     */
+    static allocateToLines(items, discounts, currency = window.Money.DEFAULT_CURRENCY) {
+        const Money = window.Money;
+        const lineDiscounts = items.map(() => Money.zero(currency));
+        const byItem = new Map();
+
+        (discounts || []).forEach(discount => (discount.allocations || []).forEach(allocation => {
+            const amount = Money.from(allocation.amount, currency);
+            byItem.set(allocation.itemId, (byItem.get(allocation.itemId) || Money.zero(currency)).plus(amount));
+        }));
+
+        byItem.forEach((amount, itemId) => {
+            const lines = items
+                .map((item, index) => ({ item, index, value: Money.from(item.price, currency).multiply(item.quantity).amount }))
+                .filter(line => String(line.item.id) === itemId && !line.item.voided && line.value > 0);
+            if (lines.length === 0) return;
+
+            const shares = amount.allocate(lines.map(line => line.value));
+            lines.forEach((line, index) => {
+                lineDiscounts[line.index] = lineDiscounts[line.index].plus(shares[index]);
+            });
+        });
+
+        return lineDiscounts;
+    }
+
+    /**
+     * Discount allocations as negative cart lines TaxEngine can calculate with
+     * @param {Object[]} discounts - Result of evaluate()
+     * @returns {Object[]} Items with negative prices
+     */
+    static toTaxItems(discounts) {
+        return discounts.flatMap(discount => discount.allocations.map(allocation => ({
+            id: `${discount.id}:${allocation.itemId}`,
+            name: discount.name,
+            price: allocation.amount,
+            quantity: 1,
+            taxClass: allocation.taxClass
+        })));
+    }
+}
+
+// Make PromotionEngine globally available
+if (typeof window !== 'undefined') {
+    window.PromotionEngine = PromotionEngine;
+}
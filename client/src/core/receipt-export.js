@@ -0,0 +1,257 @@
+/**
+ * Receipt Export - Receipts as standalone HTML and PDF files
+ *
+ * Both formats are laid out by the same ReceiptTemplate as the preview and
+ * the printer, so an emailed or archived receipt matches the paper one,
+ * barcodes included.
+ *
+ * `toHtmlDocument()` is a single HTML file with its styles inline (no
+ * application CSS needed). `toPdf()` writes a one-page PDF the width of the
+ * receipt roll, set in Courier with the printer's column layout; barcodes and
+ * QR codes are drawn as vector rectangles. No PDF library is involved.
+ *
+ * @class ReceiptExport
+ * @example
+ * const model = ReceiptPrinter.fromJournalEntry(entry);
+ * app.downloadFile(ReceiptExport.toHtmlDocument(model), ReceiptExport.getFileName(model, 'html'), 'text/html');
+ * app.downloadFile(new Blob([ReceiptExport.toPdf(model)]), ReceiptExport.getFileName(model, 'pdf'), 'application/pdf');
+ */
+export class ReceiptExport {
+    // Styles for the classes ReceiptTemplate.toHtml uses
+    static HTML_STYLES = `
+        body { margin: 0; padding: 24px; background: #f3f4f6; font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; color: #111827; }
+        .receipt { max-width: 320px; margin: 0 auto; padding: 16px; background: #fff; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.15); }
+        .text-xs { font-size: 12px; line-height: 16px; }
+        .text-base { font-size: 16px; line-height: 24px; }
+        .text-lg { font-size: 18px; line-height: 28px; }
+        .text-left { text-align: left; }
+        .text-center { text-align: center; }
+        .text-right { text-align: right; }
+        .font-bold { font-weight: 700; }
+        .underline { text-decoration: underline; }
+        .line-through { text-decoration: line-through; }
+        .bg-black { background: #000; }
+        .text-white { color: #fff; }
+        .text-gray-400 { color: #9ca3af; }
+        .flex { display: flex; }
+        .gap-2 { gap: 8px; }
+        .flex-1 { flex: 1 1 0%; min-width: 0; }
+        .shrink-0 { flex-shrink: 0; }
+        .inline-block { display: inline-block; }
+        .my-2 { margin: 8px 0; }
+        .border-b { border-bottom: 1px solid #d1d5db; }
+        .border-dashed { border-bottom-style: dashed; }
+        .border-double { border-bottom-style: double; }
+        .border-b-4 { border-bottom-width: 4px; }
+        @media print { body { padding: 0; background: #fff; } .receipt { box-shadow: none; } }
+    `;
+
+    static PDF_MARGIN = 8;       // points
+    static PRINTER_DPI = 203;    // template barcode sizes are in printer dots
+
+    /**
+     * File name of an exported receipt, e.g. "receipt-T001-000042-reprint.pdf"
+     * @param {Object} model - Receipt model
+     * @param {string} extension - 'html' or 'pdf'
+     * @returns {string} File name
+     */
+    static getFileName(model, extension) {
+        const suffix = model.gift ? '-gift' : (model.reprint ? '-reprint' : '');
+        const number = String(model.transactionNumber || 'receipt').replace(/[^\w.-]+/g, '_');
+        return `receipt-${number}${suffix}.${extension}`;
+    }
+
+    /**
+     * Standalone HTML file of a receipt
+     * @param {Object} model - Receipt model
+     * @param {Object} [options] - { template: ReceiptTemplate name or object }
+     * @returns {string} HTML document
+     */
+    static toHtmlDocument(model, { template = 'default' } = {}) {
+        const templates = window.ReceiptTemplate;
+        const title = `${model.gift ? 'Gift receipt' : 'Receipt'} ${model.transactionNumber || ''}`.trim();
+
+        return `<!DOCTYPE html>
+<html lang="${templates.escape(window.ContextRenderer.getContext('Locale') || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${templates.escape(title)}</title>
+<style>${this.HTML_STYLES}</style>
+</head>
+<body>
+<div class="receipt">
+${templates.toHtml(templates.layout(template, model), 'export')}
+</div>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * One-page PDF of a receipt, the width of the paper roll
+     * @param {Object} model - Receipt model
+     * @param {Object} [options] - { template: ReceiptTemplate name or object, paperWidth: 58 or 80 (mm) }
+     * @returns {Uint8Array} PDF file
+     */
+    static toPdf(model, { template = 'default', paperWidth = 80 } = {}) {
+        const lines = window.ReceiptTemplate.layout(template, model);
+        const encoder = window.EscPosEncoder;
+        const barcodes = window.BarcodeEncoder;
+        const columns = encoder.getColumns(paperWidth);
+        const margin = this.PDF_MARGIN;
+        const pageWidth = (paperWidth / 25.4) * 72;
+        const contentWidth = pageWidth - margin * 2;
+        // Courier is 0.6 em wide: size the font so a full printer line fills the page
+        const fontSize = contentWidth / (columns * 0.6);
+        const lineHeight = fontSize * 1.25;
+        const dot = 72 / this.PRINTER_DPI;
+        const sizes = { normal: [1, 1], tall: [1, 2], large: [2, 2] };
+
+        // Drawing is collected top-down and flipped once the page height is known
+        const drawing = [];
+        let top = margin;
+
+        const drawText = (text, line, [widthScale, heightScale]) => {
+            const size = fontSize * heightScale;
+            const charWidth = fontSize * 0.6 * widthScale;
+            const textWidth = text.length * charWidth;
+            const align = line.align || 'left';
+            const x = margin + (align === 'right' ? contentWidth - textWidth : (align === 'center' ? (contentWidth - textWidth) / 2 : 0));
+            const height = lineHeight * heightScale;
+            drawing.push({ kind: 'text', text, x, top, height, size, scale: (widthScale / heightScale) * 100, line, width: textWidth });
+            top += height;
+        };
+
+        lines.forEach((line) => {
+            const scale = sizes[line.size || 'normal'];
+            const width = Math.floor(columns / scale[0]);
+
+            switch (line.type) {
+                case 'text':
+                    encoder.wrap(line.text, width).forEach(part => drawText(part, line, scale));
+                    break;
+                case 'row':
+                    encoder.layoutRow(line.columns, width).forEach(part => drawText(part, { ...line, align: 'left' }, scale));
+                    break;
+                case 'separator':
+                    drawText((line.char || '-').repeat(width), { ...line, align: 'left' }, scale);
+                    break;
+                case 'feed':
+                    top += lineHeight * line.lines;
+                    break;
+                case 'barcode': {
+                    const moduleSize = line.moduleSize * dot;
+                    const { width: modulesWide, height: modulesHigh, rects } = barcodes.getRects(
+                        line.symbol,
+                        Math.max(1, Math.round((line.height || 0) / line.moduleSize))
+                    );
+                    const scaleToFit = Math.min(moduleSize, contentWidth / modulesWide);
+                    const symbolWidth = modulesWide * scaleToFit;
+                    const align = line.align || 'left';
+                    const left = margin + (align === 'right' ? contentWidth - symbolWidth : (align === 'center' ? (contentWidth - symbolWidth) / 2 : 0));
+                    const start = top;
+                    rects.forEach(rect => drawing.push({
+                        kind: 'rect',
+                        x: left + rect.x * scaleToFit,
+                        top: start + rect.y * scaleToFit,
+                        width: rect.width * scaleToFit,
+                        height: rect.height * scaleToFit
+                    }));
+                    top += modulesHigh * scaleToFit + lineHeight / 2;
+                    if (line.showText) {
+                        drawText(line.symbol.text, { align: line.align }, [1, 1]);
+                    }
+                    break;
+                }
+            }
+        });
+
+        const pageHeight = top + margin;
+        const number = value => Number(value.toFixed(2));
+        const content = drawing.map((item) => {
+            const bottom = pageHeight - item.top - item.height;
+            if (item.kind === 'rect') {
+                return `${number(item.x)} ${number(bottom)} ${number(item.width)} ${number(item.height)} re f`;
+            }
+
+            const baseline = bottom + (item.height - item.size) / 2 + item.size * 0.2;
+            const { line } = item;
+            const parts = [];
+            if (line.invert) {
+                parts.push(`${number(item.x)} ${number(bottom)} ${number(item.width)} ${number(item.height)} re f 1 g`);
+            }
+            parts.push(`BT /${line.bold ? 'F2' : 'F1'} ${number(item.size)} Tf ${number(item.scale)} Tz ${number(item.x)} ${number(baseline)} Td (${this.pdfString(item.text)}) Tj ET`);
+            if (line.invert) {
+                parts.push('0 g');
+            }
+            if (line.strike || line.underline) {
+                const y = line.strike ? baseline + item.size * 0.25 : baseline - item.size * 0.15;
+                parts.push(`0.5 w ${number(item.x)} ${number(y)} m ${number(item.x + item.width)} ${number(y)} l S`);
+            }
+            return parts.join(' ');
+        }).join('\n');
+
+        return this.buildPdf({
+            width: pageWidth,
+            height: pageHeight,
+            content,
+            title: `Receipt ${model.transactionNumber || ''}`.trim()
+        });
+    }
+
+    /**
+     * PDF string literal of text in WinAnsi encoding; other characters become '?'
+     * @param {string} text - Text
+     * @returns {string} Escaped literal body, ASCII only
+     */
+    static pdfString(text) {
+        return Array.from(String(text).normalize('NFC'), (char) => {
+            const code = char.codePointAt(0);
+            if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+            if (code >= 0x20 && code < 0x7f) return char;
+            if (char === '€') return '\\200';
+            if (code >= 0xa0 && code <= 0xff) return `\\${code.toString(8)}`;
+            return '?';
+        }).join('');
+    }
+
+    /**
+     * Assembles a one-page PDF with the Courier fonts
+     * @param {Object} page - { width, height (points), content (content stream), title }
+     * @returns {Uint8Array} PDF file
+     */
+    static buildPdf({ width, height, content, title }) {
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width.toFixed(2)} ${height.toFixed(2)}] ` +
+                '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Title (${this.pdfString(title)}) /Author (${this.pdfString(window.ContextRenderer.getContext('StoreName') || '')}) ` +
+                `/CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`
+        ];
+
+        // Everything is ASCII, so string length is byte length for the offsets
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((object, index) => {
+            const offset = pdf.length;
+            pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return new TextEncoder().encode(pdf);
+    }
+}
+
+// Make ReceiptExport globally available
+if (typeof window !== 'undefined') {
+    window.ReceiptExport = ReceiptExport;
+}
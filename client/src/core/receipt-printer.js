@@ -0,0 +1,132 @@
+/**
+ * Receipt Printer - Receipt model and its ESC/POS layout
+ *
+ * `fromJournalEntry()` turns a journal entry into the receipt model the
+ * Receipt Preview shows: store header, transaction details, lines, discounts,
+ * totals with tax per rate, tenders, change and points. `encodeReceipt()`
+ * prints the same model through the same ReceiptTemplate on a thermal
+ * printer with EscPosEncoder, and `encodeReport()` lays out X and Z reports.
+ *
+ * Amounts in the model are { amount, currency } in minor units, as stored in
+ * the journal. Reprints and gift receipts are the same model with `reprint`
+ * or `gift` set.
+ *
+ * @class ReceiptPrinter
+ * @example
+ * const model = ReceiptPrinter.fromJournalEntry(entry, { reprint: true });
+ * receiptControl.showReceipt(model);
+ *
+ * const bytes = ReceiptPrinter.encodeReceipt(model, { paperWidth: 58, openDrawer: true });
+ * await printerControl.print(bytes);
+ */
+export class ReceiptPrinter {
+    /**
+     * Receipt model of a journaled sale or return
+     * @param {Object} entry - ElectronicJournal entry
+     * @param {Object} [options] - { reprint: mark as a reprint, gift: gift receipt without prices }
+     * @returns {Object} Receipt model
+     */
+    static fromJournalEntry(entry, { reprint = false, gift = false } = {}) {
+        const context = window.ContextRenderer.getAllContext();
+
+        return {
+            store: {
+                name: context.StoreName || '',
+                address: context.StoreAddress || '',
+                phone: context.StorePhone || ''
+            },
+            transactionNumber: entry.transactionNumber,
+            date: entry.completedAt || entry.recordedAt,
+            cashier: entry.cashier,
+            refund: entry.type === 'return',
+            originalTransactionNumber: entry.originalTransactionNumber || null,
+            items: entry.lines.map(line => ({
+                name: line.name,
+                quantity: line.quantity,
+                price: line.unitPrice,
+                total: line.total,
+                voided: line.voided,
+                originalPrice: line.originalPrice,
+                overrideReason: line.overrideReason
+            })),
+            totals: {
+                subtotal: entry.subtotal,
+                tax: entry.tax,
+                total: entry.total,
+                taxBreakdown: entry.taxes,
+                discounts: entry.discounts
+            },
+            tenders: entry.tenders.map(tender => ({ ...tender })),
+            change: entry.change,
+            loyalty: entry.loyalty,
+            reprint,
+            reprintedAt: reprint ? new Date().toISOString() : null,
+            gift
+        };
+    }
+
+    /**
+     * ESC/POS bytes of a receipt
+     * @param {Object} model - Receipt model
+     * @param {Object} [options] - { paperWidth: 58 or 80, openDrawer: kick the drawer before printing, template: ReceiptTemplate name, barcodes: 'native' or 'raster' }
+     * @returns {Uint8Array} Byte stream
+     */
+    static encodeReceipt(model, { paperWidth = 80, openDrawer = false, template = 'default', barcodes = 'native' } = {}) {
+        const encoder = new window.EscPosEncoder({ paperWidth }).initialize();
+
+        if (openDrawer) {
+            encoder.pulse();
+        }
+
+        window.ReceiptTemplate.toEscPos(window.ReceiptTemplate.layout(template, model), encoder, { barcodes });
+
+        return encoder.feed(3).cut().encode();
+    }
+
+    /**
+     * ESC/POS bytes of an X or Z report
+     * @param {Object} report - From SalesReports
+     * @param {Object} [options] - { paperWidth: 58 or 80 }
+     * @returns {Uint8Array} Byte stream
+     */
+    static encodeReport(report, { paperWidth = 80 } = {}) {
+        const reports = window.SalesReports;
+        const generatedAt = new Date(report.generatedAt);
+        const templates = window.ReceiptTemplate;
+        const encoder = new window.EscPosEncoder({ paperWidth }).initialize();
+
+        templates.toEscPos(templates.layout({ blocks: templates.HEADER }, {}), encoder);
+
+        encoder
+            .align('center').bold(true).size(1, 2).line(reports.getTitle(report)).size(1, 1).bold(false).align('left')
+            .pair('Terminal:', report.terminalId)
+            .pair('Date:', generatedAt.toLocaleDateString())
+            .pair('Time:', generatedAt.toLocaleTimeString());
+        if (report.runBy) {
+            encoder.pair('Run by:', report.runBy.name);
+        }
+        if (report.periodStart) {
+            encoder.pair('Since:', new Date(report.periodStart).toLocaleString());
+        }
+
+        let section = null;
+        reports.toRows(report).forEach((row) => {
+            if (row.section !== section) {
+                encoder.rule().bold(true).line(row.section).bold(false);
+                section = row.section;
+            }
+            encoder.pair(`${row.label}${row.count ? ` (${row.count})` : ''}`, row.amount);
+        });
+
+        if (report.type === reports.TYPES.Z) {
+            encoder.feed(1).align('center').bold(true).line('*** TOTALS RESET ***').bold(false).align('left');
+        }
+
+        return encoder.feed(3).cut().encode();
+    }
+}
+
+// Make ReceiptPrinter globally available
+if (typeof window !== 'undefined') {
+    window.ReceiptPrinter = ReceiptPrinter;
+}
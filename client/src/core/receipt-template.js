@@ -0,0 +1,518 @@
+/**
+ * Receipt Template - JSON layout language for receipts
+ *
+ * A template is a list of blocks. The same template is rendered to HTML for
+ * the Receipt Preview and to ESC/POS for the printer, so a store changes its
+ * header, footer, return policy or legal text in one place.
+ *
+ * Blocks:
+ * - `{ type: 'text', text, align, bold, underline, invert, strike, size }` -
+ *   size is 'normal', 'tall' (double height) or 'large' (double width and height)
+ * - `{ type: 'row', columns: [{ text, align, width }] }` - cells side by side;
+ *   `width` is a fraction of the line, and cells without one are as wide as
+ *   their text except the first, which takes the rest (label and value rows)
+ * - `{ type: 'separator', char }` - full-width rule, '-' or '='
+ * - `{ type: 'feed', lines }` - blank lines
+ * - `{ type: 'barcode', format, data, height, moduleSize, showText, align }` -
+ *   Code128, EAN-13 or QR code of the rendered data (see BarcodeEncoder);
+ *   height and module size are in printer dots, about twice screen pixels
+ * - `{ type: 'if', when, blocks, else }` - conditional section
+ * - `{ type: 'each', list, blocks }` - repeated section, once per entry of
+ *   the list: 'items', 'discounts', 'taxes' or 'tenders'
+ *
+ * Any block can also carry `when` (a value name, '!Name' for its absence, or
+ * a list of these that must all hold) and `id` (becomes data-testid
+ * `receipt-<id>-<UID>` in the preview).
+ *
+ * The default template prints a REPRINT banner for reprinted receipts and
+ * leaves prices, totals and tenders off gift receipts (`reprint` and `gift`
+ * on the model).
+ *
+ * Text is filled through `ContextRenderer.render`, with the receipt values
+ * from `toValues()` (and, inside `each`, the values of the entry) on top of
+ * the application context: `#{StoreName}`, `#{Total}`, `#{ItemName}` ...
+ *
+ * @class ReceiptTemplate
+ * @example
+ * ReceiptTemplate.register('ABC', {
+ *     blocks: [
+ *         { type: 'text', text: '#{StoreName}', align: 'center', bold: true, size: 'tall' },
+ *         { type: 'separator' },
+ *         { type: 'each', list: 'items', blocks: [
+ *             { type: 'row', columns: [{ text: '#{ItemQuantity} #{ItemName}' }, { text: '#{ItemTotal}', align: 'right' }] }
+ *         ] },
+ *         { type: 'row', columns: [{ text: 'Total' }, { text: '#{Total}' }], bold: true },
+ *         { type: 'text', text: 'Returns within 30 days with receipt', align: 'center', when: '!IsRefund' }
+ *     ]
+ * });
+ *
+ * const html = ReceiptTemplate.toHtml(ReceiptTemplate.layout('ABC', model), 'receipt-display');
+ * ReceiptTemplate.toEscPos(ReceiptTemplate.layout('ABC', model), encoder);
+ */
+export class ReceiptTemplate {
+    static BLOCK_TYPES = ['text', 'row', 'separator', 'feed', 'barcode', 'if', 'each'];
+    static LISTS = ['items', 'discounts', 'taxes', 'tenders'];
+    static ALIGNMENTS = ['left', 'center', 'right'];
+    static SIZES = ['normal', 'tall', 'large'];
+
+    // Store header, shared with the X and Z report printouts
+    static HEADER = [
+        { type: 'text', text: '#{StoreName}', align: 'center', bold: true, size: 'tall' },
+        { type: 'text', text: '#{StoreAddress}', align: 'center', when: 'StoreAddress' },
+        { type: 'text', text: 'Phone: #{StorePhone}', align: 'center', when: 'StorePhone' },
+        { type: 'separator' }
+    ];
+
+    static DEFAULT = {
+        blocks: [
+            ...this.HEADER,
+            { type: 'text', text: '*** REFUND ***', align: 'center', bold: true, when: 'IsRefund', id: 'refund' },
+            { type: 'text', text: '*** REPRINT ***', align: 'center', bold: true, when: 'IsReprint', id: 'reprint' },
+            { type: 'text', text: 'GIFT RECEIPT', align: 'center', bold: true, size: 'tall', when: 'IsGift', id: 'gift' },
+            { type: 'row', columns: [{ text: 'Date:' }, { text: '#{ReceiptDate}', align: 'right' }], id: 'date' },
+            { type: 'row', columns: [{ text: 'Time:' }, { text: '#{ReceiptTime}', align: 'right' }], id: 'time' },
+            { type: 'row', columns: [{ text: 'Transaction #:' }, { text: '#{ReceiptNumber}', align: 'right' }], id: 'transaction' },
+            { type: 'row', columns: [{ text: 'Original #:' }, { text: '#{OriginalTransactionNumber}', align: 'right' }], when: 'OriginalTransactionNumber', id: 'original' },
+            { type: 'row', columns: [{ text: 'Cashier:' }, { text: '#{ReceiptCashier}', align: 'right' }], when: 'ReceiptCashier' },
+            { type: 'row', columns: [{ text: 'Reprinted:' }, { text: '#{ReprintDate} #{ReprintTime}', align: 'right' }], when: 'IsReprint' },
+            { type: 'separator' },
+            { type: 'if', when: 'HasItems', id: 'items', blocks: [
+                { type: 'each', list: 'items', blocks: [
+                    { type: 'row', columns: [{ text: '#{ItemName}' }, { text: 'Qty #{ItemQuantity}', align: 'right' }], when: ['IsGift', '!ItemVoided'] },
+                    { type: 'if', when: '!IsGift', blocks: [
+                        { type: 'if', when: 'ItemVoided', blocks: [
+                            { type: 'text', text: '#{ItemName} (VOID)', strike: true },
+                            { type: 'row', columns: [{ text: '  #{ItemQuantity} x #{ItemPrice}' }, { text: 'VOID', align: 'right' }], strike: true }
+                        ], else: [
+                            { type: 'text', text: '#{ItemName}' },
+                            { type: 'row', columns: [{ text: '  #{ItemQuantity} x #{ItemPrice}' }, { text: '#{ItemTotal}', align: 'right' }] },
+                            { type: 'text', text: '  Price override (#{ItemOverrideReason}), was #{ItemOriginalPrice}', when: 'ItemOverrideReason' }
+                        ] }
+                    ] }
+                ] },
+                { type: 'each', list: 'discounts', when: '!IsGift', blocks: [
+                    { type: 'row', columns: [{ text: '#{DiscountName}' }, { text: '#{DiscountAmount}', align: 'right' }] }
+                ] }
+            ], else: [
+                { type: 'text', text: 'No items in transaction', align: 'center' }
+            ] },
+            { type: 'if', when: '!IsGift', blocks: [
+                { type: 'separator' },
+                { type: 'row', columns: [{ text: 'Subtotal:' }, { text: '#{Subtotal}', align: 'right' }], id: 'subtotal' },
+                { type: 'each', list: 'taxes', id: 'tax-breakdown', blocks: [
+                    { type: 'row', columns: [{ text: '#{TaxRateLabel} on #{TaxTaxable}' }, { text: '#{TaxAmount}', align: 'right' }] }
+                ] },
+                { type: 'row', columns: [{ text: '#{TaxLabel}:' }, { text: '#{Tax}', align: 'right' }], id: 'tax' },
+                { type: 'row', columns: [{ text: 'Total:' }, { text: '#{Total}', align: 'right' }], bold: true, id: 'total' },
+                { type: 'each', list: 'tenders', id: 'tenders', blocks: [
+                    { type: 'row', columns: [{ text: '#{TenderLabel}' }, { text: '#{TenderAmount}', align: 'right' }] }
+                ] },
+                { type: 'row', columns: [{ text: 'Change:' }, { text: '#{Change}', align: 'right' }], when: 'Change', id: 'change' },
+                { type: 'if', when: 'HasLoyalty', id: 'loyalty', blocks: [
+                    { type: 'separator' },
+                    { type: 'row', columns: [{ text: 'Points earned:' }, { text: '#{PointsEarned}', align: 'right' }] },
+                    { type: 'row', columns: [{ text: 'Points redeemed:' }, { text: '#{PointsRedeemed}', align: 'right' }], when: 'PointsRedeemed' },
+                    { type: 'row', columns: [{ text: 'Points balance:' }, { text: '#{PointsBalance}', align: 'right' }] }
+                ] }
+            ], else: [
+                { type: 'separator' },
+                { type: 'text', text: 'Bring this receipt with the items to exchange them or for store credit', align: 'center' }
+            ] },
+            { type: 'feed', lines: 1 },
+            { type: 'text', text: 'Thank you for your business!', align: 'center' },
+            { type: 'text', text: 'Have a great day!', align: 'center' },
+            { type: 'barcode', format: 'code128', data: '#{ReceiptNumber}', align: 'center', when: 'HasReceiptNumber', id: 'barcode' },
+            { type: 'if', when: ['ReceiptLink', '!IsGift'], id: 'link', blocks: [
+                { type: 'text', text: 'Scan for your digital receipt and our survey', align: 'center' },
+                { type: 'barcode', format: 'qr', data: '#{ReceiptLink}', align: 'center' }
+            ] }
+        ]
+    };
+
+    static templates = new Map([['default', this.DEFAULT]]);
+
+    /**
+     * Adds or replaces a named template
+     * @param {string} name - Template name
+     * @param {Object} template - { blocks: [...] }
+     */
+    static register(name, template) {
+        this.validate(template);
+        this.templates.set(name, template);
+        console.log(`ReceiptTemplate: Registered template "${name}"`);
+    }
+
+    /**
+     * @param {string|Object} template - Registered name or template object
+     * @returns {Object} Template
+     */
+    static get(template = 'default') {
+        if (typeof template === 'object' && template !== null) {
+            return template;
+        }
+        if (!this.templates.has(template)) {
+            throw new Error(`Unknown receipt template: ${template}`);
+        }
+        return this.templates.get(template);
+    }
+
+    /**
+     * Checks a template and throws a readable error for the first problem
+     * @param {Object} template - { blocks: [...] }
+     */
+    static validate(template) {
+        if (!template || !Array.isArray(template.blocks)) {
+            throw new Error('Receipt template needs a blocks array');
+        }
+
+        const check = (blocks, path) => blocks.forEach((block, index) => {
+            const where = `${path}[${index}]`;
+            if (!block || !this.BLOCK_TYPES.includes(block.type)) {
+                throw new Error(`Receipt template ${where}: unknown block type "${block && block.type}"`);
+            }
+            if (block.align && !this.ALIGNMENTS.includes(block.align)) {
+                throw new Error(`Receipt template ${where}: align must be ${this.ALIGNMENTS.join(', ')}`);
+            }
+            if (block.size && !this.SIZES.includes(block.size)) {
+                throw new Error(`Receipt template ${where}: size must be ${this.SIZES.join(', ')}`);
+            }
+            if (block.type === 'text' && typeof block.text !== 'string') {
+                throw new Error(`Receipt template ${where}: text block needs text`);
+            }
+            if (block.type === 'row') {
+                if (!Array.isArray(block.columns) || block.columns.length === 0) {
+                    throw new Error(`Receipt template ${where}: row needs columns`);
+                }
+                block.columns.forEach((column, columnIndex) => {
+                    if (typeof column.text !== 'string') {
+                        throw new Error(`Receipt template ${where}.columns[${columnIndex}]: column needs text`);
+                    }
+                    if (column.width !== undefined && !(column.width > 0 && column.width <= 1)) {
+                        throw new Error(`Receipt template ${where}.columns[${columnIndex}]: width is a fraction of the line (0-1)`);
+                    }
+                });
+            }
+            if (block.type === 'barcode') {
+                if (!window.BarcodeEncoder.FORMATS.includes(block.format)) {
+                    throw new Error(`Receipt template ${where}: barcode format must be ${window.BarcodeEncoder.FORMATS.join(', ')}`);
+                }
+                if (typeof block.data !== 'string') {
+                    throw new Error(`Receipt template ${where}: barcode needs data`);
+                }
+            }
+            const conditions = [].concat(block.when === undefined ? [] : block.when);
+            if (conditions.some(condition => typeof condition !== 'string' || !condition)) {
+                throw new Error(`Receipt template ${where}: when must be a value name or a list of them`);
+            }
+            if (block.type === 'if' && conditions.length === 0) {
+                throw new Error(`Receipt template ${where}: if block needs a when condition`);
+            }
+            if (block.type === 'each' && !this.LISTS.includes(block.list)) {
+                throw new Error(`Receipt template ${where}: each list must be ${this.LISTS.join(', ')}`);
+            }
+            if (block.type === 'if' || block.type === 'each') {
+                check(block.blocks || [], `${where}.blocks`);
+                check(block.else || [], `${where}.else`);
+            }
+        });
+
+        check(template.blocks, 'blocks');
+    }
+
+    /**
+     * Template values of a receipt model: formatted amounts, dates and flags
+     * @param {Object} model - Receipt model (see ReceiptPrinter.fromJournalEntry)
+     * @returns {Object} { values, lists: { items, discounts, taxes, tenders } }
+     */
+    static toValues(model) {
+        const Money = window.Money;
+        const format = (amount) => window.CurrencyFormatter.format(Money.from(amount));
+        const points = (value) => Number(value).toLocaleString(window.CurrencyFormatter.getLocale());
+        const overrideReasons = window.CartGridControl ? window.CartGridControl.PRICE_OVERRIDE_REASONS : {};
+        const methods = window.PaymentControlControl ? window.PaymentControlControl.METHODS : {};
+        const totals = model.totals || {};
+        const date = model.date ? new Date(model.date) : null;
+        const change = model.change ? Money.from(model.change) : null;
+        const items = model.items || [];
+        const loyalty = model.loyalty;
+
+        return {
+            values: {
+                ...(model.store ? { StoreName: model.store.name, StoreAddress: model.store.address, StorePhone: model.store.phone } : {}),
+                ReceiptNumber: model.transactionNumber || '-',
+                HasReceiptNumber: !!model.transactionNumber,
+                IsReprint: !!model.reprint,
+                ReprintDate: model.reprint ? new Date(model.reprintedAt || Date.now()).toLocaleDateString() : '',
+                ReprintTime: model.reprint ? new Date(model.reprintedAt || Date.now()).toLocaleTimeString() : '',
+                IsGift: !!model.gift,
+                ReceiptLink: this.getReceiptLink(model.transactionNumber),
+                ReceiptDate: date ? date.toLocaleDateString() : '',
+                ReceiptTime: date ? date.toLocaleTimeString() : '',
+                ReceiptCashier: model.cashier || '',
+                IsRefund: !!model.refund,
+                OriginalTransactionNumber: model.refund ? model.originalTransactionNumber || '' : '',
+                HasItems: items.length > 0,
+                Subtotal: format(totals.subtotal || 0),
+                TaxLabel: totals.pricesIncludeTax ? 'Tax (included)' : 'Tax',
+                Tax: format(totals.tax || 0),
+                Total: format(totals.total || 0),
+                Change: change && change.isPositive() ? format(change) : '',
+                HasLoyalty: !!loyalty,
+                PointsEarned: loyalty ? points(loyalty.earned) : '',
+                PointsRedeemed: loyalty && loyalty.redeemed ? points(-loyalty.redeemed) : '',
+                PointsBalance: loyalty ? points(loyalty.balance) : ''
+            },
+            lists: {
+                items: items.map(item => ({
+                    ItemName: item.name,
+                    ItemQuantity: item.quantity,
+                    ItemPrice: format(item.price),
+                    ItemTotal: format(item.total || Money.from(item.price).multiply(item.quantity)),
+                    ItemVoided: !!item.voided,
+                    ItemOverrideReason: item.overrideReason ? overrideReasons[item.overrideReason] || item.overrideReason : '',
+                    ItemOriginalPrice: item.originalPrice !== undefined && item.originalPrice !== null ? format(item.originalPrice) : ''
+                })),
+                discounts: (totals.discounts || []).map(discount => ({
+                    DiscountName: discount.name,
+                    DiscountAmount: format(discount.amount)
+                })),
+                taxes: (totals.taxBreakdown || []).map(tax => ({
+                    TaxRateLabel: tax.label,
+                    TaxTaxable: format(tax.taxable),
+                    TaxAmount: format(tax.amount)
+                })),
+                tenders: (model.tenders || []).map(tender => ({
+                    TenderLabel: `${model.refund ? 'Refund to ' : ''}${(methods[tender.method] || { label: tender.method }).label}${tender.reference ? ` ${tender.reference}` : ''}`,
+                    TenderAmount: format(tender.amount)
+                }))
+            }
+        };
+    }
+
+    /**
+     * Resolves a template against a receipt into printable lines: conditions
+     * decided, lists repeated and text filled in
+     * @param {string|Object} template - Registered name or template object
+     * @param {Object} model - Receipt model
+     * @returns {Object[]} Text, row, separator and feed blocks with final text
+     */
+    static layout(template, model) {
+        const { values, lists } = this.toValues(model);
+        const output = [];
+
+        const isTrue = (when, scope) => [].concat(when).every((condition) => {
+            const negate = condition.startsWith('!');
+            const name = negate ? condition.slice(1) : condition;
+            const value = { ...window.ContextRenderer.context, ...scope }[name];
+            const present = value !== undefined && value !== null && value !== '' && value !== false && value !== 0;
+            return negate ? !present : present;
+        });
+
+        const render = (text, scope) => window.ContextRenderer.render(text, scope);
+
+        const walk = (blocks, scope, inherited = {}) => blocks.forEach((block) => {
+            if (block.when && block.type !== 'if' && !isTrue(block.when, scope)) return;
+
+            // Styles and the test id of an if/each apply to everything it prints
+            const style = {
+                ...inherited,
+                ...['align', 'bold', 'underline', 'invert', 'strike', 'size', 'id']
+                    .filter(key => block[key] !== undefined)
+                    .reduce((picked, key) => ({ ...picked, [key]: block[key] }), {})
+            };
+
+            switch (block.type) {
+                case 'if':
+                    walk(isTrue(block.when, scope) ? block.blocks || [] : block.else || [], scope, style);
+                    break;
+                case 'each':
+                    lists[block.list].forEach(entry => walk(block.blocks || [], { ...scope, ...entry }, style));
+                    break;
+                case 'text':
+                    output.push({ ...style, type: 'text', text: render(block.text, scope) });
+                    break;
+                case 'row':
+                    output.push({
+                        ...style,
+                        type: 'row',
+                        columns: block.columns.map(column => ({ ...column, text: render(column.text, scope) }))
+                    });
+                    break;
+                case 'separator':
+                    output.push({ ...style, type: 'separator', char: block.char || '-' });
+                    break;
+                case 'feed':
+                    output.push({ ...style, type: 'feed', lines: block.lines || 1 });
+                    break;
+                case 'barcode': {
+                    const data = render(block.data, scope);
+                    // A code that cannot be encoded is left off rather than losing the receipt
+                    try {
+                        output.push({
+                            ...style,
+                            type: 'barcode',
+                            format: block.format,
+                            symbol: window.BarcodeEncoder.encode(block.format, data),
+                            height: block.height || (block.format === 'qr' ? null : 60),
+                            moduleSize: block.moduleSize || (block.format === 'qr' ? 4 : 2),
+                            showText: block.showText !== false && block.format !== 'qr'
+                        });
+                    } catch (error) {
+                        console.warn(`ReceiptTemplate: Barcode "${data}" skipped: ${error.message}`);
+                    }
+                    break;
+                }
+            }
+        });
+
+        walk(this.get(template).blocks, values);
+        return output;
+    }
+
+    /**
+     * Link to the digital receipt of a transaction, from the `ReceiptUrl`
+     * context pattern, e.g. "https://receipts.example.com/#{ReceiptNumber}"
+     * @param {string} transactionNumber - Transaction number
+     * @returns {string} URL, or '' without a number or pattern
+     */
+    static getReceiptLink(transactionNumber) {
+        const pattern = window.ContextRenderer.getContext('ReceiptUrl');
+        if (!transactionNumber || !pattern) {
+            return '';
+        }
+        return window.ContextRenderer.render(pattern, { ReceiptNumber: encodeURIComponent(transactionNumber) });
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * HTML of a laid-out receipt for the Receipt Preview
+     * @param {Object[]} lines - From layout()
+     * @param {string} UID - Preview control UID, for test ids
+     * @returns {string} HTML
+     */
+    static toHtml(lines, UID) {
+        const alignClasses = { left: 'text-left', center: 'text-center', right: 'text-right' };
+        const sizeClasses = { normal: 'text-xs', tall: 'text-base', large: 'text-lg' };
+
+        return lines.map((line) => {
+            const classes = [
+                sizeClasses[line.size || 'normal'],
+                alignClasses[line.align || 'left'],
+                line.bold ? 'font-bold' : '',
+                line.underline ? 'underline' : '',
+                line.invert ? 'bg-black text-white' : '',
+                line.strike ? 'line-through text-gray-400' : ''
+            ].filter(Boolean).join(' ');
+            const testId = line.id ? ` data-testid="receipt-${line.id}-${UID}"` : '';
+
+            switch (line.type) {
+                case 'text':
+                    return `<div class="${classes}"${testId}>${this.escape(line.text)}</div>`;
+                case 'row': {
+                    // The first cell without a width takes the free space, the others fit their text
+                    const flexible = line.columns.find(column => !column.width);
+                    const cells = line.columns.map((column) => {
+                        const align = alignClasses[column.align || 'left'];
+                        if (column.width) {
+                            return `<span class="shrink-0 ${align}" style="width: ${column.width * 100}%">${this.escape(column.text)}</span>`;
+                        }
+                        return `<span class="${column === flexible ? 'flex-1' : 'shrink-0'} ${align}">${this.escape(column.text)}</span>`;
+                    }).join('');
+                    return `<div class="flex gap-2 ${classes}"${testId}>${cells}</div>`;
+                }
+                case 'separator':
+                    return `<div class="border-b ${line.char === '=' ? 'border-double border-b-4' : 'border-dashed'} border-gray-300 my-2"${testId}></div>`;
+                case 'feed':
+                    return `<div style="height: ${line.lines}em"${testId}></div>`;
+                case 'barcode': {
+                    // Printer dots are about half a screen pixel
+                    const svg = window.BarcodeEncoder.toSvg(line.symbol, {
+                        moduleSize: Math.max(1, line.moduleSize / 2),
+                        height: (line.height || 0) / 2,
+                        showText: line.showText
+                    });
+                    return `<div class="${alignClasses[line.align || 'left']} my-2"${testId}><div class="inline-block">${svg}</div></div>`;
+                }
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * Writes a laid-out receipt to an ESC/POS encoder
+     * @param {Object[]} lines - From layout()
+     * @param {EscPosEncoder} encoder - Initialized encoder
+     * @param {Object} [options] - { barcodes: 'native' (printer barcode commands) or 'raster' (images) }
+     * @returns {EscPosEncoder} The encoder
+     */
+    static toEscPos(lines, encoder, { barcodes = 'native' } = {}) {
+        const sizes = { normal: [1, 1], tall: [1, 2], large: [2, 2] };
+
+        lines.forEach((line) => {
+            const styled = line.bold || line.underline || line.invert || (line.size && line.size !== 'normal');
+            if (styled) {
+                encoder.bold(!!line.bold).underline(!!line.underline).invert(!!line.invert).size(...sizes[line.size || 'normal']);
+            }
+            encoder.align(line.type === 'text' || line.type === 'barcode' ? line.align || 'left' : 'left');
+
+            switch (line.type) {
+                case 'text':
+                    encoder.line(line.text);
+                    break;
+                case 'row':
+                    encoder.row(line.columns);
+                    break;
+                case 'separator':
+                    encoder.rule(line.char);
+                    break;
+                case 'feed':
+                    encoder.feed(line.lines);
+                    break;
+                case 'barcode':
+                    this.printBarcode(line, encoder, barcodes);
+                    break;
+            }
+
+            if (styled) {
+                encoder.bold(false).underline(false).invert(false).size(1, 1);
+            }
+        });
+
+        return encoder.align('left');
+    }
+
+    static printBarcode(line, encoder, mode) {
+        const { symbol } = line;
+
+        if (mode === 'native') {
+            if (symbol.format === 'qr') {
+                encoder.qrcode(symbol.text, { size: line.moduleSize, errorCorrection: symbol.errorCorrection });
+            } else {
+                encoder.barcode(symbol.format, symbol.text, { height: line.height, moduleWidth: line.moduleSize });
+            }
+            return;
+        }
+
+        encoder.image(window.BarcodeEncoder.toRaster(symbol, {
+            moduleSize: line.moduleSize,
+            height: line.height,
+            maxWidth: encoder.getDots()
+        }));
+        if (line.showText) {
+            encoder.line(symbol.text);
+        }
+    }
+}
+
+// Make ReceiptTemplate globally available
+if (typeof window !== 'undefined') {
+    window.ReceiptTemplate = ReceiptTemplate;
+}
@@ -0,0 +1,268 @@
+/**
+ * Return Manager - Returns and refunds against journaled sales
+ *
+ * A receipted return starts from a sale in the ElectronicJournal. The cashier
+ * picks lines and quantities up to what is still returnable (earlier returns
+ * against the same receipt are subtracted), and the refund is split across the
+ * original tender types in proportion to what each one paid.
+ *
+ * Returned units are refunded at what the customer paid for them: the line's
+ * share of promotions, coupons and points (`discount` on the journal line) is
+ * taken off the unit price. A receipt never refunds more than its total less
+ * the refunds already made against it (`getRefundable`).
+ *
+ * Gift card activations and reloads are not returnable: the value stays on the
+ * card. Refund shares that fall to a gift card go back to the card that paid
+ * (`cardNumber` on the refund tender).
+ *
+ * Returns without a receipt need a reason code and the approval of a user with
+ * the `approve-return` permission (ManagerOverride), and are refunded in cash
+ * (`noReceiptMethod`).
+ *
+ * @class ReturnManager
+ * @example
+ * const { receipt, lines, returned } = await ReturnManager.getReturnableLines('T001-000042');
+ * const items = ReturnManager.buildReturnItems(receipt, { [lines[0].key]: 1 }, returned);
+ *
+ * ReturnManager.allocateRefund(Money.fromMajor(14.03), receipt);
+ * // [{ method: 'card', amount: -$10.00 }, { method: 'cash', amount: -$4.03 }]
+ */
+export class ReturnManager {
+    static REASON_CODES = {
+        defective: 'Defective or damaged',
+        'wrong-item': 'Wrong item or size',
+        'not-as-described': 'Not as described',
+        'no-longer-needed': 'No longer needed',
+        other: 'Other'
+    };
+
+    static noReceiptMethod = 'cash';
+
+    /**
+     * Replaces the return configuration
+     * @param {Object} config - Return configuration
+     * @param {Object} [config.reasonCodes] - Additional reason codes: { [code]: label }
+     * @param {string} [config.noReceiptMethod] - Tender used to refund returns without a receipt
+     */
+    static configure(config = {}) {
+        if (config.reasonCodes) {
+            this.REASON_CODES = { ...this.REASON_CODES, ...config.reasonCodes };
+        }
+        if (config.noReceiptMethod) {
+            this.noReceiptMethod = config.noReceiptMethod;
+        }
+    }
+
+    static isValidReason(code) {
+        return Object.prototype.hasOwnProperty.call(this.REASON_CODES, code);
+    }
+
+    /**
+     * Finds the journaled sale for a receipt number
+     * @param {string} number - Transaction number from the receipt
+     * @returns {Promise<Object>} Frozen journal entry of the sale
+     */
+    static async findReceipt(number) {
+        const transactionNumber = String(number || '').trim();
+        if (!transactionNumber) {
+            throw new Error('Enter a receipt number');
+        }
+
+        const entries = await window.ElectronicJournal.query({ transactionNumber });
+        const sale = entries.find(entry => entry.type === 'sale');
+
+        if (!sale) {
+            throw new Error(entries.length > 0 ?
+                `Transaction ${transactionNumber} is not a completed sale` :
+                `Receipt ${transactionNumber} not found`);
+        }
+
+        return sale;
+    }
+
+    /**
+     * Key of a receipt line. Entries journaled before lines were numbered use the product id.
+     * @param {Object} line - Journal line
+     * @returns {string} Line key
+     */
+    static lineKey(line) {
+        return line.lineNumber !== undefined ? String(line.lineNumber) : line.id;
+    }
+
+    static async getReturns(transactionNumber) {
+        const returns = await window.ElectronicJournal.query({ type: 'return' });
+        return returns.filter(entry => entry.originalTransactionNumber === transactionNumber);
+    }
+
+    /**
+     * Sums the quantities already returned per line of a receipt
+     * @param {string} transactionNumber - Original transaction number
+     * @returns {Promise<Map<string, number>>} Line key -> quantity returned
+     */
+    static async getReturnedQuantities(transactionNumber) {
+        const returns = await this.getReturns(transactionNumber);
+        const returned = new Map();
+
+        returns.forEach(entry => {
+            entry.lines.filter(line => !line.voided).forEach(line => {
+                const key = line.returnLine || line.id;
+                returned.set(key, (returned.get(key) || 0) + Math.abs(line.quantity));
+            });
+        });
+
+        return returned;
+    }
+
+    /**
+     * What is left to refund on a receipt: its total less the refunds already made against it
+     * @param {Object} receipt - Journal entry of the original sale
+     * @returns {Promise<Money>} Refundable amount, zero or more
+     */
+    static async getRefundable(receipt) {
+        const Money = window.Money;
+        const paid = receipt.total ? Money.from(receipt.total) : Money.zero();
+        const returns = await this.getReturns(receipt.transactionNumber);
+        // Refund tenders, not return totals: a refund may have been limited to what was left
+        const refunded = Money.sum(returns.flatMap(entry => entry.tenders.map(tender => Money.from(tender.amount, paid.currency))), paid.currency).abs();
+
+        return Money.max(Money.zero(paid.currency), paid.minus(refunded));
+    }
+
+    /**
+     * What a receipt line cost after its share of the sale's discounts
+     * @param {Object} line - Journal line
+     * @returns {Money} Net line amount
+     */
+    static getNetTotal(line) {
+        const total = window.Money.from(line.total);
+        return line.discount ? total.plus(window.Money.from(line.discount, total.currency)) : total;
+    }
+
+    /**
+     * Whether a receipt line can be returned. Gift card loads cannot: the card keeps its balance.
+     * @param {Object} line - Journal line
+     * @returns {boolean}
+     */
+    static isReturnable(line) {
+        return !line.voided && !line.giftCard;
+    }
+
+    /**
+     * Loads a receipt with the quantity still returnable on each line
+     * @param {string} number - Receipt (transaction) number
+     * @returns {Promise<Object>} { receipt, lines: [{ ...line, key, returned, returnable, netUnitPrice }], returned }
+     */
+    static async getReturnableLines(number) {
+        const receipt = await this.findReceipt(number);
+        const returned = await this.getReturnedQuantities(receipt.transactionNumber);
+
+        const lines = receipt.lines.filter(line => this.isReturnable(line)).map(line => {
+            const key = this.lineKey(line);
+            const alreadyReturned = returned.get(key) || 0;
+            return {
+                ...line,
+                key,
+                returned: alreadyReturned,
+                returnable: Math.max(0, line.quantity - alreadyReturned),
+                netUnitPrice: this.getNetTotal(line).divide(line.quantity)
+            };
+        });
+
+        return { receipt, lines, returned };
+    }
+
+    /**
+     * Turns selected receipt lines into negative cart items, priced at what was
+     * paid per unit. The line's net amount is split into whole cents per unit,
+     * so a line may become two items (e.g. 3 for $20.00: 2 at $6.67 and 1 at $6.66).
+     * @param {Object} receipt - Journal entry of the original sale
+     * @param {Object} quantities - Line key -> quantity to return
+     * @param {Map<string, number>} [returned] - Line key -> quantity returned before (from getReturnableLines)
+     * @returns {Object[]} Cart items with negative quantities
+     */
+    static buildReturnItems(receipt, quantities, returned = new Map()) {
+        return receipt.lines
+            .filter(line => this.isReturnable(line) && quantities[this.lineKey(line)] > 0)
+            .flatMap(line => {
+                const key = this.lineKey(line);
+                const quantity = quantities[key];
+                const net = this.getNetTotal(line);
+                const item = {
+                    id: line.id,
+                    name: line.name,
+                    taxClass: line.taxClass,
+                    returnOf: receipt.transactionNumber,
+                    returnLine: key
+                };
+
+                // Weighed lines have no whole units to split the cents over
+                if (!Number.isInteger(line.quantity) || !Number.isInteger(quantity)) {
+                    return [{ ...item, price: net.divide(line.quantity), quantity: -quantity }];
+                }
+
+                const start = returned.get(key) || 0;
+                const groups = [];
+                net.split(line.quantity).slice(start, start + quantity).forEach(price => {
+                    const last = groups[groups.length - 1];
+                    if (last && last.price.equals(price)) {
+                        last.quantity--;
+                    } else {
+                        groups.push({ ...item, price, quantity: -1 });
+                    }
+                });
+                return groups;
+            });
+    }
+
+    /**
+     * Splits a refund across the tenders of the original sale
+     * Cash is counted net of the change given. Gift card shares are kept per
+     * card, with its `cardNumber` and `reference`; cards journaled without
+     * their number are refunded as `noReceiptMethod`. Without a receipt the
+     * whole refund goes to `noReceiptMethod`.
+     * @param {Money} refund - Positive amount to refund
+     * @param {Object} [receipt] - Journal entry of the original sale
+     * @returns {Object[]} Refund tenders: { method, amount, cardNumber?, reference? } with negative Money amounts
+     */
+    static allocateRefund(refund, receipt = null) {
+        const Money = window.Money;
+        const paid = new Map();
+
+        const add = (key, tender, amount) => {
+            const entry = paid.get(key) || { tender, amount: Money.zero(refund.currency) };
+            entry.amount = entry.amount.plus(amount);
+            paid.set(key, entry);
+        };
+
+        if (receipt) {
+            receipt.tenders.forEach(tender => {
+                const amount = Money.from(tender.amount, refund.currency);
+                if (tender.method === 'gift-card' && tender.cardNumber) {
+                    add(`gift-card:${tender.cardNumber}`, { method: 'gift-card', cardNumber: tender.cardNumber, reference: tender.reference }, amount);
+                } else {
+                    const method = tender.method === 'gift-card' ? this.noReceiptMethod : tender.method;
+                    add(method, { method }, amount);
+                }
+            });
+
+            if (paid.has('cash') && receipt.change) {
+                add('cash', { method: 'cash' }, Money.from(receipt.change, refund.currency).negate());
+            }
+        }
+
+        const shares = Array.from(paid.values()).filter(entry => entry.amount.isPositive());
+        if (shares.length === 0) {
+            return [{ method: this.noReceiptMethod, amount: refund.negate() }];
+        }
+
+        const amounts = refund.allocate(shares.map(entry => entry.amount.amount));
+        return shares
+            .map((entry, index) => ({ ...entry.tender, amount: amounts[index].negate() }))
+            .filter(tender => !tender.amount.isZero());
+    }
+}
+
+// Make ReturnManager globally available
+if (typeof window !== 'undefined') {
+    window.ReturnManager = ReturnManager;
+}
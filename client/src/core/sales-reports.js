@@ -0,0 +1,258 @@
+/**
+ * Sales Reports - X and Z reports from the electronic journal
+ *
+ * Both reports total the journal entries of a terminal since its last Z
+ * report: sales and refunds, sales by tender (cash net of change), tax per
+ * rate, promotion discounts, voided transactions and lines, price overrides
+ * and transaction counts.
+ *
+ * An X report is a mid-day snapshot and changes nothing. A Z report closes
+ * the period: it is stored in the `zReports` store with the next Z number of
+ * the terminal (1, 2, 3, ...) and the last journal sequence it covers, so the
+ * next X or Z report starts from zero. Without IndexedDB, Z reports are kept
+ * in memory for the session.
+ *
+ * Amounts in a report are { amount, currency } in minor units. `toRows()`
+ * flattens a report into { section, label, count, amount } rows for display
+ * and printing.
+ *
+ * @class SalesReports
+ * @example
+ * const x = await SalesReports.generateX('T001');
+ * x.netSales;          // { amount: 125840, currency: 'USD' }
+ *
+ * const z = await SalesReports.generateZ('T001', user);
+ * z.number;            // 14
+ * SalesReports.toRows(z);   // [{ section: 'Sales', label: 'Gross sales', count: 52, amount: '$1,302.15' }, ...]
+ */
+export class SalesReports {
+    static STORE_NAME = 'zReports';
+
+    static TYPES = {
+        X: 'X',
+        Z: 'Z'
+    };
+
+    static memoryReports = [];
+    static zInProgress = false;
+
+    static isPersistent() {
+        return !!(window.PosDatabase && window.PosDatabase.isAvailable());
+    }
+
+    /**
+     * Stored Z reports, oldest first
+     * @param {Object} [filters] - { terminalId, from, to (ISO dates, on generatedAt) }
+     * @returns {Promise<Object[]>} Z reports
+     */
+    static async query(filters = {}) {
+        const reports = this.isPersistent() ?
+            await window.PosDatabase.getAll(this.STORE_NAME) :
+            this.memoryReports;
+
+        return reports
+            .filter(report => !filters.terminalId || report.terminalId === filters.terminalId)
+            .filter(report => !filters.from || report.generatedAt >= filters.from)
+            // A date-only `to` includes the whole day
+            .filter(report => !filters.to || report.generatedAt.slice(0, filters.to.length) <= filters.to)
+            .sort((a, b) => a.generatedAt.localeCompare(b.generatedAt))
+            .map(report => JSON.parse(JSON.stringify(report)));
+    }
+
+    /**
+     * Last Z report of a terminal
+     * @param {string} terminalId - Terminal ID
+     * @returns {Promise<Object|null>} Z report, or null before the first one
+     */
+    static async getLastZ(terminalId) {
+        const reports = await this.query({ terminalId });
+        return reports.reduce((last, report) => (!last || report.number > last.number ? report : last), null);
+    }
+
+    /**
+     * Journal entries of a terminal after its last Z report
+     * @param {string} terminalId - Terminal ID
+     * @returns {Promise<Object>} { entries, lastZ }
+     */
+    static async getPeriodEntries(terminalId) {
+        const lastZ = await this.getLastZ(terminalId);
+        const afterSequence = lastZ ? lastZ.lastSequence : 0;
+        const entries = (await window.ElectronicJournal.query())
+            .filter(entry => entry.terminalId === terminalId && entry.sequence > afterSequence);
+
+        return { entries, lastZ };
+    }
+
+    /**
+     * Mid-day snapshot; nothing is stored or reset
+     * @param {string} terminalId - Terminal ID
+     * @returns {Promise<Object>} X report
+     */
+    static async generateX(terminalId) {
+        const { entries, lastZ } = await this.getPeriodEntries(terminalId);
+        return this.build(entries, { type: this.TYPES.X, terminalId, lastZ });
+    }
+
+    /**
+     * End-of-day report: numbered, stored, and the start of the next period
+     * @param {string} terminalId - Terminal ID
+     * @param {Object} user - User running the report
+     * @returns {Promise<Object>} Z report
+     */
+    static async generateZ(terminalId, user) {
+        if (this.zInProgress) {
+            throw new Error('A Z report is already being run');
+        }
+
+        this.zInProgress = true;
+        try {
+            const { entries, lastZ } = await this.getPeriodEntries(terminalId);
+            const report = this.build(entries, { type: this.TYPES.Z, terminalId, lastZ });
+
+            report.number = lastZ ? lastZ.number + 1 : 1;
+            report.id = `${terminalId}-Z${String(report.number).padStart(4, '0')}`;
+            report.runBy = user ? { id: user.id, name: user.name } : null;
+
+            if (this.isPersistent()) {
+                await window.PosDatabase.put(this.STORE_NAME, report);
+            } else {
+                this.memoryReports.push(JSON.parse(JSON.stringify(report)));
+            }
+
+            console.log(`SalesReports: Z report ${report.number} for ${terminalId} covers ${entries.length} journal entries`);
+            return report;
+        } finally {
+            this.zInProgress = false;
+        }
+    }
+
+    /**
+     * Totals journal entries into a report
+     * @param {Object[]} entries - Journal entries, in journal order
+     * @param {Object} options - { type, terminalId, lastZ }
+     * @returns {Object} Report with plain { amount, currency } amounts
+     */
+    static build(entries, { type, terminalId, lastZ = null }) {
+        const Money = window.Money;
+        const currency = window.ContextRenderer.getContext('Currency') || Money.DEFAULT_CURRENCY;
+        const zero = () => Money.zero(currency);
+        const add = (groups, key, label, amount) => {
+            const group = groups.get(key) || { label, count: 0, amount: zero() };
+            group.count++;
+            group.amount = group.amount.plus(Money.from(amount, currency));
+            groups.set(key, group);
+        };
+
+        const sales = entries.filter(entry => entry.type === 'sale');
+        const returns = entries.filter(entry => entry.type === 'return');
+        const voids = entries.filter(entry => entry.type === 'void');
+        const completed = [...sales, ...returns];
+        const total = (list, field) => Money.sum(list.filter(entry => entry[field]).map(entry => Money.from(entry[field], currency)), currency);
+
+        const tenders = new Map();
+        const taxes = new Map();
+        const discounts = new Map();
+
+        completed.forEach((entry) => {
+            entry.tenders.forEach((tender) => {
+                // Cash is reported net of the change handed back
+                const amount = tender.method === 'cash' && entry.change ?
+                    Money.from(tender.amount, currency).minus(Money.from(entry.change, currency)) :
+                    tender.amount;
+                add(tenders, tender.method, this.tenderLabel(tender.method), amount);
+            });
+            entry.taxes.forEach(tax => add(taxes, tax.label, tax.label, tax.amount));
+            entry.discounts.forEach(discount => add(discounts, discount.name, discount.name, discount.amount));
+        });
+
+        const lines = completed.flatMap(entry => entry.lines);
+        const voidedLines = lines.filter(line => line.voided);
+        const voidedValue = (line) => Money.from(line.unitPrice, currency).multiply(line.quantity);
+        const voidTotal = Money.sum(
+            voids.flatMap(entry => entry.lines.filter(line => !line.voided).map(voidedValue)),
+            currency
+        );
+
+        const grossSales = total(sales, 'total');
+        const refunds = total(returns, 'total');
+        const toList = (groups) => Array.from(groups.values())
+            .map(group => ({ label: group.label, count: group.count, amount: group.amount.toJSON() }));
+
+        return {
+            type,
+            terminalId,
+            generatedAt: new Date().toISOString(),
+            periodStart: entries.length > 0 ? entries[0].recordedAt : (lastZ ? lastZ.generatedAt : null),
+            periodEnd: entries.length > 0 ? entries[entries.length - 1].recordedAt : null,
+            firstSequence: entries.length > 0 ? entries[0].sequence : null,
+            lastSequence: entries.length > 0 ? entries[entries.length - 1].sequence : (lastZ ? lastZ.lastSequence : 0),
+            previousZ: lastZ ? lastZ.number : null,
+            currency,
+            counts: {
+                transactions: entries.length,
+                sales: sales.length,
+                returns: returns.length,
+                voids: voids.length,
+                lineVoids: voidedLines.length,
+                priceOverrides: lines.filter(line => line.originalPrice && !line.voided).length
+            },
+            grossSales: grossSales.toJSON(),
+            refunds: refunds.toJSON(),
+            netSales: grossSales.plus(refunds).toJSON(),
+            tax: total(completed, 'tax').toJSON(),
+            discountTotal: Money.sum(Array.from(discounts.values()).map(group => group.amount), currency).toJSON(),
+            voidTotal: voidTotal.toJSON(),
+            lineVoidTotal: Money.sum(voidedLines.map(voidedValue), currency).toJSON(),
+            tenders: toList(tenders),
+            taxes: toList(taxes),
+            discounts: toList(discounts)
+        };
+    }
+
+    static tenderLabel(method) {
+        const methods = window.PaymentControlControl ? window.PaymentControlControl.METHODS : {};
+        return (methods[method] || { label: method }).label;
+    }
+
+    /**
+     * Flattens a report into display rows, amounts formatted
+     * @param {Object} report - X or Z report
+     * @returns {Object[]} { section, label, count, amount } with string values
+     */
+    static toRows(report) {
+        const format = (amount) => window.CurrencyFormatter.format(window.Money.from(amount));
+        const count = (value) => String(value);
+        const { counts } = report;
+
+        return [
+            { section: 'Sales', label: 'Gross sales', count: count(counts.sales), amount: format(report.grossSales) },
+            { section: 'Sales', label: 'Refunds', count: count(counts.returns), amount: format(report.refunds) },
+            { section: 'Sales', label: 'Net sales', count: count(counts.sales + counts.returns), amount: format(report.netSales) },
+            ...report.tenders.map(tender => ({ section: 'Tenders', label: tender.label, count: count(tender.count), amount: format(tender.amount) })),
+            ...report.taxes.map(tax => ({ section: 'Tax', label: tax.label, count: count(tax.count), amount: format(tax.amount) })),
+            { section: 'Tax', label: 'Total tax', count: '', amount: format(report.tax) },
+            ...report.discounts.map(discount => ({ section: 'Discounts', label: discount.label, count: count(discount.count), amount: format(discount.amount) })),
+            { section: 'Discounts', label: 'Total discounts', count: '', amount: format(report.discountTotal) },
+            { section: 'Voids', label: 'Voided transactions', count: count(counts.voids), amount: format(report.voidTotal) },
+            { section: 'Voids', label: 'Voided lines', count: count(counts.lineVoids), amount: format(report.lineVoidTotal) },
+            { section: 'Counts', label: 'Transactions', count: count(counts.transactions), amount: '' },
+            { section: 'Counts', label: 'Price overrides', count: count(counts.priceOverrides), amount: '' }
+        ];
+    }
+
+    /**
+     * Report title, e.g. "Z REPORT #0014"
+     * @param {Object} report - X or Z report
+     * @returns {string} Title
+     */
+    static getTitle(report) {
+        return report.type === this.TYPES.Z ?
+            `Z REPORT #${String(report.number).padStart(4, '0')}` :
+            'X REPORT';
+    }
+}
+
+// Make SalesReports globally available
+if (typeof window !== 'undefined') {
+    window.SalesReports = SalesReports;
+}
@@ -0,0 +1,217 @@
+/**
+ * Tax Engine - Per-item tax classes and layered jurisdiction rates
+ *
+ * Every product carries a tax class (standard, reduced, exempt). Each
+ * jurisdiction (state, county, city, ...) defines a rate per tax class and the
+ * jurisdictions are applied on top of each other. A compound jurisdiction taxes
+ * the line amount plus the taxes of the jurisdictions listed before it.
+ *
+ * Prices are tax-exclusive by default; with `pricesIncludeTax` the shelf
+ * price is treated as gross and the tax is backed out of it.
+ *
+ * Tax is accumulated per jurisdiction and rate in fractional cents, and each
+ * bucket is rounded once to Money, so the breakdown rows always add up to the
+ * tax total.
+ *
+ * @class TaxEngine
+ * @example
+ * TaxEngine.configure({
+ *   jurisdictions: [
+ *     { id: 'state', name: 'State Tax', rates: { standard: 0.06, reduced: 0.02 } },
+ *     { id: 'city', name: 'City Tax', rates: { standard: 0.01 }, compound: true }
+ *   ]
+ * });
+ *
+ * const result = TaxEngine.calculate([
+ *   { id: '001', name: 'Coffee Mug', price: 12.99, quantity: 2, taxClass: 'standard' },
+ *   { id: '010', name: 'Bananas', price: 0.59, quantity: 6, taxClass: 'exempt' }
+ * ]);
+ * // result.tax -> Money, result.breakdown -> [{ id: 'state', label: 'State Tax 6%', amount: Money, ... }, ...]
+ */
+export class TaxEngine {
+    static TAX_CLASSES = {
+        standard: 'Standard rate',
+        reduced: 'Reduced rate',
+        exempt: 'Tax exempt'
+    };
+
+    static DEFAULT_TAX_CLASS = 'standard';
+
+    // Combined standard rate of the default jurisdictions is 8%
+    static DEFAULT_JURISDICTIONS = [
+        { id: 'state', name: 'State Tax', rates: { standard: 0.0625, reduced: 0.025, exempt: 0 } },
+        { id: 'county', name: 'County Tax', rates: { standard: 0.01, reduced: 0.01, exempt: 0 } },
+        { id: 'city', name: 'City Tax', rates: { standard: 0.0075, reduced: 0, exempt: 0 } }
+    ];
+
+    static jurisdictions = TaxEngine.DEFAULT_JURISDICTIONS.map(jurisdiction => ({ ...jurisdiction }));
+    static pricesIncludeTax = false;
+
+    /**
+     * Replaces the tax configuration
+     * @param {Object} config - Tax configuration
+     * @param {Object[]} [config.jurisdictions] - { id, name, rates: { [taxClass]: rate }, compound }
+     * @param {boolean} [config.pricesIncludeTax] - Treat item prices as tax-inclusive
+     * @param {Object} [config.taxClasses] - Additional tax classes: { [id]: label }
+     */
+    static configure(config = {}) {
+        if (config.taxClasses) {
+            this.TAX_CLASSES = { ...this.TAX_CLASSES, ...config.taxClasses };
+        }
+
+        if (config.jurisdictions) {
+            config.jurisdictions.forEach((jurisdiction, index) => {
+                if (!jurisdiction.id || !jurisdiction.rates) {
+                    throw new Error(`Jurisdiction at index ${index} needs an id and rates`);
+                }
+                Object.entries(jurisdiction.rates).forEach(([taxClass, rate]) => {
+                    if (typeof rate !== 'number' || rate < 0 || rate >= 1) {
+                        throw new Error(`Invalid ${taxClass} rate for jurisdiction ${jurisdiction.id}: ${rate}`);
+                    }
+                });
+            });
+
+            this.jurisdictions = config.jurisdictions.map(jurisdiction => ({
+                ...jurisdiction,
+                name: jurisdiction.name || jurisdiction.id,
+                compound: jurisdiction.compound || false
+            }));
+        }
+
+        if (config.pricesIncludeTax !== undefined) {
+            this.pricesIncludeTax = !!config.pricesIncludeTax;
+        }
+
+        console.log(`TaxEngine: Configured ${this.jurisdictions.length} jurisdictions (${this.pricesIncludeTax ? 'inclusive' : 'exclusive'} pricing)`);
+    }
+
+    static isValidTaxClass(taxClass) {
+        return Object.prototype.hasOwnProperty.call(this.TAX_CLASSES, taxClass);
+    }
+
+    /**
+     * Resolves an item's tax class, falling back to the catalog product and then the default
+     * @param {Object} item - Cart item
+     * @returns {string} Tax class id
+     */
+    static resolveTaxClass(item) {
+        if (item.taxClass && this.isValidTaxClass(item.taxClass)) {
+            return item.taxClass;
+        }
+
+        const product = window.ProductCatalog ? window.ProductCatalog.get(item.id) : null;
+        if (product && product.taxClass && this.isValidTaxClass(product.taxClass)) {
+            return product.taxClass;
+        }
+
+        return this.DEFAULT_TAX_CLASS;
+    }
+
+    static getRate(jurisdiction, taxClass) {
+        return jurisdiction.rates[taxClass] || 0;
+    }
+
+    /**
+     * Calculates each jurisdiction's tax on a net line amount
+     * @param {string} taxClass - Tax class id
+     * @param {number} net - Net (pre-tax) line amount in minor units, may be fractional
+     * @returns {Object[]} One entry per jurisdiction: { jurisdiction, rate, taxable, amount }
+     */
+    static calculateLineTaxes(taxClass, net) {
+        const taxes = [];
+        let accumulated = 0;
+
+        this.jurisdictions.forEach(jurisdiction => {
+            const rate = this.getRate(jurisdiction, taxClass);
+            const taxable = jurisdiction.compound ? net + accumulated : net;
+            const amount = taxable * rate;
+
+            taxes.push({ jurisdiction, rate, taxable, amount });
+            accumulated += amount;
+        });
+
+        return taxes;
+    }
+
+    /**
+     * Combined rate of all jurisdictions for a tax class, including compounding
+     * @param {string} taxClass - Tax class id
+     * @returns {number} Effective rate (0.08 for 8%)
+     */
+    static getEffectiveRate(taxClass) {
+        return this.calculateLineTaxes(taxClass, 1).reduce((sum, tax) => sum + tax.amount, 0);
+    }
+
+    /**
+     * Calculates subtotal, tax and total for a list of cart items
+     * @param {Object[]} items - Cart items with price, quantity and optional taxClass
+     * @param {string} [currency=Money.DEFAULT_CURRENCY] - Currency of the item prices
+     * @returns {Object} { subtotal, tax, total, pricesIncludeTax, breakdown[] } with Money amounts
+     */
+    static calculate(items, currency = window.Money.DEFAULT_CURRENCY) {
+        const Money = window.Money;
+        const buckets = new Map();
+        let gross = Money.zero(currency);
+
+        items.forEach(item => {
+            const taxClass = this.resolveTaxClass(item);
+            const lineAmount = Money.from(item.price, currency).multiply(item.quantity);
+            const lineNet = this.pricesIncludeTax ?
+                lineAmount.amount / (1 + this.getEffectiveRate(taxClass)) :
+                lineAmount.amount;
+
+            gross = gross.plus(lineAmount);
+
+            this.calculateLineTaxes(taxClass, lineNet).forEach(({ jurisdiction, rate, taxable, amount }) => {
+                if (rate === 0) return;
+
+                const key = `${jurisdiction.id}:${rate}`;
+                if (!buckets.has(key)) {
+                    buckets.set(key, {
+                        id: jurisdiction.id,
+                        name: jurisdiction.name,
+                        rate,
+                        label: `${jurisdiction.name} ${this.formatRate(rate)}`,
+                        taxable: 0,
+                        amount: 0
+                    });
+                }
+
+                const bucket = buckets.get(key);
+                bucket.taxable += taxable;
+                bucket.amount += amount;
+            });
+        });
+
+        const breakdown = Array.from(buckets.values()).map(bucket => ({
+            ...bucket,
+            taxable: Money.fromMinor(Money.roundNumber(bucket.taxable), currency),
+            amount: Money.fromMinor(Money.roundNumber(bucket.amount), currency)
+        }));
+        const tax = Money.sum(breakdown.map(bucket => bucket.amount), currency);
+
+        // Inclusive prices: the shelf total is fixed, so the subtotal absorbs any rounding
+        const total = this.pricesIncludeTax ? gross : gross.plus(tax);
+        const subtotal = this.pricesIncludeTax ? gross.minus(tax) : gross;
+
+        return {
+            subtotal,
+            tax,
+            total,
+            pricesIncludeTax: this.pricesIncludeTax,
+            breakdown
+        };
+    }
+
+    static formatRate(rate) {
+        if (window.CurrencyFormatter) {
+            return window.CurrencyFormatter.formatPercent(rate);
+        }
+        return `${parseFloat((rate * 100).toFixed(4))}%`;
+    }
+}
+
+// Make TaxEngine globally available
+if (typeof window !== 'undefined') {
+    window.TaxEngine = TaxEngine;
+}
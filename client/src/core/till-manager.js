@@ -0,0 +1,398 @@
+/**
+ * Till Manager - Cashier shifts and the cash in the drawer
+ *
+ * A shift starts with an opening float counted by denomination and ends with
+ * a closing count. In between, every cash movement is recorded against it:
+ * cash taken on sales (net of change), cash refunded on returns, pay-ins and
+ * pay-outs. The expected cash is the float plus those movements; the closing
+ * count is compared with it to report the till over or short.
+ *
+ * Each drawer opening is logged on the shift as well, so no-sale opens can be
+ * reviewed. One shift can be open per terminal; it survives page reloads.
+ * The open shift is published as the `tillShift` state ({ id, user,
+ * drawerOpens }, or null) for controls such as the Cash Drawer.
+ * Shifts are kept in the `shifts` store (in memory without IndexedDB) and can
+ * be queried for reports. Amounts are stored as { amount, currency } in minor
+ * units; counts map a denomination's minor-unit value to a quantity.
+ *
+ * @class TillManager
+ * @example
+ * await TillManager.init('T001');
+ * await TillManager.openShift({ user, counts: { 2000: 5, 500: 10, 100: 50 } });   // $200.00 float
+ *
+ * await TillManager.recordTransaction(transaction);
+ * await TillManager.payOut(Money.fromMajor(12.5), 'Window cleaner', user);
+ *
+ * const summary = await TillManager.closeShift({ 2000: 9, 500: 10 }, user);
+ * summary.overShort.format();   // '-$0.25'
+ */
+export class TillManager {
+    static STORE_NAME = 'shifts';
+    static SEQUENCE_KEY = 'pos-shift-sequence';
+
+    static MOVEMENTS = {
+        SALE: 'sale',
+        REFUND: 'refund',
+        PAY_IN: 'pay-in',
+        PAY_OUT: 'pay-out'
+    };
+
+    // Minor-unit value and label of each bill and coin, largest first
+    static DENOMINATIONS = {
+        USD: [
+            { value: 10000, label: '$100' }, { value: 5000, label: '$50' }, { value: 2000, label: '$20' },
+            { value: 1000, label: '$10' }, { value: 500, label: '$5' }, { value: 100, label: '$1' },
+            { value: 25, label: '25¢' }, { value: 10, label: '10¢' }, { value: 5, label: '5¢' }, { value: 1, label: '1¢' }
+        ],
+        EUR: [
+            { value: 50000, label: '€500' }, { value: 20000, label: '€200' }, { value: 10000, label: '€100' },
+            { value: 5000, label: '€50' }, { value: 2000, label: '€20' }, { value: 1000, label: '€10' },
+            { value: 500, label: '€5' }, { value: 200, label: '€2' }, { value: 100, label: '€1' },
+            { value: 50, label: '50c' }, { value: 20, label: '20c' }, { value: 10, label: '10c' },
+            { value: 5, label: '5c' }, { value: 2, label: '2c' }, { value: 1, label: '1c' }
+        ]
+    };
+
+    static currentShift = null;
+    static memoryShifts = new Map();
+    static sequence = 0;
+
+    /**
+     * Adds or replaces the denominations of a currency
+     * @param {Object} config - Till configuration
+     * @param {Object} [config.denominations] - { [currency]: [{ value (minor units), label }] }
+     */
+    static configure(config = {}) {
+        Object.entries(config.denominations || {}).forEach(([currency, denominations]) => {
+            if (!Array.isArray(denominations) || denominations.some(denomination => !Number.isInteger(denomination.value) || denomination.value <= 0)) {
+                throw new Error(`Denominations for ${currency} need a whole positive value in minor units`);
+            }
+            this.DENOMINATIONS = {
+                ...this.DENOMINATIONS,
+                [currency]: [...denominations].sort((a, b) => b.value - a.value)
+            };
+        });
+    }
+
+    static isPersistent() {
+        return !!(window.PosDatabase && window.PosDatabase.isAvailable());
+    }
+
+    /**
+     * Picks up the shift still open on a terminal, e.g. after a page reload
+     * @param {string} terminalId - Terminal ID
+     * @returns {Promise<Object|null>} Open shift, or null
+     */
+    static async init(terminalId) {
+        const shifts = this.isPersistent() ?
+            await window.PosDatabase.getAllByIndex(this.STORE_NAME, 'status', 'open') :
+            Array.from(this.memoryShifts.values()).filter(shift => shift.status === 'open');
+
+        this.currentShift = shifts.find(shift => shift.terminalId === terminalId) || null;
+        if (this.currentShift) {
+            console.log(`TillManager: Shift ${this.currentShift.id} of ${this.currentShift.user.name} is open`);
+        }
+        this.publish();
+        return this.getCurrentShift();
+    }
+
+    static publish() {
+        const shift = this.currentShift;
+        window.StateManager.setState('tillShift', shift ?
+            { id: shift.id, user: { ...shift.user }, drawerOpens: shift.drawerOpens.length } :
+            null);
+    }
+
+    static getCurrentShift() {
+        return this.currentShift ? JSON.parse(JSON.stringify(this.currentShift)) : null;
+    }
+
+    static requireShift() {
+        if (!this.currentShift) {
+            throw new Error('No shift is open on this till');
+        }
+        return this.currentShift;
+    }
+
+    static getDenominations(currency = window.Money.DEFAULT_CURRENCY) {
+        const denominations = this.DENOMINATIONS[currency];
+        if (!denominations) {
+            throw new Error(`No cash denominations are set up for ${currency}`);
+        }
+        return denominations;
+    }
+
+    /**
+     * Total of a cash count
+     * @param {Object} counts - { [denomination value]: quantity }
+     * @param {string} [currency] - Till currency
+     * @returns {Money} Counted cash
+     */
+    static countTotal(counts, currency = window.Money.DEFAULT_CURRENCY) {
+        const values = new Set(this.getDenominations(currency).map(denomination => denomination.value));
+
+        return Object.entries(counts || {}).reduce((total, [value, quantity]) => {
+            if (!values.has(Number(value))) {
+                throw new Error(`${value} is not a ${currency} denomination`);
+            }
+            if (!Number.isInteger(quantity) || quantity < 0) {
+                throw new Error('Counts must be whole numbers of zero or more');
+            }
+            return total.plus(new window.Money(Number(value) * quantity, currency));
+        }, window.Money.zero(currency));
+    }
+
+    static nextId(terminalId) {
+        let stored = this.sequence;
+        try {
+            stored = Math.max(stored, parseInt(localStorage.getItem(this.SEQUENCE_KEY), 10) || 0);
+        } catch (error) {
+            // localStorage unavailable - keep the in-memory sequence
+        }
+
+        this.sequence = stored + 1;
+        try {
+            localStorage.setItem(this.SEQUENCE_KEY, String(this.sequence));
+        } catch (error) {
+            // Ignore - the in-memory sequence is still correct for this session
+        }
+
+        return `${terminalId}-S${String(this.sequence).padStart(4, '0')}`;
+    }
+
+    static async saveShift(shift) {
+        if (this.isPersistent()) {
+            await window.PosDatabase.put(this.STORE_NAME, shift);
+        } else {
+            this.memoryShifts.set(shift.id, JSON.parse(JSON.stringify(shift)));
+        }
+    }
+
+    /**
+     * Opens a shift on this terminal with a counted float
+     * @param {Object} options - { user, counts, currency, terminalId }
+     * @returns {Promise<Object>} The open shift
+     */
+    static async openShift({ user, counts, currency = window.Money.DEFAULT_CURRENCY, terminalId = window.ContextRenderer.getContext('TerminalID') }) {
+        if (this.currentShift) {
+            throw new Error(`Shift ${this.currentShift.id} of ${this.currentShift.user.name} is still open on this till`);
+        }
+        if (!user) {
+            throw new Error('Sign in to open a shift');
+        }
+
+        const float = this.countTotal(counts, currency);
+        const shift = {
+            id: this.nextId(terminalId),
+            terminalId,
+            status: 'open',
+            user: { id: user.id, name: user.name },
+            currency,
+            openedAt: new Date().toISOString(),
+            openingCount: { ...counts },
+            openingFloat: float.toJSON(),
+            movements: [],
+            drawerOpens: [],
+            closedAt: null,
+            closedBy: null,
+            closingCount: null,
+            counted: null,
+            expected: null,
+            overShort: null
+        };
+
+        await this.saveShift(shift);
+        this.currentShift = shift;
+        this.publish();
+        console.log(`TillManager: Shift ${shift.id} opened by ${user.id} with a float of ${float.format()}`);
+        return this.getCurrentShift();
+    }
+
+    static async addMovement(type, amount, { reference = null, reason = null, user = null } = {}) {
+        const shift = this.requireShift();
+        const movement = {
+            type,
+            amount: window.Money.from(amount, shift.currency).toJSON(),
+            reference,
+            reason,
+            userId: user ? user.id : null,
+            at: new Date().toISOString()
+        };
+
+        shift.movements.push(movement);
+        await this.saveShift(shift);
+        return { ...movement };
+    }
+
+    /**
+     * Records the cash of a completed sale or return: cash tenders less change
+     * @param {Transaction} transaction - Completed transaction
+     * @returns {Promise<Object|null>} Movement, or null when no cash changed hands or no shift is open
+     */
+    static async recordTransaction(transaction) {
+        if (!this.currentShift || transaction.state !== 'completed') return null;
+
+        const currency = this.currentShift.currency;
+        const cash = window.Money.sum(
+            (transaction.tenders || []).filter(tender => tender.method === 'cash').map(tender => window.Money.from(tender.amount, currency)),
+            currency
+        ).minus(transaction.change ? window.Money.from(transaction.change, currency) : window.Money.zero(currency));
+
+        if (cash.isZero()) return null;
+
+        return this.addMovement(cash.isNegative() ? this.MOVEMENTS.REFUND : this.MOVEMENTS.SALE, cash, {
+            reference: transaction.number
+        });
+    }
+
+    static checkCashMovement(amount, reason) {
+        const value = window.Money.from(amount, this.requireShift().currency);
+        if (!value.isPositive()) {
+            throw new Error('Enter an amount greater than zero');
+        }
+        if (!String(reason || '').trim()) {
+            throw new Error('Enter a reason');
+        }
+        return value;
+    }
+
+    /**
+     * Puts cash into the drawer outside a sale (e.g. extra change)
+     * @param {Money|number|string} amount - Amount paid in
+     * @param {string} reason - Why
+     * @param {Object} user - User paying in
+     * @returns {Promise<Object>} Movement
+     */
+    static async payIn(amount, reason, user) {
+        const value = this.checkCashMovement(amount, reason);
+        return this.addMovement(this.MOVEMENTS.PAY_IN, value, { reason: reason.trim(), user });
+    }
+
+    /**
+     * Takes cash out of the drawer outside a sale (e.g. paying a supplier)
+     * @param {Money|number|string} amount - Amount paid out
+     * @param {string} reason - Why
+     * @param {Object} user - User paying out
+     * @returns {Promise<Object>} Movement with a negative amount
+     */
+    static async payOut(amount, reason, user) {
+        const value = this.checkCashMovement(amount, reason);
+        const expected = this.getExpectedCash();
+        if (value.greaterThan(expected)) {
+            throw new Error(`Only ${expected.format()} should be in the drawer`);
+        }
+        return this.addMovement(this.MOVEMENTS.PAY_OUT, value.negate(), { reason: reason.trim(), user });
+    }
+
+    /**
+     * Logs a drawer opening on the open shift
+     * @param {Object} options - { noSale, reference, user }
+     * @returns {Promise<number|null>} Drawer opens on this shift, or null when no shift is open
+     */
+    static async recordDrawerOpen({ noSale = false, reference = null, user = null } = {}) {
+        const shift = this.currentShift;
+        if (!shift) return null;
+
+        shift.drawerOpens.push({ at: new Date().toISOString(), noSale, reference, userId: user ? user.id : null });
+        await this.saveShift(shift);
+        this.publish();
+        return shift.drawerOpens.length;
+    }
+
+    /**
+     * Cash that should be in the drawer: the float plus every cash movement
+     * @param {Object} [shift] - Shift; defaults to the open one
+     * @returns {Money} Expected cash
+     */
+    static getExpectedCash(shift = this.requireShift()) {
+        return shift.movements.reduce(
+            (total, movement) => total.plus(window.Money.from(movement.amount, shift.currency)),
+            window.Money.from(shift.openingFloat, shift.currency)
+        );
+    }
+
+    /**
+     * Totals of a shift
+     * @param {Object} [shift] - Shift; defaults to the open one
+     * @returns {Object} { float, cashSales, cashRefunds, payIns, payOuts, expected, counted, overShort, drawerOpens, noSales }
+     */
+    static summarize(shift = this.requireShift()) {
+        const Money = window.Money;
+        const total = (type) => Money.sum(
+            shift.movements.filter(movement => movement.type === type).map(movement => Money.from(movement.amount, shift.currency)),
+            shift.currency
+        );
+
+        return {
+            id: shift.id,
+            user: shift.user,
+            openedAt: shift.openedAt,
+            closedAt: shift.closedAt,
+            float: Money.from(shift.openingFloat, shift.currency),
+            cashSales: total(this.MOVEMENTS.SALE),
+            cashRefunds: total(this.MOVEMENTS.REFUND),
+            payIns: total(this.MOVEMENTS.PAY_IN),
+            payOuts: total(this.MOVEMENTS.PAY_OUT),
+            expected: this.getExpectedCash(shift),
+            counted: shift.counted ? Money.from(shift.counted, shift.currency) : null,
+            overShort: shift.overShort ? Money.from(shift.overShort, shift.currency) : null,
+            drawerOpens: shift.drawerOpens.length,
+            noSales: shift.drawerOpens.filter(open => open.noSale).length
+        };
+    }
+
+    /**
+     * Closes the open shift with the closing count
+     * @param {Object} counts - { [denomination value]: quantity }
+     * @param {Object} user - User closing the shift
+     * @returns {Promise<Object>} Summary with counted cash and over/short (negative when short)
+     */
+    static async closeShift(counts, user) {
+        const shift = this.requireShift();
+        const counted = this.countTotal(counts, shift.currency);
+        const expected = this.getExpectedCash(shift);
+
+        const closed = {
+            ...shift,
+            status: 'closed',
+            closedAt: new Date().toISOString(),
+            closedBy: user ? { id: user.id, name: user.name } : null,
+            closingCount: { ...counts },
+            counted: counted.toJSON(),
+            expected: expected.toJSON(),
+            overShort: counted.minus(expected).toJSON()
+        };
+
+        await this.saveShift(closed);
+        this.currentShift = null;
+        this.publish();
+        console.log(`TillManager: Shift ${closed.id} closed, counted ${counted.format()}, expected ${expected.format()}`);
+        return this.summarize(closed);
+    }
+
+    /**
+     * Finds shifts, oldest first
+     * @param {Object} [filters] - { terminalId, userId, status, from, to (ISO dates, on openedAt) }
+     * @returns {Promise<Object[]>} Shift records
+     */
+    static async query(filters = {}) {
+        const shifts = this.isPersistent() ?
+            await window.PosDatabase.getAll(this.STORE_NAME) :
+            Array.from(this.memoryShifts.values());
+
+        return shifts
+            .filter(shift => !filters.terminalId || shift.terminalId === filters.terminalId)
+            .filter(shift => !filters.userId || shift.user.id === filters.userId)
+            .filter(shift => !filters.status || shift.status === filters.status)
+            .filter(shift => !filters.from || shift.openedAt >= filters.from)
+            // A date-only `to` includes the whole day
+            .filter(shift => !filters.to || shift.openedAt.slice(0, filters.to.length) <= filters.to)
+            .sort((a, b) => a.openedAt.localeCompare(b.openedAt))
+            .map(shift => JSON.parse(JSON.stringify(shift)));
+    }
+}
+
+// Make TillManager globally available
+if (typeof window !== 'undefined') {
+    window.TillManager = TillManager;
+}
@@ -0,0 +1,291 @@
+/**
+ * Transaction - Sale lifecycle state machine
+ *
+ * A sale moves through explicit states:
+ *
+ *   OPEN ──> TENDERING ──> COMPLETED
+ *    │  <──     │
+ *    ├──────────┴────────> VOIDED
+ *    │          │
+ *    └──────────┴────────> SUSPENDED ──> OPEN (recalled)
+ *
+ * OPEN is the scanning phase, TENDERING starts with the first payment (the cart
+ * is locked), COMPLETED and VOIDED are final. A SUSPENDED (held) sale leaves
+ * the register and comes back as OPEN when it is recalled (or straight back to
+ * TENDERING if storing it failed). Every transition is timestamped and kept in
+ * `history`; invalid transitions throw.
+ *
+ * Each transaction gets a sequential number per terminal (e.g. "T001-000042").
+ * The sequence survives page reloads through localStorage.
+ *
+ * A transaction is either a sale or a return (`type`). Returns carry negative
+ * quantities, the receipt they refer to (if any), a reason code and the
+ * manager who approved them.
+ *
+ * Coupon codes applied to the sale are kept in `coupons`, so they travel with
+ * a held sale and are journaled with it. The customer picked from the
+ * customer directory is kept in `customer` ({ id, name, phone, email }).
+ * `loyaltyPoints` are the points that customer wants taken off the sale as a
+ * discount; `loyalty` is the points summary written when the sale completes.
+ *
+ * POSApplication owns the current transaction and publishes it to StateManager
+ * as `currentTransaction` (snapshot) and `transactionState` (state string,
+ * 'idle' when no sale is in progress) so controls can react.
+ *
+ * @class Transaction
+ * @example
+ * const transaction = Transaction.create({ terminalId: 'T001', cashier: 'John Doe' });
+ * transaction.beginTendering();
+ * transaction.complete({ items, totals, tenders, change });
+ * transaction.state;   // 'completed'
+ * transaction.number;  // 'T001-000042'
+ */
+export class Transaction {
+    static STATES = {
+        OPEN: 'open',
+        TENDERING: 'tendering',
+        COMPLETED: 'completed',
+        VOIDED: 'voided',
+        SUSPENDED: 'suspended'
+    };
+
+    static TYPES = {
+        SALE: 'sale',
+        RETURN: 'return'
+    };
+
+    // State published to StateManager when no transaction is in progress
+    static IDLE = 'idle';
+
+    static TRANSITIONS = {
+        open: ['tendering', 'voided', 'suspended'],
+        tendering: ['open', 'completed', 'voided', 'suspended'],
+        completed: [],
+        voided: [],
+        suspended: ['open', 'tendering']
+    };
+
+    static SEQUENCE_KEY = 'pos-transaction-sequence';
+    static sequence = 0;
+
+    /**
+     * Returns the next transaction sequence number
+     * @returns {number} Sequence number, starting at 1
+     */
+    static nextSequence() {
+        let stored = this.sequence;
+
+        try {
+            stored = Math.max(stored, parseInt(localStorage.getItem(this.SEQUENCE_KEY), 10) || 0);
+        } catch (error) {
+            // localStorage unavailable (private mode, tests) - keep the in-memory sequence
+        }
+
+        this.sequence = stored + 1;
+
+        try {
+            localStorage.setItem(this.SEQUENCE_KEY, String(this.sequence));
+        } catch (error) {
+            // Ignore - the in-memory sequence is still correct for this session
+        }
+
+        return this.sequence;
+    }
+
+    /**
+     * Opens a new transaction with the next number
+     * @param {Object} [options] - { terminalId, cashier, cashierId, type, originalTransactionNumber, returnReason, approvedBy, coupons, customer, loyaltyPoints }
+     * @returns {Transaction} Open transaction
+     */
+    static create(options = {}) {
+        const terminalId = options.terminalId || 'T001';
+        const sequence = this.nextSequence();
+
+        return new Transaction({
+            ...options,
+            number: `${terminalId}-${String(sequence).padStart(6, '0')}`,
+            sequence,
+            terminalId,
+            cashier: options.cashier || null,
+            cashierId: options.cashierId || null
+        });
+    }
+
+    /**
+     * Rebuilds a transaction from a toJSON() snapshot (e.g. a held sale)
+     * @param {Object} data - Snapshot
+     * @returns {Transaction} Transaction in the snapshot's state
+     */
+    static fromJSON(data) {
+        const transaction = new Transaction(data);
+        transaction.state = data.state;
+        transaction.openedAt = new Date(data.openedAt);
+        transaction.history = (data.history || []).map(entry => ({ ...entry, at: new Date(entry.at) }));
+        return transaction;
+    }
+
+    constructor({ number, sequence, terminalId, cashier, cashierId, type, originalTransactionNumber, returnReason, approvedBy, coupons, customer, loyaltyPoints, loyalty }) {
+        this.number = number;
+        this.sequence = sequence;
+        this.terminalId = terminalId;
+        this.cashier = cashier;
+        this.cashierId = cashierId || null;
+        this.type = type || Transaction.TYPES.SALE;
+        this.originalTransactionNumber = originalTransactionNumber || null;
+        this.returnReason = returnReason || null;
+        this.approvedBy = approvedBy || null;
+        this.coupons = coupons ? [...coupons] : [];
+        this.customer = customer ? { ...customer } : null;
+        this.loyaltyPoints = loyaltyPoints || 0;
+        this.loyalty = loyalty || null;
+        this.state = Transaction.STATES.OPEN;
+        this.openedAt = new Date();
+        this.completedAt = null;
+        this.voidedAt = null;
+        this.voidReason = null;
+        this.items = [];
+        this.totals = null;
+        this.tenders = [];
+        this.change = null;
+        this.history = [{ from: null, to: this.state, at: this.openedAt }];
+    }
+
+    canTransitionTo(state) {
+        return Transaction.TRANSITIONS[this.state].includes(state);
+    }
+
+    /**
+     * Moves to a new state, recording the transition
+     * @param {string} state - Target state from Transaction.STATES
+     * @param {string} [reason] - Optional note stored in history
+     */
+    transition(state, reason = null) {
+        if (!this.canTransitionTo(state)) {
+            throw new Error(`Transaction ${this.number}: cannot go from ${this.state} to ${state}`);
+        }
+
+        const entry = { from: this.state, to: state, at: new Date() };
+        if (reason) {
+            entry.reason = reason;
+        }
+
+        this.state = state;
+        this.history.push(entry);
+        return entry;
+    }
+
+    beginTendering() {
+        return this.transition(Transaction.STATES.TENDERING);
+    }
+
+    resumeSale() {
+        return this.transition(Transaction.STATES.OPEN);
+    }
+
+    suspend() {
+        return this.transition(Transaction.STATES.SUSPENDED);
+    }
+
+    recall() {
+        return this.transition(Transaction.STATES.OPEN, 'recalled');
+    }
+
+    /**
+     * Completes the sale and stores its final contents
+     * @param {Object} sale - { items, totals, tenders, change, loyalty }
+     */
+    complete({ items = [], totals = null, tenders = [], change = null, loyalty = null } = {}) {
+        const entry = this.transition(Transaction.STATES.COMPLETED);
+        this.completedAt = entry.at;
+        this.items = items.map(item => ({ ...item }));
+        this.totals = totals;
+        this.tenders = tenders.map(tender => ({ ...tender }));
+        this.change = change;
+        this.loyalty = loyalty;
+        return entry;
+    }
+
+    /**
+     * Voids the sale, keeping the items that were on it for the record
+     * @param {string} reason - Why the sale was voided
+     * @param {Object[]} [items] - Cart items at the time of the void
+     */
+    void(reason, items = []) {
+        const entry = this.transition(Transaction.STATES.VOIDED, reason);
+        this.voidedAt = entry.at;
+        this.voidReason = reason;
+        this.items = items.map(item => ({ ...item }));
+        return entry;
+    }
+
+    addCoupon(code) {
+        if (!this.coupons.includes(code)) {
+            this.coupons.push(code);
+        }
+    }
+
+    removeCoupon(code) {
+        this.coupons = this.coupons.filter(existing => existing !== code);
+    }
+
+    setCustomer(customer) {
+        // Points to redeem belong to the customer they were asked for
+        if (!customer || !this.customer || customer.id !== this.customer.id) {
+            this.loyaltyPoints = 0;
+        }
+        this.customer = customer ? { ...customer } : null;
+    }
+
+    setLoyaltyPoints(points) {
+        this.loyaltyPoints = points;
+    }
+
+    isActive() {
+        return this.state === Transaction.STATES.OPEN || this.state === Transaction.STATES.TENDERING;
+    }
+
+    isReturn() {
+        return this.type === Transaction.TYPES.RETURN;
+    }
+
+    isFinal() {
+        return this.state === Transaction.STATES.COMPLETED || this.state === Transaction.STATES.VOIDED;
+    }
+
+    /**
+     * Plain snapshot for StateManager, exports and storage
+     * @returns {Object} Transaction data
+     */
+    toJSON() {
+        return {
+            number: this.number,
+            sequence: this.sequence,
+            terminalId: this.terminalId,
+            cashier: this.cashier,
+            cashierId: this.cashierId,
+            type: this.type,
+            originalTransactionNumber: this.originalTransactionNumber,
+            returnReason: this.returnReason,
+            approvedBy: this.approvedBy,
+            coupons: [...this.coupons],
+            customer: this.customer ? { ...this.customer } : null,
+            loyaltyPoints: this.loyaltyPoints,
+            loyalty: this.loyalty ? { ...this.loyalty } : null,
+            state: this.state,
+            openedAt: this.openedAt,
+            completedAt: this.completedAt,
+            voidedAt: this.voidedAt,
+            voidReason: this.voidReason,
+            items: this.items,
+            totals: this.totals,
+            tenders: this.tenders,
+            change: this.change,
+            history: this.history.map(entry => ({ ...entry }))
+        };
+    }
+}
+
+// Make Transaction globally available
+if (typeof window !== 'undefined') {
+    window.Transaction = Transaction;
+}
@@ -21,6 +21,7 @@ export class Validation {
         "numeric-input",
         "password",
         "barcode-input",
+        "coupon-input",
         "dropdown",
         "datepicker",
         "toggle",
@@ -33,6 +34,7 @@ export class Validation {
         // Display
         "label",
         "message-box",
+        "lookup-popup",
         "status-bar",
         "notification-area",
         "image",
@@ -390,31 +392,81 @@ export class Validation {
             }
 
             items.forEach((item, index) => {
-                const requiredFields = ["id", "name", "price"];
-                requiredFields.forEach((field) => {
-                    if (!item.hasOwnProperty(field)) {
-                        result.errors.push(
-                            `Cart item at index ${index} missing required field: ${field}`,
-                        );
-                    }
-                });
+                result.errors.push(
+                    ...this.validateItemFields(item, `Cart item at index ${index}`),
+                );
+            });
+        }
+    }
 
-                if (item.price !== undefined && !this.isNumeric(item.price)) {
-                    result.errors.push(
-                        `Cart item at index ${index} price must be numeric`,
-                    );
-                }
+    /**
+     * Validate the id/name/price fields shared by cart items and catalog products
+     * @param {Object} item - Item or product to check
+     * @param {string} label - Prefix for error messages
+     * @returns {string[]} Error messages (empty when valid)
+     */
+    static validateItemFields(item, label) {
+        if (item === null || typeof item !== "object" || Array.isArray(item)) {
+            return [`${label} must be an object`];
+        }
 
-                if (
-                    item.quantity !== undefined &&
-                    (!Number.isInteger(item.quantity) || item.quantity < 0)
-                ) {
-                    result.errors.push(
-                        `Cart item at index ${index} quantity must be a non-negative integer`,
-                    );
-                }
-            });
+        const errors = [];
+
+        const requiredFields = ["id", "name", "price"];
+        requiredFields.forEach((field) => {
+            if (!item.hasOwnProperty(field)) {
+                errors.push(`${label} missing required field: ${field}`);
+            }
+        });
+
+        if (item.price !== undefined && !this.isNumeric(item.price)) {
+            errors.push(`${label} price must be numeric`);
+        }
+
+        if (
+            item.quantity !== undefined &&
+            (!Number.isInteger(item.quantity) || item.quantity < 0)
+        ) {
+            errors.push(`${label} quantity must be a non-negative integer`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate an imported catalog product row
+     * @param {Object} row - Mapped product fields (empty cells omitted)
+     * @param {number} index - Row number used in messages
+     * @returns {Object} Validation result with isValid and errors
+     */
+    static validateProductRow(row, index) {
+        const label = `Row ${index}`;
+        const errors = this.validateItemFields(row, label);
+        if (row === null || typeof row !== "object") {
+            return { isValid: false, errors };
         }
+
+        if (this.isNumeric(row.price) && parseFloat(row.price) < 0) {
+            errors.push(`${label} price cannot be negative`);
+        }
+
+        if (row.id !== undefined && !this.isValidUID(String(row.id))) {
+            errors.push(
+                `${label} id "${row.id}" must be alphanumeric (hyphens and underscores allowed)`,
+            );
+        }
+
+        if (
+            row.taxClass !== undefined &&
+            window.TaxEngine &&
+            !window.TaxEngine.isValidTaxClass(String(row.taxClass).toLowerCase())
+        ) {
+            errors.push(
+                `${label} unknown tax class "${row.taxClass}". Valid classes: ${Object.keys(window.TaxEngine.TAX_CLASSES).join(", ")}`,
+            );
+        }
+
+        return { isValid: errors.length === 0, errors };
     }
 
     /**
@@ -14,6 +14,33 @@ import { DomUtilities } from './core/dom-utilities.js';
 import { Validation } from './core/validation.js';
 import { DataManager } from './core/data-manager.js';
 import { EventHandler } from './core/event-handler.js';
+import { PosDatabase } from './core/pos-database.js';
+import { ProductCatalog } from './core/product-catalog.js';
+import { CatalogIO } from './core/catalog-io.js';
+import { Money } from './core/money.js';
+import { CurrencyFormatter } from './core/currency-formatter.js';
+import { TaxEngine } from './core/tax-engine.js';
+import { PromotionEngine } from './core/promotion-engine.js';
+import { CouponManager } from './core/coupon-manager.js';
+import { MockGiftCardStore } from './core/mock-gift-card-store.js';
+import { GiftCardLedger } from './core/gift-card-ledger.js';
+import { Transaction } from './core/transaction.js';
+import { ElectronicJournal } from './core/electronic-journal.js';
+import { HeldTransactions } from './core/held-transactions.js';
+import { ReturnManager } from './core/return-manager.js';
+import { AuthService } from './core/auth-service.js';
+import { AuditLog } from './core/audit-log.js';
+import { ManagerOverride } from './core/manager-override.js';
+import { IdleMonitor } from './core/idle-monitor.js';
+import { TillManager } from './core/till-manager.js';
+import { SalesReports } from './core/sales-reports.js';
+import { BarcodeEncoder } from './core/barcode-encoder.js';
+import { EscPosEncoder } from './core/escpos-encoder.js';
+import { ReceiptTemplate } from './core/receipt-template.js';
+import { ReceiptPrinter } from './core/receipt-printer.js';
+import { ReceiptExport } from './core/receipt-export.js';
+import { CustomerDirectory } from './core/customer-directory.js';
+import { LoyaltyProgram } from './core/loyalty-program.js';
 import { POSApplication } from './pos-application.js';
 
 // Sample JSON UI Definitions
@@ -182,7 +209,15 @@ const comprehensivePOSDefinition = {
                     {
                       "type": "barcode-input",
                       "UID": "barcode-scanner",
-                      "placeholder": "Scan or enter barcode..."
+                      "placeholder": "Scan or enter barcode...",
+                      "props": {
+                        "acceptCoupons": true
+                      }
+                    },
+                    {
+                      "type": "coupon-input",
+                      "UID": "coupon-entry",
+                      "placeholder": "Coupon code..."
                     },
                     {
                       "type": "search-bar",
@@ -242,7 +277,38 @@ const comprehensivePOSDefinition = {
                       "props": {"variant": "secondary"},
                       "children": [
                         {type: "button", "UID": "void-transaction", "text": "Void Transaction"},
-                        {type: "button", "UID": "hold-transaction", "text": "Hold Transaction"}
+                        {type: "button", "UID": "hold-transaction", "text": "Hold Transaction"},
+                        {type: "button", "UID": "recall-transaction", "text": "Recall Transaction"},
+                        {type: "button", "UID": "start-return", "text": "Return Items"},
+                        {type: "button", "UID": "complete-refund", "text": "Complete Refund"},
+                        {type: "button", "UID": "reprint-receipt", "text": "Reprint Receipt"},
+                        {type: "button", "UID": "lock-terminal", "text": "Lock Terminal"},
+                        {type: "button", "UID": "sign-out", "text": "Sign Out"}
+                      ]
+                    },
+                    {
+                      "type": "menu-button",
+                      "UID": "gift-card-menu",
+                      "text": "Gift Cards",
+                      "props": {"variant": "secondary"},
+                      "children": [
+                        {type: "button", "UID": "sell-gift-card", "text": "Sell Gift Card"},
+                        {type: "button", "UID": "reload-gift-card", "text": "Reload Gift Card"},
+                        {type: "button", "UID": "gift-card-balance", "text": "Balance Inquiry"}
+                      ]
+                    },
+                    {
+                      "type": "menu-button",
+                      "UID": "till-menu",
+                      "text": "Till",
+                      "props": {"variant": "secondary"},
+                      "children": [
+                        {type: "button", "UID": "open-shift", "text": "Open Shift"},
+                        {type: "button", "UID": "pay-in", "text": "Pay In"},
+                        {type: "button", "UID": "pay-out", "text": "Pay Out"},
+                        {type: "button", "UID": "close-shift", "text": "Close Shift"},
+                        {type: "button", "UID": "x-report", "text": "X Report"},
+                        {type: "button", "UID": "z-report", "text": "Z Report"}
                       ]
                     },
                     {
@@ -327,10 +393,19 @@ const comprehensivePOSDefinition = {
       "UID": "right-panel",
       "title": "Receipt & Status",
       "children": [
+        {
+          "type": "customer-info-panel",
+          "UID": "customer-details"
+        },
         {
           "type": "receipt-preview",
           "UID": "receipt-display"
         },
+        {
+          "type": "device-control",
+          "UID": "receipt-printer",
+          "props": {"deviceType": "printer", "paperWidth": 80}
+        },
         {
           "type": "signature-pad",
           "UID": "customer-signature"
@@ -23,7 +23,7 @@
  * });
  * 
  * // Available keyboard shortcuts:
- * // Ctrl+D - Toggle Designer Mode
+ * // Ctrl+D - Toggle Designer Mode (needs the designer permission)
  * // Ctrl+L - Load Demo UI
  * // Ctrl+Shift+L - Load POS Demo
  * // Ctrl+Shift+C - Clear UI
@@ -42,6 +42,13 @@ export class POSApplication {
         this.maxEventHistory = 1000;
         this.shortcuts = new Map();
         this.contextMenus = new Map();
+        this.currentTransaction = null;
+        this.currentCustomer = null;
+        this.loyaltyBalance = null;
+        this.keypadEntry = '';
+        this.signInScreen = null;
+        this.lockScreen = null;
+        this.tillReady = Promise.resolve(null);
         
         this.init();
     }
@@ -54,12 +61,21 @@ export class POSApplication {
         this.setupEventListeners();
         this.initializeSystemComponents();
         this.registerKeyboardShortcuts();
+        this.showSignInScreen();
         this.logEvent('system', 'POS Application initialized');
         
         console.log('POSApplication: Initialized successfully');
     }
 
     setupEventListeners() {
+        // Sign Out Button
+        const signOut = document.getElementById('header-sign-out');
+        if (signOut) {
+            signOut.addEventListener('click', () => {
+                this.signOut();
+            });
+        }
+
         // Designer Mode Toggle
         const designerToggle = document.getElementById('designer-toggle');
         if (designerToggle) {
@@ -127,6 +143,22 @@ export class POSApplication {
             });
         }
 
+        // Import Products Button
+        const importProducts = document.getElementById('import-products');
+        if (importProducts) {
+            importProducts.addEventListener('click', () => {
+                this.showCatalogImporter();
+            });
+        }
+
+        // Export Products Button
+        const exportProducts = document.getElementById('export-products');
+        if (exportProducts) {
+            exportProducts.addEventListener('click', () => {
+                this.exportCatalog();
+            });
+        }
+
         // Global error handler
         window.addEventListener('error', (e) => {
             this.logEvent('error', `JavaScript Error: ${e.message} at ${e.filename}:${e.lineno}`);
@@ -145,12 +177,7 @@ export class POSApplication {
         window.StateManager.setState('applicationState', 'ready');
         window.StateManager.setState('designerMode', false);
         window.StateManager.setState('currentTransaction', null);
-        window.StateManager.setState('userSession', {
-            username: 'cashier',
-            role: 'cashier',
-            storeId: 'STR001',
-            terminalId: 'T001'
-        });
+        window.StateManager.setState('userSession', null);
 
         // Subscribe to state changes
         window.StateManager.subscribeGlobal((event) => {
@@ -162,14 +189,53 @@ export class POSApplication {
             StoreName: 'ABC Store',
             StoreAddress: '123 Main St, City, State 12345',
             StorePhone: '(555) 123-4567',
-            CashierName: 'John Doe',
             RegisterNumber: '001',
-            CurrentDateTime: new Date().toLocaleString()
+            CurrentDateTime: new Date().toLocaleString(),
+            ...window.AuthService.toContext(null),
+            ...window.CustomerDirectory.toContext(null)
         });
 
+        // Money display follows the Locale/Currency context values
+        window.CurrencyFormatter.init();
+
+        // No sale in progress until the first item is added
+        this.publishTransaction();
+
         // Initialize notification system
         window.NotificationSystem.setPosition('top-right');
         window.NotificationSystem.setMaxNotifications(5);
+
+        // Load the product catalog from IndexedDB
+        window.ProductCatalog.init().then((count) => {
+            this.logEvent('catalog', `Product catalog ready: ${count} products`);
+        });
+
+        // Load the register users from IndexedDB
+        window.AuthService.init().then((count) => {
+            this.logEvent('auth', `Users ready: ${count} users`);
+        });
+
+        // Load the customer directory from IndexedDB
+        window.CustomerDirectory.init().then((count) => {
+            this.logEvent('customers', `Customer directory ready: ${count} customers`);
+        });
+
+        // Pick up the till shift left open on this terminal
+        this.tillReady = window.TillManager.init(window.ContextRenderer.getContext('TerminalID'))
+            .then((shift) => {
+                window.ContextRenderer.updateContext({ ShiftID: shift ? shift.id : '' });
+                this.logEvent('till', shift ? `Shift ${shift.id} of ${shift.user.name} is open` : 'No till shift open');
+                return shift;
+            })
+            .catch((error) => {
+                this.logEvent('error', `Failed to load till shifts: ${error.message}`);
+                return null;
+            });
+
+        // Open the electronic journal so new sales chain onto the last entry
+        window.ElectronicJournal.init().then((count) => {
+            this.logEvent('journal', `Electronic journal ready: ${count} entries`);
+        });
     }
 
     registerKeyboardShortcuts() {
@@ -182,6 +248,9 @@ export class POSApplication {
         this.shortcuts.set('f5', () => this.refreshApplication());
 
         document.addEventListener('keydown', (e) => {
+            // Nothing but the sign-in, lock or override form works while one is open
+            if (this.signInScreen || this.lockScreen || window.ManagerOverride.isOpen()) return;
+
             const shortcut = this.getShortcutString(e);
             const handler = this.shortcuts.get(shortcut);
             
@@ -255,6 +324,9 @@ export class POSApplication {
             window.StateManager.setState('currentUIDefinition', definition);
             window.StateManager.setState('currentUIType', definition.type);
 
+            // A UI can load with items already in the cart
+            this.syncTransactionWithCart();
+
             this.logEvent('ui', `UI Definition loaded: ${definition.UID || 'anonymous'} (${definition.type})`);
             
             return true;
@@ -275,13 +347,27 @@ export class POSApplication {
         });
 
         control.on('input', (data) => {
-            this.logEvent('interaction', `Input changed: ${data.UID} = ${data.value}`);
+            // Password inputs report only their length
+            this.logEvent('interaction', data.value === undefined ?
+                `Input changed: ${data.UID}` : `Input changed: ${data.UID} = ${data.value}`);
         });
 
         control.on('barcodeScanned', (data) => {
             this.handleBarcodeScanned(data);
         });
 
+        control.on('couponScanned', (data) => {
+            this.applyCoupon(data.code);
+        });
+
+        control.on('couponEntered', (data) => {
+            this.applyCoupon(data.code);
+        });
+
+        control.on('couponRemoved', (data) => {
+            this.removeCoupon(data.code);
+        });
+
         control.on('productSelected', (data) => {
             this.handleProductSelected(data);
         });
@@ -298,10 +384,58 @@ export class POSApplication {
             this.handleItemRemoved(data);
         });
 
+        control.on('quantityChanged', (data) => {
+            this.handleQuantityChanged(data);
+        });
+
+        control.on('priceOverridden', (data) => {
+            this.handlePriceOverridden(data);
+        });
+
+        control.on('lineVoided', (data) => {
+            this.handleLineVoided(data);
+        });
+
+        control.on('keypadInput', (data) => {
+            this.handleKeypadInput(data);
+        });
+
         control.on('totalsUpdated', (data) => {
             this.handleTotalsUpdated(data);
         });
 
+        control.on('tendersChanged', (data) => {
+            this.handleTendersChanged(data);
+        });
+
+        control.on('tenderRemoved', (data) => {
+            this.handleTenderRemoved(data);
+        });
+
+        control.on('giftCardTenderRequested', (data) => {
+            this.redeemGiftCard(data);
+        });
+
+        control.on('paymentCompleted', (data) => {
+            this.handlePaymentCompleted(data);
+        });
+
+        control.on('menuSelect', (data) => {
+            this.handleMenuSelect(data);
+        });
+
+        control.on('editCustomer', () => {
+            this.showCustomerLookup();
+        });
+
+        control.on('redeemPoints', () => {
+            this.showRedeemPointsDialog();
+        });
+
+        control.on('loyaltyTenderRequested', (data) => {
+            this.addLoyaltyTender(data);
+        });
+
         control.on('drawerOpened', (data) => {
             this.handleCashDrawerOpened(data);
         });
@@ -324,8 +458,9 @@ export class POSApplication {
         // Simulate product lookup
         const product = this.lookupProduct(data.barcode);
         if (product) {
-            this.addProductToCart(product);
-            window.NotificationSystem.success(`Product added: ${product.name}`);
+            if (this.addProductToCart(product)) {
+                window.NotificationSystem.success(`Product added: ${product.name}`);
+            }
         } else {
             window.NotificationSystem.warning(`Product not found: ${data.barcode}`);
         }
@@ -337,16 +472,36 @@ export class POSApplication {
     }
 
     addProductToCart(product) {
+        const transaction = this.currentTransaction;
+        let quantity = 1;
+
+        // Gift card products need the card number and load amount first
+        if (product.giftCard) {
+            this.showGiftCardDialog('activate', product);
+            return false;
+        }
+
+        // Items scanned during a return without a receipt are added as negative lines
+        if (transaction && transaction.isActive() && transaction.isReturn()) {
+            if (transaction.originalTransactionNumber) {
+                window.NotificationSystem.warning(`Items on this return come from receipt ${transaction.originalTransactionNumber}`);
+                return false;
+            }
+            quantity = -1;
+        }
+
         // Find cart control and add item
         const cartControl = this.findControlByType('cart-grid');
         if (cartControl) {
-            cartControl.addItem({
+            return cartControl.addItem({
                 id: product.id,
                 name: product.name,
                 price: product.price,
-                quantity: 1
+                quantity,
+                taxClass: product.taxClass
             });
         }
+        return false;
     }
 
     handlePaymentMethodSelected(data) {
@@ -355,17 +510,183 @@ export class POSApplication {
     }
 
     handleItemAdded(data) {
+        this.ensureTransaction();
         this.logEvent('pos', `Item added to cart: ${data.item.name}`);
+        this.applyPromotions();
         this.updateReceiptPreview();
     }
 
     handleItemRemoved(data) {
         this.logEvent('pos', `Item removed from cart: ${data.item.name}`);
+        this.applyPromotions();
         this.updateReceiptPreview();
     }
 
+    handleQuantityChanged(data) {
+        this.logEvent('pos', `Quantity changed: ${data.item.name} ${data.oldQuantity} -> ${data.quantity}`);
+        this.recalculateCart();
+    }
+
+    handlePriceOverridden(data) {
+        const formatter = window.CurrencyFormatter;
+        this.logEvent('pos', `Price override: ${data.item.name} ${formatter.format(data.oldPrice)} -> ${formatter.format(data.price)} (${data.reason})`);
+        this.recalculateCart();
+    }
+
+    handleLineVoided(data) {
+        this.logEvent('pos', `Line voided: ${data.item.name} x ${data.item.quantity}`);
+        this.recalculateCart();
+    }
+
+    recalculateCart() {
+        const cartControl = this.findControlByType('cart-grid');
+        if (cartControl) {
+            this.applyPromotions();
+            cartControl.updateTotals();
+        }
+    }
+
+    /**
+     * Re-evaluates the promotions, the sale's coupons and its points discount against the cart. Callers update
+     * the totals afterwards (CartGridControl does this itself after itemAdded and itemRemoved).
+     * Coupons the cart no longer qualifies for are taken off the sale.
+     */
+    applyPromotions() {
+        const cartControl = this.findControlByType('cart-grid');
+        if (!cartControl) return;
+
+        try {
+            const items = cartControl.getActiveItems();
+            let { discounts } = window.PromotionEngine.evaluate(items);
+            const transaction = this.currentTransaction;
+
+            if (transaction && transaction.coupons.length > 0) {
+                const coupons = window.CouponManager.evaluate(transaction.coupons, items, {
+                    discounts,
+                    isReturn: transaction.isReturn()
+                });
+
+                coupons.rejected.forEach(({ code, reason }) => {
+                    transaction.removeCoupon(code);
+                    this.logEvent('coupon', `Coupon ${code} removed: ${reason}`);
+                    window.NotificationSystem.warning(`Coupon removed: ${reason}`);
+                });
+                if (coupons.rejected.length > 0) {
+                    this.publishTransaction();
+                }
+                discounts = discounts.concat(coupons.discounts);
+            }
+
+            // Points taken as a discount come off what is left after promotions and coupons
+            if (transaction && transaction.loyaltyPoints > 0) {
+                const pointsDiscount = window.LoyaltyProgram.buildDiscount(transaction.loyaltyPoints, items, discounts);
+                if (pointsDiscount) {
+                    discounts = discounts.concat(pointsDiscount);
+                }
+            }
+
+            const before = cartControl.discounts.map(discount => `${discount.id}:${discount.amount}`).join();
+            const after = discounts.map(discount => `${discount.id}:${discount.amount}`).join();
+
+            if (before !== after) {
+                discounts.forEach(discount => {
+                    this.logEvent('promotion', `${discount.name}: ${window.CurrencyFormatter.format(discount.amount)}`);
+                });
+            }
+            cartControl.setDiscounts(discounts);
+        } catch (error) {
+            this.logEvent('error', `Promotions not applied: ${error.message}`);
+            cartControl.setDiscounts([]);
+        }
+    }
+
+    /**
+     * Checks a typed or scanned coupon against the cart and adds it to the sale
+     * @param {string} code - Coupon code or barcode
+     * @returns {boolean} True when the coupon was applied
+     */
+    applyCoupon(code) {
+        const cartControl = this.findControlByType('cart-grid');
+        const transaction = this.currentTransaction;
+
+        if (!cartControl || !transaction || !transaction.isActive() || cartControl.getActiveItems().length === 0) {
+            window.NotificationSystem.warning('Add items to the sale before applying a coupon');
+            return false;
+        }
+        if (transaction.state === window.Transaction.STATES.TENDERING) {
+            window.NotificationSystem.warning('Remove the payments before applying a coupon');
+            return false;
+        }
+
+        let coupon;
+        try {
+            coupon = window.CouponManager.check(code, cartControl.getActiveItems(), {
+                applied: transaction.coupons,
+                discounts: cartControl.discounts,
+                isReturn: transaction.isReturn()
+            });
+        } catch (error) {
+            this.logEvent('coupon', `Coupon ${code} rejected: ${error.message}`);
+            window.NotificationSystem.warning(`Coupon rejected: ${error.message}`);
+            return false;
+        }
+
+        transaction.addCoupon(coupon.code);
+        this.publishTransaction();
+        this.recalculateCart();
+
+        this.logEvent('coupon', `Coupon ${coupon.code} applied to ${transaction.number}`);
+        window.NotificationSystem.success(`Coupon applied: ${coupon.name}`);
+        return true;
+    }
+
+    removeCoupon(code) {
+        const transaction = this.currentTransaction;
+        if (!transaction || !transaction.coupons.includes(code)) return;
+
+        if (transaction.state === window.Transaction.STATES.TENDERING) {
+            window.NotificationSystem.warning('Remove the payments before removing a coupon');
+            return;
+        }
+
+        transaction.removeCoupon(code);
+        this.publishTransaction();
+        this.recalculateCart();
+        this.logEvent('coupon', `Coupon ${code} removed from ${transaction.number}`);
+    }
+
+    /**
+     * Button pad entry: digits build a quantity, Enter applies it to the selected cart line
+     * @param {Object} data - { key, UID }
+     */
+    handleKeypadInput(data) {
+        const cartControl = this.findControlByType('cart-grid');
+        const key = data.key.trim();
+
+        if (/^[0-9.]$/.test(key)) {
+            this.keypadEntry += key;
+            if (cartControl) {
+                cartControl.showPendingQuantity(this.keypadEntry);
+            }
+        } else if (/^(clear|c)$/i.test(key)) {
+            this.keypadEntry = '';
+            if (cartControl) {
+                cartControl.showPendingQuantity(null);
+            }
+        } else if (/^enter$/i.test(key) && this.keypadEntry) {
+            const quantity = parseFloat(this.keypadEntry);
+            this.keypadEntry = '';
+
+            if (!cartControl || !cartControl.getSelectedItem()) {
+                window.NotificationSystem.warning('Select a cart line to change its quantity');
+                return;
+            }
+            cartControl.setQuantity(cartControl.selectedIndex, quantity);
+        }
+    }
+
     handleTotalsUpdated(data) {
-        this.logEvent('pos', `Totals updated: $${data.total}`);
+        this.logEvent('pos', `Totals updated: ${window.CurrencyFormatter.format(data.total)}`);
         
         // Update totals display
         const totalsControl = this.findControlByType('totals-display');
@@ -373,11 +694,17 @@ export class POSApplication {
             totalsControl.updateTotals(data);
         }
 
+        // Apply tenders against the new total
+        const paymentControl = this.findControlByType('payment-control');
+        if (paymentControl) {
+            paymentControl.setTotalDue(data.total);
+        }
+
         // Update change due display
         const changeDueControl = this.findControlByType('change-due-display');
-        const amountReceived = window.StateManager.getState('amountReceived') || 0;
+        const tenders = window.StateManager.getState('tenders') || [];
         if (changeDueControl) {
-            changeDueControl.updateChange(parseFloat(data.total), amountReceived);
+            changeDueControl.updateTenders(data.total, tenders);
         }
 
         // Update receipt preview
@@ -385,226 +712,2549 @@ export class POSApplication {
 
         // Update state
         window.StateManager.setState('transactionTotals', data);
+        this.updateLoyalty();
     }
 
-    handleCashDrawerOpened(data) {
-        this.logEvent('pos', 'Cash drawer opened');
-        window.NotificationSystem.info('Cash drawer opened');
-    }
+    handleTendersChanged(data) {
+        this.logEvent('pos', `Tenders: ${data.tenders.length}, remaining ${window.CurrencyFormatter.format(data.remaining)}`);
+        window.StateManager.setState('tenders', data.tenders);
+
+        // The first tender starts tendering (locks the cart); removing the last one reopens the sale
+        const transaction = this.currentTransaction;
+        const { STATES } = window.Transaction;
+        if (transaction && data.tenders.length > 0 && transaction.state === STATES.OPEN) {
+            transaction.beginTendering();
+            this.publishTransaction();
+        } else if (transaction && data.tenders.length === 0 && transaction.state === STATES.TENDERING) {
+            transaction.resumeSale();
+            this.publishTransaction();
+        }
 
-    handleSignatureSaved(data) {
-        this.logEvent('pos', 'Customer signature saved');
-        window.NotificationSystem.success('Signature captured successfully');
+        const changeDueControl = this.findControlByType('change-due-display');
+        if (changeDueControl) {
+            changeDueControl.updateTenders(data.totalDue, data.tenders);
+        }
+
+        this.updateLoyalty();
     }
 
-    updateReceiptPreview() {
-        const receiptControl = this.findControlByType('receipt-preview');
+    handlePaymentCompleted(data) {
+        const formatter = window.CurrencyFormatter;
+        const transaction = this.currentTransaction;
+
+        if (!transaction || transaction.state !== window.Transaction.STATES.TENDERING) {
+            this.logEvent('warning', 'Payment completed without a transaction in tendering state');
+            return;
+        }
+
         const cartControl = this.findControlByType('cart-grid');
-        
-        if (receiptControl && cartControl) {
-            const totals = window.StateManager.getState('transactionTotals');
-            receiptControl.updateReceipt(cartControl.items, totals);
+        transaction.complete({
+            items: cartControl ? cartControl.items : [],
+            totals: window.StateManager.getState('transactionTotals'),
+            tenders: data.tenders,
+            change: data.change,
+            loyalty: this.getLoyaltySummary()
+        });
+
+        this.logEvent('pos', `Transaction ${transaction.number} completed: ${formatter.format(data.paid)} in ${data.tenders.length} tender(s), change ${formatter.format(data.change)}`);
+        window.StateManager.setState('lastPayment', data);
+        window.CouponManager.markRedeemed(transaction.coupons, transaction.number);
+        const openDrawer = data.tenders.some(tender => tender.method === 'cash');
+        this.finishTransaction().then((entry) => {
+            if (entry) {
+                this.printReceipt(entry, { openDrawer });
+            }
+        });
+        this.postGiftCardLoads(transaction);
+        this.postLoyalty(transaction);
+
+        // The cart has reset; keep the change visible until the next sale starts
+        const changeDueControl = this.findControlByType('change-due-display');
+        if (changeDueControl) {
+            changeDueControl.updateChange(window.Money.zero(), data.change);
         }
-    }
 
-    findControlByType(type) {
-        if (!this.currentUI) return null;
-        return this.findControlInTree(this.currentUI, (control) => control.type === type);
+        window.NotificationSystem.success(
+            data.change.isPositive() ? `Sale complete. Change due: ${formatter.format(data.change)}` : 'Sale complete'
+        );
     }
 
-    findControlByUID(uid) {
-        if (!this.currentUI) return null;
-        return this.findControlInTree(this.currentUI, (control) => control.UID === uid);
+    handleMenuSelect(data) {
+        switch (data.item) {
+            case 'void-transaction':
+                this.requestVoidTransaction();
+                break;
+            case 'hold-transaction':
+                this.suspendTransaction();
+                break;
+            case 'recall-transaction':
+                this.recallTransaction();
+                break;
+            case 'start-return':
+                this.authorizeAction('refund', 'Start a return').then(approver => approver && this.showReturnDialog());
+                break;
+            case 'complete-refund':
+                this.authorizeAction('refund', 'Complete a refund').then(approver => approver && this.showRefundDialog());
+                break;
+            case 'reprint-receipt':
+                this.showReprintDialog();
+                break;
+            case 'sell-gift-card':
+                this.showGiftCardDialog('activate');
+                break;
+            case 'reload-gift-card':
+                this.showGiftCardDialog('reload');
+                break;
+            case 'gift-card-balance':
+                this.showGiftCardBalanceDialog();
+                break;
+            case 'open-shift':
+                this.showOpenShiftDialog();
+                break;
+            case 'pay-in':
+                this.showCashMovementDialog('pay-in');
+                break;
+            case 'pay-out':
+                this.authorizeAction('pay-out', 'Pay cash out of the till').then(approver => approver && this.showCashMovementDialog('pay-out'));
+                break;
+            case 'close-shift':
+                this.closeShift();
+                break;
+            case 'x-report':
+                this.authorizeAction('x-report', 'Run an X report').then(approver => approver && this.runXReport());
+                break;
+            case 'z-report':
+                this.authorizeAction('z-report', 'Run a Z report').then(approver => approver && this.confirmZReport());
+                break;
+            case 'lock-terminal':
+                this.lockTerminal();
+                break;
+            case 'sign-out':
+                this.signOut();
+                break;
+            default:
+                this.logEvent('interaction', `Menu item selected: ${data.item}`);
+        }
     }
 
-    findControlInTree(control, predicate) {
-        if (predicate(control)) {
-            return control;
-        }
-        
-        if (control.childControls) {
-            for (const child of control.childControls) {
-                const found = this.findControlInTree(child, predicate);
-                if (found) return found;
-            }
+    /**
+     * Returns the transaction in progress, opening a new one if there is none
+     * @returns {Transaction} Active transaction
+     */
+    ensureTransaction() {
+        if (this.currentTransaction && this.currentTransaction.isActive()) {
+            return this.currentTransaction;
         }
-        
-        return null;
+
+        this.currentTransaction = this.createTransaction();
+
+        this.logEvent('transaction', `Transaction ${this.currentTransaction.number} opened`);
+        this.publishTransaction();
+        return this.currentTransaction;
     }
 
-    lookupProduct(barcode) {
-        // Mock product database
-        const products = {
-            '123456789': { id: '123456789', name: 'Coffee Mug', price: 12.99 },
-            '987654321': { id: '987654321', name: 'Notebook', price: 5.49 },
-            '456789123': { id: '456789123', name: 'Pen Set', price: 8.99 },
-            '789123456': { id: '789123456', name: 'Desk Lamp', price: 24.99 }
-        };
+    /**
+     * Creates a transaction for this terminal and cashier
+     * @param {Object} [options] - Extra Transaction.create options (type, originalTransactionNumber, ...)
+     * @returns {Transaction} Open transaction
+     */
+    createTransaction(options = {}) {
+        const context = window.ContextRenderer.getAllContext();
+        return window.Transaction.create({
+            terminalId: context.TerminalID,
+            cashier: context.UserName || null,
+            cashierId: context.UserID || null,
+            customer: this.currentCustomer,
+            ...options
+        });
+    }
+
+    /**
+     * Publishes the current transaction so controls can react through StateManager
+     */
+    publishTransaction() {
+        const transaction = this.currentTransaction;
 
-        return products[barcode] || null;
+        window.StateManager.setState('transactionState', transaction ? transaction.state : window.Transaction.IDLE);
+        window.StateManager.setState('currentTransaction', transaction ? transaction.toJSON() : null);
+        window.ContextRenderer.updateContext({ TransactionNumber: transaction ? transaction.number : '' });
     }
 
     /**
-     * Toggles designer mode on/off
-     * Designer mode shows control outlines and debug information
+     * Publishes the final state (controls reset on it), journals the sale and goes back to idle
+     * @returns {Promise<Object|null>} Journal entry, or null when journaling failed
      */
-    toggleDesignerMode() {
-        this.designerMode = !this.designerMode;
-        window.designerMode = this.designerMode;
-        
-        const button = document.getElementById('designer-toggle');
-        if (button) {
-            if (this.designerMode) {
-                button.textContent = 'Designer Mode: ON';
-                button.className = button.className.replace('bg-accent text-accent-foreground', 'bg-destructive text-destructive-foreground');
-                window.NotificationSystem.show('Designer Mode enabled - Controls will show debug information', 'warning');
-            } else {
-                button.textContent = 'Designer Mode: OFF';
-                button.className = button.className.replace('bg-destructive text-destructive-foreground', 'bg-accent text-accent-foreground');
-                window.NotificationSystem.show('Designer Mode disabled', 'info');
-            }
-        }
+    finishTransaction() {
+        const transaction = this.currentTransaction;
+        this.publishTransaction();
+
+        const journaled = window.ElectronicJournal.record(transaction)
+            .then((entry) => {
+                this.logEvent('journal', `Journal entry #${entry.sequence}: ${entry.type} ${entry.transactionNumber}`);
+                return entry;
+            })
+            .catch((error) => {
+                this.logEvent('error', `Failed to journal ${transaction.number}: ${error.message}`);
+                window.NotificationSystem.error(`Transaction ${transaction.number} was not written to the journal`);
+                return null;
+            });
 
-        // Re-render current UI if exists to apply/remove designer annotations
-        if (this.currentUI) {
-            const definition = window.StateManager.getState('currentUIDefinition');
-            if (definition) {
-                this.loadUIDefinition(definition);
-            }
-        }
+        this.recordTillCash(transaction);
 
-        window.StateManager.setState('designerMode', this.designerMode);
-        this.logEvent('system', `Designer Mode: ${this.designerMode ? 'ON' : 'OFF'}`);
+        window.StateManager.setState('lastTransaction', transaction.toJSON());
+        this.currentTransaction = null;
+        this.publishTransaction();
+        this.selectCustomer(null);
+        return journaled;
     }
 
     /**
-     * Clears the current UI display
-     * @param {boolean} [showNotification=true] - Whether to show notification
+     * Adds the cash taken or refunded on a finished transaction to the open till shift
+     * @param {Transaction} transaction - Completed or voided transaction
      */
-    clearUI(showNotification = true) {
-        const container = document.getElementById('dynamic-ui-container');
-        if (container) {
-            container.innerHTML = '<div class="text-center text-muted-foreground">Dynamic controls will render here...</div>';
+    recordTillCash(transaction) {
+        const hasCash = transaction.tenders.some(tender => tender.method === 'cash');
+        if (transaction.state !== window.Transaction.STATES.COMPLETED || !hasCash) return;
+
+        if (!window.TillManager.getCurrentShift()) {
+            this.logEvent('till', `Cash on ${transaction.number} taken without an open shift`);
+            window.NotificationSystem.warning(`No till shift is open: the cash on ${transaction.number} is not counted in a shift`);
+            return;
         }
 
-        if (this.currentUI) {
-            this.currentUI.destroy();
-            this.currentUI = null;
+        window.TillManager.recordTransaction(transaction)
+            .then((movement) => {
+                if (movement) {
+                    this.logEvent('till', `Cash ${movement.type} ${window.CurrencyFormatter.format(window.Money.from(movement.amount))} on ${transaction.number}`);
+                }
+            })
+            .catch((error) => {
+                this.logEvent('error', `Failed to record till cash for ${transaction.number}: ${error.message}`);
+            });
+    }
+
+    voidTransaction(reason = 'Voided by cashier') {
+        const transaction = this.currentTransaction;
+
+        if (!transaction || !transaction.isActive()) {
+            window.NotificationSystem.warning('No transaction to void');
+            return false;
         }
 
-        window.StateManager.removeState('currentUIDefinition');
-        window.StateManager.removeState('currentUIType');
-        window.StateManager.removeState('transactionTotals');
+        const cartControl = this.findControlByType('cart-grid');
+        const paymentControl = this.findControlByType('payment-control');
 
-        if (showNotification) {
-            window.NotificationSystem.show('UI cleared', 'info');
+        // Put gift card draws back before the tenders are cleared
+        if (paymentControl) {
+            paymentControl.tenders
+                .filter(tender => tender.cardNumber)
+                .forEach(tender => this.reverseGiftCardTender(tender, transaction.number));
         }
-        
-        this.logEvent('ui', 'UI cleared');
+
+        transaction.void(reason, cartControl ? cartControl.items : []);
+
+        this.logEvent('transaction', `Transaction ${transaction.number} voided: ${reason}`);
+        this.finishTransaction();
+
+        window.NotificationSystem.info(`Transaction ${transaction.number} voided`);
+        return true;
     }
 
-    clearEventLog() {
-        const logContainer = document.getElementById('event-log');
-        if (logContainer) {
-            logContainer.innerHTML = '<div class="text-muted-foreground">[System] Event log cleared</div>';
+    /**
+     * Voids the current sale after the approvals it needs: void-transaction, and
+     * void-tendered as well once payment has been taken
+     * @returns {Promise<boolean>} True when the sale was voided
+     */
+    async requestVoidTransaction() {
+        const transaction = this.currentTransaction;
+        if (!transaction || !transaction.isActive()) {
+            window.NotificationSystem.warning('No transaction to void');
+            return false;
         }
-        
-        this.eventHistory = [];
-        this.logEvent('system', 'Event log cleared');
-    }
 
-    logEvent(type, message) {
-        const timestamp = new Date().toLocaleTimeString();
-        const logEntry = {
-            timestamp,
+        const paymentControl = this.findControlByType('payment-control');
+        const tendered = paymentControl && paymentControl.tenders.length > 0;
+
+        if (!(await this.authorizeAction('void-transaction', `Void transaction ${transaction.number}`))) {
+            return false;
+        }
+        if (tendered && !(await this.authorizeAction('void-tendered', `Void transaction ${transaction.number} after payment`))) {
+            return false;
+        }
+
+        // The sale may have completed while waiting for approval
+        return transaction === this.currentTransaction && this.voidTransaction();
+    }
+
+    /**
+     * Parks the current sale (items, customer, tenders) so another one can be rung up
+     * @returns {Promise<boolean>} True when the sale was held
+     */
+    async suspendTransaction() {
+        const transaction = this.currentTransaction;
+        const cartControl = this.findControlByType('cart-grid');
+        const paymentControl = this.findControlByType('payment-control');
+
+        if (!transaction || !transaction.isActive() || !cartControl || cartControl.items.length === 0) {
+            window.NotificationSystem.warning('No items to hold');
+            return false;
+        }
+
+        const previousState = transaction.state;
+        const totals = window.StateManager.getState('transactionTotals');
+        transaction.suspend();
+
+        try {
+            await window.HeldTransactions.hold({
+                transaction: transaction.toJSON(),
+                items: cartControl.items,
+                customer: transaction.customer,
+                tenders: paymentControl ? paymentControl.tenders : [],
+                total: totals ? totals.total : null
+            });
+        } catch (error) {
+            transaction.transition(previousState, 'hold failed');
+            this.logEvent('error', `Failed to hold ${transaction.number}: ${error.message}`);
+            window.NotificationSystem.error(`Transaction ${transaction.number} could not be held`);
+            return false;
+        }
+
+        this.logEvent('transaction', `Transaction ${transaction.number} held`);
+
+        // Controls clear themselves on the suspended state; the held sale is not journaled
+        this.publishTransaction();
+        this.currentTransaction = null;
+        this.publishTransaction();
+        this.selectCustomer(null);
+
+        window.NotificationSystem.info(`Transaction ${transaction.number} held`);
+        return true;
+    }
+
+    /**
+     * Lets the cashier pick a held sale and restores it into the register
+     * @returns {Promise<boolean>} True when a sale was recalled
+     */
+    async recallTransaction() {
+        if (!this.releaseEmptyTransaction('Hold or finish the current sale before recalling another')) {
+            return false;
+        }
+
+        try {
+            const held = await window.HeldTransactions.list();
+            if (held.length === 0) {
+                window.NotificationSystem.info('No held transactions');
+                return false;
+            }
+
+            const row = await this.openLookup({
+                UID: 'held-transactions-lookup',
+                title: 'Held Transactions',
+                columns: [
+                    { key: 'heldAt', label: 'Held At', format: 'datetime' },
+                    { key: 'id', label: 'Transaction' },
+                    { key: 'customerName', label: 'Customer' },
+                    { key: 'itemCount', label: 'Items', align: 'right' },
+                    { key: 'total', label: 'Total', format: 'currency', align: 'right' }
+                ],
+                rows: held.map(record => ({
+                    ...record,
+                    customerName: record.customer ? record.customer.name : ''
+                })),
+                emptyText: 'No held transactions'
+            });
+
+            if (!row) {
+                return false;
+            }
+
+            const record = await window.HeldTransactions.recall(row.id);
+            this.restoreHeldTransaction(record);
+            return true;
+        } catch (error) {
+            this.logEvent('error', `Failed to recall transaction: ${error.message}`);
+            window.NotificationSystem.error('Held transaction could not be recalled');
+            return false;
+        }
+    }
+
+    /**
+     * Makes room for another transaction: refuses while the current one has items,
+     * voids it when it is empty (items were added and removed again)
+     * @param {string} message - Warning shown when the register is busy
+     * @returns {boolean} True when no active transaction is left
+     */
+    releaseEmptyTransaction(message) {
+        const current = this.currentTransaction;
+        const cartControl = this.findControlByType('cart-grid');
+
+        if (!current || !current.isActive()) {
+            return true;
+        }
+        if (cartControl && cartControl.items.length > 0) {
+            window.NotificationSystem.warning(message);
+            return false;
+        }
+
+        this.voidTransaction('Empty transaction replaced');
+        return true;
+    }
+
+    restoreHeldTransaction(record) {
+        const transaction = window.Transaction.fromJSON(record.transaction);
+        transaction.recall();
+        this.currentTransaction = transaction;
+        this.publishTransaction();
+
+        const cartControl = this.findControlByType('cart-grid');
+        if (cartControl) {
+            cartControl.setItems(record.items);
+            this.recalculateCart();
+        }
+
+        this.selectCustomer(record.customer);
+
+        // Restoring tenders moves the sale back into tendering
+        const paymentControl = this.findControlByType('payment-control');
+        if (paymentControl && record.tenders.length > 0) {
+            paymentControl.restoreTenders(record.tenders);
+        }
+
+        this.logEvent('transaction', `Transaction ${transaction.number} recalled`);
+        window.NotificationSystem.success(`Transaction ${transaction.number} recalled`);
+    }
+
+    /**
+     * Shows a lookup popup and waits for the cashier to pick a row
+     * With `actions` the promise resolves with { action, row, query } instead,
+     * action being 'select' when a row was picked.
+     * @param {Object} options - { UID, title, columns, rows, emptyText, searchKeys, actions }
+     * @returns {Promise<Object|null>} Selected row, or null when cancelled
+     */
+    openLookup({ UID = 'lookup-popup', title, columns, rows, emptyText, searchKeys, actions }) {
+        return new Promise((resolve) => {
+            const popup = window.ControlFactory.create({
+                type: 'lookup-popup',
+                UID,
+                title,
+                props: { columns, emptyText, searchKeys, actions }
+            });
+
+            popup.on('lookupSelect', (data) => resolve(actions ? { action: 'select', row: data.row, query: '' } : data.row));
+            popup.on('lookupAction', (data) => resolve({ action: data.action, row: data.row, query: data.query }));
+            popup.on('lookupCancel', () => resolve(null));
+            popup.on('hide', () => setTimeout(() => popup.destroy(), 0));
+
+            document.body.appendChild(popup.render());
+            popup.open(rows);
+        });
+    }
+
+    /**
+     * Puts a customer on the current sale (and the next one, when no sale is in progress)
+     * @param {Object|null} customer - Customer from the directory, or null for a walk-in
+     */
+    selectCustomer(customer) {
+        const summary = window.CustomerDirectory.toSummary(customer);
+        const transaction = this.currentTransaction;
+        this.currentCustomer = summary;
+
+        if (transaction && transaction.isActive()) {
+            const hadPoints = transaction.loyaltyPoints > 0;
+            transaction.setCustomer(summary);
+            this.publishTransaction();
+            // A different customer drops the points discount of the previous one
+            if (hadPoints && !transaction.loyaltyPoints) {
+                this.recalculateCart();
+            }
+        }
+
+        const customerControl = this.findControlByType('customer-info-panel');
+        if (customerControl) {
+            customerControl.setCustomer(summary);
+        }
+
+        window.ContextRenderer.updateContext(window.CustomerDirectory.toContext(summary));
+        this.refreshLoyaltyBalance();
+    }
+
+    /**
+     * Loads the points balance of the customer on the sale, then shows the points summary
+     */
+    async refreshLoyaltyBalance() {
+        const customer = this.currentCustomer;
+        this.loyaltyBalance = null;
+
+        if (customer) {
+            try {
+                const balance = await window.LoyaltyProgram.getBalance(customer.id);
+                // Another customer may have been picked while the balance was loading
+                if (this.currentCustomer && this.currentCustomer.id === customer.id) {
+                    this.loyaltyBalance = balance;
+                }
+            } catch (error) {
+                this.logEvent('error', `Points balance for ${customer.id} not loaded: ${error.message}`);
+            }
+        }
+
+        this.updateLoyalty();
+    }
+
+    /**
+     * Points the current sale spends and earns
+     * @returns {Object|null} { customerId, previousBalance, earned, redeemed, balance }, or null without a customer
+     */
+    getLoyaltySummary() {
+        const customer = this.currentCustomer;
+        if (!customer || this.loyaltyBalance === null) {
+            return null;
+        }
+
+        const loyalty = window.LoyaltyProgram;
+        const cartControl = this.findControlByType('cart-grid');
+        const paymentControl = this.findControlByType('payment-control');
+        const discounts = cartControl ? cartControl.discounts : [];
+        const pointsTenders = (paymentControl ? paymentControl.tenders : []).filter(tender => tender.method === 'loyalty');
+        const pointsDiscount = discounts.find(discount => discount.type === 'loyalty');
+
+        const redeemed = (pointsDiscount ? pointsDiscount.points : 0) +
+            pointsTenders.reduce((total, tender) => total + tender.points, 0);
+        const earned = cartControl ? loyalty.calculatePoints(cartControl.getActiveItems(), discounts, {
+            paidWithPoints: window.Money.sum(pointsTenders.map(tender => tender.amount))
+        }) : 0;
+
+        return {
+            customerId: customer.id,
+            previousBalance: this.loyaltyBalance,
+            earned,
+            redeemed,
+            balance: Math.max(0, this.loyaltyBalance - redeemed + earned)
+        };
+    }
+
+    /**
+     * Shows the points summary on the customer panel and the receipt
+     */
+    updateLoyalty() {
+        const loyalty = this.getLoyaltySummary();
+        window.StateManager.setState('loyalty', loyalty);
+
+        const customerControl = this.findControlByType('customer-info-panel');
+        if (customerControl) {
+            customerControl.setLoyalty(loyalty);
+        }
+
+        const receiptControl = this.findControlByType('receipt-preview');
+        if (receiptControl) {
+            receiptControl.updateLoyalty(loyalty);
+        }
+    }
+
+    /**
+     * Spends and credits the points of a completed sale or return
+     * @param {Transaction} transaction - Completed transaction with its points summary
+     */
+    postLoyalty(transaction) {
+        const loyalty = transaction.loyalty;
+        if (!loyalty || (!loyalty.earned && !loyalty.redeemed)) {
+            return;
+        }
+
+        window.LoyaltyProgram.settle(loyalty.customerId, loyalty, transaction.number)
+            .then((balance) => {
+                this.logEvent('loyalty', `${loyalty.customerId}: earned ${loyalty.earned}, redeemed ${loyalty.redeemed}, balance ${balance}`);
+            })
+            .catch((error) => {
+                this.logEvent('error', `Points for ${transaction.number} not posted: ${error.message}`);
+                window.NotificationSystem.error(`Points for ${transaction.number} were not posted: ${error.message}`);
+            });
+    }
+
+    /**
+     * Asks how many points to take off the sale as a discount
+     */
+    showRedeemPointsDialog() {
+        const transaction = this.currentTransaction;
+        const cartControl = this.findControlByType('cart-grid');
+        const loyalty = window.LoyaltyProgram;
+        const summary = this.getLoyaltySummary();
+
+        if (!summary) {
+            window.NotificationSystem.warning('Select a customer to redeem points');
+            return;
+        }
+        if (!transaction || !transaction.isActive() || !cartControl || cartControl.getActiveItems().length === 0) {
+            window.NotificationSystem.warning('Add items to the sale before redeeming points');
+            return;
+        }
+        if (transaction.isReturn()) {
+            window.NotificationSystem.warning('Points cannot be redeemed on a return');
+            return;
+        }
+        if (transaction.state === window.Transaction.STATES.TENDERING) {
+            window.NotificationSystem.warning('Remove the payments before redeeming points');
+            return;
+        }
+
+        const formatter = window.CurrencyFormatter;
+        const available = summary.previousBalance;
+        const requested = transaction.loyaltyPoints || available;
+
+        const modal = this.createModal('Redeem Points', `
+            <div class="space-y-4 text-sm">
+                <div class="flex justify-between">
+                    <span>Points available</span>
+                    <span class="font-semibold" data-testid="text-points-available">${available.toLocaleString(formatter.getLocale())} (${formatter.format(loyalty.pointsValue(available))})</span>
+                </div>
+                <div>
+                    <label class="block font-medium mb-1" for="redeem-points">Points to take off the sale (at least ${loyalty.rules.minRedeem})</label>
+                    <input id="redeem-points" type="number" step="1" min="${loyalty.rules.minRedeem}" max="${available}" value="${requested}" class="w-full px-3 py-2 border border-input rounded-md bg-background" data-testid="input-redeem-points">
+                </div>
+                <div class="flex justify-end space-x-2">
+                    ${transaction.loyaltyPoints ? '<button id="redeem-points-remove" class="px-4 py-2 border border-border rounded-md hover:bg-accent" data-testid="button-redeem-points-remove">Remove</button>' : ''}
+                    <button id="redeem-points-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                    <button id="redeem-points-apply" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90" data-testid="button-redeem-points-apply">Apply</button>
+                </div>
+            </div>
+        `);
+
+        const setPoints = (points) => {
+            transaction.setLoyaltyPoints(points);
+            this.publishTransaction();
+            this.recalculateCart();
+            this.closeModal(modal);
+        };
+
+        modal.querySelector('#redeem-points').focus();
+        modal.querySelector('#redeem-points-cancel').addEventListener('click', () => {
+            this.closeModal(modal);
+        });
+
+        const removeButton = modal.querySelector('#redeem-points-remove');
+        if (removeButton) {
+            removeButton.addEventListener('click', () => {
+                setPoints(0);
+                this.logEvent('loyalty', 'Points discount removed');
+            });
+        }
+
+        modal.querySelector('#redeem-points-apply').addEventListener('click', () => {
+            const points = Number(modal.querySelector('#redeem-points').value);
+            try {
+                loyalty.checkRedeem(points, available);
+            } catch (error) {
+                window.NotificationSystem.error(error.message);
+                return;
+            }
+
+            setPoints(points);
+
+            const discount = cartControl.discounts.find(entry => entry.type === 'loyalty');
+            const used = discount ? discount.points : 0;
+            this.logEvent('loyalty', `${used} points redeemed as a discount`);
+            if (used < points) {
+                window.NotificationSystem.info(`Only ${used} points are needed to cover the sale`);
+            }
+        });
+    }
+
+    /**
+     * Pays part of the sale with the customer's points
+     * Pays with as many points as fit in the amount, up to the points not yet spent on this sale.
+     * @param {Object} data - { amount } from PaymentControlControl
+     */
+    addLoyaltyTender(data) {
+        const paymentControl = this.findControlByType('payment-control');
+        const transaction = this.currentTransaction;
+        const loyalty = window.LoyaltyProgram;
+        const summary = this.getLoyaltySummary();
+
+        if (!summary) {
+            window.NotificationSystem.warning('Select a customer to pay with points');
+            return;
+        }
+        if (!transaction || !transaction.isActive() || transaction.isReturn()) {
+            window.NotificationSystem.warning('Points can only pay for a sale');
+            return;
+        }
+
+        const available = summary.previousBalance - summary.redeemed;
+        const points = Math.min(loyalty.pointsFor(data.amount), available);
+
+        try {
+            if (points <= 0) {
+                throw new Error('No points left to pay with');
+            }
+            loyalty.checkRedeem(points, available);
+        } catch (error) {
+            window.NotificationSystem.error(error.message);
+            return;
+        }
+
+        const value = loyalty.pointsValue(points, data.amount.currency);
+        const tender = paymentControl.addTender('loyalty', value, {
+            points,
+            reference: `${points.toLocaleString(window.CurrencyFormatter.getLocale())} pts`
+        });
+
+        if (tender) {
+            this.logEvent('loyalty', `${points} points tendered for ${window.CurrencyFormatter.format(value)}`);
+            if (value.lessThan(data.amount)) {
+                window.NotificationSystem.info(`${points} points cover ${window.CurrencyFormatter.format(value)}`);
+            }
+        }
+    }
+
+    /**
+     * Customer lookup behind the customer panel: pick a customer for the sale,
+     * add a new one, edit the highlighted one or go back to a walk-in
+     */
+    async showCustomerLookup() {
+        const directory = window.CustomerDirectory;
+        const paymentControl = this.findControlByType('payment-control');
+
+        if (paymentControl && paymentControl.tenders.some(tender => tender.method === 'loyalty')) {
+            window.NotificationSystem.warning('Remove the points payment before changing the customer');
+            return;
+        }
+
+        await directory.init();
+
+        const result = await this.openLookup({
+            UID: 'customer-lookup',
+            title: 'Customers',
+            columns: [
+                { key: 'name', label: 'Name' },
+                { key: 'phone', label: 'Phone' },
+                { key: 'email', label: 'Email' },
+                { key: 'id', label: 'ID' }
+            ],
+            rows: directory.getAll().map(customer => ({
+                ...customer,
+                phoneDigits: directory.normalizePhone(customer.phone)
+            })),
+            searchKeys: ['phoneDigits'],
+            actions: [
+                { id: 'walk-in', label: 'Walk-in' },
+                { id: 'edit', label: 'Edit' },
+                { id: 'new', label: 'New Customer' }
+            ],
+            emptyText: 'No customers found'
+        });
+
+        if (!result) {
+            return;
+        }
+
+        switch (result.action) {
+            case 'select':
+                this.selectCustomer(directory.get(result.row.id));
+                this.logEvent('customer', `Customer ${result.row.id} selected`);
+                break;
+            case 'edit':
+                if (result.row) {
+                    this.showCustomerForm(directory.get(result.row.id));
+                } else {
+                    window.NotificationSystem.warning('No customer to edit');
+                }
+                break;
+            case 'new':
+                this.showCustomerForm(null, result.query);
+                break;
+            case 'walk-in':
+                this.selectCustomer(null);
+                this.logEvent('customer', 'Customer cleared (walk-in)');
+                break;
+        }
+    }
+
+    /**
+     * Create/edit form for a directory customer; saving also puts the customer on the sale
+     * @param {Object|null} customer - Customer to edit, or null for a new one
+     * @param {string} [query] - Lookup filter text used to prefill a new customer
+     */
+    showCustomerForm(customer = null, query = '') {
+        const directory = window.CustomerDirectory;
+        const fields = [
+            { key: 'name', label: 'Name', type: 'text' },
+            { key: 'phone', label: 'Phone', type: 'tel' },
+            { key: 'email', label: 'Email', type: 'email' },
+            { key: 'notes', label: 'Notes', type: 'text' }
+        ];
+
+        const modal = this.createModal(customer ? `Edit Customer ${customer.id}` : 'New Customer', `
+            <div class="space-y-4 text-sm">
+                ${fields.map(field => `
+                <div>
+                    <label class="block font-medium mb-1" for="customer-${field.key}">${field.label}</label>
+                    <input id="customer-${field.key}" type="${field.type}" autocomplete="off" class="w-full px-3 py-2 border border-input rounded-md bg-background" data-testid="input-customer-${field.key}">
+                    <p id="customer-${field.key}-error" class="text-xs text-destructive mt-1 hidden"></p>
+                </div>`).join('')}
+                <div class="flex justify-end space-x-2">
+                    <button id="customer-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                    <button id="customer-save" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 disabled:opacity-50" data-testid="button-customer-save">Save and Select</button>
+                </div>
+            </div>
+        `);
+
+        // Values are set on the inputs rather than in the markup so they need no escaping
+        const values = customer ? { ...customer } : {};
+        if (!customer && query) {
+            if (query.includes('@')) {
+                values.email = query;
+            } else if (/^[\d\s()+.-]+$/.test(query)) {
+                values.phone = query;
+            } else {
+                values.name = query;
+            }
+        }
+        fields.forEach(field => {
+            modal.querySelector(`#customer-${field.key}`).value = values[field.key] || '';
+        });
+
+        const saveButton = modal.querySelector('#customer-save');
+        modal.querySelector('#customer-name').focus();
+
+        modal.querySelector('#customer-cancel').addEventListener('click', () => {
+            this.closeModal(modal);
+        });
+
+        saveButton.addEventListener('click', async () => {
+            const record = { ...(customer || {}) };
+            fields.forEach(field => {
+                record[field.key] = modal.querySelector(`#customer-${field.key}`).value;
+            });
+
+            fields.forEach(field => {
+                const error = modal.querySelector(`#customer-${field.key}-error`);
+                error.textContent = '';
+                error.classList.add('hidden');
+            });
+
+            saveButton.disabled = true;
+            try {
+                const saved = await directory.save(record);
+                this.closeModal(modal);
+                this.selectCustomer(saved);
+                this.logEvent('customer', `Customer ${saved.id} ${customer ? 'updated' : 'added'}`);
+                window.NotificationSystem.success(`Customer ${saved.name} saved`);
+            } catch (error) {
+                if (!error.fields) {
+                    window.NotificationSystem.error(error.message);
+                }
+                Object.entries(error.fields || {}).forEach(([key, message]) => {
+                    const element = modal.querySelector(`#customer-${key}-error`);
+                    if (element) {
+                        element.textContent = message;
+                        element.classList.remove('hidden');
+                    }
+                });
+            } finally {
+                saveButton.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Starts a return: look up the receipt and pick lines, or approve a return without a receipt
+     */
+    showReturnDialog() {
+        if (!this.releaseEmptyTransaction('Finish or hold the current sale before starting a return')) {
+            return;
+        }
+
+        const escape = (text) => window.NotificationSystem.escapeHTML(String(text)).replace(/"/g, '&quot;');
+        const formatter = window.CurrencyFormatter;
+        const returns = window.ReturnManager;
+        const reasonOptions = Object.entries(returns.REASON_CODES)
+            .map(([code, label]) => `<option value="${escape(code)}">${escape(label)}</option>`)
+            .join('');
+
+        const modal = this.createModal('Return Items', `
+            <div class="space-y-4">
+                <div class="flex space-x-2">
+                    <input id="return-receipt" type="text" placeholder="Scan or enter receipt number" class="flex-1 px-3 py-2 border border-input rounded-md bg-background" data-testid="input-return-receipt" />
+                    <button id="return-lookup" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90" data-testid="button-return-lookup">Look Up</button>
+                    <button id="return-no-receipt" class="px-4 py-2 border border-border rounded-md hover:bg-accent" data-testid="button-return-no-receipt">No Receipt</button>
+                </div>
+                <div id="return-lines" class="hidden max-h-64 overflow-y-auto border border-border rounded-md text-sm" data-testid="container-return-lines"></div>
+                <div id="return-approval" class="hidden space-y-2 text-sm">
+                    <p class="text-muted-foreground">Returns without a receipt need a manager's approval and are refunded to ${escape(this.getTenderLabel(returns.noReceiptMethod))}.</p>
+                </div>
+                <label class="block text-sm font-medium">Reason
+                    <select id="return-reason" class="w-full mt-1 px-3 py-2 border border-input rounded-md bg-background" data-testid="select-return-reason">
+                        <option value="">Select a reason...</option>
+                        ${reasonOptions}
+                    </select>
+                </label>
+                <div class="flex justify-end space-x-2">
+                    <button id="return-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                    <button id="return-start" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 disabled:opacity-50" disabled data-testid="button-return-start">Start Return</button>
+                </div>
+            </div>
+        `);
+
+        const receiptInput = modal.querySelector('#return-receipt');
+        const linesContainer = modal.querySelector('#return-lines');
+        const approval = modal.querySelector('#return-approval');
+        const reasonSelect = modal.querySelector('#return-reason');
+        const startButton = modal.querySelector('#return-start');
+
+        let receipt = null;
+        let lines = [];
+        let returned = new Map();
+        let noReceipt = false;
+
+        const lookup = async () => {
+            try {
+                ({ receipt, lines, returned } = await returns.getReturnableLines(receiptInput.value));
+            } catch (error) {
+                receipt = null;
+                linesContainer.classList.add('hidden');
+                startButton.disabled = !noReceipt;
+                window.NotificationSystem.error(error.message);
+                return;
+            }
+
+            noReceipt = false;
+            approval.classList.add('hidden');
+            linesContainer.innerHTML = `
+                <table class="w-full">
+                    <thead>
+                        <tr class="border-b border-border bg-muted/50">
+                            <th class="text-left py-1 px-2">Item</th>
+                            <th class="text-right py-1 px-2">Sold</th>
+                            <th class="text-right py-1 px-2">Returned</th>
+                            <th class="text-right py-1 px-2">Price</th>
+                            <th class="text-right py-1 px-2">Return</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lines.map(line => `
+                            <tr class="border-b border-border">
+                                <td class="py-1 px-2">${escape(line.name)}</td>
+                                <td class="text-right py-1 px-2">${line.quantity}</td>
+                                <td class="text-right py-1 px-2">${line.returned}</td>
+                                <td class="text-right py-1 px-2">${formatter.format(line.netUnitPrice)}</td>
+                                <td class="text-right py-1 px-2">
+                                    <input type="number" min="0" max="${line.returnable}" value="0" ${line.returnable > 0 ? '' : 'disabled'} data-line-key="${escape(line.key)}" class="w-16 px-2 py-1 border border-input rounded-md bg-background text-right" data-testid="input-return-quantity-${escape(line.key)}" />
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+            linesContainer.classList.remove('hidden');
+            startButton.disabled = false;
+            this.logEvent('return', `Receipt ${receipt.transactionNumber} loaded for return`);
+        };
+
+        modal.querySelector('#return-lookup').addEventListener('click', lookup);
+        receiptInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                lookup();
+            }
+        });
+
+        modal.querySelector('#return-no-receipt').addEventListener('click', () => {
+            noReceipt = true;
+            receipt = null;
+            linesContainer.classList.add('hidden');
+            approval.classList.remove('hidden');
+            startButton.disabled = false;
+            reasonSelect.focus();
+        });
+
+        modal.querySelector('#return-cancel').addEventListener('click', () => {
+            this.closeModal(modal);
+        });
+
+        startButton.addEventListener('click', async () => {
+            const reason = reasonSelect.value || null;
+
+            if (noReceipt) {
+                if (!returns.isValidReason(reason)) {
+                    window.NotificationSystem.warning('Select a reason for a return without a receipt');
+                    return;
+                }
+
+                startButton.disabled = true;
+                const manager = await this.authorizeAction('approve-return', `Return without a receipt: ${returns.REASON_CODES[reason]}`);
+                startButton.disabled = false;
+                if (!manager) {
+                    this.logEvent('return', 'No-receipt return approval rejected');
+                    return;
+                }
+
+                this.closeModal(modal);
+                this.openReturn({ reason, approvedBy: { id: manager.id, name: manager.name } });
+                return;
+            }
+
+            const quantities = {};
+            linesContainer.querySelectorAll('input[data-line-key]').forEach(input => {
+                const line = lines.find(candidate => candidate.key === input.dataset.lineKey);
+                const quantity = parseFloat(input.value) || 0;
+                quantities[line.key] = Math.min(Math.max(quantity, 0), line.returnable);
+            });
+
+            const items = returns.buildReturnItems(receipt, quantities, returned);
+            if (items.length === 0) {
+                window.NotificationSystem.warning('Enter a return quantity for at least one item');
+                return;
+            }
+
+            this.closeModal(modal);
+            this.openReturn({ receipt, items, reason });
+        });
+
+        receiptInput.focus();
+    }
+
+    /**
+     * Opens a return transaction
+     * @param {Object} options - { receipt, items, reason, approvedBy }
+     */
+    openReturn({ receipt = null, items = [], reason = null, approvedBy = null }) {
+        const transaction = this.createTransaction({
+            type: window.Transaction.TYPES.RETURN,
+            originalTransactionNumber: receipt ? receipt.transactionNumber : null,
+            returnReason: reason,
+            approvedBy
+        });
+
+        this.currentTransaction = transaction;
+        this.logEvent('transaction', `Return ${transaction.number} opened ${receipt ? `against ${receipt.transactionNumber}` : `without receipt, approved by ${approvedBy.name}`}`);
+        this.publishTransaction();
+
+        const cartControl = this.findControlByType('cart-grid');
+        if (cartControl && items.length > 0) {
+            cartControl.setItems(items);
+        }
+
+        window.NotificationSystem.info(receipt ?
+            'Return started. Use Complete Refund to pay the customer back.' :
+            'Scan the items being returned, then use Complete Refund');
+    }
+
+    /**
+     * Shows how the refund is split across tenders and completes the return on confirmation
+     * @returns {Promise<boolean>} True when the refund dialog was shown
+     */
+    async showRefundDialog() {
+        const transaction = this.currentTransaction;
+        const cartControl = this.findControlByType('cart-grid');
+        const totals = window.StateManager.getState('transactionTotals');
+        const formatter = window.CurrencyFormatter;
+
+        if (!transaction || !transaction.isActive() || !transaction.isReturn()) {
+            window.NotificationSystem.warning('No return in progress');
+            return false;
+        }
+        if (!cartControl || cartControl.items.length === 0 || !totals || !totals.total.isNegative()) {
+            window.NotificationSystem.warning('Add the items being returned first');
+            return false;
+        }
+
+        let receipt = null;
+        let refundable = null;
+        try {
+            if (transaction.originalTransactionNumber) {
+                receipt = await window.ReturnManager.findReceipt(transaction.originalTransactionNumber);
+                refundable = await window.ReturnManager.getRefundable(receipt);
+            }
+        } catch (error) {
+            window.NotificationSystem.error(error.message);
+            return false;
+        }
+
+        let refund = totals.total.negate();
+        // Never more than what is left of the receipt (cents of tax rounding, or earlier refunds)
+        const limited = refundable !== null && refund.greaterThan(refundable);
+        if (limited) {
+            if (!refundable.isPositive()) {
+                window.NotificationSystem.error(`Receipt ${receipt.transactionNumber} has already been refunded in full`);
+                return false;
+            }
+            this.logEvent('return', `Refund of ${formatter.format(refund)} limited to ${formatter.format(refundable)} left on ${receipt.transactionNumber}`);
+            refund = refundable;
+        }
+        const tenders = window.ReturnManager.allocateRefund(refund, receipt);
+
+        const modal = this.createModal('Complete Refund', `
+            <div class="space-y-4 text-sm">
+                <div class="space-y-1" data-testid="container-refund-tenders">
+                    ${tenders.map(tender => `
+                        <div class="flex justify-between">
+                            <span>Refund to ${this.getTenderLabel(tender.method)}${tender.reference ? ` ${tender.reference}` : ''}</span>
+                            <span>${formatter.format(tender.amount.negate())}</span>
+                        </div>
+                    `).join('')}
+                    <div class="flex justify-between font-bold border-t border-border pt-1">
+                        <span>Total refund</span>
+                        <span data-testid="text-refund-total">${formatter.format(refund)}</span>
+                    </div>
+                    ${limited ? `<p class="text-muted-foreground" data-testid="text-refund-limited">Limited to what is left to refund on receipt ${receipt.transactionNumber}</p>` : ''}
+                </div>
+                <div class="flex justify-end space-x-2">
+                    <button id="refund-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                    <button id="refund-confirm" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90" data-testid="button-refund-confirm">Refund</button>
+                </div>
+            </div>
+        `);
+
+        modal.querySelector('#refund-cancel').addEventListener('click', () => {
+            this.closeModal(modal);
+        });
+
+        modal.querySelector('#refund-confirm').addEventListener('click', () => {
+            this.closeModal(modal);
+            this.completeReturn(tenders);
+        });
+
+        return true;
+    }
+
+    /**
+     * Completes the return with the given refund tenders and prints the refund receipt
+     * @param {Object[]} tenders - Refund tenders with negative Money amounts
+     */
+    completeReturn(tenders) {
+        const transaction = this.currentTransaction;
+        const cartControl = this.findControlByType('cart-grid');
+        const totals = window.StateManager.getState('transactionTotals');
+        const formatter = window.CurrencyFormatter;
+
+        transaction.beginTendering();
+        transaction.complete({
+            items: cartControl ? cartControl.items : [],
+            totals,
+            tenders,
+            change: window.Money.zero(),
+            loyalty: this.getLoyaltySummary()
+        });
+        this.postLoyalty(transaction);
+        tenders
+            .filter(tender => tender.method === 'gift-card' && tender.cardNumber)
+            .forEach(tender => this.refundGiftCardTender(tender, transaction.number));
+
+        const refunded = window.Money.sum(tenders.map(tender => tender.amount)).negate();
+        this.logEvent('transaction', `Return ${transaction.number} completed: refunded ${formatter.format(refunded)}`);
+
+        this.finishTransaction().then((entry) => {
+            const receiptControl = this.findControlByType('receipt-preview');
+            if (entry && receiptControl) {
+                receiptControl.showRefundReceipt(entry);
+            }
+            if (entry) {
+                this.printReceipt(entry, { openDrawer: tenders.some(tender => tender.method === 'cash') });
+            }
+        });
+
+        window.NotificationSystem.success(`Refund complete: ${tenders
+            .map(tender => `${this.getTenderLabel(tender.method)}${tender.reference ? ` ${tender.reference}` : ''} ${formatter.format(tender.amount.negate())}`)
+            .join(', ')}`);
+    }
+
+    /**
+     * Sells or reloads a gift card: asks for the card number and amount, checks the card
+     * and adds it to the sale. The balance is only loaded once the sale is paid.
+     * @param {string} action - 'activate' or 'reload'
+     * @param {Object} [product] - Gift card product (its price is the suggested amount)
+     */
+    showGiftCardDialog(action, product = null) {
+        const transaction = this.currentTransaction;
+        const ledger = window.GiftCardLedger;
+        const { minLoad, maxLoad } = ledger.limits;
+        const title = action === 'activate' ? 'Sell Gift Card' : 'Reload Gift Card';
+
+        if (transaction && transaction.isActive() && transaction.isReturn()) {
+            window.NotificationSystem.warning('Gift cards cannot be sold on a return');
+            return;
+        }
+
+        const modal = this.createModal(title, `
+            <div class="space-y-4 text-sm">
+                <div>
+                    <label class="block font-medium mb-1" for="gift-card-number">Card number</label>
+                    <input id="gift-card-number" type="text" inputmode="numeric" autocomplete="off" class="w-full px-3 py-2 border border-input rounded-md bg-background" placeholder="Swipe or enter card number" data-testid="input-gift-card-number">
+                </div>
+                <div>
+                    <label class="block font-medium mb-1" for="gift-card-amount">Amount (${window.CurrencyFormatter.format(minLoad)} - ${window.CurrencyFormatter.format(maxLoad)})</label>
+                    <input id="gift-card-amount" type="number" step="0.01" min="${minLoad}" max="${maxLoad}" value="${product ? product.price : ''}" class="w-full px-3 py-2 border border-input rounded-md bg-background" data-testid="input-gift-card-amount">
+                </div>
+                <div class="flex justify-end space-x-2">
+                    <button id="gift-card-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                    <button id="gift-card-add" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 disabled:opacity-50" data-testid="button-gift-card-add">Add to Sale</button>
+                </div>
+            </div>
+        `);
+
+        const numberInput = modal.querySelector('#gift-card-number');
+        const addButton = modal.querySelector('#gift-card-add');
+        numberInput.focus();
+
+        modal.querySelector('#gift-card-cancel').addEventListener('click', () => {
+            this.closeModal(modal);
+        });
+
+        addButton.addEventListener('click', async () => {
+            let amount;
+            try {
+                amount = window.Money.from(modal.querySelector('#gift-card-amount').value);
+            } catch (error) {
+                window.NotificationSystem.error('Enter a valid amount');
+                return;
+            }
+
+            addButton.disabled = true;
+            try {
+                const { number, account } = await ledger.getCard(numberInput.value, action === 'activate' ? 'inactive' : 'active');
+                ledger.checkLoad(amount, account ? window.Money.from(account.balance) : window.Money.zero());
+
+                const cartControl = this.findControlByType('cart-grid');
+                const id = `gift-card-${number}`;
+                if (!cartControl) {
+                    throw new Error('No cart to add the gift card to');
+                }
+                if (cartControl.items.some(item => item.id === id && !item.voided)) {
+                    throw new Error(`Gift card ${ledger.maskNumber(number)} is already on this sale`);
+                }
+
+                const reference = ledger.maskNumber(number);
+                if (cartControl.addItem({
+                    id,
+                    name: `Gift Card ${reference} ${action === 'activate' ? 'Activation' : 'Reload'}`,
+                    price: amount,
+                    quantity: 1,
+                    taxClass: 'exempt',
+                    giftCard: { number, action, reference }
+                })) {
+                    this.closeModal(modal);
+                }
+            } catch (error) {
+                window.NotificationSystem.error(error.message);
+            } finally {
+                addButton.disabled = false;
+            }
+        });
+    }
+
+    showGiftCardBalanceDialog() {
+        const formatter = window.CurrencyFormatter;
+        const modal = this.createModal('Gift Card Balance', `
+            <div class="space-y-4 text-sm">
+                <div class="flex space-x-2">
+                    <input id="gift-card-balance-number" type="text" inputmode="numeric" autocomplete="off" class="flex-1 px-3 py-2 border border-input rounded-md bg-background" placeholder="Swipe or enter card number" data-testid="input-gift-card-balance-number">
+                    <button id="gift-card-balance-check" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90" data-testid="button-gift-card-balance-check">Check</button>
+                </div>
+                <div id="gift-card-balance-result" data-testid="text-gift-card-balance"></div>
+            </div>
+        `);
+
+        const input = modal.querySelector('#gift-card-balance-number');
+        const result = modal.querySelector('#gift-card-balance-result');
+        input.focus();
+
+        const check = async () => {
+            result.textContent = 'Checking...';
+            try {
+                const { masked, balance } = await window.GiftCardLedger.getBalance(input.value);
+                result.innerHTML = `<div class="flex justify-between text-lg font-semibold"><span>${masked}</span><span>${formatter.format(balance)}</span></div>`;
+                this.logEvent('gift-card', `Balance inquiry ${masked}: ${formatter.format(balance)}`);
+            } catch (error) {
+                result.innerHTML = `<div class="text-destructive">${window.NotificationSystem.escapeHTML(error.message)}</div>`;
+            }
+        };
+
+        modal.querySelector('#gift-card-balance-check').addEventListener('click', check);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                check();
+            }
+        });
+    }
+
+    /**
+     * Draws a gift card tender from the ledger and adds what it covered to the payment
+     * @param {Object} data - { cardNumber, amount } from PaymentControlControl
+     */
+    async redeemGiftCard(data) {
+        const transaction = this.currentTransaction;
+        const paymentControl = this.findControlByType('payment-control');
+        const ledger = window.GiftCardLedger;
+        const formatter = window.CurrencyFormatter;
+
+        if (!transaction || !transaction.isActive() || !paymentControl) {
+            window.NotificationSystem.warning('No sale to pay');
+            return null;
+        }
+
+        try {
+            const { drawn, balance } = await ledger.redeem(data.cardNumber, data.amount, transaction.number);
+            const cardNumber = ledger.normalizeNumber(data.cardNumber);
+            const reference = ledger.maskNumber(cardNumber);
+            const tender = paymentControl.addTender('gift-card', drawn, { cardNumber, reference });
+
+            if (!tender) {
+                await ledger.reverse(cardNumber, drawn, transaction.number);
+                return null;
+            }
+
+            this.logEvent('gift-card', `Gift card ${reference} drew ${formatter.format(drawn)}, balance ${formatter.format(balance)}`);
+            window.NotificationSystem.success(drawn.lessThan(data.amount) ?
+                `Gift card ${reference} covered ${formatter.format(drawn)}. Collect the remaining ${formatter.format(paymentControl.getSummary().remaining)}.` :
+                `Gift card ${reference}: ${formatter.format(drawn)} applied, balance ${formatter.format(balance)}`);
+            return tender;
+        } catch (error) {
+            this.logEvent('gift-card', `Gift card tender declined: ${error.message}`);
+            window.NotificationSystem.error(error.message);
+            return null;
+        }
+    }
+
+    handleTenderRemoved(data) {
+        if (data.tender.cardNumber && this.currentTransaction) {
+            this.reverseGiftCardTender(data.tender, this.currentTransaction.number);
+        }
+    }
+
+    reverseGiftCardTender(tender, reference) {
+        return window.GiftCardLedger.reverse(tender.cardNumber, tender.amount, reference)
+            .then((balance) => {
+                this.logEvent('gift-card', `Gift card ${tender.reference} reversed ${window.CurrencyFormatter.format(tender.amount)}, balance ${window.CurrencyFormatter.format(balance)}`);
+            })
+            .catch((error) => {
+                this.logEvent('error', `Gift card ${tender.reference} reversal failed: ${error.message}`);
+                window.NotificationSystem.error(`Could not put ${window.CurrencyFormatter.format(tender.amount)} back on gift card ${tender.reference}: ${error.message}`);
+            });
+    }
+
+    /**
+     * Credits a gift card refund tender back to its card
+     * @param {Object} tender - Refund tender { cardNumber, reference, amount } with a negative amount
+     * @param {string} reference - Return transaction number
+     */
+    refundGiftCardTender(tender, reference) {
+        const amount = tender.amount.negate();
+        return window.GiftCardLedger.refund(tender.cardNumber, amount, reference)
+            .then((balance) => {
+                this.logEvent('gift-card', `Gift card ${tender.reference} refunded ${window.CurrencyFormatter.format(amount)}, balance ${window.CurrencyFormatter.format(balance)}`);
+            })
+            .catch((error) => {
+                this.logEvent('error', `Gift card ${tender.reference} refund failed on ${reference}: ${error.message}`);
+                window.NotificationSystem.error(`Could not refund ${window.CurrencyFormatter.format(amount)} to gift card ${tender.reference}: ${error.message}. Refund it another way.`);
+            });
+    }
+
+    /**
+     * Activates and reloads the gift cards sold on a completed sale
+     * @param {Transaction} transaction - Completed sale
+     */
+    async postGiftCardLoads(transaction) {
+        const ledger = window.GiftCardLedger;
+        const formatter = window.CurrencyFormatter;
+        const cards = transaction.items.filter(item => item.giftCard && !item.voided);
+
+        for (const item of cards) {
+            const { number, action, reference } = item.giftCard;
+            // Load what the line charged, even if its quantity was changed
+            const amount = window.Money.from(item.price).multiply(item.quantity);
+
+            try {
+                const balance = action === 'activate' ?
+                    await ledger.activate(number, amount, transaction.number) :
+                    await ledger.reload(number, amount, transaction.number);
+
+                this.logEvent('gift-card', `Gift card ${reference} ${action === 'activate' ? 'activated' : 'reloaded'}: balance ${formatter.format(balance)}`);
+                window.NotificationSystem.success(`Gift card ${reference} balance: ${formatter.format(balance)}`);
+            } catch (error) {
+                this.logEvent('error', `Gift card ${reference} ${action} failed on ${transaction.number}: ${error.message}`);
+                window.NotificationSystem.error(`Gift card ${reference} was not loaded: ${error.message}. Refund ${formatter.format(amount)} to the customer.`);
+            }
+        }
+    }
+
+    getTenderLabel(method) {
+        const methods = window.PaymentControlControl ? window.PaymentControlControl.METHODS : {};
+        return (methods[method] || { label: method }).label;
+    }
+
+    /**
+     * Opens a transaction for items that are already in the cart (e.g. a demo cart)
+     */
+    syncTransactionWithCart() {
+        const cartControl = this.findControlByType('cart-grid');
+
+        if (cartControl && cartControl.items.length > 0) {
+            this.ensureTransaction();
+            this.recalculateCart();
+        } else if (!this.currentTransaction) {
+            this.publishTransaction();
+        }
+    }
+
+    handleCashDrawerOpened(data) {
+        const user = window.AuthService.getCurrentUser();
+        this.logEvent('pos', data.noSale ? `Cash drawer opened, no sale (${user ? user.id : 'no user'})` : 'Cash drawer opened');
+        window.NotificationSystem.info(data.noSale ? 'Cash drawer opened (no sale)' : 'Cash drawer opened');
+    }
+
+    handleSignatureSaved(data) {
+        this.logEvent('pos', 'Customer signature saved');
+        window.NotificationSystem.success('Signature captured successfully');
+    }
+
+    updateReceiptPreview() {
+        const receiptControl = this.findControlByType('receipt-preview');
+        const cartControl = this.findControlByType('cart-grid');
+        
+        if (receiptControl && cartControl) {
+            const totals = window.StateManager.getState('transactionTotals');
+            receiptControl.updateReceipt(cartControl.items, totals);
+        }
+    }
+
+    findControlByType(type) {
+        if (!this.currentUI) return null;
+        return this.findControlInTree(this.currentUI, (control) => control.type === type);
+    }
+
+    findControlByUID(uid) {
+        if (!this.currentUI) return null;
+        return this.findControlInTree(this.currentUI, (control) => control.UID === uid);
+    }
+
+    findControlInTree(control, predicate) {
+        if (predicate(control)) {
+            return control;
+        }
+        
+        if (control.childControls) {
+            for (const child of control.childControls) {
+                const found = this.findControlInTree(child, predicate);
+                if (found) return found;
+            }
+        }
+        
+        return null;
+    }
+
+    lookupProduct(barcode) {
+        return window.ProductCatalog.lookup(barcode);
+    }
+
+    /**
+     * Toggles designer mode on/off
+     * Designer mode shows control outlines and debug information
+     */
+    async toggleDesignerMode() {
+        if (!this.designerMode && !(await this.authorizeAction('designer', 'Turn on designer mode'))) {
+            return;
+        }
+
+        this.designerMode = !this.designerMode;
+        window.designerMode = this.designerMode;
+        
+        const button = document.getElementById('designer-toggle');
+        if (button) {
+            if (this.designerMode) {
+                button.textContent = 'Designer Mode: ON';
+                button.className = button.className.replace('bg-accent text-accent-foreground', 'bg-destructive text-destructive-foreground');
+                window.NotificationSystem.show('Designer Mode enabled - Controls will show debug information', 'warning');
+            } else {
+                button.textContent = 'Designer Mode: OFF';
+                button.className = button.className.replace('bg-destructive text-destructive-foreground', 'bg-accent text-accent-foreground');
+                window.NotificationSystem.show('Designer Mode disabled', 'info');
+            }
+        }
+
+        // Re-render current UI if exists to apply/remove designer annotations
+        if (this.currentUI) {
+            const definition = window.StateManager.getState('currentUIDefinition');
+            if (definition) {
+                this.loadUIDefinition(definition);
+            }
+        }
+
+        window.StateManager.setState('designerMode', this.designerMode);
+        this.logEvent('system', `Designer Mode: ${this.designerMode ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Clears the current UI display
+     * @param {boolean} [showNotification=true] - Whether to show notification
+     */
+    clearUI(showNotification = true) {
+        const container = document.getElementById('dynamic-ui-container');
+        if (container) {
+            container.innerHTML = '<div class="text-center text-muted-foreground">Dynamic controls will render here...</div>';
+        }
+
+        if (this.currentUI) {
+            this.currentUI.destroy();
+            this.currentUI = null;
+        }
+
+        window.StateManager.removeState('currentUIDefinition');
+        window.StateManager.removeState('currentUIType');
+        window.StateManager.removeState('transactionTotals');
+        window.StateManager.removeState('tenders');
+
+        if (showNotification) {
+            window.NotificationSystem.show('UI cleared', 'info');
+        }
+        
+        this.logEvent('ui', 'UI cleared');
+    }
+
+    clearEventLog() {
+        const logContainer = document.getElementById('event-log');
+        if (logContainer) {
+            logContainer.innerHTML = '<div class="text-muted-foreground">[System] Event log cleared</div>';
+        }
+        
+        this.eventHistory = [];
+        this.logEvent('system', 'Event log cleared');
+    }
+
+    logEvent(type, message) {
+        const timestamp = new Date().toLocaleTimeString();
+        const logEntry = {
+            timestamp,
             type: type.toUpperCase(),
             message,
             id: Date.now()
         };
 
-        // Add to history
-        this.eventHistory.push(logEntry);
-        if (this.eventHistory.length > this.maxEventHistory) {
-            this.eventHistory.shift();
+        // Add to history
+        this.eventHistory.push(logEntry);
+        if (this.eventHistory.length > this.maxEventHistory) {
+            this.eventHistory.shift();
+        }
+
+        // Display in log container
+        const logContainer = document.getElementById('event-log');
+        if (logContainer) {
+            const logElement = document.createElement('div');
+            logElement.textContent = `[${timestamp}] [${type.toUpperCase()}] ${message}`;
+            logElement.className = type === 'error' ? 'text-red-500' : 'text-gray-600';
+            logContainer.appendChild(logElement);
+            logContainer.scrollTop = logContainer.scrollHeight;
+        }
+
+        // Also log to console for debugging
+        console.log(`[${timestamp}] [${type.toUpperCase()}] ${message}`);
+    }
+
+    exportApplicationState() {
+        const state = {
+            application: {
+                version: '2.1.0',
+                designerMode: this.designerMode,
+                timestamp: new Date().toISOString()
+            },
+            ui: {
+                currentDefinition: window.StateManager.getState('currentUIDefinition'),
+                currentType: window.StateManager.getState('currentUIType')
+            },
+            globalState: window.StateManager.getAllState(),
+            context: window.ContextRenderer.getAllContext(),
+            eventHistory: this.eventHistory.slice(-100), // Last 100 events
+            notifications: window.NotificationSystem.getStats()
+        };
+
+        const dataStr = JSON.stringify(state, null, 2);
+        
+        // Download as file
+        this.downloadFile(dataStr, `pos-state-${new Date().toISOString().slice(0, 19)}.json`, 'application/json');
+
+        window.NotificationSystem.success('Application state exported successfully');
+        this.logEvent('export', 'Application state exported to file');
+    }
+
+    /**
+     * Triggers a browser download for generated content
+     * @param {string|Blob} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} [mimeType='text/plain'] - MIME type when content is a string
+     */
+    downloadFile(content, filename, mimeType = 'text/plain') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    exportCatalog() {
+        const products = window.ProductCatalog.getAll();
+        const csv = window.CatalogIO.toCSV(products);
+
+        this.downloadFile(csv, `product-catalog-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+
+        window.NotificationSystem.success(`Exported ${products.length} products`);
+        this.logEvent('export', `Product catalog exported: ${products.length} products`);
+    }
+
+    /**
+     * Shows the product import modal
+     * Reads a CSV/JSON file, lets the user map columns to product fields and
+     * previews per-row validation errors before saving the valid rows.
+     */
+    showCatalogImporter() {
+        const escape = (text) => window.NotificationSystem.escapeHTML(String(text)).replace(/"/g, '&quot;');
+        const modal = this.createModal('Import Products', `
+            <div class="space-y-4">
+                <div>
+                    <label class="block text-sm font-medium mb-2">CSV or JSON file:</label>
+                    <input id="catalog-file" type="file" accept=".csv,.json,text/csv,application/json" class="w-full text-sm" data-testid="input-catalog-file" />
+                </div>
+                <div id="catalog-mapping" class="hidden">
+                    <h4 class="text-sm font-medium mb-2">Column Mapping</h4>
+                    <div id="catalog-mapping-fields" class="grid grid-cols-2 gap-2 text-sm"></div>
+                </div>
+                <div id="catalog-preview" class="hidden max-h-64 overflow-y-auto border border-border rounded-md text-xs" data-testid="container-catalog-preview"></div>
+                <div class="flex justify-between items-center">
+                    <span id="catalog-summary" class="text-sm text-muted-foreground"></span>
+                    <div class="flex space-x-2">
+                        <button id="catalog-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                        <button id="catalog-import" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 disabled:opacity-50" disabled data-testid="button-catalog-import">Import</button>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        const fileInput = modal.querySelector('#catalog-file');
+        const mappingSection = modal.querySelector('#catalog-mapping');
+        const mappingFields = modal.querySelector('#catalog-mapping-fields');
+        const preview = modal.querySelector('#catalog-preview');
+        const summary = modal.querySelector('#catalog-summary');
+        const importButton = modal.querySelector('#catalog-import');
+
+        let parsed = null;
+        let validatedRows = [];
+
+        const readMapping = () => {
+            const mapping = {};
+            mappingFields.querySelectorAll('select').forEach(select => {
+                if (select.value) {
+                    mapping[select.dataset.field] = select.value;
+                }
+            });
+            return mapping;
+        };
+
+        const refreshPreview = () => {
+            const rows = window.CatalogIO.mapRecords(parsed.records, readMapping(), { decimalSeparator: parsed.decimalSeparator });
+            validatedRows = window.CatalogIO.validateRows(rows);
+
+            const validCount = validatedRows.filter(row => row.isValid).length;
+            const invalidCount = validatedRows.length - validCount;
+
+            preview.innerHTML = `
+                <table class="w-full">
+                    <thead>
+                        <tr class="border-b border-border bg-muted/50">
+                            <th class="text-left py-1 px-2">#</th>
+                            ${window.CatalogIO.FIELDS.map(field => `<th class="text-left py-1 px-2">${field}</th>`).join('')}
+                            <th class="text-left py-1 px-2">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${validatedRows.map(row => `
+                            <tr class="border-b border-border ${row.isValid ? '' : 'bg-red-50'}" data-testid="catalog-row-${row.index}">
+                                <td class="py-1 px-2">${row.index}</td>
+                                ${window.CatalogIO.FIELDS.map(field => `<td class="py-1 px-2">${row.product[field] !== undefined ? escape(row.product[field]) : ''}</td>`).join('')}
+                                <td class="py-1 px-2 ${row.isValid ? 'text-green-600' : 'text-red-600'}">${row.isValid ? 'OK' : row.errors.map(escape).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+            preview.classList.remove('hidden');
+
+            summary.textContent = `${validCount} valid, ${invalidCount} with errors`;
+            importButton.disabled = validCount === 0;
+            importButton.textContent = invalidCount > 0 ? `Import ${validCount} valid rows` : `Import ${validCount} products`;
+        };
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            try {
+                parsed = await window.CatalogIO.readFile(file);
+            } catch (error) {
+                parsed = null;
+                mappingSection.classList.add('hidden');
+                preview.classList.add('hidden');
+                importButton.disabled = true;
+                window.NotificationSystem.error(`Could not read ${file.name}: ${error.message}`);
+                return;
+            }
+
+            const suggested = window.CatalogIO.suggestMapping(parsed.headers);
+            mappingFields.innerHTML = window.CatalogIO.FIELDS.map(field => `
+                <label class="flex items-center justify-between space-x-2">
+                    <span>${field}${window.CatalogIO.REQUIRED_FIELDS.includes(field) ? ' *' : ''}</span>
+                    <select data-field="${field}" class="px-2 py-1 border border-input rounded-md bg-background" data-testid="select-mapping-${field}">
+                        <option value="">(not imported)</option>
+                        ${parsed.headers.map(header => `<option value="${escape(header)}" ${suggested[field] === header ? 'selected' : ''}>${escape(header)}</option>`).join('')}
+                    </select>
+                </label>
+            `).join('');
+            mappingFields.querySelectorAll('select').forEach(select => {
+                select.addEventListener('change', refreshPreview);
+            });
+            mappingSection.classList.remove('hidden');
+
+            this.logEvent('catalog', `Import file loaded: ${file.name} (${parsed.records.length} rows)`);
+            refreshPreview();
+        });
+
+        modal.querySelector('#catalog-cancel').addEventListener('click', () => {
+            this.closeModal(modal);
+        });
+
+        importButton.addEventListener('click', async () => {
+            const products = validatedRows.filter(row => row.isValid).map(row => row.product);
+            importButton.disabled = true;
+
+            try {
+                const count = await window.ProductCatalog.saveProducts(products);
+                this.closeModal(modal);
+                window.NotificationSystem.success(`Imported ${count} products`);
+                this.logEvent('catalog', `Product import committed: ${count} products, ${validatedRows.length - count} rows skipped`);
+            } catch (error) {
+                importButton.disabled = false;
+                window.NotificationSystem.error(`Import failed: ${error.message}`);
+                this.logEvent('error', `Product import failed: ${error.message}`);
+            }
+        });
+    }
+
+    showJSONLoader() {
+        const modal = this.createModal('Load JSON UI Definition', `
+            <div class="space-y-4">
+                <div>
+                    <label class="block text-sm font-medium mb-2">Paste JSON Definition:</label>
+                    <textarea id="json-input" class="w-full h-64 px-3 py-2 border border-input rounded-md focus:outline-none focus:ring-2 focus:ring-ring font-mono text-sm" placeholder="Paste your JSON UI definition here..."></textarea>
+                </div>
+                <div class="flex justify-end space-x-2">
+                    <button id="json-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                    <button id="json-load" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90">Load UI</button>
+                </div>
+            </div>
+        `);
+
+        document.getElementById('json-cancel').addEventListener('click', () => {
+            this.closeModal(modal);
+        });
+
+        document.getElementById('json-load').addEventListener('click', () => {
+            const jsonInput = document.getElementById('json-input');
+            try {
+                const definition = JSON.parse(jsonInput.value);
+                this.loadUIDefinition(definition);
+                this.closeModal(modal);
+                window.NotificationSystem.success('JSON UI definition loaded successfully');
+            } catch (error) {
+                window.NotificationSystem.error(`Invalid JSON: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Makes sure the signed-in user may perform an action, asking for a manager override when not
+     * @param {string} permission - Key of AuthService.PERMISSIONS
+     * @param {string} description - What is being approved, shown in the prompt and audit log
+     * @returns {Promise<Object|null>} User who may perform the action, or null when not approved
+     */
+    async authorizeAction(permission, description) {
+        const approver = await window.ManagerOverride.request(permission, { description });
+        const user = window.AuthService.getCurrentUser();
+
+        if (!approver) {
+            this.logEvent('auth', `${description}: not approved`);
+        } else if (!user || approver.id !== user.id) {
+            this.logEvent('auth', `${description}: approved by ${approver.name} (${approver.id})`);
+        }
+        return approver;
+    }
+
+    /**
+     * Covers the register with the sign-in form until a user signs in
+     */
+    showSignInScreen() {
+        if (this.signInScreen) return;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'sign-in-screen fixed inset-0 bg-background z-50 flex items-center justify-center';
+        overlay.setAttribute('data-testid', 'sign-in-screen');
+        overlay.innerHTML = `
+            <form class="bg-card border border-border rounded-lg shadow-lg w-full max-w-sm mx-4 p-6 space-y-4" novalidate>
+                <div>
+                    <h3 class="text-lg font-semibold">Sign In</h3>
+                    <p class="text-sm text-muted-foreground">${window.ContextRenderer.render('#{StoreName} - Register #{RegisterNumber}')}</p>
+                </div>
+                <label class="block text-sm font-medium">User ID
+                    <input id="sign-in-user" type="text" autocomplete="username" data-testid="input-sign-in-user"
+                        class="mt-1 w-full px-3 py-2 border border-input bg-background rounded-md uppercase">
+                </label>
+                <div class="text-sm font-medium">PIN or password
+                    <div id="sign-in-secret" class="mt-1"></div>
+                </div>
+                <p id="sign-in-error" class="text-sm text-destructive hidden" data-testid="text-sign-in-error"></p>
+                <button type="submit" id="sign-in-submit" data-testid="button-sign-in"
+                    class="w-full px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors">Sign In</button>
+            </form>
+        `;
+
+        const form = overlay.querySelector('form');
+        const userInput = overlay.querySelector('#sign-in-user');
+        const errorText = overlay.querySelector('#sign-in-error');
+        const submitButton = overlay.querySelector('#sign-in-submit');
+        const secretControl = window.ControlFactory.create({
+            type: 'password',
+            UID: 'sign-in-secret-input',
+            placeholder: 'PIN or password'
+        });
+        overlay.querySelector('#sign-in-secret').appendChild(secretControl.render());
+
+        const submit = async () => {
+            errorText.classList.add('hidden');
+            submitButton.disabled = true;
+
+            try {
+                const user = await window.AuthService.signIn(userInput.value, secretControl.getSecret());
+                secretControl.destroy();
+                this.closeModal(overlay);
+                this.signInScreen = null;
+                this.startSession(user);
+            } catch (error) {
+                secretControl.clear();
+                secretControl.focus();
+                errorText.textContent = error.message;
+                errorText.classList.remove('hidden');
+                this.logEvent('auth', `Sign-in failed for ${userInput.value.trim().toUpperCase() || 'blank user ID'}`);
+            } finally {
+                submitButton.disabled = false;
+            }
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            submit();
+        });
+        secretControl.on('passwordSubmitted', submit);
+
+        document.body.appendChild(overlay);
+        this.signInScreen = overlay;
+        userInput.focus();
+    }
+
+    /**
+     * Puts the signed-in user on the register: context values, session state and header
+     * @param {Object} user - User from AuthService.signIn
+     */
+    startSession(user) {
+        window.ContextRenderer.updateContext(window.AuthService.toContext(user));
+        window.StateManager.setState('userSession', {
+            userId: user.id,
+            username: user.name,
+            role: user.role,
+            storeId: window.ContextRenderer.getContext('StoreID'),
+            terminalId: window.ContextRenderer.getContext('TerminalID'),
+            signedInAt: new Date().toISOString()
+        });
+        this.updateSignedInUser(user);
+        this.startIdleMonitor();
+
+        this.logEvent('auth', `${user.roleLabel} ${user.name} (${user.id}) signed in`);
+        window.NotificationSystem.success(`Welcome, ${user.name}`);
+
+        this.tillReady.then((shift) => {
+            if (!shift) {
+                this.showOpenShiftDialog();
+            } else if (shift.user.id !== user.id) {
+                window.NotificationSystem.info(`Shift ${shift.id} of ${shift.user.name} is still open on this till`);
+            }
+        });
+    }
+
+    /**
+     * Signs the user out and shows the sign-in screen; refused while a sale is in progress
+     */
+    signOut() {
+        const user = window.AuthService.getCurrentUser();
+        if (!user) return;
+
+        if (this.currentTransaction && this.currentTransaction.isActive()) {
+            window.NotificationSystem.warning('Complete, hold or void the current sale before signing out');
+            return;
         }
 
-        // Display in log container
-        const logContainer = document.getElementById('event-log');
-        if (logContainer) {
-            const logElement = document.createElement('div');
-            logElement.textContent = `[${timestamp}] [${type.toUpperCase()}] ${message}`;
-            logElement.className = type === 'error' ? 'text-red-500' : 'text-gray-600';
-            logContainer.appendChild(logElement);
-            logContainer.scrollTop = logContainer.scrollHeight;
+        if (this.designerMode) {
+            this.toggleDesignerMode();
         }
 
-        // Also log to console for debugging
-        console.log(`[${timestamp}] [${type.toUpperCase()}] ${message}`);
+        window.IdleMonitor.stop();
+        window.AuthService.signOut();
+        window.ContextRenderer.updateContext(window.AuthService.toContext(null));
+        window.StateManager.setState('userSession', null);
+        this.updateSignedInUser(null);
+
+        this.logEvent('auth', `${user.name} (${user.id}) signed out`);
+        this.showSignInScreen();
     }
 
-    exportApplicationState() {
-        const state = {
-            application: {
-                version: '2.1.0',
-                designerMode: this.designerMode,
-                timestamp: new Date().toISOString()
-            },
-            ui: {
-                currentDefinition: window.StateManager.getState('currentUIDefinition'),
-                currentType: window.StateManager.getState('currentUIType')
-            },
-            globalState: window.StateManager.getAllState(),
-            context: window.ContextRenderer.getAllContext(),
-            eventHistory: this.eventHistory.slice(-100), // Last 100 events
-            notifications: window.NotificationSystem.getStats()
+    startIdleMonitor() {
+        window.IdleMonitor.start({ onLock: () => this.lockTerminal('idle') });
+    }
+
+    /**
+     * Covers the register until the signed-in user, or a user allowed to
+     * unlock-terminal, enters their credential. The sale underneath is left as it is.
+     * @param {string} [reason='manual'] - 'manual' or 'idle'
+     */
+    lockTerminal(reason = 'manual') {
+        const user = window.AuthService.getCurrentUser();
+        if (!user || this.lockScreen) return;
+
+        window.IdleMonitor.stop();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'lock-screen fixed inset-0 bg-background z-50 flex items-center justify-center';
+        overlay.setAttribute('data-testid', 'lock-screen');
+        overlay.innerHTML = `
+            <form class="bg-card border border-border rounded-lg shadow-lg w-full max-w-sm mx-4 p-6 space-y-4" novalidate>
+                <div>
+                    <h3 class="text-lg font-semibold">Terminal Locked</h3>
+                    <p class="lock-user text-sm text-muted-foreground"></p>
+                </div>
+                <div class="text-sm font-medium">Your PIN or password, or a manager's PIN or badge
+                    <div class="lock-secret mt-1"></div>
+                </div>
+                <p class="lock-error text-sm text-destructive hidden" data-testid="text-lock-error"></p>
+                <button type="submit" data-testid="button-unlock"
+                    class="w-full px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors">Unlock</button>
+            </form>
+        `;
+        overlay.querySelector('.lock-user').textContent = `Signed in: ${user.name} (${user.id})`;
+
+        const errorText = overlay.querySelector('.lock-error');
+        const unlockButton = overlay.querySelector('button[type="submit"]');
+        const secretControl = window.ControlFactory.create({
+            type: 'password',
+            UID: 'lock-secret-input',
+            placeholder: 'PIN, password or badge'
+        });
+        overlay.querySelector('.lock-secret').appendChild(secretControl.render());
+
+        const unlock = async () => {
+            if (unlockButton.disabled) return;
+            unlockButton.disabled = true;
+
+            let approver = null;
+            try {
+                // The user's own credential, or that of a user with unlock-terminal
+                const unlockedBy = await window.AuthService.unlock(user.id, secretControl.getSecret());
+                approver = unlockedBy.id === user.id ? null : unlockedBy;
+            } catch (error) {
+                secretControl.clear();
+                secretControl.focus();
+                errorText.textContent = error.message;
+                errorText.classList.remove('hidden');
+                unlockButton.disabled = false;
+                this.logEvent('auth', 'Unlock attempt failed');
+                return;
+            }
+
+            if (approver) {
+                window.AuditLog.record({
+                    action: 'unlock-terminal',
+                    description: `Unlock terminal locked for ${user.name} (${user.id})`,
+                    outcome: window.AuditLog.OUTCOMES.APPROVED,
+                    requestedBy: { id: user.id, name: user.name },
+                    approvedBy: { id: approver.id, name: approver.name },
+                    method: approver.method
+                });
+            }
+
+            secretControl.destroy();
+            this.closeModal(overlay);
+            this.lockScreen = null;
+            this.startIdleMonitor();
+            this.logEvent('auth', approver ? `Terminal unlocked by ${approver.name} (${approver.id})` : `Terminal unlocked by ${user.name}`);
         };
 
-        const dataStr = JSON.stringify(state, null, 2);
-        
-        // Download as file
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `pos-state-${new Date().toISOString().slice(0, 19)}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        overlay.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            unlock();
+        });
+        secretControl.on('passwordSubmitted', unlock);
 
-        window.NotificationSystem.success('Application state exported successfully');
-        this.logEvent('export', 'Application state exported to file');
+        document.body.appendChild(overlay);
+        this.lockScreen = overlay;
+        secretControl.focus();
+        this.logEvent('auth', `Terminal locked (${reason === 'idle' ? 'idle timeout' : 'by user'}) for ${user.name} (${user.id})`);
     }
 
-    showJSONLoader() {
-        const modal = this.createModal('Load JSON UI Definition', `
-            <div class="space-y-4">
+    /**
+     * Asks for a cash count by denomination
+     * @param {Object} options - { title, intro, submitLabel }
+     * @returns {Promise<Object|null>} Counts ({ [denomination value]: quantity }), or null when cancelled
+     */
+    showCashCountDialog({ title, intro, submitLabel }) {
+        const denominations = window.TillManager.getDenominations(window.ContextRenderer.getContext('Currency'));
+        const formatter = window.CurrencyFormatter;
+
+        return new Promise((resolve) => {
+            const modal = this.createModal(title, `
+                <div class="space-y-4 text-sm">
+                    <p class="text-muted-foreground">${intro}</p>
+                    <div class="grid grid-cols-2 gap-x-6 gap-y-2">
+                        ${denominations.map(denomination => `
+                            <label class="flex items-center justify-between gap-2">
+                                <span class="font-medium">${denomination.label}</span>
+                                <input type="number" min="0" step="1" inputmode="numeric" data-value="${denomination.value}" placeholder="0"
+                                    class="cash-count w-24 px-2 py-1 border border-input rounded-md bg-background text-right" data-testid="input-cash-count-${denomination.value}">
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div class="flex justify-between font-semibold border-t border-border pt-2">
+                        <span>Total</span>
+                        <span id="cash-count-total" data-testid="text-cash-count-total">${formatter.format(0)}</span>
+                    </div>
+                    <div class="flex justify-end space-x-2">
+                        <button id="cash-count-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                        <button id="cash-count-submit" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90" data-testid="button-cash-count-submit">${submitLabel}</button>
+                    </div>
+                </div>
+            `);
+
+            const inputs = Array.from(modal.querySelectorAll('.cash-count'));
+            const readCounts = () => inputs.reduce((counts, input) => {
+                if (input.value.trim() !== '') {
+                    counts[input.dataset.value] = Number(input.value);
+                }
+                return counts;
+            }, {});
+
+            let settled = false;
+            const finish = (counts) => {
+                if (settled) return;
+                settled = true;
+                this.closeModal(modal);
+                resolve(counts);
+            };
+
+            inputs.forEach(input => input.addEventListener('input', () => {
+                try {
+                    modal.querySelector('#cash-count-total').textContent = formatter.format(window.TillManager.countTotal(readCounts()));
+                } catch (error) {
+                    modal.querySelector('#cash-count-total').textContent = '-';
+                }
+            }));
+
+            modal.querySelector('#cash-count-submit').addEventListener('click', () => {
+                const counts = readCounts();
+                try {
+                    window.TillManager.countTotal(counts);
+                } catch (error) {
+                    window.NotificationSystem.error(error.message);
+                    return;
+                }
+                finish(counts);
+            });
+
+            // Cancel, the close button and a click outside all give up the count
+            modal.querySelector('#cash-count-cancel').addEventListener('click', () => finish(null));
+            modal.querySelector('.modal-close').addEventListener('click', () => finish(null));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) finish(null);
+            });
+
+            if (inputs.length > 0) {
+                inputs[0].focus();
+            }
+        });
+    }
+
+    /**
+     * Opens a till shift for the signed-in user after counting the float
+     */
+    async showOpenShiftDialog() {
+        const user = window.AuthService.getCurrentUser();
+        const current = window.TillManager.getCurrentShift();
+        if (!user) return;
+
+        if (current) {
+            window.NotificationSystem.info(`Shift ${current.id} of ${current.user.name} is already open`);
+            return;
+        }
+
+        const counts = await this.showCashCountDialog({
+            title: 'Open Shift',
+            intro: `Count the opening float for ${user.name}.`,
+            submitLabel: 'Open Shift'
+        });
+        if (!counts) {
+            this.logEvent('till', 'Open shift cancelled');
+            return;
+        }
+
+        try {
+            const shift = await window.TillManager.openShift({
+                user,
+                counts,
+                currency: window.ContextRenderer.getContext('Currency')
+            });
+            const float = window.Money.from(shift.openingFloat);
+            window.ContextRenderer.updateContext({ ShiftID: shift.id });
+            this.logEvent('till', `Shift ${shift.id} opened by ${user.id} with a float of ${window.CurrencyFormatter.format(float)}`);
+            window.NotificationSystem.success(`Shift ${shift.id} open. Float: ${window.CurrencyFormatter.format(float)}`);
+        } catch (error) {
+            window.NotificationSystem.error(error.message);
+        }
+    }
+
+    /**
+     * Pays cash into or out of the drawer outside a sale
+     * @param {string} type - 'pay-in' or 'pay-out' (already authorized)
+     */
+    showCashMovementDialog(type) {
+        const shift = window.TillManager.getCurrentShift();
+        const title = type === 'pay-in' ? 'Pay In' : 'Pay Out';
+
+        if (!shift) {
+            window.NotificationSystem.warning('Open a till shift first');
+            return;
+        }
+
+        const modal = this.createModal(title, `
+            <div class="space-y-4 text-sm">
                 <div>
-                    <label class="block text-sm font-medium mb-2">Paste JSON Definition:</label>
-                    <textarea id="json-input" class="w-full h-64 px-3 py-2 border border-input rounded-md focus:outline-none focus:ring-2 focus:ring-ring font-mono text-sm" placeholder="Paste your JSON UI definition here..."></textarea>
+                    <label class="block font-medium mb-1" for="cash-movement-amount">Amount</label>
+                    <input id="cash-movement-amount" type="number" step="0.01" min="0" class="w-full px-3 py-2 border border-input rounded-md bg-background" data-testid="input-cash-movement-amount">
+                </div>
+                <div>
+                    <label class="block font-medium mb-1" for="cash-movement-reason">Reason</label>
+                    <input id="cash-movement-reason" type="text" class="w-full px-3 py-2 border border-input rounded-md bg-background" placeholder="${type === 'pay-in' ? 'e.g. Extra change from the safe' : 'e.g. Window cleaner'}" data-testid="input-cash-movement-reason">
                 </div>
                 <div class="flex justify-end space-x-2">
-                    <button id="json-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
-                    <button id="json-load" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90">Load UI</button>
+                    <button id="cash-movement-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                    <button id="cash-movement-confirm" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 disabled:opacity-50" data-testid="button-cash-movement-confirm">${title}</button>
                 </div>
             </div>
         `);
 
-        document.getElementById('json-cancel').addEventListener('click', () => {
+        const confirmButton = modal.querySelector('#cash-movement-confirm');
+        modal.querySelector('#cash-movement-amount').focus();
+
+        modal.querySelector('#cash-movement-cancel').addEventListener('click', () => {
             this.closeModal(modal);
         });
 
-        document.getElementById('json-load').addEventListener('click', () => {
-            const jsonInput = document.getElementById('json-input');
+        confirmButton.addEventListener('click', async () => {
+            const user = window.AuthService.getCurrentUser();
+            const reason = modal.querySelector('#cash-movement-reason').value;
+            let amount;
             try {
-                const definition = JSON.parse(jsonInput.value);
-                this.loadUIDefinition(definition);
+                amount = window.Money.from(modal.querySelector('#cash-movement-amount').value);
+            } catch (error) {
+                window.NotificationSystem.error('Enter a valid amount');
+                return;
+            }
+
+            confirmButton.disabled = true;
+            try {
+                const till = window.TillManager;
+                await (type === 'pay-in' ? till.payIn(amount, reason, user) : till.payOut(amount, reason, user));
+                await till.recordDrawerOpen({ reference: type, user });
+
                 this.closeModal(modal);
-                window.NotificationSystem.success('JSON UI definition loaded successfully');
+                this.logEvent('till', `${title} ${window.CurrencyFormatter.format(amount)} by ${user.id}: ${reason.trim()}`);
+                window.NotificationSystem.success(`${title} of ${window.CurrencyFormatter.format(amount)} recorded`);
             } catch (error) {
-                window.NotificationSystem.error(`Invalid JSON: ${error.message}`);
+                window.NotificationSystem.error(error.message);
+            } finally {
+                confirmButton.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Counts the drawer, closes the shift and shows the over/short summary.
+     * The count is blind: the expected cash is only shown afterwards.
+     */
+    async closeShift() {
+        const shift = window.TillManager.getCurrentShift();
+        if (!shift) {
+            window.NotificationSystem.warning('No till shift is open');
+            return;
+        }
+
+        if (this.currentTransaction && this.currentTransaction.isActive()) {
+            window.NotificationSystem.warning('Complete, hold or void the current sale before closing the shift');
+            return;
+        }
+
+        const counts = await this.showCashCountDialog({
+            title: 'Close Shift',
+            intro: `Count all cash in the drawer to close shift ${shift.id} of ${shift.user.name}.`,
+            submitLabel: 'Close Shift'
+        });
+        if (!counts) {
+            this.logEvent('till', 'Close shift cancelled');
+            return;
+        }
+
+        let summary;
+        try {
+            summary = await window.TillManager.closeShift(counts, window.AuthService.getCurrentUser());
+        } catch (error) {
+            window.NotificationSystem.error(error.message);
+            return;
+        }
+
+        window.ContextRenderer.updateContext({ ShiftID: '' });
+        this.showShiftSummary(summary);
+
+        const formatter = window.CurrencyFormatter;
+        this.logEvent('till', `Shift ${summary.id} closed: counted ${formatter.format(summary.counted)}, expected ${formatter.format(summary.expected)}, over/short ${formatter.format(summary.overShort)}`);
+    }
+
+    /**
+     * Shows the cash totals of a closed shift
+     * @param {Object} summary - From TillManager.closeShift or TillManager.summarize
+     */
+    showShiftSummary(summary) {
+        const format = (money) => window.CurrencyFormatter.format(money);
+        const overShort = summary.overShort;
+        const overShortLabel = overShort.isZero() ? 'Balanced' : overShort.isPositive() ? 'Over' : 'Short';
+        const row = (label, value, classes = '') => `
+            <div class="flex justify-between ${classes}"><span>${label}</span><span>${value}</span></div>
+        `;
+
+        this.createModal(`Shift ${summary.id} Closed`, `
+            <div class="space-y-1 text-sm" data-testid="shift-summary">
+                ${row('Cashier', `${summary.user.name} (${summary.user.id})`)}
+                ${row('Opened', new Date(summary.openedAt).toLocaleString())}
+                ${row('Closed', new Date(summary.closedAt).toLocaleString())}
+                <div class="border-t border-border my-2"></div>
+                ${row('Opening float', format(summary.float))}
+                ${row('Cash sales', format(summary.cashSales))}
+                ${row('Cash refunds', format(summary.cashRefunds))}
+                ${row('Pay-ins', format(summary.payIns))}
+                ${row('Pay-outs', format(summary.payOuts))}
+                ${row('Expected in drawer', format(summary.expected), 'font-semibold border-t border-border pt-1')}
+                ${row('Counted', format(summary.counted), 'font-semibold')}
+                ${row(overShortLabel, format(overShort.abs()), `font-semibold ${overShort.isNegative() ? 'text-destructive' : ''}`)}
+                <div class="border-t border-border my-2"></div>
+                ${row('Drawer opens', `${summary.drawerOpens} (${summary.noSales} no sale)`, 'text-muted-foreground')}
+            </div>
+        `);
+    }
+
+    async runXReport() {
+        try {
+            const report = await window.SalesReports.generateX(window.ContextRenderer.getContext('TerminalID'));
+            this.logEvent('reports', `X report: ${report.counts.transactions} transactions`);
+            this.showSalesReport(report);
+        } catch (error) {
+            this.logEvent('error', `X report failed: ${error.message}`);
+            window.NotificationSystem.error(`X report failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Asks before running the Z report, which ends the reporting period
+     */
+    confirmZReport() {
+        if (this.currentTransaction && this.currentTransaction.isActive()) {
+            window.NotificationSystem.warning('Complete, hold or void the current sale before running the Z report');
+            return;
+        }
+
+        const modal = this.createModal('Z Report', `
+            <div class="space-y-4 text-sm">
+                <p>The Z report closes the day for register ${window.ContextRenderer.getContext('TerminalID')}: the next X and Z reports start from zero.</p>
+                <div class="flex justify-end space-x-2">
+                    <button id="z-report-cancel" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Cancel</button>
+                    <button id="z-report-run" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 disabled:opacity-50" data-testid="button-z-report-run">Run Z Report</button>
+                </div>
+            </div>
+        `);
+
+        modal.querySelector('#z-report-cancel').addEventListener('click', () => {
+            this.closeModal(modal);
+        });
+
+        modal.querySelector('#z-report-run').addEventListener('click', async (e) => {
+            e.target.disabled = true;
+            try {
+                const report = await window.SalesReports.generateZ(
+                    window.ContextRenderer.getContext('TerminalID'),
+                    window.AuthService.getCurrentUser()
+                );
+                this.closeModal(modal);
+                this.logEvent('reports', `Z report #${report.number}: ${report.counts.transactions} transactions`);
+                this.showSalesReport(report);
+                this.printSalesReport(report);
+            } catch (error) {
+                e.target.disabled = false;
+                this.logEvent('error', `Z report failed: ${error.message}`);
+                window.NotificationSystem.error(`Z report failed: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Shows an X or Z report in a data grid, with a button to print it
+     * @param {Object} report - From SalesReports
+     */
+    showSalesReport(report) {
+        const reports = window.SalesReports;
+        const generatedAt = new Date(report.generatedAt);
+
+        const modal = this.createModal(reports.getTitle(report), `
+            <div class="space-y-4 text-sm" data-testid="sales-report">
+                <p class="text-muted-foreground">
+                    Register ${report.terminalId}, ${generatedAt.toLocaleString()}
+                    ${report.periodStart ? ` - since ${new Date(report.periodStart).toLocaleString()}` : ''}
+                    ${report.previousZ ? ` (after Z #${report.previousZ})` : ''}
+                </p>
+                <div class="sales-report-grid max-h-96 overflow-y-auto"></div>
+                <div class="flex justify-end space-x-2">
+                    <button id="sales-report-close" class="px-4 py-2 border border-border rounded-md hover:bg-accent">Close</button>
+                    <button id="sales-report-print" class="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90" data-testid="button-sales-report-print">Print</button>
+                </div>
+            </div>
+        `);
+
+        const grid = window.ControlFactory.create({
+            type: 'datagrid',
+            UID: 'sales-report-grid',
+            props: {
+                columns: [
+                    { key: 'section', title: 'Section' },
+                    { key: 'label', title: 'Item' },
+                    { key: 'count', title: 'Count' },
+                    { key: 'amount', title: 'Amount' }
+                ],
+                data: reports.toRows(report)
             }
         });
+        modal.querySelector('.sales-report-grid').appendChild(grid.render());
+
+        modal.querySelector('#sales-report-close').addEventListener('click', () => {
+            this.closeModal(modal);
+        });
+        modal.querySelector('#sales-report-print').addEventListener('click', () => {
+            this.printSalesReport(report);
+        });
+    }
+
+    printSalesReport(report) {
+        const receiptControl = this.findControlByType('receipt-preview');
+        const printed = this.sendToPrinter(({ paperWidth }) => window.ReceiptPrinter.encodeReport(report, { paperWidth }));
+
+        if (!receiptControl && !printed) {
+            window.NotificationSystem.warning('No receipt printer to print the report on');
+            return;
+        }
+
+        if (receiptControl) {
+            receiptControl.printReport(report);
+        }
+        window.NotificationSystem.success(`${window.SalesReports.getTitle(report)} printed`);
+    }
+
+    /**
+     * Lists past sales and refunds from the journal, newest first, to reprint,
+     * print as a gift receipt or save as an HTML or PDF file. The filter box
+     * takes a scanned receipt barcode.
+     */
+    async showReprintDialog() {
+        let entries;
+        try {
+            entries = (await window.ElectronicJournal.query()).filter(entry => entry.type !== 'void').reverse();
+        } catch (error) {
+            this.logEvent('error', `Journal not loaded for reprint: ${error.message}`);
+            window.NotificationSystem.error('Receipts could not be loaded');
+            return;
+        }
+
+        const result = await this.openLookup({
+            UID: 'reprint-lookup',
+            title: 'Reprint Receipt',
+            columns: [
+                { key: 'recordedAt', label: 'Date', format: 'datetime' },
+                { key: 'transactionNumber', label: 'Receipt' },
+                { key: 'kind', label: 'Type' },
+                { key: 'cashier', label: 'Cashier' },
+                { key: 'total', label: 'Total', format: 'currency', align: 'right' }
+            ],
+            rows: entries.map(entry => ({
+                ...entry,
+                id: entry.transactionNumber,
+                kind: entry.type === 'return' ? 'Refund' : 'Sale'
+            })),
+            actions: [
+                { id: 'gift', label: 'Gift Receipt' },
+                { id: 'html', label: 'Save HTML' },
+                { id: 'pdf', label: 'Save PDF' }
+            ],
+            emptyText: 'No receipts in the journal'
+        });
+
+        if (!result) {
+            return;
+        }
+        if (!result.row) {
+            window.NotificationSystem.warning('No receipt selected');
+            return;
+        }
+
+        const entry = entries.find(candidate => candidate.transactionNumber === result.row.id);
+        switch (result.action) {
+            case 'select':
+                this.reprintReceipt(entry);
+                break;
+            case 'gift':
+                this.reprintReceipt(entry, { gift: true });
+                break;
+            case 'html':
+            case 'pdf':
+                this.exportReceipt(entry, result.action);
+                break;
+        }
+    }
+
+    /**
+     * Prints a past receipt again, marked as a reprint, or as a gift receipt
+     * without prices. The preview shows it until the next sale.
+     * @param {Object} entry - ElectronicJournal entry of a sale or return
+     * @param {Object} [options] - { gift: print a gift receipt }
+     * @returns {boolean} False when a sale is in progress
+     */
+    reprintReceipt(entry, { gift = false } = {}) {
+        if (this.currentTransaction && this.currentTransaction.isActive()) {
+            window.NotificationSystem.warning('Complete, hold or void the current sale before reprinting a receipt');
+            return false;
+        }
+        if (gift && entry.type === 'return') {
+            window.NotificationSystem.warning('Gift receipts are for sales only');
+            return false;
+        }
+
+        const model = window.ReceiptPrinter.fromJournalEntry(entry, { reprint: true, gift });
+        const receiptControl = this.findControlByType('receipt-preview');
+        if (receiptControl) {
+            receiptControl.showReceipt(model);
+        }
+        this.printReceiptModel(model);
+
+        const label = gift ? 'Gift receipt' : 'Receipt';
+        this.logEvent('receipt', `${label} ${entry.transactionNumber} reprinted`);
+        window.NotificationSystem.success(`${label} ${entry.transactionNumber} reprinted`);
+        return true;
+    }
+
+    /**
+     * Downloads a past receipt as a standalone HTML or PDF file, laid out
+     * with the template of the receipt preview
+     * @param {Object} entry - ElectronicJournal entry of a sale or return
+     * @param {string} format - 'html' or 'pdf'
+     */
+    exportReceipt(entry, format) {
+        const exporter = window.ReceiptExport;
+        const model = window.ReceiptPrinter.fromJournalEntry(entry);
+        const template = this.getReceiptTemplate();
+        const filename = exporter.getFileName(model, format);
+
+        if (format === 'pdf') {
+            // Same roll width as the receipt printer, when there is one
+            const printer = this.currentUI ?
+                this.findControlInTree(this.currentUI, control => control.type === 'device-control' && control.deviceType === 'printer') :
+                null;
+            const paperWidth = printer ? printer.paperWidth : 80;
+            this.downloadFile(new Blob([exporter.toPdf(model, { template, paperWidth })], { type: 'application/pdf' }), filename);
+        } else {
+            this.downloadFile(exporter.toHtmlDocument(model, { template }), filename, 'text/html');
+        }
+
+        this.logEvent('receipt', `Receipt ${entry.transactionNumber} saved as ${filename}`);
+        window.NotificationSystem.success(`Receipt saved as ${filename}`);
+    }
+
+    /**
+     * Template of the receipt preview, which the printer and exports follow
+     * @returns {string|Object} ReceiptTemplate name or object
+     */
+    getReceiptTemplate() {
+        const receiptControl = this.findControlByType('receipt-preview');
+        return receiptControl ? receiptControl.template : 'default';
+    }
+
+    /**
+     * Prints a journaled receipt on the receipt printer, with the template
+     * of the receipt preview
+     * @param {Object} entry - ElectronicJournal entry
+     * @param {Object} [options] - { openDrawer: kick the cash drawer }
+     */
+    printReceipt(entry, { openDrawer = false } = {}) {
+        this.printReceiptModel(window.ReceiptPrinter.fromJournalEntry(entry), { openDrawer });
+    }
+
+    /**
+     * Prints a receipt model on the receipt printer
+     * @param {Object} model - Receipt model from ReceiptPrinter.fromJournalEntry
+     * @param {Object} [options] - { openDrawer: kick the cash drawer }
+     */
+    printReceiptModel(model, { openDrawer = false } = {}) {
+        const template = this.getReceiptTemplate();
+        this.sendToPrinter(({ paperWidth, barcodes }) => window.ReceiptPrinter.encodeReceipt(model, { paperWidth, openDrawer, template, barcodes }));
+    }
+
+    /**
+     * Sends ESC/POS output to the first connected printer device
+     * @param {Function} encode - ({ paperWidth, barcodes }) => Uint8Array, from the printer's settings
+     * @returns {boolean} False when no printer is connected
+     */
+    sendToPrinter(encode) {
+        const printer = this.currentUI ?
+            this.findControlInTree(this.currentUI, control => control.type === 'device-control' && control.deviceType === 'printer' && control.isConnected()) :
+            null;
+
+        if (!printer) {
+            this.logEvent('device', 'No receipt printer connected');
+            return false;
+        }
+
+        printer.print(encode({ paperWidth: printer.paperWidth, barcodes: printer.barcodes })).catch((error) => {
+            this.logEvent('error', `Printing failed: ${error.message}`);
+            window.NotificationSystem.error(`Printing failed: ${error.message}`);
+        });
+        return true;
+    }
+
+    updateSignedInUser(user) {
+        const label = document.getElementById('signed-in-user');
+        if (label) {
+            label.textContent = user ? `${user.name} (${user.roleLabel})` : '';
+        }
+
+        const button = document.getElementById('header-sign-out');
+        if (button) {
+            button.classList.toggle('hidden', !user);
+        }
     }
 
     createModal(title, content) {